@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import AnimationTestProvider from '../../../src/components/motion/AnimationTestProvider';
+import { GLOBAL_KEYS, PARAM_KEY, parseFrames } from './constants';
+
+/**
+ * 시각을 고정한 애니메이션 — 되감기(시각 감소)면 가상 시계를 새로 만들기 위해 다시 마운트한다
+ * (AnimationTestProvider는 시간을 앞으로만 진행한다)
+ */
+function ScrubbedTimeline({ seed, time, children }) {
+  const [scrub, setScrub] = useState({ epoch: 0, time });
+
+  if (scrub.time !== time) {
+    setScrub({ epoch: time < scrub.time ? scrub.epoch + 1 : scrub.epoch, time });
+  }
+
+  return (
+    <AnimationTestProvider key={scrub.epoch} seed={seed} time={time}>
+      {children}
+    </AnimationTestProvider>
+  );
+}
+
+/**
+ * 문서 스크롤을 진행률 위치로 이동 — window 스크롤을 쓰는 컴포넌트(useScroll, useScrollProgress)가 그대로 반응한다
+ */
+function ScrollScrub({ progress, children }) {
+  useEffect(() => {
+    if (typeof progress !== 'number') return;
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    window.scrollTo({ top: progress * Math.max(0, maxScroll), behavior: 'instant' });
+  }, [progress]);
+
+  return children;
+}
+
+/**
+ * 여러 시각을 나란히 렌더링 — 각 셀은 뷰포트 크기 그대로 그린 뒤 축소한다 (100vh 섹션도 한 화면에 담기도록)
+ */
+function FrameCompare({ seed, frames, children }) {
+  const columns = Math.min(frames.length, 3);
+  const scale = 1 / columns;
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${columns}, 1fr)`, gap: 8 }}>
+      {frames.map((frame) => (
+        <figure key={frame} style={{ margin: 0 }}>
+          <figcaption style={{ font: '11px monospace', padding: '4px 0' }}>
+            {(frame / 1000).toFixed(2)}s
+          </figcaption>
+          <div style={{ position: 'relative', height: `${100 * scale}vh`, overflow: 'hidden', outline: '1px solid rgba(128, 128, 128, 0.3)' }}>
+            <div style={{ width: `${100 * columns}%`, height: '100vh', transform: `scale(${scale})`, transformOrigin: 'top left' }}>
+              <AnimationTestProvider seed={seed} time={frame}>
+                {children}
+              </AnimationTestProvider>
+            </div>
+          </div>
+        </figure>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * ScrubbedStory 컴포넌트
+ *
+ * Timeline Scrubber 패널이 보낸 globals에 맞춰 스토리를 렌더링하는 프리뷰 쪽 래퍼.
+ *
+ * 동작 흐름:
+ * 1. scroll 모드 스토리는 scrubScroll 진행률 위치로 문서를 스크롤한다
+ * 2. time 모드에서 scrubFrames가 2개 이상이면 각 시각으로 고정한 스토리를 나란히 그린다
+ * 3. scrubTime이 있으면 그 시각으로 고정한다 (시드는 parameters.animationTest.seed를 따른다)
+ * 4. 스크러버를 쓰지 않으면 parameters.animationTest가 있는 스토리만 그 시점으로 고정하고, 나머지는 실시간으로 재생한다
+ *
+ * Props:
+ * @param {function} story - Storybook 스토리 컴포넌트 (데코레이터의 Story) [Required]
+ * @param {object} context - Storybook 스토리 컨텍스트 (globals, parameters) [Required]
+ *
+ * Example usage:
+ * decorators: [(Story, context) => <ScrubbedStory story={Story} context={context} />]
+ */
+function ScrubbedStory({ story, context }) {
+  const Story = story;
+  const { globals, parameters } = context;
+  const { animationTest } = parameters;
+  const { mode = 'time', disable = false } = parameters[PARAM_KEY] ?? {};
+  const seed = animationTest?.seed ?? 1;
+  const time = globals[GLOBAL_KEYS.time];
+  const frames = parseFrames(globals[GLOBAL_KEYS.frames]);
+
+  if (!disable && mode === 'scroll') {
+    return (
+      <ScrollScrub progress={globals[GLOBAL_KEYS.scroll]}>
+        <Story />
+      </ScrollScrub>
+    );
+  }
+
+  if (!disable && frames.length > 1) {
+    return (
+      <FrameCompare seed={seed} frames={frames}>
+        <Story />
+      </FrameCompare>
+    );
+  }
+
+  if (!disable && typeof time === 'number') {
+    return (
+      <ScrubbedTimeline seed={seed} time={time}>
+        <Story />
+      </ScrubbedTimeline>
+    );
+  }
+
+  if (animationTest) {
+    return (
+      <AnimationTestProvider {...animationTest}>
+        <Story />
+      </AnimationTestProvider>
+    );
+  }
+
+  return <Story />;
+}
+
+export default ScrubbedStory;
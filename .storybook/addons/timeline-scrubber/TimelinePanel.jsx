@@ -0,0 +1,178 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useGlobals, useParameter, useStorybookState } from 'storybook/manager-api';
+import {
+  DEFAULT_DURATION,
+  FRAME_STEP,
+  GLOBAL_KEYS,
+  PARAM_KEY,
+  PLAY_UPDATE_INTERVAL,
+  SCROLL_PLAY_DURATION,
+  formatFrames,
+  parseFrames,
+} from './constants';
+
+const buttonStyle = {
+  padding: '2px 8px',
+  border: '1px solid rgba(128, 128, 128, 0.4)',
+  borderRadius: 4,
+  background: 'transparent',
+  color: 'inherit',
+  font: '11px monospace',
+  cursor: 'pointer',
+};
+
+/** 슬라이더 값 표시 — time: "1.20s", scroll: "42%" */
+const formatValue = (mode, value) => (
+  mode === 'scroll' ? `${Math.round(value * 100)}%` : `${(value / 1000).toFixed(2)}s`
+);
+
+/**
+ * TimelinePanel 컴포넌트
+ *
+ * Timeline Scrubber 애드온 패널. 현재 스토리의 애니메이션 시각(time 모드) 또는
+ * 시뮬레이션 스크롤 진행률(scroll 모드)을 globals로 보내 프리뷰의 ScrubbedStory가 그 프레임을 그리게 한다.
+ *
+ * 동작 흐름:
+ * 1. parameters.timelineScrubber로 모드와 슬라이더 범위를 정한다
+ * 2. 슬라이더·프레임 이동 버튼은 scrubTime / scrubScroll global을 바로 갱신한다
+ * 3. 재생 중에는 requestAnimationFrame으로 값을 진행시키되 PLAY_UPDATE_INTERVAL마다만 globals를 보낸다
+ * 4. time 모드에서 "Pin frame"으로 현재 시각을 scrubFrames에 추가하면 프리뷰가 고정된 프레임들을 나란히 그린다
+ * 5. 스토리가 바뀌면 재생을 멈추고 globals를 초기화한다
+ */
+function TimelinePanel() {
+  const { mode = 'time', duration = DEFAULT_DURATION, disable = false } = useParameter(PARAM_KEY, {});
+  const [globals, updateGlobals] = useGlobals();
+  const { storyId } = useStorybookState();
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playingStoryId, setPlayingStoryId] = useState(storyId);
+
+  const key = mode === 'scroll' ? GLOBAL_KEYS.scroll : GLOBAL_KEYS.time;
+  const max = mode === 'scroll' ? 1 : duration;
+  const value = globals[key] ?? 0;
+  const frames = parseFrames(globals[GLOBAL_KEYS.frames]);
+
+  /** 재생 루프에서 최신 값을 읽기 위한 ref */
+  const valueRef = useRef(value);
+  /** 첫 마운트 때는 URL로 공유된 globals를 유지하기 위해 이전 스토리를 기억 */
+  const storyIdRef = useRef(storyId);
+
+  useEffect(() => {
+    valueRef.current = value;
+  });
+
+  if (playingStoryId !== storyId) {
+    setPlayingStoryId(storyId);
+    setIsPlaying(false);
+  }
+
+  /** 스토리가 바뀌면 스크럽 상태 초기화 */
+  useEffect(() => {
+    if (storyIdRef.current === storyId) return;
+    storyIdRef.current = storyId;
+    updateGlobals({ [GLOBAL_KEYS.time]: null, [GLOBAL_KEYS.scroll]: null, [GLOBAL_KEYS.frames]: '' });
+  }, [storyId, updateGlobals]);
+
+  /** 재생 — 끝에 있으면 처음부터, 끝에 도달하면 멈춘다 */
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const rate = mode === 'scroll' ? 1 / SCROLL_PLAY_DURATION : 1;
+    let current = valueRef.current >= max ? 0 : valueRef.current;
+    let lastFrame = performance.now();
+    let lastUpdate = 0;
+    let frameId = null;
+
+    const tick = (now) => {
+      current = Math.min(current + (now - lastFrame) * rate, max);
+      lastFrame = now;
+
+      const isEnd = current >= max;
+      if (isEnd || now - lastUpdate >= PLAY_UPDATE_INTERVAL) {
+        lastUpdate = now;
+        updateGlobals({ [key]: current });
+      }
+
+      if (isEnd) {
+        setIsPlaying(false);
+        return;
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying, mode, max, key, updateGlobals]);
+
+  if (disable) {
+    return <div style={{ padding: 16, font: '12px sans-serif', opacity: 0.6 }}>이 스토리는 Timeline Scrubber를 사용하지 않습니다.</div>;
+  }
+
+  const seek = (next) => {
+    setIsPlaying(false);
+    updateGlobals({ [key]: Math.min(Math.max(next, 0), max) });
+  };
+
+  const pinFrame = () => {
+    updateGlobals({ [GLOBAL_KEYS.frames]: formatFrames(parseFrames(`${globals[GLOBAL_KEYS.frames]},${Math.round(value)}`)) });
+  };
+
+  const unpinFrame = (frame) => {
+    updateGlobals({ [GLOBAL_KEYS.frames]: formatFrames(frames.filter((item) => item !== frame)) });
+  };
+
+  const reset = () => {
+    setIsPlaying(false);
+    updateGlobals({ [GLOBAL_KEYS.time]: null, [GLOBAL_KEYS.scroll]: null, [GLOBAL_KEYS.frames]: '' });
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 12, padding: 16, font: '12px sans-serif' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <button type="button" style={buttonStyle} onClick={() => setIsPlaying((prev) => !prev)}>
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <button type="button" style={buttonStyle} onClick={() => seek(value - FRAME_STEP[mode])}>
+          −1 frame
+        </button>
+        <button type="button" style={buttonStyle} onClick={() => seek(value + FRAME_STEP[mode])}>
+          +1 frame
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={max}
+          step={mode === 'scroll' ? 0.001 : 1}
+          value={value}
+          onChange={(event) => seek(Number(event.target.value))}
+          aria-label={mode === 'scroll' ? 'Scroll progress' : 'Animation time'}
+          style={{ flex: 1 }}
+        />
+        <span style={{ minWidth: 56, font: '11px monospace', textAlign: 'right' }}>
+          {formatValue(mode, value)}
+        </span>
+        {mode === 'time' && (
+          <button type="button" style={buttonStyle} onClick={pinFrame}>
+            Pin frame
+          </button>
+        )}
+        <button type="button" style={buttonStyle} onClick={reset}>
+          Reset
+        </button>
+      </div>
+
+      {mode === 'time' && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 6, opacity: 0.8 }}>
+          {frames.length === 0
+            ? '고정한 프레임이 없습니다. 두 개 이상 고정하면 프리뷰에 나란히 표시됩니다.'
+            : frames.map((frame) => (
+              <button key={frame} type="button" style={buttonStyle} onClick={() => unpinFrame(frame)} title="Unpin">
+                {formatValue(mode, frame)} ×
+              </button>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TimelinePanel;
@@ -0,0 +1,69 @@
+/**
+ * Timeline Scrubber 애드온 공통 상수
+ *
+ * 매니저(패널)와 프리뷰(데코레이터)는 Storybook globals로 재생 위치를 주고받는다.
+ * globals는 URL에도 남으므로 특정 프레임을 링크로 공유할 수 있다.
+ *
+ * globals 구조:
+ * { scrubTime, scrubScroll, scrubFrames }
+ * ├── scrubTime    - 고정할 애니메이션 시각 (ms). null이면 실시간 재생
+ * ├── scrubScroll  - 시뮬레이션할 스크롤 진행률 (0~1). null이면 직접 스크롤
+ * └── scrubFrames  - 나란히 비교할 시각 목록 ("400,1200,2400"). 2개 이상이면 비교 그리드로 렌더링
+ *
+ * 스토리 파라미터 (parameters.timelineScrubber):
+ * { mode, duration, disable }
+ * ├── mode      - 'time' (AnimationTestProvider 시계) | 'scroll' (문서 스크롤 진행률) [기본값: 'time']
+ * ├── duration  - time 모드 슬라이더 범위 (ms) [기본값: 5000]
+ * └── disable   - 패널 비활성화 [기본값: false]
+ */
+
+export const ADDON_ID = 'intertext/timeline-scrubber';
+export const PANEL_ID = `${ADDON_ID}/panel`;
+export const PARAM_KEY = 'timelineScrubber';
+
+export const GLOBAL_KEYS = {
+  time: 'scrubTime',
+  scroll: 'scrubScroll',
+  frames: 'scrubFrames',
+};
+
+/** time 모드 기본 슬라이더 범위 (ms) */
+export const DEFAULT_DURATION = 5000;
+
+/** scroll 모드 재생 시 0 → 1까지 걸리는 시간 (ms) */
+export const SCROLL_PLAY_DURATION = 4000;
+
+/** 프레임 단위 이동 간격 — time 모드는 60fps 한 프레임(ms), scroll 모드는 진행률 1% */
+export const FRAME_STEP = {
+  time: 1000 / 60,
+  scroll: 0.01,
+};
+
+/** 재생 중 globals 갱신 최소 간격 (ms) — 프리뷰 리렌더를 초당 30회 정도로 제한 */
+export const PLAY_UPDATE_INTERVAL = 33;
+
+/**
+ * 비교 프레임 문자열 → 시각 배열
+ *
+ * @param {string} value - "400,1200,2400"
+ * @returns {number[]} 중복 없이 오름차순 정렬된 시각 배열
+ */
+export function parseFrames(value) {
+  if (!value) return [];
+  const frames = String(value)
+    .split(',')
+    .filter((frame) => frame.trim() !== '')
+    .map((frame) => Number(frame))
+    .filter((frame) => Number.isFinite(frame) && frame >= 0);
+  return [...new Set(frames)].sort((a, b) => a - b);
+}
+
+/**
+ * 시각 배열 → 비교 프레임 문자열
+ *
+ * @param {number[]} frames - 시각 배열
+ * @returns {string} "400,1200,2400"
+ */
+export function formatFrames(frames) {
+  return frames.map((frame) => Math.round(frame)).join(',');
+}
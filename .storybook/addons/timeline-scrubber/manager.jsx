@@ -0,0 +1,18 @@
+import React from 'react';
+import { addons, types } from 'storybook/manager-api';
+import { AddonPanel } from 'storybook/internal/components';
+import TimelinePanel from './TimelinePanel';
+import { ADDON_ID, PANEL_ID } from './constants';
+
+addons.register(ADDON_ID, () => {
+  addons.add(PANEL_ID, {
+    type: types.PANEL,
+    title: 'Timeline',
+    match: ({ viewMode }) => viewMode === 'story',
+    render: ({ active }) => (
+      <AddonPanel active={active}>
+        <TimelinePanel />
+      </AddonPanel>
+    ),
+  });
+});
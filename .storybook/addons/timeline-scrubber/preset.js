@@ -0,0 +1,12 @@
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Timeline Scrubber 애드온 프리셋
+ *
+ * .storybook/main.js의 addons에 등록되어 매니저에 패널을 추가한다.
+ * 프리뷰 쪽 데코레이터(ScrubbedStory)는 .storybook/preview.jsx가 직접 사용한다.
+ */
+export const managerEntries = (entry = []) => [
+  ...entry,
+  fileURLToPath(new URL('./manager.jsx', import.meta.url)),
+];
@@ -1,7 +1,10 @@
-import { ThemeProvider } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 
-import { defaultTheme } from '../src/styles/themes';
+import { getThemeNames, themeMeta } from '../src/styles/themes';
+import ThemePreferenceProvider from '../src/components/theme/ThemePreferenceProvider';
+import MotionPreferenceProvider from '../src/components/motion/MotionPreferenceProvider';
+import QualityPreferenceProvider from '../src/components/motion/QualityPreferenceProvider';
+import ScrubbedStory from './addons/timeline-scrubber/ScrubbedStory';
 
 // Google Fonts 로드 (Material Symbols + 기본 폰트)
 const googleFonts = [
@@ -22,6 +25,52 @@ googleFonts.forEach((font) => {
 
 /** @type { import('@storybook/react-vite').Preview } */
 const preview = {
+  globalTypes: {
+    motion: {
+      description: '모션 감소 모드 (prefers-reduced-motion 오버라이드)',
+      toolbar: {
+        title: 'Motion',
+        icon: 'play',
+        items: [
+          { value: 'system', title: 'System' },
+          { value: 'reduce', title: 'Reduced' },
+          { value: 'full', title: 'Full' },
+        ],
+        dynamicTitle: true,
+      },
+    },
+    quality: {
+      description: 'WebGL 렌더 품질 단계 (utils/adaptiveQuality)',
+      toolbar: {
+        title: 'Quality',
+        icon: 'dashboard',
+        items: [
+          { value: 'auto', title: 'Auto' },
+          { value: 'high', title: 'High' },
+          { value: 'medium', title: 'Medium' },
+          { value: 'low', title: 'Low' },
+        ],
+        dynamicTitle: true,
+      },
+    },
+    theme: {
+      description: '테마 (styles/themes 레지스트리)',
+      toolbar: {
+        title: 'Theme',
+        icon: 'paintbrush',
+        items: getThemeNames().map((name) => ({ value: name, title: themeMeta[name]?.name ?? name })),
+        dynamicTitle: true,
+      },
+    },
+  },
+  initialGlobals: {
+    motion: 'system',
+    quality: 'auto',
+    theme: 'default',
+    scrubTime: null,
+    scrubScroll: null,
+    scrubFrames: '',
+  },
   parameters: {
     controls: {
       matchers: {
@@ -62,14 +111,21 @@ const preview = {
     },
   },
   decorators: [
-    (Story) => (
-      <ThemeProvider theme={defaultTheme}>
-        <CssBaseline />
-        <div style={{ width: '100%', paddingTop: '40px' }}>
-          <Story />
-        </div>
-      </ThemeProvider>
-    ),
+    // parameters.animationTest = { seed, time } 가 있거나 Timeline 패널로 스크럽하면 해당 시점으로 타임라인을 고정한다
+    (Story, context) => {
+      return (
+        <ThemePreferenceProvider themeName={context.globals.theme} isPersistent={false}>
+          <CssBaseline />
+          <MotionPreferenceProvider preference={context.globals.motion} isPersistent={false}>
+            <QualityPreferenceProvider preference={context.globals.quality} isPersistent={false}>
+              <div style={{ width: '100%', paddingTop: '40px' }}>
+                <ScrubbedStory story={Story} context={context} />
+              </div>
+            </QualityPreferenceProvider>
+          </MotionPreferenceProvider>
+        </ThemePreferenceProvider>
+      );
+    },
   ],
 };
 
@@ -1,20 +1,33 @@
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
-import { ThemeProvider } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 
-import { defaultTheme as theme } from './styles/themes';
-import MagazinePage from './pages/MagazinePage';
+import ThemePreferenceProvider from './components/theme/ThemePreferenceProvider';
+import MotionPreferenceProvider from './components/motion/MotionPreferenceProvider';
+import QualityPreferenceProvider from './components/motion/QualityPreferenceProvider';
+import IssuePage from './pages/IssuePage';
+import IssueArchivePage from './pages/IssueArchivePage';
+import NotFoundSection from './sections/NotFoundSection';
+import { latestIssue } from './data/issues';
 
 function App() {
   return (
-    <ThemeProvider theme={theme}>
+    <ThemePreferenceProvider>
       <CssBaseline />
-      <BrowserRouter>
-        <Routes>
-          <Route index element={<MagazinePage />} />
-        </Routes>
-      </BrowserRouter>
-    </ThemeProvider>
+      <MotionPreferenceProvider>
+        <QualityPreferenceProvider>
+          <BrowserRouter>
+            <Routes>
+              <Route index element={<IssuePage issueId={latestIssue.id} />} />
+              <Route path="issues">
+                <Route index element={<IssueArchivePage />} />
+                <Route path=":issueId" element={<IssuePage />} />
+              </Route>
+              <Route path="*" element={<NotFoundSection />} />
+            </Routes>
+          </BrowserRouter>
+        </QualityPreferenceProvider>
+      </MotionPreferenceProvider>
+    </ThemePreferenceProvider>
   );
 }
 
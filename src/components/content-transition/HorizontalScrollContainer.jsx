@@ -1,7 +1,8 @@
 import React, { useRef, useState, useEffect } from 'react';
 import Box from '@mui/material/Box';
 // eslint-disable-next-line no-unused-vars
-import { motion, useScroll, useTransform, useMotionValueEvent } from 'framer-motion';
+import { motion, useTransform } from 'framer-motion';
+import { useScrollProgress } from '../../hooks/useScrollProgress';
 
 /**
  * HorizontalScrollContainer - 가로 스크롤 컨테이너
@@ -14,7 +15,7 @@ import { motion, useScroll, useTransform, useMotionValueEvent } from 'framer-mot
  * 1. 트랙의 실제 렌더링 너비(px)를 측정
  * 2. 가로 이동 거리 = 트랙 scrollWidth - 뷰포트 너비
  * 3. 세로 스크롤 영역 = 뷰포트 높이 + 가로 이동 거리 (px 단위 정확 매핑)
- * 4. scrollYProgress [0→1]을 가로 이동 [0→-distance px]에 선형 매핑
+ * 4. 공유 스크롤 타임라인의 진행도 [0→1]을 가로 이동 [0→-distance px]에 선형 매핑
  *
  * Props:
  * @param {React.ReactNode} children - HorizontalScrollContainer.Slide로 감싼 슬라이드들 [Required]
@@ -59,15 +60,11 @@ function HorizontalScrollContainer({
   // → scrollYProgress 1 도달 = 마지막 아이템 완전 노출 = 즉시 세로 스크롤 전환
   const containerHeight = window.innerHeight + scrollDistance;
 
-  // 스크롤 진행도 추적
-  const { scrollYProgress } = useScroll({
-    target: containerRef,
-    offset: ['start start', 'end end'],
-  });
-
-  // 스크롤 진행도 콜백 호출
-  useMotionValueEvent(scrollYProgress, 'change', (v) => {
-    onScrollProgress?.(v);
+  // 스크롤 진행도 추적 + 진행도 콜백 호출
+  const scrollYProgress = useScrollProgress(containerRef, {
+    start: 'start start',
+    end: 'end end',
+    onChange: onScrollProgress,
   });
 
   // 가로 이동 변환: 0px → -scrollDistance px
@@ -1,6 +1,12 @@
+import { useState } from 'react';
 import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
 import Typography from '@mui/material/Typography';
 import GeometricPattern from './GeometricPattern';
+import MotifSvg from './motifs/MotifSvg';
+import FrameLoopInspector from '../motion/FrameLoopInspector';
+import { simulateWebGLContextLoss } from '../../utils/webglContextPool';
+import { registerMotif, getMotifNames } from '../../utils/motifRegistry';
 
 export default {
   title: 'Interactive/15. DynamicColor/GeometricPattern',
@@ -9,20 +15,25 @@ export default {
   argTypes: {
     variant: {
       control: 'select',
-      options: ['grid', 'ripple', 'warp', 'burst', 'flow', 'reflect', 'duality', 'layers'],
-      description: '기하학 패턴 타입',
+      options: getMotifNames(),
+      description: '기하학 패턴 타입 (utils/motifRegistry에 등록된 motif)',
     },
     colorStroke: {
       control: 'color',
-      description: '선/점 색상',
+      description: '선/점 색상 (비우면 테마의 magazine.text.onDark)',
     },
     colorAccent: {
       control: 'color',
-      description: '강조 포인트 색상',
+      description: '강조 포인트 색상 (비우면 테마의 magazine.accent)',
     },
     colorBackground: {
       control: 'color',
-      description: '배경 색상',
+      description: '배경 색상 (비우면 테마의 magazine.surface.dark)',
+    },
+    quality: {
+      control: 'select',
+      options: ['auto', 'high', 'medium', 'low'],
+      description: 'WebGL 패턴 렌더 품질 (비우면 툴바 Quality 설정)',
     },
   },
 };
@@ -30,9 +41,6 @@ export default {
 export const Default = {
   args: {
     variant: 'grid',
-    colorStroke: '#F5F2EE',
-    colorAccent: '#FFC66E',
-    colorBackground: '#12100E',
   },
   render: (args) => (
     <Box sx={ { width: 400, aspectRatio: '3 / 4' } }>
@@ -77,3 +85,162 @@ export const Variants = {
     </Box>
   ),
 };
+
+const WEBGL_VARIANTS = ['grid', 'spotlight', 'flashlight', 'scatter', 'nebula', 'choose'];
+
+/**
+ * 공유 WebGL 컨텍스트 — 브라우저 컨텍스트 한도(보통 16개)보다 많은 24개 패턴
+ * 모두 하나의 컨텍스트(utils/webglContextPool)로 그려지며, 스크롤해서 화면 밖으로 나간 패턴은 GPU 리소스를 해제한다.
+ * 오른쪽 위 FrameLoopInspector에서 화면 밖 패턴의 렌더 루프가 offscreen으로 멈추는 것을 확인할 수 있다.
+ */
+export const SharedContext = {
+  render: () => (
+    <>
+      <Box
+        sx={ {
+          display: 'grid',
+          gridTemplateColumns: 'repeat(4, 1fr)',
+          gap: 2,
+        } }
+      >
+        { Array.from({ length: 24 }, (_, index) => WEBGL_VARIANTS[index % WEBGL_VARIANTS.length]).map((variant, index) => (
+          <Box key={ index } sx={ { aspectRatio: '3 / 4' } }>
+            <GeometricPattern variant={ variant } />
+          </Box>
+        )) }
+      </Box>
+      <FrameLoopInspector />
+    </>
+  ),
+};
+
+const QUALITY_TIERS = ['high', 'medium', 'low'];
+
+/**
+ * 품질 단계 비교 — 같은 패턴을 단계별로 고정
+ * 단계가 낮을수록 파티클 수와 픽셀 비율이 줄어든다 (utils/adaptiveQuality QUALITY_TIERS).
+ */
+export const QualityTiers = {
+  args: {
+    variant: 'grid',
+  },
+  render: (args) => (
+    <Box sx={ { display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 2 } }>
+      { QUALITY_TIERS.map((quality) => (
+        <Box key={ quality }>
+          <Box sx={ { aspectRatio: '3 / 4', mb: 1 } }>
+            <GeometricPattern { ...args } quality={ quality } />
+          </Box>
+          <Typography
+            variant="caption"
+            sx={ { color: 'text.secondary', display: 'block', textAlign: 'center' } }
+          >
+            { quality }
+          </Typography>
+        </Box>
+      )) }
+    </Box>
+  ),
+};
+
+/** 손실/복구 버튼 + WebGL variant 목록 */
+const ContextLossDemo = () => {
+  const [restore, setRestore] = useState(null);
+
+  const handleToggle = () => {
+    if (restore) {
+      restore();
+      setRestore(null);
+    } else {
+      const nextRestore = simulateWebGLContextLoss();
+      if (nextRestore) setRestore(() => nextRestore);
+    }
+  };
+
+  return (
+    <Box>
+      <Button variant="outlined" size="small" onClick={ handleToggle } sx={ { mb: 2 } }>
+        { restore ? '컨텍스트 복구' : '컨텍스트 손실' }
+      </Button>
+      <Box sx={ { display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 2 } }>
+        { WEBGL_VARIANTS.map((variant) => (
+          <Box key={ variant }>
+            <Box sx={ { aspectRatio: '3 / 4', mb: 1 } }>
+              <GeometricPattern variant={ variant } />
+            </Box>
+            <Typography
+              variant="caption"
+              sx={ { color: 'text.secondary', display: 'block', textAlign: 'center' } }
+            >
+              { variant }
+            </Typography>
+          </Box>
+        )) }
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * 컨텍스트 손실 — WebGL을 잃으면 같은 팔레트의 정적 SVG 대체 화면으로 바뀌고, 복구하면 씬을 새로 만든다
+ * WebGL을 지원하지 않는 브라우저에서는 처음부터 대체 화면이 보인다.
+ */
+export const ContextLoss = {
+  render: () => <ContextLossDemo />,
+};
+
+/** 스토리 전용 motif — 궤도: 커서 쪽으로 기울어지는 동심 타원 */
+const OrbitPattern = ({ colorStroke, colorAccent, mouseCenter }) => {
+  const tilt = mouseCenter ? ((mouseCenter.x - 200) / 200) * 20 * mouseCenter.influence : 0;
+
+  return (
+    <MotifSvg>
+      <g transform={ `rotate(${tilt} 200 250)` }>
+        { [40, 70, 100, 130, 160].map((radius) => (
+          <ellipse
+            key={ radius }
+            cx={ 200 }
+            cy={ 250 }
+            rx={ radius }
+            ry={ radius * 0.4 }
+            fill="none"
+            stroke={ colorStroke }
+            strokeWidth={ 0.6 }
+            opacity={ 0.5 }
+          />
+        )) }
+        <circle cx={ 330 } cy={ 250 } r={ 6 } fill={ colorAccent } />
+      </g>
+    </MotifSvg>
+  );
+};
+
+registerMotif('orbit', {
+  component: OrbitPattern,
+  interactive: true,
+  defaultColors: { accent: '#7FB8FF' },
+});
+
+/**
+ * 커스텀 motif — 코어 파일을 고치지 않고 registerMotif로 추가한 'orbit'
+ * 오른쪽은 등록되지 않은 이름으로, 배경만 그리고 콘솔에 등록된 motif 목록과 함께 경고한다 (개발 모드).
+ */
+export const CustomMotif = {
+  render: () => (
+    <Box sx={ { display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 2, maxWidth: 640 } }>
+      { ['orbit', 'unknown-motif'].map((variant) => (
+        <Box key={ variant }>
+          <Box sx={ { aspectRatio: '3 / 4', mb: 1 } }>
+            <GeometricPattern variant={ variant } />
+          </Box>
+          <Typography
+            variant="caption"
+            sx={ { color: 'text.secondary', display: 'block', textAlign: 'center' } }
+          >
+            { variant }
+          </Typography>
+        </Box>
+      )) }
+    </Box>
+  ),
+};
@@ -2,6 +2,18 @@ import { useEffect, useRef } from 'react';
 import * as THREE from 'three';
 import Box from '@mui/material/Box';
 import { useTheme } from '@mui/material/styles';
+import { useReducedMotion } from '../../hooks/useReducedMotion';
+import { useQuality } from '../../hooks/useQuality';
+import { useWebGLStatus } from '../../hooks/useWebGLStatus';
+import {
+  subscribeScrollFrame,
+  requestScrollFrame,
+  readRect,
+  parseScrollOffset,
+  getScrollProgress,
+} from '../../utils/scrollTimeline';
+import { acquireWebGLView } from '../../utils/webglContextPool';
+import { subscribeFrameLoop } from '../../utils/frameScheduler';
 
 /** GLSL vertex shader — UV 좌표 전달 */
 const vertexShader = `
@@ -57,7 +69,12 @@ const fragmentShader = `
   }
 
   void main() {
+    // 경계면 물결 (IS_WAVE는 품질 단계 define — low 단계는 노이즈 없이 곧은 경계)
+  #if IS_WAVE
     float wave = snoise(vec2(vUv.x * 0.8, uTime * 0.25)) * 0.04;
+  #else
+    float wave = 0.0;
+  #endif
     float distortedY = vUv.y + wave;
 
     // Phase 1: 어두운색이 아래에서 올라옴
@@ -100,6 +117,46 @@ function hexToRgb(hex) {
   return [0, 0, 0];
 }
 
+/** WebGL 대체 화면 그라데이션의 세로 샘플 구간 수 */
+const FALLBACK_GRADIENT_STEPS = 20;
+
+/** GLSL smoothstep과 같은 보간 (edge0 > edge1이면 반대 방향) */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * WebGL 대체 화면 배경
+ * fragmentShader와 같은 darkAmount 계산을 세로로 샘플링해 CSS 그라데이션으로 만든다 (경계면 물결과 그레인은 없다).
+ *
+ * @param {number} scrollIn - 인트로 진행률 (0~1)
+ * @param {number} scrollOut - 아웃트로 진행률 (0~1)
+ * @param {number[]} rgbLight - 밝은색 [r, g, b] (0-1 범위)
+ * @param {number[]} rgbDark - 어두운색 [r, g, b] (0-1 범위)
+ * @returns {string} CSS linear-gradient
+ */
+function getFallbackBackground(scrollIn, scrollOut, rgbLight, rgbDark) {
+  const progressIn = scrollIn * 1.2 + 0.15;
+  const lightReach = scrollOut * 0.85;
+  const stops = [];
+
+  for (let step = 0; step <= FALLBACK_GRADIENT_STEPS; step++) {
+    /** vUv.y와 같은 축 — 0이 화면 아래 */
+    const y = step / FALLBACK_GRADIENT_STEPS;
+    const darkFromIn = 1 - smoothstep(progressIn - 0.2, progressIn + 0.2, y);
+    const topEdge = smoothstep(0.85, 1, y);
+    const isLight = smoothstep(lightReach + 0.15, lightReach - 0.15, y);
+    const outroDark = 1 - isLight * (1 - topEdge);
+    const darkAmount = darkFromIn * (1 - scrollOut + scrollOut * outroDark);
+
+    const color = rgbLight.map((light, index) => Math.round((light + (rgbDark[index] - light) * darkAmount) * 255));
+    stops.push(`rgb(${color.join(', ')}) ${y * 100}%`);
+  }
+
+  return `linear-gradient(to top, ${stops.join(', ')})`;
+}
+
 /**
  * GradientOverlay 컴포넌트
  *
@@ -112,13 +169,26 @@ function hexToRgb(hex) {
  * 3. scrollOutRef 요소가 뷰포트에 진입하면 밝은색이 다시 올라온다
  * 4. 경계면은 Simplex Noise로 시간에 따라 물결치듯 변형된다
  * 5. 필름 그레인 텍스처가 전체 위에 오버레이된다
+ * 6. 마운트 시점이나 snapKey가 바뀐 시점에는 보간 없이 현재 스크롤 위치의 색상 단계로 즉시 맞춘다
+ *    (읽던 위치 복원 시 라이트→다크 전환을 처음부터 다시 재생하지 않도록)
+ * 7. 모션 감소 모드에서는 경계면 물결을 멈추고, 연속 렌더 루프 대신 스크롤/리사이즈 시에만 한 프레임씩 그린다
+ * 8. 스크롤/리사이즈 측정은 공유 스크롤 타임라인(utils/scrollTimeline)에서 프레임당 한 번만 받아온다
+ * 9. 색상을 지정하지 않으면 테마의 매거진 서피스(theme.magazine.surface)를 따르므로 호별 커버 테마가 그대로 반영된다
+ * 10. 렌더러를 따로 만들지 않고 GeometricPattern과 같은 공유 WebGL 컨텍스트(utils/webglContextPool)의 뷰로 그린다
+ * 11. 렌더 루프는 공유 프레임 스케줄러(utils/frameScheduler)로 돌며, 탭이 숨겨지면 멈췄다가 같은 물결 위치에서 이어진다
+ * 12. 품질 단계(useQuality)에 따라 경계면 물결·픽셀 비율·그레인을 정한다 (high는 기존 비주얼 그대로)
+ *     단계가 바뀌면 씬을 다시 만들지 않고 다음 프레임에 셰이더 define과 뷰 픽셀 비율만 갱신한다
+ * 13. WebGL을 쓸 수 없으면(미지원·렌더러 생성 실패·컨텍스트 손실) 같은 색상 단계 계산을 CSS 그라데이션으로 그린다
+ *     컨텍스트가 복구되면 WebGL 씬을 새로 만든다 (useWebGLStatus)
  *
  * Props:
- * @param {string} colorLight - 밝은 영역 hex 색상 [Optional, 기본값: theme.palette.grey[200]]
- * @param {string} colorDark - 어두운 영역 hex 색상 [Optional, 기본값: theme.palette.secondary.main]
+ * @param {string} colorLight - 밝은 영역 hex 색상 [Optional, 기본값: theme.magazine.surface.light → theme.palette.grey[200]]
+ * @param {string} colorDark - 어두운 영역 hex 색상 [Optional, 기본값: theme.magazine.surface.dark → theme.palette.secondary.main]
  * @param {object} scrollOutRef - outro 구간 기준 요소의 React ref [Optional]
+ * @param {number|string} snapKey - 값이 바뀔 때마다 보간 없이 현재 스크롤 단계로 즉시 전환 [Optional]
  * @param {boolean} isGrain - 필름 그레인 효과 여부 [Optional, 기본값: true]
  * @param {number} grainIntensity - 필름 그레인 강도 (0~0.1) [Optional, 기본값: 0.035]
+ * @param {string} quality - 렌더 품질 단계 'auto' | 'high' | 'medium' | 'low'. low 단계는 isGrain과 무관하게 그레인과 물결을 끈다 [Optional, 기본값: Provider 단계 (auto)]
  * @param {object} sx - MUI sx 스타일 [Optional]
  *
  * Example usage:
@@ -129,20 +199,37 @@ function GradientOverlay({
   colorLight,
   colorDark,
   scrollOutRef,
+  snapKey,
   isGrain = true,
   grainIntensity = 0.035,
+  quality,
   sx = {},
 }) {
   const theme = useTheme();
   const containerRef = useRef(null);
-  const animationIdRef = useRef(0);
+  const snapKeyRef = useRef(snapKey);
+  const isReducedMotion = useReducedMotion();
+  const isWebGLAvailable = useWebGLStatus() === 'available';
+  const qualitySettings = useQuality(quality);
+  const qualityRef = useRef(qualitySettings);
+
+  /** 렌더 루프가 최신 snapKey를 읽도록 ref에 동기화 (WebGL 재생성 없이) */
+  useEffect(() => {
+    snapKeyRef.current = snapKey;
+  }, [snapKey]);
+
+  /** 품질 단계도 ref로 동기화 — 모션 감소 모드에서는 렌더 루프가 없으므로 타임라인 프레임을 한 번 요청 */
+  useEffect(() => {
+    qualityRef.current = qualitySettings;
+    requestScrollFrame();
+  }, [qualitySettings]);
 
   /** 테마 기반 기본 색상 해석 */
-  const resolvedLight = colorLight || theme.palette.grey[200];
-  const resolvedDark = colorDark || theme.palette.secondary.main;
+  const resolvedLight = colorLight || theme.magazine?.surface.light || theme.palette.grey[200];
+  const resolvedDark = colorDark || theme.magazine?.surface.dark || theme.palette.secondary.main;
 
   useEffect(() => {
-    if (!containerRef.current) return;
+    if (!containerRef.current || !isWebGLAvailable) return;
 
     const container = containerRef.current;
 
@@ -150,15 +237,13 @@ function GradientOverlay({
     const scene = new THREE.Scene();
     const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
 
-    const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: false });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    container.appendChild(renderer.domElement);
-
     /** 색상 변환 및 uniform 설정 */
     const rgbLight = hexToRgb(resolvedLight);
     const rgbDark = hexToRgb(resolvedDark);
 
+    let appliedQuality = qualityRef.current;
+    const getGrainIntensity = () => (isGrain && appliedQuality.isGrain ? grainIntensity : 0);
+
     const uniforms = {
       uTime: { value: 0 },
       uScrollIn: { value: 0 },
@@ -166,11 +251,12 @@ function GradientOverlay({
       uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
       uColorLight: { value: new THREE.Color(...rgbLight) },
       uColorDark: { value: new THREE.Color(...rgbDark) },
-      uGrainIntensity: { value: isGrain ? grainIntensity : 0 },
+      uGrainIntensity: { value: getGrainIntensity() },
     };
 
     /** 셰이더 머티리얼 생성 */
     const material = new THREE.ShaderMaterial({
+      defines: { IS_WAVE: appliedQuality.isWave ? 1 : 0 },
       vertexShader,
       fragmentShader,
       uniforms,
@@ -179,39 +265,79 @@ function GradientOverlay({
     const mesh = new THREE.Mesh(geometry, material);
     scene.add(mesh);
 
+    /** 공유 WebGL 컨텍스트의 뷰 — 캔버스 크기는 컨테이너(뷰포트 전체)를 따른다 */
+    const view = acquireWebGLView(container, {
+      maxPixelRatio: appliedQuality.maxPixelRatio,
+      onRelease: () => {
+        geometry.dispose();
+        material.dispose();
+      },
+    });
+
     /** 스크롤 진행률 추적 (lerp 보간) */
     let targetScrollIn = 0;
     let targetScrollOut = 0;
     let currentScrollIn = 0;
     let currentScrollOut = 0;
 
-    const updateScrollTarget = () => {
-      const scrollY = window.scrollY;
-      const windowHeight = window.innerHeight;
+    /** 다음 타임라인 프레임에서 보간 없이 현재 스크롤 단계로 맞출지 여부 */
+    let needsSnap = true;
+    let appliedSnapKey = snapKeyRef.current;
+    let viewportSize = `${window.innerWidth}x${window.innerHeight}`;
+
+    const outroStart = parseScrollOffset('start end');
+    const outroEnd = parseScrollOffset('start start');
+
+    /**
+     * 공유 스크롤 타임라인 구독
+     * read 단계에서 outro 요소 rect를 측정하고, write 단계에서 목표 진행률·리사이즈를 반영한다.
+     */
+    const unsubscribe = subscribeScrollFrame({
+      read: () => readRect(scrollOutRef?.current),
+      write: (outroRect, { scrollY, viewportWidth, viewportHeight }) => {
+        targetScrollIn = Math.min(scrollY / viewportHeight, 1);
+        if (outroRect) {
+          targetScrollOut = getScrollProgress(outroRect, viewportHeight, outroStart, outroEnd);
+        }
+
+        /** 리사이즈 대응 — 캔버스 크기는 뷰가 따라가고, 그레인 해상도만 갱신 */
+        const nextSize = `${viewportWidth}x${viewportHeight}`;
+        if (nextSize !== viewportSize) {
+          viewportSize = nextSize;
+          uniforms.uResolution.value.set(viewportWidth, viewportHeight);
+        }
+
+        /** 보간 없이 현재 스크롤 단계로 즉시 전환 */
+        if (needsSnap || isReducedMotion) {
+          needsSnap = false;
+          currentScrollIn = targetScrollIn;
+          currentScrollOut = targetScrollOut;
+        }
+
+        /** 모션 감소 모드: 변화가 있을 때만 한 프레임 렌더 */
+        if (isReducedMotion) animate();
+      },
+    });
 
-      targetScrollIn = Math.min(scrollY / windowHeight, 1);
+    /** 렌더 루프 — time은 스케줄러가 넘기는 경과 시간(ms), 모션 감소 모드의 단발 렌더에서는 0 */
+    function animate({ time = 0 } = {}) {
+      const elapsedTime = isReducedMotion ? 0 : time / 1000;
 
-      if (scrollOutRef?.current) {
-        const outroRect = scrollOutRef.current.getBoundingClientRect();
-        const outroProgress = (windowHeight - outroRect.top) / windowHeight;
-        targetScrollOut = Math.max(0, Math.min(1, outroProgress));
+      /** snapKey 변경 → 다음 타임라인 프레임의 최신 측정값으로 스냅 */
+      if (appliedSnapKey !== snapKeyRef.current) {
+        appliedSnapKey = snapKeyRef.current;
+        needsSnap = true;
+        requestScrollFrame();
       }
-    };
-
-    /** 리사이즈 대응 */
-    const handleResize = () => {
-      renderer.setSize(window.innerWidth, window.innerHeight);
-      uniforms.uResolution.value.set(window.innerWidth, window.innerHeight);
-    };
-
-    window.addEventListener('scroll', updateScrollTarget, { passive: true });
-    window.addEventListener('resize', handleResize);
-
-    /** 렌더 루프 */
-    const clock = new THREE.Clock();
 
-    const animate = () => {
-      const elapsedTime = clock.getElapsedTime();
+      /** 품질 단계 변경 → 셰이더 재컴파일, 그레인, 뷰 픽셀 비율만 갱신 (씬과 물결 시간은 유지) */
+      if (appliedQuality !== qualityRef.current) {
+        appliedQuality = qualityRef.current;
+        material.defines.IS_WAVE = appliedQuality.isWave ? 1 : 0;
+        material.needsUpdate = true;
+        uniforms.uGrainIntensity.value = getGrainIntensity();
+        view.setMaxPixelRatio(appliedQuality.maxPixelRatio);
+      }
 
       currentScrollIn += (targetScrollIn - currentScrollIn) * 0.06;
       currentScrollOut += (targetScrollOut - currentScrollOut) * 0.06;
@@ -220,25 +346,53 @@ function GradientOverlay({
       uniforms.uScrollIn.value = currentScrollIn;
       uniforms.uScrollOut.value = currentScrollOut;
 
-      renderer.render(scene, camera);
-      animationIdRef.current = requestAnimationFrame(animate);
-    };
+      view.render(scene, camera);
+    }
 
     animate();
+    const unsubscribeFrame = isReducedMotion ? null : subscribeFrameLoop({
+      tick: animate,
+      element: container,
+      label: 'GradientOverlay',
+    });
 
     /** 리소스 정리 */
     return () => {
-      cancelAnimationFrame(animationIdRef.current);
-      window.removeEventListener('scroll', updateScrollTarget);
-      window.removeEventListener('resize', handleResize);
-      renderer.dispose();
+      unsubscribeFrame?.();
+      unsubscribe();
+      view.release();
       geometry.dispose();
       material.dispose();
-      if (container.contains(renderer.domElement)) {
-        container.removeChild(renderer.domElement);
-      }
     };
-  }, [resolvedLight, resolvedDark, scrollOutRef, isGrain, grainIntensity]);
+  }, [resolvedLight, resolvedDark, scrollOutRef, isGrain, grainIntensity, isReducedMotion, isWebGLAvailable]);
+
+  /** WebGL 대체 화면 — 스크롤 단계를 CSS 그라데이션으로 반영 (보간 없이 바로 적용) */
+  useEffect(() => {
+    if (!containerRef.current || isWebGLAvailable) return;
+
+    const container = containerRef.current;
+    const rgbLight = hexToRgb(resolvedLight);
+    const rgbDark = hexToRgb(resolvedDark);
+    const outroStart = parseScrollOffset('start end');
+    const outroEnd = parseScrollOffset('start start');
+    let scrollOut = 0;
+
+    const unsubscribe = subscribeScrollFrame({
+      read: () => readRect(scrollOutRef?.current),
+      write: (outroRect, { scrollY, viewportHeight }) => {
+        const scrollIn = Math.min(scrollY / viewportHeight, 1);
+        if (outroRect) {
+          scrollOut = getScrollProgress(outroRect, viewportHeight, outroStart, outroEnd);
+        }
+        container.style.background = getFallbackBackground(scrollIn, scrollOut, rgbLight, rgbDark);
+      },
+    });
+
+    return () => {
+      unsubscribe();
+      container.style.background = '';
+    };
+  }, [resolvedLight, resolvedDark, scrollOutRef, isWebGLAvailable]);
 
   return (
     <Box
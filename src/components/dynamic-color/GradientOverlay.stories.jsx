@@ -31,6 +31,10 @@ export default {
       control: false,
       description: 'outro 구간 기준 요소의 React ref',
     },
+    snapKey: {
+      control: 'number',
+      description: '값이 바뀔 때마다 보간 없이 현재 스크롤 단계로 즉시 전환',
+    },
   },
 };
 
@@ -0,0 +1,325 @@
+import { useRef, useEffect } from 'react';
+import * as THREE from 'three';
+import Box from '@mui/material/Box';
+import { useAnimationClock } from '../../../hooks/useAnimationClock';
+import { acquireWebGLView } from '../../../utils/webglContextPool';
+import { subscribeFrameLoop } from '../../../utils/frameScheduler';
+import MotifSvg from './MotifSvg';
+import { STATIC_FRAME_TIME, seededRandom, hexToGLColor, FALLBACK_PARTICLE_COUNT, getFallbackParticles } from './shared';
+
+/** GLSL vertex shader — 유랑(부유) ↔ 귀결(3D 구 수렴) */
+const blackholeVertexShader = `
+  attribute float aBaseRadius;
+  attribute float aAngle;
+  attribute float aSpeed;
+  attribute float aSize;
+  attribute float aOpacity;
+  attribute float aDepth;
+
+  uniform float uTime;
+  uniform vec2 uMouse;
+  uniform float uMouseInfluence;
+
+  varying float vConvergence;
+  varying float vOpacity;
+  varying float vDepthShade;
+
+  void main() {
+    // 개별 수렴 타이밍 (빠른 파티클 먼저 수렴 → 캐스케이드 효과)
+    float delay = (1.0 - aSpeed) * 0.3;
+    float blend = smoothstep(delay, delay + 0.7, uMouseInfluence);
+
+    // === 유랑: 떠다니는 가능성 ===
+    float t = uTime * aSpeed * 0.2;
+    float driftX = aBaseRadius * cos(aAngle + t * 0.3)
+                 + sin(t * 0.7 + aAngle * 2.3) * 0.5
+                 + cos(t * 1.3 + aAngle * 4.1) * 0.15;
+    float driftY = aBaseRadius * sin(aAngle + t * 0.25) * 1.2
+                 + cos(t * 0.5 + aAngle * 1.7) * 0.4
+                 + sin(t * 1.1 + aAngle * 3.7) * 0.12;
+    float driftZ = aDepth * sin(t * 0.15 + aAngle) * 0.5;
+
+    // === 귀결: 단단한 현실 (커서 주위 3D 구 포메이션) ===
+    vec2 mouseWorld = uMouse * 3.0;
+    float breathe = 1.0 + sin(uTime * 0.5) * 0.03;
+    float sphereR = 1.1 * breathe;
+
+    // 구 내부 균일 분포 (cube root → 체적 균일)
+    float normR = clamp((aBaseRadius - 0.5) / 3.0, 0.0, 1.0);
+    float volR = sphereR * pow(max(normR, 0.01), 0.333);
+
+    // 구면 좌표: aDepth → cos(polar), aAngle → azimuthal
+    float sinPhi = sqrt(max(0.0, 1.0 - aDepth * aDepth));
+    float theta = aAngle + uTime * 0.02;
+
+    float localX = volR * sinPhi * cos(theta);
+    float localY = volR * sinPhi * sin(theta);
+    float localZ = volR * aDepth;
+
+    // Y축 기준 느린 강체 회전 → 3D 깊이감
+    float rot = uTime * 0.1;
+    float cR = cos(rot);
+    float sR = sin(rot);
+    float rxX = localX * cR - localZ * sR;
+    float rxZ = localX * sR + localZ * cR;
+
+    float hoverX = mouseWorld.x + rxX;
+    float hoverY = mouseWorld.y + localY;
+    float hoverZ = rxZ;
+
+    // 깊이 기반 셰이딩 (앞면 밝고 크게, 뒷면 어둡고 작게)
+    float depthNorm = clamp(hoverZ / sphereR * 0.5 + 0.5, 0.0, 1.0);
+
+    // === 블렌딩 ===
+    vec3 pos = vec3(
+      mix(driftX, hoverX, blend),
+      mix(driftY, hoverY, blend),
+      mix(driftZ, hoverZ, blend)
+    );
+
+    vConvergence = blend;
+    vDepthShade = mix(1.0, depthNorm, blend);
+
+    // 투명도: 수렴 시 깊이 기반, 유랑 시 기본값
+    float idleOpacity = aOpacity * 0.35;
+    float hoverOpacity = mix(0.02, 0.25, depthNorm);
+    vOpacity = mix(idleOpacity, hoverOpacity, blend);
+
+    // 포인트 크기: 수렴 시 깊이 기반 (촘촘한 밀도), 유랑 시 기본 크기
+    float perspScale = 1.0 / (1.0 + abs(pos.z) * 0.3);
+    float idleSize = aSize * 0.8;
+    float hoverSize = aSize * mix(0.5, 2.0, depthNorm);
+    gl_PointSize = mix(idleSize, hoverSize, blend) * perspScale;
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+  }
+`;
+
+/** GLSL fragment shader — 수렴도 + 깊이 기반 3D 구 셰이딩 */
+const blackholeFragmentShader = `
+  uniform vec3 uColorStroke;
+  uniform vec3 uColorAccent;
+
+  varying float vConvergence;
+  varying float vOpacity;
+  varying float vDepthShade;
+
+  void main() {
+    // 원형 포인트 스프라이트 (소프트 엣지)
+    vec2 center = gl_PointCoord - 0.5;
+    float dist = length(center);
+    float alpha = 1.0 - smoothstep(0.35, 0.5, dist);
+
+    if (alpha < 0.01) discard;
+
+    // 수렴도에 따라 stroke → accent(노란색)으로 그라데이션
+    vec3 color = mix(uColorStroke, uColorAccent, vConvergence);
+
+    // 3D 구 깊이감 — 앞면 밝고, 뒷면 어둡게
+    color *= (0.55 + 0.45 * vDepthShade);
+
+    // 수렴 시 파티클 중심에 미세한 글로우
+    float glow = 1.0 + vConvergence * smoothstep(0.3, 0.0, dist) * 0.4;
+    color *= glow;
+
+    gl_FragColor = vec4(color, alpha * vOpacity);
+  }
+`;
+
+/**
+ * BlackholeGridPattern — 떠다니는 가능성이 단단한 현실이 되는 인터랙션
+ *
+ * 동작 흐름:
+ * 1. 400개 파티클이 공간 위를 자유롭게 부유한다 (유랑 — 떠다니는 가능성)
+ * 2. 마우스오버 시 파티클이 커서 주위 3D 구 체적으로 수렴한다 (귀결 — 단단한 현실)
+ * 3. 구면 좌표 + cube root 분포로 내부가 채워진 단단한 구를 형성한다
+ * 4. Y축 강체 회전 + 깊이 기반 셰이딩(크기/밝기)으로 3D 입체감을 표현한다
+ * 5. 수렴 과정에서 stroke → accent 노란색으로 그라데이션 전환된다
+ * 6. 빠른 파티클부터 먼저 수렴하여 캐스케이드 효과가 발생한다
+ * 7. 마우스를 벗어나면 구가 해체되며 다시 부유 상태로 복귀한다
+ *
+ * Props:
+ * @param {string} colorStroke - 파티클 기본 색상 [Required]
+ * @param {string} colorAccent - 수렴 시 노란색 강조 색상 [Required]
+ * @param {string} colorBackground - 배경 색상 [Required]
+ * @param {boolean} isStatic - 모션 감소 모드. 렌더 루프 없이 STATIC_FRAME_TIME 시점의 한 장면만 그린다 [Optional]
+ * @param {number} particleScale - 파티클 수 배율 (품질 단계) [Required]
+ * @param {number} maxPixelRatio - 렌더 픽셀 비율 상한 (품질 단계) [Required]
+ * @param {object} mouseCenter - 마우스 좌표 {x, y, influence} [Optional]
+ * @param {object} scrollInfluenceRef - 스크롤 기반 수렴 제어 ref (.current = 0-1) [Optional]
+ */
+function BlackholeGridPattern({ colorStroke, colorAccent, colorBackground, mouseCenter, scrollInfluenceRef, isStatic, particleScale, maxPixelRatio }) {
+  const clock = useAnimationClock();
+  const containerRef = useRef(null);
+  const mouseRef = useRef({ x: 0, y: 0, influence: 0 });
+  /** 스크롤 기반 모드: 클로저 안전을 위해 로컬 ref로 감싸기 */
+  const scrollInflRefLocal = useRef(scrollInfluenceRef);
+  scrollInflRefLocal.current = scrollInfluenceRef;
+
+  /** mouseCenter prop → ref 동기화 (rAF 루프에서 최신값 참조) */
+  useEffect(() => {
+    if (mouseCenter) {
+      mouseRef.current = {
+        x: (mouseCenter.x / 200 - 1),
+        y: -(mouseCenter.y / 250 - 1),
+        influence: mouseCenter.influence,
+      };
+    } else {
+      mouseRef.current = { x: 0, y: 0, influence: 0 };
+    }
+  }, [mouseCenter]);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const container = containerRef.current;
+    const PARTICLE_COUNT = Math.round(200000 * particleScale);
+
+    /** Three.js 씬 초기화 */
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(colorBackground);
+
+    const camera = new THREE.PerspectiveCamera(55, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.lookAt(0, 0, 0);
+
+    /** 파티클 어트리뷰트 초기화 (seededRandom 기반 결정론적 배치) */
+    const positions = new Float32Array(PARTICLE_COUNT * 3);
+    const baseRadii = new Float32Array(PARTICLE_COUNT);
+    const angles = new Float32Array(PARTICLE_COUNT);
+    const speeds = new Float32Array(PARTICLE_COUNT);
+    const sizes = new Float32Array(PARTICLE_COUNT);
+    const opacities = new Float32Array(PARTICLE_COUNT);
+    const depths = new Float32Array(PARTICLE_COUNT);
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const si = i * 6;
+      positions[i * 3] = 0;
+      positions[i * 3 + 1] = 0;
+      positions[i * 3 + 2] = 0;
+
+      baseRadii[i] = 0.5 + seededRandom(si) * 3.0;
+      angles[i] = seededRandom(si + 1) * Math.PI * 2;
+      speeds[i] = 0.3 + seededRandom(si + 2) * 0.7;
+      sizes[i] = 1.0 + seededRandom(si + 3) * 4.0;
+      opacities[i] = 0.15 + seededRandom(si + 4) * 0.55;
+      depths[i] = -1.0 + seededRandom(si + 5) * 2.0;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aBaseRadius', new THREE.BufferAttribute(baseRadii, 1));
+    geometry.setAttribute('aAngle', new THREE.BufferAttribute(angles, 1));
+    geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aOpacity', new THREE.BufferAttribute(opacities, 1));
+    geometry.setAttribute('aDepth', new THREE.BufferAttribute(depths, 1));
+
+    /** bounding sphere 수동 설정 (vertex shader에서 위치 덮어쓰므로) */
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), 10);
+
+    /** 색상 uniform */
+    const strokeRgb = hexToGLColor(colorStroke);
+    const accentRgb = hexToGLColor(colorAccent);
+
+    const uniforms = {
+      uTime: { value: 0 },
+      uMouse: { value: new THREE.Vector2(0, 0) },
+      uMouseInfluence: { value: 0 },
+      uColorStroke: { value: new THREE.Color(...strokeRgb) },
+      uColorAccent: { value: new THREE.Color(...accentRgb) },
+    };
+
+    const material = new THREE.ShaderMaterial({
+      vertexShader: blackholeVertexShader,
+      fragmentShader: blackholeFragmentShader,
+      uniforms,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.NormalBlending,
+    });
+
+    const points = new THREE.Points(geometry, material);
+    scene.add(points);
+
+    /**
+     * 공유 WebGL 컨텍스트의 뷰 (utils/webglContextPool)
+     * 크기 추적과 카메라 비율은 풀이 맡고, 화면 밖으로 나가면 파티클 버퍼와 셰이더를 GPU에서 내린다.
+     */
+    const view = acquireWebGLView(container, {
+      maxPixelRatio,
+      onRelease: () => {
+        geometry.dispose();
+        material.dispose();
+      },
+    });
+
+    /** 렌더 루프 */
+    const animate = ({ time }) => {
+      const elapsed = (isStatic ? STATIC_FRAME_TIME : time / 1000);
+      uniforms.uTime.value = elapsed;
+
+      /** 스크롤 기반 모드: 구 위치 = 캔버스 중앙(0,0), influence = ref.current */
+      const scrollRef = scrollInflRefLocal.current;
+      if (scrollRef) {
+        const currentMouse = uniforms.uMouse.value;
+        currentMouse.x += (0 - currentMouse.x) * 0.08;
+        currentMouse.y += (0 - currentMouse.y) * 0.08;
+        uniforms.uMouseInfluence.value += (scrollRef.current - uniforms.uMouseInfluence.value) * 0.06;
+      } else {
+        /** 마우스 uniform 이징 업데이트 */
+        const m = mouseRef.current;
+        const currentMouse = uniforms.uMouse.value;
+        currentMouse.x += (m.x - currentMouse.x) * 0.08;
+        currentMouse.y += (m.y - currentMouse.y) * 0.08;
+        uniforms.uMouseInfluence.value += (m.influence - uniforms.uMouseInfluence.value) * 0.06;
+      }
+
+      view.render(scene, camera);
+    };
+
+    animate({ time: 0 });
+    const unsubscribeFrame = isStatic ? null : subscribeFrameLoop({
+      tick: animate,
+      element: container,
+      label: 'GeometricPattern/grid',
+      clock,
+    });
+
+    /** 리소스 정리 */
+    return () => {
+      unsubscribeFrame?.();
+      view.release();
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio, clock]);
+
+  return (
+    <Box
+      ref={ containerRef }
+      sx={ {
+        width: '100%',
+        height: '100%',
+        '& canvas': {
+          display: 'block',
+          width: '100% !important',
+          height: '100% !important',
+        },
+      } }
+    />
+  );
+}
+
+/** grid 대체 화면 — 부유 상태(시간 0)의 파티클 */
+export function BlackholeGridFallback({ colorStroke: stroke }) {
+  return (
+    <MotifSvg>
+      { getFallbackParticles(FALLBACK_PARTICLE_COUNT).map(({ x, y, size, opacity, seed }) => (
+        <circle key={ seed } cx={ x } cy={ y } r={ size * 0.3 } fill={ stroke } opacity={ opacity } />
+      )) }
+    </MotifSvg>
+  );
+}
+
+export default BlackholeGridPattern;
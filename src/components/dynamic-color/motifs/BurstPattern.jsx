@@ -0,0 +1,46 @@
+import MotifSvg from './MotifSvg';
+import { seededRandom } from './shared';
+
+/** 과잉 잠재력 — 방사형 선 폭발 (에너지 폭발) */
+function BurstPattern({ colorStroke: stroke, colorAccent: accent }) {
+  const lines = [];
+  const cx = 200;
+  const cy = 250;
+  const count = 48;
+
+  for (let i = 0; i < count; i++) {
+    const angle = (i / count) * Math.PI * 2;
+    const innerR = 20 + seededRandom(i * 4) * 10;
+    const outerR = 100 + seededRandom(i * 4 + 1) * 140;
+    const x1 = cx + Math.cos(angle) * innerR;
+    const y1 = cy + Math.sin(angle) * innerR;
+    const x2 = cx + Math.cos(angle) * outerR;
+    const y2 = cy + Math.sin(angle) * outerR;
+    const opacity = 0.1 + seededRandom(i * 4 + 2) * 0.3;
+    const dashLen = 4 + seededRandom(i * 4 + 3) * 8;
+
+    lines.push(
+      <line
+        key={ i }
+        x1={ x1 }
+        y1={ y1 }
+        x2={ x2 }
+        y2={ y2 }
+        stroke={ stroke }
+        strokeWidth={ 0.6 }
+        opacity={ opacity }
+        strokeDasharray={ `${dashLen} ${dashLen * 1.5}` }
+      />
+    );
+  }
+
+  return (
+    <MotifSvg>
+      { lines }
+      <circle cx={ cx } cy={ cy } r={ 5 } fill={ accent } opacity={ 0.9 } />
+      <circle cx={ cx } cy={ cy } r={ 12 } fill="none" stroke={ accent } strokeWidth={ 0.8 } opacity={ 0.3 } />
+    </MotifSvg>
+  );
+}
+
+export default BurstPattern;
@@ -0,0 +1,264 @@
+import { useRef, useEffect } from 'react';
+import * as THREE from 'three';
+import Box from '@mui/material/Box';
+import { useAnimationClock } from '../../../hooks/useAnimationClock';
+import { acquireWebGLView } from '../../../utils/webglContextPool';
+import { subscribeFrameLoop } from '../../../utils/frameScheduler';
+import MotifSvg from './MotifSvg';
+import { STATIC_FRAME_TIME, seededRandom, hexToGLColor, FALLBACK_PARTICLE_COUNT, FALLBACK_WORLD_SCALE, smoothstep } from './shared';
+
+/** GLSL vertex shader — 선택: 가능태 구가 회전하고 우측 노란빛이 한쪽 면을 비춤 */
+const chooseVertexShader = `
+  attribute float aBaseRadius;
+  attribute float aAngle;
+  attribute float aSpeed;
+  attribute float aSize;
+  attribute float aOpacity;
+  attribute float aDepth;
+
+  uniform float uTime;
+
+  varying float vIllumination;
+  varying float vOpacity;
+
+  void main() {
+    // === 구 표면 균등 배치 ===
+    float theta = aAngle;
+    float u = clamp((aBaseRadius - 0.5) / 3.0, 0.0, 1.0);
+    float phi = acos(1.0 - 2.0 * u);
+
+    float r = 1.6 + aDepth * 0.04;
+
+    // 구 좌표 → 직교 좌표 (구는 고정)
+    float x = r * sin(phi) * cos(theta);
+    float y = r * cos(phi);
+    float z = r * sin(phi) * sin(theta);
+
+    vec3 pos = vec3(x, y, z);
+
+    // === 노란빛이 천천히 이동하며 구의 여기저기를 비춤 ===
+    vec3 normal = normalize(pos);
+    float lAngleY = sin(uTime * 0.3) * 1.2 + cos(uTime * 0.17) * 0.5;
+    float lAngleX = cos(uTime * 0.23) * 0.6 + sin(uTime * 0.11) * 0.3;
+    vec3 lightDir = normalize(vec3(cos(lAngleY), sin(lAngleX) * 0.4, sin(lAngleY)));
+    float NdotL = dot(normal, lightDir);
+    float illumination = smoothstep(-0.15, 0.6, NdotL);
+
+    vIllumination = illumination;
+
+    // 어두운 면: 희미, 밝은 면: 밝고 크게
+    vOpacity = aOpacity * mix(0.2, 1.0, illumination);
+
+    float baseSize = aSize * mix(0.5, 2.8, illumination);
+    float perspScale = 1.0 / (1.0 + pos.z * 0.15);
+    gl_PointSize = baseSize * perspScale;
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+  }
+`;
+
+/** GLSL fragment shader — 선택: 노란빛에 비춰진 면은 accent, 어두운 면은 stroke */
+const chooseFragmentShader = `
+  uniform vec3 uColorStroke;
+  uniform vec3 uColorAccent;
+
+  varying float vIllumination;
+  varying float vOpacity;
+
+  void main() {
+    vec2 center = gl_PointCoord - 0.5;
+    float dist = length(center);
+    float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
+
+    if (alpha < 0.01) discard;
+
+    // 비춰진 면: accent 노란색 (#FFC66E), 어두운 면: stroke 흰색 희미
+    float colorInfluence = smoothstep(0.0, 0.25, vIllumination);
+    vec3 color = mix(uColorStroke * 0.35, uColorAccent, colorInfluence);
+
+    // 밝은 면 글로우
+    float glow = 1.0 + colorInfluence * smoothstep(0.25, 0.0, dist) * 1.2;
+    color *= glow;
+
+    gl_FragColor = vec4(color, alpha * vOpacity);
+  }
+`;
+
+/**
+ * ChoosePattern 컴포넌트
+ *
+ * 가능태 공간의 구가 천천히 회전하고,
+ * 우측에서 노란빛이 구를 비춰 한쪽 면만 밝게 빛나는 비주얼.
+ *
+ * 동작 흐름:
+ * 1. 파티클로 이루어진 구가 Y축 기준으로 천천히 회전한다
+ * 2. 우측에서 노란색 빛(#FFC66E)이 구를 향해 비춘다
+ * 3. 빛을 받는 면은 밝은 노란색, 반대편은 희미한 흰색
+ *
+ * Props:
+ * @param {string} colorStroke - 어두운 면 색상 [Required]
+ * @param {string} colorAccent - 밝은 면 색상 (#FFC66E) [Required]
+ * @param {string} colorBackground - 배경 색상 [Required]
+ * @param {boolean} isStatic - 모션 감소 모드. 렌더 루프 없이 STATIC_FRAME_TIME 시점의 한 장면만 그린다 [Optional]
+ * @param {number} particleScale - 파티클 수 배율 (품질 단계) [Required]
+ * @param {number} maxPixelRatio - 렌더 픽셀 비율 상한 (품질 단계) [Required]
+ */
+function ChoosePattern({ colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio }) {
+  const clock = useAnimationClock();
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const container = containerRef.current;
+    const PARTICLE_COUNT = Math.round(100000 * particleScale);
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(colorBackground);
+
+    const camera = new THREE.PerspectiveCamera(55, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.lookAt(0, 0, 0);
+
+    const positions = new Float32Array(PARTICLE_COUNT * 3);
+    const baseRadii = new Float32Array(PARTICLE_COUNT);
+    const angles = new Float32Array(PARTICLE_COUNT);
+    const speeds = new Float32Array(PARTICLE_COUNT);
+    const sizes = new Float32Array(PARTICLE_COUNT);
+    const opacities = new Float32Array(PARTICLE_COUNT);
+    const depthArr = new Float32Array(PARTICLE_COUNT);
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const si = i * 6 + 8192;
+      positions[i * 3] = 0;
+      positions[i * 3 + 1] = 0;
+      positions[i * 3 + 2] = 0;
+
+      baseRadii[i] = 0.5 + seededRandom(si) * 3.0;
+      angles[i] = seededRandom(si + 1) * Math.PI * 2;
+      speeds[i] = 0.3 + seededRandom(si + 2) * 0.7;
+      sizes[i] = 1.0 + seededRandom(si + 3) * 4.0;
+      opacities[i] = 0.15 + seededRandom(si + 4) * 0.55;
+      depthArr[i] = -1.0 + seededRandom(si + 5) * 2.0;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aBaseRadius', new THREE.BufferAttribute(baseRadii, 1));
+    geometry.setAttribute('aAngle', new THREE.BufferAttribute(angles, 1));
+    geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aOpacity', new THREE.BufferAttribute(opacities, 1));
+    geometry.setAttribute('aDepth', new THREE.BufferAttribute(depthArr, 1));
+
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), 10);
+
+    const strokeRgb = hexToGLColor(colorStroke);
+    const accentRgb = hexToGLColor(colorAccent);
+
+    const uniforms = {
+      uTime: { value: 0 },
+      uColorStroke: { value: new THREE.Color(...strokeRgb) },
+      uColorAccent: { value: new THREE.Color(...accentRgb) },
+    };
+
+    const material = new THREE.ShaderMaterial({
+      vertexShader: chooseVertexShader,
+      fragmentShader: chooseFragmentShader,
+      uniforms,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const points = new THREE.Points(geometry, material);
+    scene.add(points);
+
+    /**
+     * 공유 WebGL 컨텍스트의 뷰 (utils/webglContextPool)
+     * 크기 추적과 카메라 비율은 풀이 맡고, 화면 밖으로 나가면 파티클 버퍼와 셰이더를 GPU에서 내린다.
+     */
+    const view = acquireWebGLView(container, {
+      maxPixelRatio,
+      onRelease: () => {
+        geometry.dispose();
+        material.dispose();
+      },
+    });
+
+    /** 렌더 루프 — 시간만 업데이트 (회전은 셰이더에서 처리) */
+    const renderLoop = ({ time }) => {
+      uniforms.uTime.value = (isStatic ? STATIC_FRAME_TIME : time / 1000);
+      view.render(scene, camera);
+    };
+
+    renderLoop({ time: 0 });
+    const unsubscribeFrame = isStatic ? null : subscribeFrameLoop({
+      tick: renderLoop,
+      element: container,
+      label: 'GeometricPattern/choose',
+      clock,
+    });
+
+    return () => {
+      unsubscribeFrame?.();
+      view.release();
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio, clock]);
+
+  return (
+    <Box
+      ref={ containerRef }
+      sx={ {
+        width: '100%',
+        height: '100%',
+        '& canvas': {
+          display: 'block',
+          width: '100% !important',
+          height: '100% !important',
+        },
+      } }
+    />
+  );
+}
+
+/** choose 대체 화면 — chooseVertexShader와 같은 구 표면 배치, 오른쪽 앞에서 빛을 받는 장면 */
+export function ChooseFallback({ colorStroke: stroke, colorAccent: accent }) {
+  const lightDir = [0.92, 0.1, 0.38];
+  const points = Array.from({ length: FALLBACK_PARTICLE_COUNT * 2 }, (_, i) => {
+    const si = i * 6;
+    const u = seededRandom(si);
+    const theta = seededRandom(si + 1) * Math.PI * 2;
+    const phi = Math.acos(1 - 2 * u);
+    const normal = [Math.sin(phi) * Math.cos(theta), Math.cos(phi), Math.sin(phi) * Math.sin(theta)];
+    const illumination = smoothstep(-0.15, 0.6, normal[0] * lightDir[0] + normal[1] * lightDir[1] + normal[2] * lightDir[2]);
+    return {
+      key: si,
+      x: 200 + normal[0] * 1.6 * FALLBACK_WORLD_SCALE,
+      y: 250 - normal[1] * 1.6 * FALLBACK_WORLD_SCALE,
+      z: normal[2],
+      illumination,
+      size: 1.0 + seededRandom(si + 3) * 4.0,
+      opacity: 0.15 + seededRandom(si + 4) * 0.55,
+    };
+  }).sort((a, b) => a.z - b.z);
+
+  return (
+    <MotifSvg>
+      { points.map(({ key, x, y, illumination, size, opacity }) => (
+        <circle
+          key={ key }
+          cx={ x }
+          cy={ y }
+          r={ size * (0.25 + illumination * 0.2) }
+          fill={ illumination > 0.5 ? accent : stroke }
+          opacity={ opacity * (0.2 + illumination * 0.8) }
+        />
+      )) }
+    </MotifSvg>
+  );
+}
+
+export default ChoosePattern;
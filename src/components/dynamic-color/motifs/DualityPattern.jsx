@@ -0,0 +1,36 @@
+import MotifSvg from './MotifSvg';
+
+/** 영혼과 이성 — 이중 원형 (조화) */
+function DualityPattern({ colorStroke: stroke, colorAccent: accent }) {
+  const particles = [];
+  const cx1 = 160;
+  const cx2 = 240;
+  const cy = 250;
+  const r = 80;
+
+  for (let i = 0; i < 60; i++) {
+    const angle = (i / 60) * Math.PI * 2;
+    const px1 = cx1 + Math.cos(angle) * r;
+    const py1 = cy + Math.sin(angle) * r;
+    const px2 = cx2 + Math.cos(angle) * r;
+    const py2 = cy + Math.sin(angle) * r;
+
+    particles.push(
+      <circle key={ `a-${i}` } cx={ px1 } cy={ py1 } r={ 1 } fill={ stroke } opacity={ 0.3 } />
+    );
+    particles.push(
+      <circle key={ `b-${i}` } cx={ px2 } cy={ py2 } r={ 1 } fill={ stroke } opacity={ 0.3 } />
+    );
+  }
+
+  return (
+    <MotifSvg>
+      <circle cx={ cx1 } cy={ cy } r={ r } fill="none" stroke={ stroke } strokeWidth={ 0.6 } opacity={ 0.2 } />
+      <circle cx={ cx2 } cy={ cy } r={ r } fill="none" stroke={ stroke } strokeWidth={ 0.6 } opacity={ 0.2 } />
+      { particles }
+      <circle cx={ 200 } cy={ cy } r={ 3 } fill={ accent } opacity={ 0.9 } />
+    </MotifSvg>
+  );
+}
+
+export default DualityPattern;
@@ -0,0 +1,260 @@
+import { useRef, useEffect } from 'react';
+import * as THREE from 'three';
+import Box from '@mui/material/Box';
+import { useAnimationClock } from '../../../hooks/useAnimationClock';
+import { acquireWebGLView } from '../../../utils/webglContextPool';
+import { subscribeFrameLoop } from '../../../utils/frameScheduler';
+import MotifSvg from './MotifSvg';
+import LitParticles from './LitParticles';
+import { STATIC_FRAME_TIME, seededRandom, hexToGLColor } from './shared';
+
+/** GLSL vertex shader — 손전등: 빠르게 이리저리 비추며 공간을 드러냄 */
+const flashlightVertexShader = `
+  attribute float aBaseRadius;
+  attribute float aAngle;
+  attribute float aSpeed;
+  attribute float aSize;
+  attribute float aOpacity;
+  attribute float aDepth;
+
+  uniform float uTime;
+  uniform vec2 uFlashlight;
+  uniform float uFlashlightRadius;
+
+  varying float vFlashInfluence;
+  varying float vOpacity;
+  varying float vCenterDist;
+
+  void main() {
+    // === 자유 부유 ===
+    float t = uTime * aSpeed * 0.2;
+    float driftX = aBaseRadius * cos(aAngle + t * 0.3)
+                 + sin(t * 0.7 + aAngle * 2.3) * 0.5
+                 + cos(t * 1.3 + aAngle * 4.1) * 0.15;
+    float driftY = aBaseRadius * sin(aAngle + t * 0.25) * 1.2
+                 + cos(t * 0.5 + aAngle * 1.7) * 0.4
+                 + sin(t * 1.1 + aAngle * 3.7) * 0.12;
+    float driftZ = aDepth * sin(t * 0.15 + aAngle) * 0.5;
+
+    vec3 pos = vec3(driftX, driftY, driftZ);
+
+    // === 손전등 영향도 — 날카로운 경계 + 강한 대비 ===
+    float dist = length(pos.xy - uFlashlight);
+    float normDist = dist / uFlashlightRadius;
+    // 빠른 falloff: 중심 밝고 가장자리 급격히 어두움
+    float influence = 1.0 - smoothstep(0.0, 0.8, normDist);
+    influence = pow(influence, 1.5);
+    vFlashInfluence = influence;
+    vCenterDist = normDist;
+
+    // 높은 대비: 영향권 밖 거의 안 보임, 안은 매우 밝음
+    float baseOpacity = aOpacity * mix(0.03, 1.0, influence);
+    vOpacity = baseOpacity;
+
+    float baseSize = aSize * mix(0.4, 3.5, influence);
+    float perspScale = 1.0 / (1.0 + abs(pos.z) * 0.3);
+    gl_PointSize = baseSize * perspScale;
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+  }
+`;
+
+/** GLSL fragment shader — 손전등: 강한 글로우 + 밝은 노란 코어 */
+const flashlightFragmentShader = `
+  uniform vec3 uColorStroke;
+  uniform vec3 uColorAccent;
+
+  varying float vFlashInfluence;
+  varying float vOpacity;
+  varying float vCenterDist;
+
+  void main() {
+    vec2 center = gl_PointCoord - 0.5;
+    float dist = length(center);
+    float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
+
+    if (alpha < 0.01) discard;
+
+    // 영향도에 따라 흰색 → 따뜻한 노란색
+    vec3 color = mix(uColorStroke, uColorAccent, vFlashInfluence);
+
+    // 빛 중심에 가까울수록 강한 백열 글로우
+    float coreGlow = smoothstep(0.5, 0.0, vCenterDist) * vFlashInfluence;
+    color = mix(color, vec3(1.0, 0.95, 0.85), coreGlow * 0.4);
+
+    // 파티클 중심 글로우
+    float pointGlow = 1.0 + vFlashInfluence * smoothstep(0.25, 0.0, dist) * 0.8;
+    color *= pointGlow;
+
+    gl_FragColor = vec4(color, alpha * vOpacity);
+  }
+`;
+
+/**
+ * FlashlightPattern — 손전등으로 어두운 공간을 이리저리 비추는 인터랙션
+ *
+ * 동작 흐름:
+ * 1. 100,000개 파티클이 거의 보이지 않게 어둡게 떠다닌다
+ * 2. 손전등 빛이 빠르고 불규칙하게 공간을 휩쓸며 이동한다
+ * 3. 빛이 비추는 영역의 파티클이 확 밝아지며 따뜻한 노란빛으로 드러난다
+ * 4. 빛 중심에 가까울수록 백열등처럼 더 밝고 커진다
+ * 5. 빛이 지나가면 다시 어둠 속에 잠긴다
+ *
+ * Props:
+ * @param {string} colorStroke - 파티클 기본 색상 (어둠 속) [Required]
+ * @param {string} colorAccent - 빛에 드러난 파티클 색상 [Required]
+ * @param {string} colorBackground - 배경 색상 [Required]
+ * @param {boolean} isStatic - 모션 감소 모드. 렌더 루프 없이 STATIC_FRAME_TIME 시점의 한 장면만 그린다 [Optional]
+ * @param {number} particleScale - 파티클 수 배율 (품질 단계) [Required]
+ * @param {number} maxPixelRatio - 렌더 픽셀 비율 상한 (품질 단계) [Required]
+ */
+function FlashlightPattern({ colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio }) {
+  const clock = useAnimationClock();
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const container = containerRef.current;
+    const PARTICLE_COUNT = Math.round(100000 * particleScale);
+
+    /** Three.js 씬 초기화 */
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(colorBackground);
+
+    const camera = new THREE.PerspectiveCamera(55, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.lookAt(0, 0, 0);
+
+    /** 파티클 어트리뷰트 초기화 */
+    const positions = new Float32Array(PARTICLE_COUNT * 3);
+    const baseRadii = new Float32Array(PARTICLE_COUNT);
+    const angles = new Float32Array(PARTICLE_COUNT);
+    const speeds = new Float32Array(PARTICLE_COUNT);
+    const sizes = new Float32Array(PARTICLE_COUNT);
+    const opacities = new Float32Array(PARTICLE_COUNT);
+    const depths = new Float32Array(PARTICLE_COUNT);
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const si = i * 6 + 1337;
+      positions[i * 3] = 0;
+      positions[i * 3 + 1] = 0;
+      positions[i * 3 + 2] = 0;
+
+      baseRadii[i] = 0.5 + seededRandom(si) * 3.0;
+      angles[i] = seededRandom(si + 1) * Math.PI * 2;
+      speeds[i] = 0.3 + seededRandom(si + 2) * 0.7;
+      sizes[i] = 1.0 + seededRandom(si + 3) * 4.0;
+      opacities[i] = 0.15 + seededRandom(si + 4) * 0.55;
+      depths[i] = -1.0 + seededRandom(si + 5) * 2.0;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aBaseRadius', new THREE.BufferAttribute(baseRadii, 1));
+    geometry.setAttribute('aAngle', new THREE.BufferAttribute(angles, 1));
+    geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aOpacity', new THREE.BufferAttribute(opacities, 1));
+    geometry.setAttribute('aDepth', new THREE.BufferAttribute(depths, 1));
+
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), 10);
+
+    const strokeRgb = hexToGLColor(colorStroke);
+    const accentRgb = hexToGLColor(colorAccent);
+
+    const uniforms = {
+      uTime: { value: 0 },
+      uFlashlight: { value: new THREE.Vector2(0, 0) },
+      uFlashlightRadius: { value: 1.4 },
+      uColorStroke: { value: new THREE.Color(...strokeRgb) },
+      uColorAccent: { value: new THREE.Color(...accentRgb) },
+    };
+
+    const material = new THREE.ShaderMaterial({
+      vertexShader: flashlightVertexShader,
+      fragmentShader: flashlightFragmentShader,
+      uniforms,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const points = new THREE.Points(geometry, material);
+    scene.add(points);
+
+    /**
+     * 공유 WebGL 컨텍스트의 뷰 (utils/webglContextPool)
+     * 크기 추적과 카메라 비율은 풀이 맡고, 화면 밖으로 나가면 파티클 버퍼와 셰이더를 GPU에서 내린다.
+     */
+    const view = acquireWebGLView(container, {
+      maxPixelRatio,
+      onRelease: () => {
+        geometry.dispose();
+        material.dispose();
+      },
+    });
+
+    /** 렌더 루프 — 빠르고 불규칙한 손전등 이동 */
+    const renderLoop = ({ time }) => {
+      const elapsed = (isStatic ? STATIC_FRAME_TIME : time / 1000);
+      uniforms.uTime.value = elapsed;
+
+      /** 다중 사인파 합성 — 빠르고 불규칙한 궤적 */
+      const fx = Math.sin(elapsed * 0.4) * 1.5
+               + Math.cos(elapsed * 0.67) * 0.8
+               + Math.sin(elapsed * 1.1) * 0.3;
+      const fy = Math.cos(elapsed * 0.33) * 1.2
+               + Math.sin(elapsed * 0.57) * 0.7
+               + Math.cos(elapsed * 0.89) * 0.25;
+      uniforms.uFlashlight.value.set(fx, fy);
+
+      /** 호흡 반경 — spotlight보다 작고 빠르게 변동 */
+      uniforms.uFlashlightRadius.value = 1.4 + Math.sin(elapsed * 0.6) * 0.25
+                                             + Math.cos(elapsed * 0.9) * 0.15;
+
+      view.render(scene, camera);
+    };
+
+    renderLoop({ time: 0 });
+    const unsubscribeFrame = isStatic ? null : subscribeFrameLoop({
+      tick: renderLoop,
+      element: container,
+      label: 'GeometricPattern/flashlight',
+      clock,
+    });
+
+    return () => {
+      unsubscribeFrame?.();
+      view.release();
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio, clock]);
+
+  return (
+    <Box
+      ref={ containerRef }
+      sx={ {
+        width: '100%',
+        height: '100%',
+        '& canvas': {
+          display: 'block',
+          width: '100% !important',
+          height: '100% !important',
+        },
+      } }
+    />
+  );
+}
+
+/** flashlight 대체 화면 — 왼쪽 아래를 비추는 손전등, 빛 밖은 거의 보이지 않는 장면 */
+export function FlashlightFallback({ colorStroke: stroke, colorAccent: accent }) {
+  return (
+    <MotifSvg>
+      <LitParticles stroke={ stroke } accent={ accent } lightX={ 150 } lightY={ 300 } radius={ 110 } dimOpacity={ 0.08 } />
+    </MotifSvg>
+  );
+}
+
+export default FlashlightPattern;
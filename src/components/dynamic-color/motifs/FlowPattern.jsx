@@ -0,0 +1,37 @@
+import MotifSvg from './MotifSvg';
+
+/** 외부 의도 — 흐름선 (허용의 흐름) */
+function FlowPattern({ colorStroke: stroke, colorAccent: accent }) {
+  const paths = [];
+  const count = 18;
+
+  for (let i = 0; i < count; i++) {
+    const startY = 30 + i * 26;
+    const cp1x = 80 + Math.sin(i * 0.7) * 40;
+    const cp1y = startY + 30 + Math.cos(i * 0.5) * 20;
+    const cp2x = 320 + Math.cos(i * 0.6) * 40;
+    const cp2y = startY - 10 + Math.sin(i * 0.8) * 25;
+    const endY = startY + Math.sin(i * 0.9) * 15;
+    const opacity = 0.12 + Math.sin(i * 0.4) * 0.08 + 0.08;
+
+    paths.push(
+      <path
+        key={ i }
+        d={ `M -10 ${startY} C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, 410 ${endY}` }
+        fill="none"
+        stroke={ stroke }
+        strokeWidth={ 0.7 }
+        opacity={ opacity }
+      />
+    );
+  }
+
+  return (
+    <MotifSvg>
+      { paths }
+      <circle cx={ 330 } cy={ 260 } r={ 3.5 } fill={ accent } opacity={ 0.9 } />
+    </MotifSvg>
+  );
+}
+
+export default FlowPattern;
@@ -0,0 +1,41 @@
+import MotifSvg from './MotifSvg';
+
+/** 슬라이드 — 겹쳐진 사각형 (현실의 레이어) */
+function LayersPattern({ colorStroke: stroke, colorAccent: accent }) {
+  const rects = [];
+  const cx = 200;
+  const cy = 250;
+  const count = 7;
+
+  for (let i = 0; i < count; i++) {
+    const size = 260 - i * 30;
+    const x = cx - size / 2;
+    const y = cy - size / 2 + i * 5;
+    const rotation = i * 3;
+    const opacity = 0.08 + i * 0.04;
+
+    rects.push(
+      <rect
+        key={ i }
+        x={ x }
+        y={ y }
+        width={ size }
+        height={ size }
+        fill="none"
+        stroke={ stroke }
+        strokeWidth={ i === count - 1 ? 1 : 0.5 }
+        opacity={ opacity }
+        transform={ `rotate(${rotation} ${cx} ${cy})` }
+      />
+    );
+  }
+
+  return (
+    <MotifSvg>
+      { rects }
+      <circle cx={ cx + 5 } cy={ cy + 10 } r={ 3 } fill={ accent } opacity={ 0.9 } />
+    </MotifSvg>
+  );
+}
+
+export default LayersPattern;
@@ -0,0 +1,33 @@
+import { FALLBACK_PARTICLE_COUNT, getFallbackParticles, smoothstep } from './shared';
+
+/**
+ * 광원 하나가 비추는 파티클 장면 (spotlight / flashlight 대체 화면)
+ * 광원 반경 안은 accent로 밝고 크게, 밖은 stroke로 희미하게 그린다.
+ */
+function LitParticles({ stroke, accent, lightX, lightY, radius, dimOpacity }) {
+  const particles = getFallbackParticles(FALLBACK_PARTICLE_COUNT);
+
+  return (
+    <>
+      {/* 광원 글로우 */}
+      { [1, 0.66, 0.33].map((scale) => (
+        <circle key={ scale } cx={ lightX } cy={ lightY } r={ radius * scale } fill={ accent } opacity={ 0.05 } />
+      )) }
+      { particles.map(({ x, y, size, opacity, seed }) => {
+        const influence = smoothstep(radius, radius * 0.4, Math.hypot(x - lightX, y - lightY));
+        return (
+          <circle
+            key={ seed }
+            cx={ x }
+            cy={ y }
+            r={ size * (0.3 + influence * 0.25) }
+            fill={ influence > 0.5 ? accent : stroke }
+            opacity={ opacity * (dimOpacity + (1 - dimOpacity) * influence) }
+          />
+        );
+      }) }
+    </>
+  );
+}
+
+export default LitParticles;
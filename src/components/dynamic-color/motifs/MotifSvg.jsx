@@ -0,0 +1,28 @@
+/**
+ * MotifSvg 컴포넌트
+ *
+ * SVG motif가 공유하는 400×500 캔버스.
+ * 컨테이너를 가득 채우고(slice) 좌표계는 GeometricPattern의 마우스 좌표(mouseCenter)와 같다.
+ *
+ * Props:
+ * @param {node} children - SVG 요소 [Required]
+ *
+ * Example usage:
+ * <MotifSvg>
+ *   <circle cx={ 200 } cy={ 250 } r={ 80 } fill="none" stroke={ stroke } />
+ * </MotifSvg>
+ */
+function MotifSvg({ children }) {
+  return (
+    <svg
+      viewBox="0 0 400 500"
+      xmlns="http://www.w3.org/2000/svg"
+      style={ { display: 'block', width: '100%', height: '100%' } }
+      preserveAspectRatio="xMidYMid slice"
+    >
+      { children }
+    </svg>
+  );
+}
+
+export default MotifSvg;
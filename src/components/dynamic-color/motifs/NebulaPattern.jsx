@@ -0,0 +1,324 @@
+import { useRef, useEffect } from 'react';
+import * as THREE from 'three';
+import Box from '@mui/material/Box';
+import { useAnimationClock } from '../../../hooks/useAnimationClock';
+import { acquireWebGLView } from '../../../utils/webglContextPool';
+import { subscribeFrameLoop } from '../../../utils/frameScheduler';
+import MotifSvg from './MotifSvg';
+import { STATIC_FRAME_TIME, seededRandom, hexToGLColor, FALLBACK_WORLD_SCALE } from './shared';
+
+/** GLSL vertex shader — 레일: 얽혀진 인생트랙, 노란빛이 레일을 따라 채워짐 */
+const nebulaVertexShader = `
+  attribute float aBaseRadius;
+  attribute float aAngle;
+  attribute float aSpeed;
+  attribute float aSize;
+  attribute float aOpacity;
+  attribute float aDepth;
+
+  uniform float uTime;
+  uniform float uActiveLane;
+  uniform float uFillProgress;
+
+  varying float vLaneInfluence;
+  varying float vOpacity;
+
+  void main() {
+    // === 레인 배정 (0-3) ===
+    float laneF = floor(mod(aAngle * 2.0 / 3.14159265, 4.0));
+
+    // === 레일 위 파티클 위치 (t: -1~1 → posX: -2.5~2.5) ===
+    float t = (aBaseRadius - 2.0) / 1.5;
+    float posX = t * 2.5;
+
+    // === 4개의 고유한 레일 곡선 (서로 교차하며 얽힘) ===
+    float laneY;
+    if (laneF < 0.5) {
+      laneY = sin(posX * 0.7) * 0.9 + cos(posX * 0.3) * 0.2;
+    } else if (laneF < 1.5) {
+      laneY = cos(posX * 0.85 + 1.2) * 0.7 + sin(posX * 0.4 + 0.5) * 0.25;
+    } else if (laneF < 2.5) {
+      laneY = -sin(posX * 0.75 + 2.5) * 0.8 - cos(posX * 0.35 + 1.8) * 0.2;
+    } else {
+      laneY = cos(posX * 0.65 + 4.0) * 0.6 + sin(posX * 0.5 + 3.0) * 0.3;
+    }
+
+    // === 레일 폭 — 얇고 선명한 트랙 ===
+    float spread = (aOpacity - 0.4) * 0.1 + sin(aAngle * 11.0) * 0.02;
+    float posY = laneY + spread;
+    float posZ = aDepth * 0.12;
+
+    vec3 pos = vec3(posX, posY, posZ);
+
+    // === 레일 따라 채워지는 노란빛 ===
+    float particleProgress = (posX + 2.5) / 5.0;
+
+    // 현재 활성 레인 판별
+    float activeMod = mod(uActiveLane, 4.0);
+    float laneDist = abs(laneF - activeMod);
+    laneDist = min(laneDist, 4.0 - laneDist);
+    float isActive = 1.0 - step(0.5, laneDist);
+
+    // 채움 전선: fillProgress까지 채워짐
+    float filled = isActive * (1.0 - smoothstep(uFillProgress - 0.08, uFillProgress, particleProgress));
+
+    // 이전 레인: 새 레인이 채워질수록 서서히 페이드아웃
+    float prevMod = mod(uActiveLane - 1.0 + 4.0, 4.0);
+    float prevDist = abs(laneF - prevMod);
+    prevDist = min(prevDist, 4.0 - prevDist);
+    float isPrev = 1.0 - step(0.5, prevDist);
+    float prevFade = isPrev * max(0.0, 1.0 - uFillProgress * 1.5);
+
+    float influence = max(filled, prevFade);
+    vLaneInfluence = influence;
+
+    // 비활성: 불투명한 레일, 활성: 밝은 노란 레일
+    vOpacity = mix(0.5, 1.0, influence);
+
+    float baseSize = aSize * mix(1.2, 2.8, influence);
+    float perspScale = 1.0 / (1.0 + abs(pos.z) * 0.3);
+    gl_PointSize = baseSize * perspScale;
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+  }
+`;
+
+/** GLSL fragment shader — 레일: 채움 기반 노란색 점등 + 글로우 */
+const nebulaFragmentShader = `
+  uniform vec3 uColorStroke;
+  uniform vec3 uColorAccent;
+
+  varying float vLaneInfluence;
+  varying float vOpacity;
+
+  void main() {
+    vec2 center = gl_PointCoord - 0.5;
+    float dist = length(center);
+    float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
+
+    if (alpha < 0.01) discard;
+
+    // 비활성: stroke 컬러(흰색), 활성: accent 컬러(노란색 #FFC66E)
+    float colorInfluence = smoothstep(0.0, 0.15, vLaneInfluence);
+    vec3 color = mix(uColorStroke * 0.6, uColorAccent, colorInfluence);
+
+    // 활성 파티클 글로우 — 강한 노란빛
+    float glow = 1.0 + colorInfluence * smoothstep(0.25, 0.0, dist) * 1.2;
+    color *= glow;
+
+    gl_FragColor = vec4(color, alpha * vOpacity);
+  }
+`;
+
+/**
+ * NebulaPattern — 얽혀진 레일(인생트랙)을 노란빛이 따라 채워지며 옮겨감
+ *
+ * 동작 흐름:
+ * 1. 100,000개 파티클이 4개의 교차하는 곡선 레일을 따라 분포한다
+ * 2. 레일은 얇고 선명한 트랙 형태로, 서로 얽혀 있지만 구분된다
+ * 3. 하나의 레일이 한쪽 끝에서 노란빛으로 채워지기 시작한다
+ * 4. 빛이 레일을 따라 전진하며 끝까지 채운다 (3초)
+ * 5. 다 채워지면 이전 레일은 서서히 페이드, 다음 레일이 채워지기 시작한다
+ * 6. 4개 레일을 순환하며 "다른 시나리오를 선택하는" 느낌을 준다
+ *
+ * Props:
+ * @param {string} colorStroke - 비활성 레일 파티클 색상 [Required]
+ * @param {string} colorAccent - 활성 레일 노란색 [Required]
+ * @param {string} colorBackground - 배경 색상 [Required]
+ * @param {boolean} isStatic - 모션 감소 모드. 렌더 루프 없이 STATIC_FRAME_TIME 시점의 한 장면만 그린다 [Optional]
+ * @param {number} particleScale - 파티클 수 배율 (품질 단계) [Required]
+ * @param {number} maxPixelRatio - 렌더 픽셀 비율 상한 (품질 단계) [Required]
+ */
+function NebulaPattern({ colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio }) {
+  const clock = useAnimationClock();
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const container = containerRef.current;
+    const PARTICLE_COUNT = Math.round(100000 * particleScale);
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(colorBackground);
+
+    const camera = new THREE.PerspectiveCamera(55, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.lookAt(0, 0, 0);
+
+    const positions = new Float32Array(PARTICLE_COUNT * 3);
+    const baseRadii = new Float32Array(PARTICLE_COUNT);
+    const angles = new Float32Array(PARTICLE_COUNT);
+    const speeds = new Float32Array(PARTICLE_COUNT);
+    const sizes = new Float32Array(PARTICLE_COUNT);
+    const opacities = new Float32Array(PARTICLE_COUNT);
+    const depths = new Float32Array(PARTICLE_COUNT);
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const si = i * 6 + 4096;
+      positions[i * 3] = 0;
+      positions[i * 3 + 1] = 0;
+      positions[i * 3 + 2] = 0;
+
+      baseRadii[i] = 0.5 + seededRandom(si) * 3.0;
+      angles[i] = seededRandom(si + 1) * Math.PI * 2;
+      speeds[i] = 0.3 + seededRandom(si + 2) * 0.7;
+      sizes[i] = 1.0 + seededRandom(si + 3) * 4.0;
+      opacities[i] = 0.15 + seededRandom(si + 4) * 0.55;
+      depths[i] = -1.0 + seededRandom(si + 5) * 2.0;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aBaseRadius', new THREE.BufferAttribute(baseRadii, 1));
+    geometry.setAttribute('aAngle', new THREE.BufferAttribute(angles, 1));
+    geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aOpacity', new THREE.BufferAttribute(opacities, 1));
+    geometry.setAttribute('aDepth', new THREE.BufferAttribute(depths, 1));
+
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), 10);
+
+    const strokeRgb = hexToGLColor(colorStroke);
+    const accentRgb = hexToGLColor(colorAccent);
+
+    const uniforms = {
+      uTime: { value: 0 },
+      uActiveLane: { value: 0 },
+      uFillProgress: { value: 0 },
+      uColorStroke: { value: new THREE.Color(...strokeRgb) },
+      uColorAccent: { value: new THREE.Color(...accentRgb) },
+    };
+
+    const material = new THREE.ShaderMaterial({
+      vertexShader: nebulaVertexShader,
+      fragmentShader: nebulaFragmentShader,
+      uniforms,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const points = new THREE.Points(geometry, material);
+    scene.add(points);
+
+    /**
+     * 공유 WebGL 컨텍스트의 뷰 (utils/webglContextPool)
+     * 크기 추적과 카메라 비율은 풀이 맡고, 화면 밖으로 나가면 파티클 버퍼와 셰이더를 GPU에서 내린다.
+     */
+    const view = acquireWebGLView(container, {
+      maxPixelRatio,
+      onRelease: () => {
+        geometry.dispose();
+        material.dispose();
+      },
+    });
+
+    /** 렌더 루프 — 레일 채움: 3초 채움 + 0.5초 홀드, 4레인 순환 */
+    const FILL_DURATION = 3.0;
+    const HOLD_DURATION = 0.5;
+    const SEGMENT = FILL_DURATION + HOLD_DURATION;
+    const TOTAL_CYCLE = SEGMENT * 4;
+
+    const renderLoop = ({ time }) => {
+      const elapsed = (isStatic ? STATIC_FRAME_TIME : time / 1000);
+      uniforms.uTime.value = elapsed;
+
+      const cycleT = elapsed % TOTAL_CYCLE;
+      const segIndex = Math.floor(cycleT / SEGMENT);
+      const segT = cycleT % SEGMENT;
+
+      /** 채움 진행도 (smoothstep 이징 — 시작은 빠르고 끝이 느리게) */
+      let fillProgress;
+      if (segT < FILL_DURATION) {
+        const t = segT / FILL_DURATION;
+        fillProgress = t * t * (3 - 2 * t);
+      } else {
+        fillProgress = 1.0;
+      }
+
+      uniforms.uActiveLane.value = segIndex;
+      uniforms.uFillProgress.value = fillProgress;
+
+      view.render(scene, camera);
+    };
+
+    renderLoop({ time: 0 });
+    const unsubscribeFrame = isStatic ? null : subscribeFrameLoop({
+      tick: renderLoop,
+      element: container,
+      label: 'GeometricPattern/nebula',
+      clock,
+    });
+
+    return () => {
+      unsubscribeFrame?.();
+      view.release();
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio, clock]);
+
+  return (
+    <Box
+      ref={ containerRef }
+      sx={ {
+        width: '100%',
+        height: '100%',
+        '& canvas': {
+          display: 'block',
+          width: '100% !important',
+          height: '100% !important',
+        },
+      } }
+    />
+  );
+}
+
+/** nebula 대체 화면 — nebulaVertexShader와 같은 레일 곡선, 두 번째 레일이 65%까지 채워진 장면 */
+export function NebulaFallback({ colorStroke: stroke, colorAccent: accent }) {
+  const laneCurves = [
+    (x) => Math.sin(x * 0.7) * 0.9 + Math.cos(x * 0.3) * 0.2,
+    (x) => Math.cos(x * 0.85 + 1.2) * 0.7 + Math.sin(x * 0.4 + 0.5) * 0.25,
+    (x) => -Math.sin(x * 0.75 + 2.5) * 0.8 - Math.cos(x * 0.35 + 1.8) * 0.2,
+    (x) => Math.cos(x * 0.65 + 4.0) * 0.6 + Math.sin(x * 0.5 + 3.0) * 0.3,
+  ];
+  const ACTIVE_LANE = 1;
+  const FILL_PROGRESS = 0.65;
+
+  /** 레일 곡선 → path (posX -2.5 ~ 2.5) */
+  const getPath = (curve, progress = 1) => {
+    const points = [];
+    for (let step = 0; step <= 50 * progress; step++) {
+      const posX = -2.5 + step * 0.1;
+      points.push(`${200 + posX * FALLBACK_WORLD_SCALE} ${250 - curve(posX) * FALLBACK_WORLD_SCALE}`);
+    }
+    return `M ${points.join(' L ')}`;
+  };
+
+  return (
+    <MotifSvg>
+      { laneCurves.map((curve, lane) => (
+        <path
+          key={ lane }
+          d={ getPath(curve) }
+          fill="none"
+          stroke={ stroke }
+          strokeWidth={ 1.2 }
+          strokeDasharray="1 3"
+          opacity={ 0.4 }
+        />
+      )) }
+      <path
+        d={ getPath(laneCurves[ACTIVE_LANE], FILL_PROGRESS) }
+        fill="none"
+        stroke={ accent }
+        strokeWidth={ 2 }
+        strokeLinecap="round"
+        opacity={ 0.9 }
+      />
+    </MotifSvg>
+  );
+}
+
+export default NebulaPattern;
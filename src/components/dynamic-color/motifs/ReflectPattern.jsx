@@ -0,0 +1,38 @@
+import MotifSvg from './MotifSvg';
+
+/** 거울 원칙 — 좌우 대칭 패턴 (반영) */
+function ReflectPattern({ colorStroke: stroke, colorAccent: accent }) {
+  const elements = [];
+  const cx = 200;
+
+  for (let row = 0; row < 12; row++) {
+    for (let col = 1; col <= 6; col++) {
+      const spacing = 18;
+      const y = 60 + row * 35;
+      const offsetX = col * spacing + Math.sin(row * 0.5) * 8;
+      const r = 1.2 + Math.cos(row * col * 0.3) * 0.5;
+      const opacity = 0.15 + Math.cos(row * 0.4) * 0.1;
+
+      elements.push(
+        <circle key={ `l-${row}-${col}` } cx={ cx - offsetX } cy={ y } r={ r } fill={ stroke } opacity={ opacity } />
+      );
+      elements.push(
+        <circle key={ `r-${row}-${col}` } cx={ cx + offsetX } cy={ y } r={ r } fill={ stroke } opacity={ opacity } />
+      );
+    }
+  }
+
+  elements.push(
+    <line key="axis" x1={ cx } y1={ 40 } x2={ cx } y2={ 460 } stroke={ stroke } strokeWidth={ 0.3 } opacity={ 0.15 } />
+  );
+
+  return (
+    <MotifSvg>
+      { elements }
+      <circle cx={ cx - 36 } cy={ 250 } r={ 2.5 } fill={ accent } opacity={ 0.85 } />
+      <circle cx={ cx + 36 } cy={ 250 } r={ 2.5 } fill={ accent } opacity={ 0.85 } />
+    </MotifSvg>
+  );
+}
+
+export default ReflectPattern;
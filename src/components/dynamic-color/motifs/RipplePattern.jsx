@@ -0,0 +1,170 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import MotifSvg from './MotifSvg';
+
+/**
+ * 펜듈럼 — 6개 고정 추, 개별 마우스오버 인터랙션.
+ * 특정 추에 마우스를 올리면 해당 추가 금색으로 변하며 흔들리고,
+ * 결합력을 통해 양옆 추를 치는 모션이 전파된다.
+ * 인접 추는 거리에 따라 노란색 그라데이션으로 물든다.
+ *
+ * 동작 흐름:
+ * 1. 6개 추가 수직으로 고정되어 정지 상태를 유지한다
+ * 2. 사용자가 특정 추 위에 마우스를 올린다
+ * 3. 해당 추가 금색으로 변하며 좌우 진동을 시작한다
+ * 4. 진동이 결합력으로 양옆 추에 전파된다 (치는 모션)
+ * 5. 인접 추는 거리에 비례하여 노란색 그라데이션으로 점등된다
+ * 6. 마우스를 벗어나면 감쇠로 자연 정지하고 초기 상태로 복귀한다
+ */
+function RipplePattern({ colorStroke: stroke, colorAccent: accent, mouseCenter }) {
+  const COUNT = 6;
+  const GAP = 56;
+  const R = 24;
+  const LEN = 380;
+  const X0 = 200 - ((COUNT - 1) / 2) * GAP;
+
+  /** 마우스 좌표를 ref로 유지 — rAF 루프에서 최신값 참조 */
+  const mxRef = useRef(-999);
+  const infRef = useRef(0);
+  mxRef.current = mouseCenter?.x ?? -999;
+  infRef.current = mouseCenter?.influence ?? 0;
+
+  /** 물리 상태: 각도(angles)와 각속도(vels) */
+  const physRef = useRef({
+    angles: new Array(COUNT).fill(0),
+    vels: new Array(COUNT).fill(0),
+  });
+  const [renderState, setRenderState] = useState(() => ({
+    angles: new Array(COUNT).fill(0),
+    hovered: -1,
+  }));
+  const frameRef = useRef(null);
+  const runningRef = useRef(false);
+
+  /** 시뮬레이션 루프 시작 (이미 실행 중이면 무시) */
+  const startLoop = useCallback(() => {
+    if (runningRef.current) return;
+    runningRef.current = true;
+
+    const K = 0.0015;
+    const COUPLE = 0.0012;
+    const DAMP = 0.993;
+    const PUSH = 0.003;
+
+    const tick = () => {
+      const { angles: a, vels: v } = physRef.current;
+      const mx = mxRef.current;
+      const inf = infRef.current;
+
+      /** 마우스에 가장 가까운 추 판별 */
+      let hovered = -1;
+      if (inf > 0.3) {
+        let minDist = Infinity;
+        for (let i = 0; i < COUNT; i++) {
+          const px = X0 + i * GAP;
+          const dist = Math.abs(mx - px);
+          if (dist < GAP * 0.6 && dist < minDist) {
+            hovered = i;
+            minDist = dist;
+          }
+        }
+      }
+
+      for (let i = 0; i < COUNT; i++) {
+        let f = -K * a[i];
+        if (i > 0) f += COUPLE * (a[i - 1] - a[i]);
+        if (i < COUNT - 1) f += COUPLE * (a[i + 1] - a[i]);
+
+        /** 호버된 추에 주기적 진동력 적용 (양옆 치는 모션) */
+        if (i === hovered) {
+          f += PUSH * Math.sin(performance.now() * 0.0042);
+        }
+
+        v[i] = (v[i] + f) * DAMP;
+      }
+
+      let peak = 0;
+      for (let i = 0; i < COUNT; i++) {
+        a[i] += v[i];
+        peak = Math.max(peak, Math.abs(a[i]), Math.abs(v[i]) * 100);
+      }
+      setRenderState({ angles: [...a], hovered });
+
+      /** 모든 추가 정지 + 마우스 이탈 → 슬립 */
+      if (peak < 0.0005 && hovered < 0) {
+        runningRef.current = false;
+        a.fill(0);
+        v.fill(0);
+        setRenderState({ angles: new Array(COUNT).fill(0), hovered: -1 });
+      } else {
+        frameRef.current = requestAnimationFrame(tick);
+      }
+    };
+
+    frameRef.current = requestAnimationFrame(tick);
+  }, []);
+
+  /** 마우스 진입 시 루프 시작 */
+  useEffect(() => {
+    if ((mouseCenter?.influence ?? 0) > 0.3) startLoop();
+  }, [mouseCenter?.influence, startLoop]);
+
+  /** 언마운트 시 정리 */
+  useEffect(() => () => {
+    if (frameRef.current) cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  /** 렌더링 */
+  const { angles: renderAngles, hovered } = renderState;
+  const els = [];
+
+  for (let i = 0; i < COUNT; i++) {
+    const ax = X0 + i * GAP;
+    const angle = renderAngles[i];
+    const bx = ax + Math.sin(angle) * LEN;
+    const by = Math.cos(angle) * LEN;
+
+    /** 색상: 호버 추 = 금색, 인접 추 = 거리 기반 노란색 그라데이션 */
+    let colorWeight = 0;
+    if (hovered >= 0) {
+      const dist = Math.abs(i - hovered);
+      colorWeight = Math.max(0, 1 - dist * 0.3);
+    }
+    /** 변위 기반 글로우 (파동 전파 시각화) */
+    const dispGlow = Math.min(1, Math.abs(angle) / 0.05) * 0.7;
+    colorWeight = Math.max(colorWeight, dispGlow);
+
+    /** 줄 */
+    els.push(
+      <line
+        key={ `s${i}` }
+        x1={ ax } y1={ 0 }
+        x2={ bx } y2={ by }
+        stroke={ stroke } strokeWidth={ 0.6 } opacity={ 0.15 + colorWeight * 0.1 }
+      />
+    );
+
+    /** 추 — 베이스 (stroke 색상) */
+    els.push(
+      <circle
+        key={ `b${i}` }
+        cx={ bx } cy={ by } r={ R }
+        fill={ stroke } opacity={ 0.35 * (1 - colorWeight) }
+      />
+    );
+
+    /** 추 — 금색 오버레이 (그라데이션) */
+    if (colorWeight > 0.01) {
+      els.push(
+        <circle
+          key={ `g${i}` }
+          cx={ bx } cy={ by } r={ R }
+          fill={ accent } opacity={ colorWeight * 0.9 }
+        />
+      );
+    }
+  }
+
+  return <MotifSvg>{ els }</MotifSvg>;
+}
+
+export default RipplePattern;
@@ -0,0 +1,244 @@
+import { useRef, useEffect } from 'react';
+import * as THREE from 'three';
+import Box from '@mui/material/Box';
+import { useAnimationClock } from '../../../hooks/useAnimationClock';
+import { acquireWebGLView } from '../../../utils/webglContextPool';
+import { subscribeFrameLoop } from '../../../utils/frameScheduler';
+import MotifSvg from './MotifSvg';
+import { STATIC_FRAME_TIME, seededRandom, hexToGLColor, FALLBACK_PARTICLE_COUNT, getFallbackParticles } from './shared';
+
+/** GLSL vertex shader — 산개: 각자의 현실이 독립적으로 빛남 */
+const scatterVertexShader = `
+  attribute float aBaseRadius;
+  attribute float aAngle;
+  attribute float aSpeed;
+  attribute float aSize;
+  attribute float aOpacity;
+  attribute float aDepth;
+
+  uniform float uTime;
+
+  varying float vPulse;
+  varying float vOpacity;
+
+  void main() {
+    // === 자유 부유 ===
+    float t = uTime * aSpeed * 0.2;
+    float driftX = aBaseRadius * cos(aAngle + t * 0.3)
+                 + sin(t * 0.7 + aAngle * 2.3) * 0.5
+                 + cos(t * 1.3 + aAngle * 4.1) * 0.15;
+    float driftY = aBaseRadius * sin(aAngle + t * 0.25) * 1.2
+                 + cos(t * 0.5 + aAngle * 1.7) * 0.4
+                 + sin(t * 1.1 + aAngle * 3.7) * 0.12;
+    float driftZ = aDepth * sin(t * 0.15 + aAngle) * 0.5;
+
+    vec3 pos = vec3(driftX, driftY, driftZ);
+
+    // === 개별 펄스: 파티클마다 독립적인 위상과 주기 ===
+    float phase1 = aAngle * 3.7 + aBaseRadius * 2.1;
+    float phase2 = aDepth * 5.3 + aSpeed * 4.1;
+    float wave1 = sin(uTime * 0.5 + phase1);
+    float wave2 = sin(uTime * 0.37 + phase2);
+    float combined = (wave1 + wave2) * 0.5;
+
+    // 상위 ~15%만 활성화 (높은 threshold → 희소한 점등)
+    float pulse = smoothstep(0.55, 0.85, combined);
+    vPulse = pulse;
+
+    // 비활성: 매우 희미, 활성: 밝게
+    vOpacity = aOpacity * mix(0.06, 0.9, pulse);
+
+    float baseSize = aSize * mix(0.5, 3.0, pulse);
+    float perspScale = 1.0 / (1.0 + abs(pos.z) * 0.3);
+    gl_PointSize = baseSize * perspScale;
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+  }
+`;
+
+/** GLSL fragment shader — 산개: 펄스 기반 노란색 점등 + 글로우 */
+const scatterFragmentShader = `
+  uniform vec3 uColorStroke;
+  uniform vec3 uColorAccent;
+
+  varying float vPulse;
+  varying float vOpacity;
+
+  void main() {
+    vec2 center = gl_PointCoord - 0.5;
+    float dist = length(center);
+    float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
+
+    if (alpha < 0.01) discard;
+
+    // 펄스에 따라 흰색 → 노란색
+    vec3 color = mix(uColorStroke, uColorAccent, vPulse);
+
+    // 활성 파티클 중심 글로우
+    float glow = 1.0 + vPulse * smoothstep(0.25, 0.0, dist) * 0.6;
+    color *= glow;
+
+    gl_FragColor = vec4(color, alpha * vOpacity);
+  }
+`;
+
+/**
+ * ScatterPattern — 각자의 현실이 독립적으로 빛나는 인터랙션
+ *
+ * 동작 흐름:
+ * 1. 100,000개 파티클이 어둡게 흩어져 떠다닌다
+ * 2. 각 파티클이 독립적인 위상과 주기로 펄스한다
+ * 3. 활성화된 파티클이 노란빛으로 빛나며 크기가 커진다
+ * 4. 여기저기서 독립적으로 점등/소등되어 각자의 현실을 표현한다
+ * 5. 외부 광원 없이 파티클 스스로 빛남
+ *
+ * Props:
+ * @param {string} colorStroke - 비활성 파티클 색상 [Required]
+ * @param {string} colorAccent - 활성 파티클 노란색 [Required]
+ * @param {string} colorBackground - 배경 색상 [Required]
+ * @param {boolean} isStatic - 모션 감소 모드. 렌더 루프 없이 STATIC_FRAME_TIME 시점의 한 장면만 그린다 [Optional]
+ * @param {number} particleScale - 파티클 수 배율 (품질 단계) [Required]
+ * @param {number} maxPixelRatio - 렌더 픽셀 비율 상한 (품질 단계) [Required]
+ */
+function ScatterPattern({ colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio }) {
+  const clock = useAnimationClock();
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const container = containerRef.current;
+    const PARTICLE_COUNT = Math.round(100000 * particleScale);
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(colorBackground);
+
+    const camera = new THREE.PerspectiveCamera(55, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.lookAt(0, 0, 0);
+
+    const positions = new Float32Array(PARTICLE_COUNT * 3);
+    const baseRadii = new Float32Array(PARTICLE_COUNT);
+    const angles = new Float32Array(PARTICLE_COUNT);
+    const speeds = new Float32Array(PARTICLE_COUNT);
+    const sizes = new Float32Array(PARTICLE_COUNT);
+    const opacities = new Float32Array(PARTICLE_COUNT);
+    const depths = new Float32Array(PARTICLE_COUNT);
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const si = i * 6 + 2023;
+      positions[i * 3] = 0;
+      positions[i * 3 + 1] = 0;
+      positions[i * 3 + 2] = 0;
+
+      baseRadii[i] = 0.5 + seededRandom(si) * 3.0;
+      angles[i] = seededRandom(si + 1) * Math.PI * 2;
+      speeds[i] = 0.3 + seededRandom(si + 2) * 0.7;
+      sizes[i] = 1.0 + seededRandom(si + 3) * 4.0;
+      opacities[i] = 0.15 + seededRandom(si + 4) * 0.55;
+      depths[i] = -1.0 + seededRandom(si + 5) * 2.0;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aBaseRadius', new THREE.BufferAttribute(baseRadii, 1));
+    geometry.setAttribute('aAngle', new THREE.BufferAttribute(angles, 1));
+    geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aOpacity', new THREE.BufferAttribute(opacities, 1));
+    geometry.setAttribute('aDepth', new THREE.BufferAttribute(depths, 1));
+
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), 10);
+
+    const strokeRgb = hexToGLColor(colorStroke);
+    const accentRgb = hexToGLColor(colorAccent);
+
+    const uniforms = {
+      uTime: { value: 0 },
+      uColorStroke: { value: new THREE.Color(...strokeRgb) },
+      uColorAccent: { value: new THREE.Color(...accentRgb) },
+    };
+
+    const material = new THREE.ShaderMaterial({
+      vertexShader: scatterVertexShader,
+      fragmentShader: scatterFragmentShader,
+      uniforms,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const points = new THREE.Points(geometry, material);
+    scene.add(points);
+
+    /**
+     * 공유 WebGL 컨텍스트의 뷰 (utils/webglContextPool)
+     * 크기 추적과 카메라 비율은 풀이 맡고, 화면 밖으로 나가면 파티클 버퍼와 셰이더를 GPU에서 내린다.
+     */
+    const view = acquireWebGLView(container, {
+      maxPixelRatio,
+      onRelease: () => {
+        geometry.dispose();
+        material.dispose();
+      },
+    });
+
+    const renderLoop = ({ time }) => {
+      uniforms.uTime.value = (isStatic ? STATIC_FRAME_TIME : time / 1000);
+      view.render(scene, camera);
+    };
+
+    renderLoop({ time: 0 });
+    const unsubscribeFrame = isStatic ? null : subscribeFrameLoop({
+      tick: renderLoop,
+      element: container,
+      label: 'GeometricPattern/scatter',
+      clock,
+    });
+
+    return () => {
+      unsubscribeFrame?.();
+      view.release();
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio, clock]);
+
+  return (
+    <Box
+      ref={ containerRef }
+      sx={ {
+        width: '100%',
+        height: '100%',
+        '& canvas': {
+          display: 'block',
+          width: '100% !important',
+          height: '100% !important',
+        },
+      } }
+    />
+  );
+}
+
+/** scatter 대체 화면 — 약 12%의 파티클만 점등된 장면 */
+export function ScatterFallback({ colorStroke: stroke, colorAccent: accent }) {
+  return (
+    <MotifSvg>
+      { getFallbackParticles(FALLBACK_PARTICLE_COUNT).map(({ x, y, size, opacity, seed }) => {
+        const isLit = seededRandom(seed + 2) > 0.88;
+        return (
+          <circle
+            key={ seed }
+            cx={ x }
+            cy={ y }
+            r={ size * (isLit ? 0.6 : 0.3) }
+            fill={ isLit ? accent : stroke }
+            opacity={ isLit ? 0.9 : opacity * 0.35 }
+          />
+        );
+      }) }
+    </MotifSvg>
+  );
+}
+
+export default ScatterPattern;
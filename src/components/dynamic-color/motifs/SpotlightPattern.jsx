@@ -0,0 +1,252 @@
+import { useRef, useEffect } from 'react';
+import * as THREE from 'three';
+import Box from '@mui/material/Box';
+import { useAnimationClock } from '../../../hooks/useAnimationClock';
+import { acquireWebGLView } from '../../../utils/webglContextPool';
+import { subscribeFrameLoop } from '../../../utils/frameScheduler';
+import MotifSvg from './MotifSvg';
+import LitParticles from './LitParticles';
+import { STATIC_FRAME_TIME, seededRandom, hexToGLColor } from './shared';
+
+/** GLSL vertex shader — 스포트라이트: 별들 사이를 떠다니는 노란 불빛 */
+const spotlightVertexShader = `
+  attribute float aBaseRadius;
+  attribute float aAngle;
+  attribute float aSpeed;
+  attribute float aSize;
+  attribute float aOpacity;
+  attribute float aDepth;
+
+  uniform float uTime;
+  uniform vec2 uSpotlight;
+  uniform float uSpotlightRadius;
+
+  varying float vSpotlightInfluence;
+  varying float vOpacity;
+
+  void main() {
+    // === 자유 부유 (grid variant 드리프트 로직 재사용) ===
+    float t = uTime * aSpeed * 0.2;
+    float driftX = aBaseRadius * cos(aAngle + t * 0.3)
+                 + sin(t * 0.7 + aAngle * 2.3) * 0.5
+                 + cos(t * 1.3 + aAngle * 4.1) * 0.15;
+    float driftY = aBaseRadius * sin(aAngle + t * 0.25) * 1.2
+                 + cos(t * 0.5 + aAngle * 1.7) * 0.4
+                 + sin(t * 1.1 + aAngle * 3.7) * 0.12;
+    float driftZ = aDepth * sin(t * 0.15 + aAngle) * 0.5;
+
+    vec3 pos = vec3(driftX, driftY, driftZ);
+
+    // === 스포트라이트 영향도 계산 ===
+    float dist = length(pos.xy - uSpotlight);
+    float normDist = dist / uSpotlightRadius;
+    // smoothstep + hermite로 부드러운 경계
+    float influence = 1.0 - smoothstep(0.0, 1.0, normDist);
+    influence = influence * influence * (3.0 - 2.0 * influence);
+    vSpotlightInfluence = influence;
+
+    // 영향권 내: 밝고 크게 / 영향권 밖: 희미하고 작게
+    float baseOpacity = aOpacity * mix(0.1, 0.8, influence);
+    vOpacity = baseOpacity;
+
+    float baseSize = aSize * mix(0.6, 2.0, influence);
+    float perspScale = 1.0 / (1.0 + abs(pos.z) * 0.3);
+    gl_PointSize = baseSize * perspScale;
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+  }
+`;
+
+/** GLSL fragment shader — 스포트라이트 영향도 기반 색상 보간 + 미세 글로우 */
+const spotlightFragmentShader = `
+  uniform vec3 uColorStroke;
+  uniform vec3 uColorAccent;
+
+  varying float vSpotlightInfluence;
+  varying float vOpacity;
+
+  void main() {
+    // 원형 포인트 스프라이트 (소프트 엣지)
+    vec2 center = gl_PointCoord - 0.5;
+    float dist = length(center);
+    float alpha = 1.0 - smoothstep(0.35, 0.5, dist);
+
+    if (alpha < 0.01) discard;
+
+    // 스포트라이트 영향도에 따라 stroke(흰색) → accent(노란색) 보간
+    vec3 color = mix(uColorStroke, uColorAccent, vSpotlightInfluence);
+
+    // 스포트라이트 내부 미세 글로우
+    float glow = 1.0 + vSpotlightInfluence * smoothstep(0.3, 0.0, dist) * 0.5;
+    color *= glow;
+
+    gl_FragColor = vec4(color, alpha * vOpacity);
+  }
+`;
+
+/**
+ * SpotlightPattern — 어두운 숲에서 손전등을 비추는 듯한 인터랙션
+ *
+ * 동작 흐름:
+ * 1. 100,000개 파티클이 별처럼 흩어져 희미하게 떠다닌다
+ * 2. 노란 스포트라이트가 Lissajous 곡선을 따라 자동으로 천천히 이동한다
+ * 3. 스포트라이트 반경 안의 별만 밝은 노란색으로 빛나고, 크기가 커진다
+ * 4. 반경 밖의 별은 매우 희미하게 유지된다
+ * 5. 스포트라이트 반경이 호흡하듯 미세하게 변한다
+ *
+ * Props:
+ * @param {string} colorStroke - 파티클 기본 색상 (영향권 밖) [Required]
+ * @param {string} colorAccent - 스포트라이트 영향권 내 노란색 [Required]
+ * @param {string} colorBackground - 배경 색상 [Required]
+ * @param {boolean} isStatic - 모션 감소 모드. 렌더 루프 없이 STATIC_FRAME_TIME 시점의 한 장면만 그린다 [Optional]
+ * @param {number} particleScale - 파티클 수 배율 (품질 단계) [Required]
+ * @param {number} maxPixelRatio - 렌더 픽셀 비율 상한 (품질 단계) [Required]
+ */
+function SpotlightPattern({ colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio }) {
+  const clock = useAnimationClock();
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const container = containerRef.current;
+    const PARTICLE_COUNT = Math.round(100000 * particleScale);
+
+    /** Three.js 씬 초기화 */
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(colorBackground);
+
+    const camera = new THREE.PerspectiveCamera(55, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.lookAt(0, 0, 0);
+
+    /** 파티클 어트리뷰트 초기화 (seededRandom 기반 결정론적 배치) */
+    const positions = new Float32Array(PARTICLE_COUNT * 3);
+    const baseRadii = new Float32Array(PARTICLE_COUNT);
+    const angles = new Float32Array(PARTICLE_COUNT);
+    const speeds = new Float32Array(PARTICLE_COUNT);
+    const sizes = new Float32Array(PARTICLE_COUNT);
+    const opacities = new Float32Array(PARTICLE_COUNT);
+    const depths = new Float32Array(PARTICLE_COUNT);
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const si = i * 6 + 777;
+      positions[i * 3] = 0;
+      positions[i * 3 + 1] = 0;
+      positions[i * 3 + 2] = 0;
+
+      baseRadii[i] = 0.5 + seededRandom(si) * 3.0;
+      angles[i] = seededRandom(si + 1) * Math.PI * 2;
+      speeds[i] = 0.3 + seededRandom(si + 2) * 0.7;
+      sizes[i] = 1.0 + seededRandom(si + 3) * 4.0;
+      opacities[i] = 0.15 + seededRandom(si + 4) * 0.55;
+      depths[i] = -1.0 + seededRandom(si + 5) * 2.0;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aBaseRadius', new THREE.BufferAttribute(baseRadii, 1));
+    geometry.setAttribute('aAngle', new THREE.BufferAttribute(angles, 1));
+    geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('aOpacity', new THREE.BufferAttribute(opacities, 1));
+    geometry.setAttribute('aDepth', new THREE.BufferAttribute(depths, 1));
+
+    /** bounding sphere 수동 설정 (vertex shader에서 위치 덮어쓰므로) */
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), 10);
+
+    /** 색상 uniform */
+    const strokeRgb = hexToGLColor(colorStroke);
+    const accentRgb = hexToGLColor(colorAccent);
+
+    const uniforms = {
+      uTime: { value: 0 },
+      uSpotlight: { value: new THREE.Vector2(0, 0) },
+      uSpotlightRadius: { value: 1.8 },
+      uColorStroke: { value: new THREE.Color(...strokeRgb) },
+      uColorAccent: { value: new THREE.Color(...accentRgb) },
+    };
+
+    const material = new THREE.ShaderMaterial({
+      vertexShader: spotlightVertexShader,
+      fragmentShader: spotlightFragmentShader,
+      uniforms,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.NormalBlending,
+    });
+
+    const points = new THREE.Points(geometry, material);
+    scene.add(points);
+
+    /**
+     * 공유 WebGL 컨텍스트의 뷰 (utils/webglContextPool)
+     * 크기 추적과 카메라 비율은 풀이 맡고, 화면 밖으로 나가면 파티클 버퍼와 셰이더를 GPU에서 내린다.
+     */
+    const view = acquireWebGLView(container, {
+      maxPixelRatio,
+      onRelease: () => {
+        geometry.dispose();
+        material.dispose();
+      },
+    });
+
+    /** 렌더 루프 — Lissajous 곡선 자동 이동 + 호흡 반경 */
+    const renderLoop = ({ time }) => {
+      const elapsed = (isStatic ? STATIC_FRAME_TIME : time / 1000);
+      uniforms.uTime.value = elapsed;
+
+      /** Lissajous 곡선으로 스포트라이트 자동 이동 */
+      const spotX = Math.sin(elapsed * 0.2) * 1.2 + Math.cos(elapsed * 0.13) * 0.6;
+      const spotY = Math.cos(elapsed * 0.17) * 1.0 + Math.sin(elapsed * 0.11) * 0.5;
+      uniforms.uSpotlight.value.set(spotX, spotY);
+
+      /** 호흡 반경 */
+      uniforms.uSpotlightRadius.value = 1.8 + Math.sin(elapsed * 0.35) * 0.3;
+
+      view.render(scene, camera);
+    };
+
+    renderLoop({ time: 0 });
+    const unsubscribeFrame = isStatic ? null : subscribeFrameLoop({
+      tick: renderLoop,
+      element: container,
+      label: 'GeometricPattern/spotlight',
+      clock,
+    });
+
+    /** 리소스 정리 */
+    return () => {
+      unsubscribeFrame?.();
+      view.release();
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [colorStroke, colorAccent, colorBackground, isStatic, particleScale, maxPixelRatio, clock]);
+
+  return (
+    <Box
+      ref={ containerRef }
+      sx={ {
+        width: '100%',
+        height: '100%',
+        '& canvas': {
+          display: 'block',
+          width: '100% !important',
+          height: '100% !important',
+        },
+      } }
+    />
+  );
+}
+
+/** spotlight 대체 화면 — 오른쪽 위 스포트라이트 반경 안의 별만 밝은 장면 */
+export function SpotlightFallback({ colorStroke: stroke, colorAccent: accent }) {
+  return (
+    <MotifSvg>
+      <LitParticles stroke={ stroke } accent={ accent } lightX={ 270 } lightY={ 170 } radius={ 150 } dimOpacity={ 0.25 } />
+    </MotifSvg>
+  );
+}
+
+export default SpotlightPattern;
@@ -0,0 +1,87 @@
+import MotifSvg from './MotifSvg';
+
+/** 중요도 — 격자 왜곡 (공간 왜곡). 마우스오버 시 커서 주변 격자가 추가 왜곡된다 */
+function WarpPattern({ colorStroke: stroke, colorAccent: accent, mouseCenter: warpCenter }) {
+  const lines = [];
+  const cx = 200;
+  const cy = 250;
+  const gravity = 50;
+
+  const mx = warpCenter?.x ?? cx;
+  const my = warpCenter?.y ?? cy;
+  const influence = warpCenter?.influence ?? 0;
+
+  for (let i = 0; i <= 16; i++) {
+    const x = i * 25;
+    const distFromDefault = Math.abs(x - cx);
+
+    /** 기본 정적 왜곡 (항상 적용) */
+    const baseWarpY = gravity * Math.exp(-distFromDefault * distFromDefault / 8000);
+
+    /** 마우스 인력 (influence에 비례하여 적용) */
+    const distFromMouse = Math.abs(x - mx);
+    const mouseFalloff = Math.exp(-distFromMouse * distFromMouse / 8000);
+    const pullX = (mx - x) * 0.4 * mouseFalloff * influence;
+    const pullY = (my - (cy + baseWarpY)) * 0.5 * mouseFalloff * influence;
+
+    const controlX = x + pullX;
+    const controlY = cy + baseWarpY + pullY;
+    const opacity = 0.25 + 0.15 * mouseFalloff * influence;
+    const lineWidth = 0.5 + 0.7 * mouseFalloff * influence;
+
+    lines.push(
+      <path
+        key={ `v${i}` }
+        d={ `M ${x} 50 Q ${controlX} ${controlY} ${x} 450` }
+        fill="none"
+        stroke={ stroke }
+        strokeWidth={ lineWidth }
+        opacity={ opacity }
+      />
+    );
+  }
+
+  for (let j = 0; j <= 16; j++) {
+    const y = j * 30 + 40;
+    const distFromDefault = Math.abs(y - cy);
+
+    /** 기본 정적 왜곡 (항상 적용) */
+    const baseWarpYOffset = gravity * 0.6 * Math.exp(-distFromDefault * distFromDefault / 6000);
+
+    /** 마우스 인력 (influence에 비례하여 적용) */
+    const distFromMouse = Math.abs(y - my);
+    const mouseFalloff = Math.exp(-distFromMouse * distFromMouse / 6000);
+    const pullX = (mx - cx) * 0.5 * mouseFalloff * influence;
+    const pullY = (my - (y + baseWarpYOffset)) * 0.35 * mouseFalloff * influence;
+
+    const controlX = cx + pullX;
+    const controlY = y + baseWarpYOffset + pullY;
+    const opacity = 0.25 + 0.15 * mouseFalloff * influence;
+    const lineWidth = 0.5 + 0.7 * mouseFalloff * influence;
+
+    lines.push(
+      <path
+        key={ `h${j}` }
+        d={ `M 0 ${y} Q ${controlX} ${controlY} 400 ${y}` }
+        fill="none"
+        stroke={ stroke }
+        strokeWidth={ lineWidth }
+        opacity={ opacity }
+      />
+    );
+  }
+
+  /** accent dot — 정적 위치와 커서 위치 사이를 influence로 보간 */
+  const dotX = cx + (mx - cx) * influence;
+  const dotY = (cy + 20) + (my - cy - 20) * influence;
+  const dotR = 3 + influence;
+
+  return (
+    <MotifSvg>
+      { lines }
+      <circle cx={ dotX } cy={ dotY } r={ dotR } fill={ accent } opacity={ 0.85 + 0.05 * influence } />
+    </MotifSvg>
+  );
+}
+
+export default WarpPattern;
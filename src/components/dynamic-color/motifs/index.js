@@ -0,0 +1,59 @@
+/**
+ * 기본 motif 등록
+ *
+ * 트랜서핑 개념에 매핑된 기본 13종을 motif registry(utils/motifRegistry)에 등록한다.
+ * GeometricPattern이 import하므로 패턴을 쓰는 곳에서는 따로 불러올 필요가 없다.
+ * 호별 motif는 이 파일을 고치지 않고 호 데이터 번들 등에서 registerMotif를 호출해 추가한다.
+ *
+ * WebGL motif (Three.js 캔버스, 공유 컨텍스트) — fallback은 WebGL을 쓸 수 없을 때의 정적 SVG
+ * ├── grid       - 변이 공간: 부유하는 파티클이 마우스/스크롤로 3D 구에 수렴
+ * ├── spotlight  - 별들 사이를 떠다니는 스포트라이트
+ * ├── flashlight - 어둠을 빠르게 휩쓰는 손전등
+ * ├── scatter    - 독립적으로 점등되는 파티클
+ * ├── nebula     - 얽혀진 레일을 따라 채워지는 빛
+ * └── choose     - 빛을 받는 가능태 구
+ *
+ * SVG motif
+ * ├── ripple  - 진자 (마우스오버 인터랙션)
+ * ├── warp    - 중요도 (마우스오버 격자 왜곡)
+ * ├── burst   - 과잉 잠재력
+ * ├── flow    - 외부 의도
+ * ├── reflect - 거울 원칙
+ * ├── duality - 영혼과 이성
+ * └── layers  - 슬라이드
+ */
+
+import { registerMotif } from '../../../utils/motifRegistry';
+import BlackholeGridPattern, { BlackholeGridFallback } from './BlackholeGridPattern';
+import SpotlightPattern, { SpotlightFallback } from './SpotlightPattern';
+import FlashlightPattern, { FlashlightFallback } from './FlashlightPattern';
+import ScatterPattern, { ScatterFallback } from './ScatterPattern';
+import NebulaPattern, { NebulaFallback } from './NebulaPattern';
+import ChoosePattern, { ChooseFallback } from './ChoosePattern';
+import RipplePattern from './RipplePattern';
+import WarpPattern from './WarpPattern';
+import BurstPattern from './BurstPattern';
+import FlowPattern from './FlowPattern';
+import ReflectPattern from './ReflectPattern';
+import DualityPattern from './DualityPattern';
+import LayersPattern from './LayersPattern';
+
+registerMotif('grid', {
+  component: BlackholeGridPattern,
+  fallback: BlackholeGridFallback,
+  interactive: true,
+  supportsScrollInfluence: true,
+});
+registerMotif('spotlight', { component: SpotlightPattern, fallback: SpotlightFallback });
+registerMotif('flashlight', { component: FlashlightPattern, fallback: FlashlightFallback });
+registerMotif('scatter', { component: ScatterPattern, fallback: ScatterFallback });
+registerMotif('nebula', { component: NebulaPattern, fallback: NebulaFallback });
+registerMotif('choose', { component: ChoosePattern, fallback: ChooseFallback });
+
+registerMotif('ripple', { component: RipplePattern, interactive: true });
+registerMotif('warp', { component: WarpPattern, interactive: true });
+registerMotif('burst', { component: BurstPattern });
+registerMotif('flow', { component: FlowPattern });
+registerMotif('reflect', { component: ReflectPattern });
+registerMotif('duality', { component: DualityPattern });
+registerMotif('layers', { component: LayersPattern });
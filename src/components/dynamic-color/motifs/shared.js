@@ -0,0 +1,55 @@
+/** 모션 감소 모드에서 그리는 정지 장면의 시각(초) — 파티클이 충분히 퍼진 뒤의 대표 장면 */
+export const STATIC_FRAME_TIME = 4;
+
+/** 인덱스 기반 결정론적 의사난수 (0~1 범위) */
+export function seededRandom(seed) {
+  const x = Math.sin(seed * 9301 + 49297) * 49297;
+  return x - Math.floor(x);
+}
+
+/** Hex 색상을 0-1 범위 RGB 배열로 변환 */
+export function hexToGLColor(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  if (result) {
+    return [
+      parseInt(result[1], 16) / 255,
+      parseInt(result[2], 16) / 255,
+      parseInt(result[3], 16) / 255,
+    ];
+  }
+  return [0, 0, 0];
+}
+
+/** WebGL 대체 화면 — 월드 좌표 1이 viewBox에서 차지하는 크기 (카메라 fov 55°, z = 5 기준 화면 높이 ≈ 5.2) */
+export const FALLBACK_WORLD_SCALE = 96;
+
+/** WebGL 대체 화면 파티클 수 — SVG 요소라 WebGL 패턴보다 훨씬 적게 그린다 */
+export const FALLBACK_PARTICLE_COUNT = 360;
+
+/** GLSL smoothstep과 같은 보간 */
+export function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * WebGL 패턴과 같은 seededRandom 어트리뷰트로 만든 대체 화면용 파티클
+ * 부유 상태(시간 0)의 위치를 viewBox 좌표로 변환한다.
+ *
+ * @param {number} count - 파티클 수
+ * @returns {Array<object>} [{ x, y, size, opacity, seed }]
+ */
+export function getFallbackParticles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const si = i * 6;
+    const baseRadius = 0.5 + seededRandom(si) * 3.0;
+    const angle = seededRandom(si + 1) * Math.PI * 2;
+    return {
+      x: 200 + baseRadius * Math.cos(angle) * FALLBACK_WORLD_SCALE,
+      y: 250 - baseRadius * Math.sin(angle) * 1.2 * FALLBACK_WORLD_SCALE,
+      size: 1.0 + seededRandom(si + 3) * 4.0,
+      opacity: 0.15 + seededRandom(si + 4) * 0.55,
+      seed: si,
+    };
+  });
+}
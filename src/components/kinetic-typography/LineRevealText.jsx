@@ -0,0 +1,239 @@
+import { useEffect, useLayoutEffect, useRef, useState, useMemo } from 'react';
+import Box from '@mui/material/Box';
+import { useSectionReveal } from '../../hooks/useSectionReveal';
+import { useReducedMotion } from '../../hooks/useReducedMotion';
+import { useAnimationClock } from '../../hooks/useAnimationClock';
+import { splitText } from '../../utils/textSegmentation';
+import { parseInlineMarkup } from '../../utils/inlineMarkup';
+import { InlineMarkupNode } from '../typography/InlineMarkup';
+import { RichTextInline } from '../typography/RichText';
+
+/** 한 줄의 blur/opacity 전환 시간 (ms) */
+const REVEAL_TRANSITION_MS = 1000;
+
+/**
+ * 렌더링된 단어 span의 위치로 줄 번호 계산
+ * 단어의 top이 현재 줄 top보다 단어 높이의 절반 이상 아래에 있으면 새 줄로 본다.
+ * 공백 토큰은 앞 단어와 같은 줄로 취급한다.
+ *
+ * @param {Array<HTMLElement|null>} nodes - 토큰별 span 요소
+ * @returns {number[]} 토큰별 줄 번호
+ */
+function measureLines(nodes) {
+  const lineOfToken = [];
+  let line = -1;
+  let lineTop = -Infinity;
+
+  nodes.forEach((node, index) => {
+    if (!node || node.dataset.whitespace === 'true') {
+      lineOfToken[index] = Math.max(line, 0);
+      return;
+    }
+    const rect = node.getBoundingClientRect();
+    if (line < 0 || rect.top >= lineTop + rect.height / 2) {
+      line += 1;
+      lineTop = rect.top;
+    }
+    lineOfToken[index] = line;
+  });
+
+  return lineOfToken;
+}
+
+/**
+ * 마크업 문자열 → reveal 토큰
+ * 일반 텍스트는 단어 단위로 나누고, 용어집 링크·루비는 통째로 한 토큰이 된다.
+ *
+ * @param {string} text - 마크업 문자열 (utils/inlineMarkup)
+ * @returns {Array<{text: string, isWhitespace?: boolean, node?: object}>} 토큰 배열
+ */
+function tokenizeMarkup(text) {
+  return parseInlineMarkup(text).flatMap((node) => (
+    node.type === 'text' ? splitText(node.text, 'word') : [{ text: node.text, node }]
+  ));
+}
+
+/**
+ * 문단 → reveal 토큰
+ * 구조화 본문의 인라인 배열이면 emphasis/accent 안의 단어에 mark를 달고, break는 줄바꿈 토큰이 된다.
+ *
+ * @param {string|Array} text - 마크업 문자열 또는 인라인 배열 (utils/richText)
+ * @returns {Array<{text: string, isWhitespace?: boolean, node?: object, mark?: object}>} 토큰 배열
+ */
+function tokenize(text) {
+  if (typeof text === 'string') return tokenizeMarkup(text);
+
+  return text.flatMap((inline) => {
+    if (typeof inline === 'string') return tokenizeMarkup(inline);
+    if (inline.type === 'break') return [{ text: '\n', isWhitespace: true }];
+    return tokenizeMarkup(inline.text).map((token) => ({ ...token, mark: inline }));
+  });
+}
+
+/** 줄 번호 배열 비교 — 같으면 리렌더를 건너뛰기 위해 */
+function isSameLines(a, b) {
+  return a !== null && a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * LineRevealText 컴포넌트
+ *
+ * 문단을 현재 너비에서 실제로 렌더링된 줄(line box) 단위로 한 줄씩 노출하는 키네틱 타이포그래피.
+ * 작성자가 줄을 미리 나누지 않아도 되고, 화면 크기가 바뀌면 줄을 다시 측정한다.
+ *
+ * 동작 흐름:
+ * 1. 텍스트를 단어 단위로 분리해 각 단어를 inline span으로 렌더링한다 (utils/textSegmentation)
+ * 2. ResizeObserver가 문단 크기 변화를 감지할 때마다 단어 span의 위치로 줄 번호를 다시 계산한다
+ *    (ResizeObserver가 없는 환경에서는 마운트·텍스트 변경 시 한 번만 측정한다)
+ * 3. isActive가 되면 delay 후 stagger 간격으로 한 줄씩 blur(8px) + opacity(0) → 선명하게 전환한다
+ * 4. 노출은 "앞에서부터 몇 번째 토큰까지"로 기록하므로 도중에 리플로우되어도 이미 보인 단어는 다시 숨지 않고,
+ *    다음 단계는 새 레이아웃에서 다음 단어가 속한 줄 끝까지 노출한다
+ * 5. 마지막 줄의 전환까지 끝나면 onRevealComplete를 호출한다
+ * 6. isRevealed, 이미 읽힌 섹션(SectionRevealContext), 모션 감소 모드에서는 전체를 바로 표시하고 isActive 시점에 onRevealComplete를 호출한다
+ * 7. 텍스트의 줄바꿈(\n)은 white-space: pre-line으로 강제 줄바꿈이 된다
+ * 8. 용어집 링크([[용어]]), 루비({본문|주석}), 각주 참조([^id]) 마크업은 한 단어처럼 함께 노출된다 (utils/inlineMarkup)
+ * 9. 구조화 본문의 인라인 배열(utils/richText)도 받아 강조·액센트·줄바꿈을 유지한 채 노출한다
+ * 10. text가 바뀌면 노출 진행과 줄 측정을 처음부터 다시 하고, 새 텍스트의 노출이 끝나면 onRevealComplete를 다시 호출한다
+ *
+ * Props:
+ * @param {string|Array} text - 표시할 문단. 인라인 마크업 문자열 또는 구조화 본문 인라인 배열 [Required]
+ * @param {boolean} isActive - reveal 시작 여부 [Optional, 기본값: true]
+ * @param {number} delay - isActive 후 첫 줄까지 지연 시간 (ms) [Optional, 기본값: 0]
+ * @param {number} stagger - 줄 간 reveal 간격 (ms) [Optional, 기본값: 500]
+ * @param {string} variant - MUI Typography variant [Optional, 기본값: 'body1']
+ * @param {string} component - 루트 요소 [Optional, 기본값: 'p']
+ * @param {boolean} isRevealed - 처음부터 공개 상태로 표시 [Optional, 기본값: false]
+ * @param {function} onRevealComplete - 모든 줄의 reveal 전환이 끝났을 때 호출 [Optional]
+ * @param {object} sx - MUI sx 스타일 [Optional]
+ *
+ * Example usage:
+ * <LineRevealText text="자기 신뢰는 위대함의 본질이다. 모든 사람은 자기 자신의 길을 가야 한다." />
+ * <LineRevealText text={ paragraph } isActive={ isVisible } onRevealComplete={ handleDone } />
+ */
+function LineRevealText({
+  text,
+  isActive = true,
+  delay = 0,
+  stagger = 500,
+  variant = 'body1',
+  component = 'p',
+  isRevealed = false,
+  onRevealComplete,
+  sx = {},
+}) {
+  const containerRef = useRef(null);
+  const tokenRefs = useRef([]);
+  const onRevealCompleteRef = useRef(onRevealComplete);
+  const completedTokensRef = useRef(null);
+  const [measured, setMeasured] = useState({ tokens: null, lines: null });
+  const [revealed, setRevealed] = useState({ tokens: null, count: 0 });
+  const isSectionRevealed = useSectionReveal();
+  const isReducedMotion = useReducedMotion();
+  const isInstant = isRevealed || isSectionRevealed || isReducedMotion;
+  const clock = useAnimationClock();
+
+  const tokens = useMemo(() => tokenize(text), [text]);
+
+  /** 측정·노출 상태는 측정 당시의 tokens에 묶여 있어, text가 바뀌면 자동으로 초기 상태가 된다 */
+  const lineOfToken = measured.tokens === tokens ? measured.lines : null;
+  const revealedCount = revealed.tokens === tokens ? revealed.count : 0;
+
+  /** 최신 완료 콜백 유지 — 콜백이 바뀌어도 타이머를 다시 걸지 않도록 */
+  useEffect(() => {
+    onRevealCompleteRef.current = onRevealComplete;
+  }, [onRevealComplete]);
+
+  /** ResizeObserver가 없는 환경 — 페인트 전에 한 번만 측정 */
+  useLayoutEffect(() => {
+    if (!containerRef.current || typeof ResizeObserver !== 'undefined') return;
+    setMeasured({ tokens, lines: measureLines(tokenRefs.current.slice(0, tokens.length)) });
+  }, [tokens]);
+
+  /** 문단 크기가 바뀔 때마다 줄 재측정 (observe 직후 첫 콜백이 초기 측정) */
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(() => {
+      const lines = measureLines(tokenRefs.current.slice(0, tokens.length));
+      setMeasured((prev) => (
+        prev.tokens === tokens && isSameLines(prev.lines, lines) ? prev : { tokens, lines }
+      ));
+    });
+
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [tokens]);
+
+  /** 한 줄씩 노출, 마지막 줄 전환이 끝나면 완료 알림 (리플로우로 effect가 다시 돌아도 텍스트마다 한 번만) */
+  useEffect(() => {
+    if (!isActive || completedTokensRef.current === tokens) return;
+
+    const complete = () => {
+      completedTokensRef.current = tokens;
+      onRevealCompleteRef.current?.();
+    };
+
+    if (isInstant) {
+      complete();
+      return;
+    }
+    if (!lineOfToken) return;
+
+    if (revealedCount >= tokens.length) {
+      const timer = clock.setTimeout(complete, REVEAL_TRANSITION_MS);
+      return () => clock.clearTimeout(timer);
+    }
+
+    /** 다음 토큰이 속한 줄의 끝까지 노출 */
+    const timer = clock.setTimeout(() => {
+      const line = lineOfToken[revealedCount];
+      let end = revealedCount;
+      while (end < tokens.length && lineOfToken[end] === line) end += 1;
+      setRevealed({ tokens, count: end });
+    }, revealedCount === 0 ? delay : stagger);
+
+    return () => clock.clearTimeout(timer);
+  }, [isActive, isInstant, lineOfToken, revealedCount, tokens, delay, stagger, clock]);
+
+  return (
+    <Box
+      ref={ containerRef }
+      component={ component }
+      sx={ {
+        typography: variant,
+        m: 0,
+        whiteSpace: 'pre-line',
+        ...sx,
+      } }
+    >
+      { tokens.map((token, index) => {
+        const isTokenRevealed = isInstant || index < revealedCount;
+        const content = token.node ? <InlineMarkupNode node={ token.node } /> : token.text;
+        return (
+          <Box
+            component="span"
+            key={ index }
+            ref={ (node) => {
+              tokenRefs.current[index] = node;
+            } }
+            data-whitespace={ token.isWhitespace }
+            sx={ {
+              opacity: isTokenRevealed ? 1 : 0,
+              filter: isTokenRevealed ? 'blur(0px)' : 'blur(8px)',
+              transition: isInstant
+                ? 'none'
+                : `opacity ${REVEAL_TRANSITION_MS}ms ease-out, filter ${REVEAL_TRANSITION_MS}ms ease-out`,
+            } }
+          >
+            { token.mark && !token.isWhitespace
+              ? <RichTextInline node={ token.mark }>{ content }</RichTextInline>
+              : content }
+          </Box>
+        );
+      }) }
+    </Box>
+  );
+}
+
+export default LineRevealText;
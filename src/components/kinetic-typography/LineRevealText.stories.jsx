@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import LineRevealText from './LineRevealText';
+
+const PARAGRAPH = '그는 우리 사랑을 필요로 하지 않기 때문에 사랑은 그에게로 향하고 그를 포옹한다. 그가 자기 길을 굳게 지키고 우리의 승인 여부는 우습게 보기 때문에 우리는 간청하듯 혹은 변명하듯 그를 쓰다듬고 축하한다.';
+
+export default {
+  title: 'Interactive/11. KineticTypography/LineRevealText',
+  component: LineRevealText,
+  tags: ['autodocs'],
+  argTypes: {
+    text: {
+      control: 'text',
+      description: '표시할 문단',
+    },
+    delay: {
+      control: { type: 'number', min: 0, max: 2000, step: 100 },
+      description: '첫 줄까지 지연 시간 (ms)',
+    },
+    stagger: {
+      control: { type: 'number', min: 100, max: 1500, step: 50 },
+      description: '줄 간 reveal 간격 (ms)',
+    },
+    variant: {
+      control: 'select',
+      options: ['h4', 'h5', 'h6', 'body1', 'body2'],
+      description: 'MUI Typography variant',
+    },
+    isRevealed: {
+      control: 'boolean',
+      description: '애니메이션 없이 처음부터 공개 상태로 표시',
+    },
+  },
+};
+
+export const Default = {
+  args: {
+    text: PARAGRAPH,
+    stagger: 500,
+    variant: 'body1',
+    sx: { maxWidth: 480, lineHeight: 2, wordBreak: 'keep-all' },
+  },
+};
+
+/** 읽던 위치 복원 등으로 이미 공개된 상태 */
+export const Revealed = {
+  args: {
+    text: PARAGRAPH,
+    isRevealed: true,
+    sx: { maxWidth: 480, lineHeight: 2, wordBreak: 'keep-all' },
+  },
+};
+
+/**
+ * 너비 변경 시 리플로우 — 중간에 너비를 바꿔도 이미 보인 단어는 유지되고,
+ * 남은 단어는 새 줄 단위로 이어서 노출됩니다.
+ */
+const ReflowDemo = () => {
+  const [key, setKey] = useState(0);
+  const [isNarrow, setIsNarrow] = useState(false);
+  const [completeCount, setCompleteCount] = useState(0);
+
+  return (
+    <Box sx={ { display: 'flex', flexDirection: 'column', gap: 3 } }>
+      <Box sx={ { display: 'flex', gap: 1 } }>
+        <Button variant="outlined" onClick={ () => setKey((k) => k + 1) }>
+          Replay
+        </Button>
+        <Button variant="outlined" onClick={ () => setIsNarrow((prev) => !prev) }>
+          { isNarrow ? 'Wide' : 'Narrow' }
+        </Button>
+      </Box>
+      <LineRevealText
+        key={ key }
+        text={ PARAGRAPH }
+        onRevealComplete={ () => setCompleteCount((count) => count + 1) }
+        sx={ {
+          maxWidth: isNarrow ? 240 : 560,
+          lineHeight: 2,
+          wordBreak: 'keep-all',
+          transition: 'max-width 0.4s ease',
+        } }
+      />
+      <Typography variant="caption" color="text.secondary">
+        onRevealComplete: { completeCount }
+      </Typography>
+    </Box>
+  );
+};
+
+export const Reflow = {
+  render: () => <ReflowDemo />,
+};
+
+/** 줄바꿈(\n)은 강제 줄바꿈 — 긴 줄은 그 안에서 다시 측정된 줄로 나뉩니다 */
+export const ForcedBreaks = {
+  args: {
+    text: '꾸준히 버티면서\n묵묵히 자기 일을 해나가는 자에게\n축복의 신들은\n재빨리 도움의 손길을 뻗는다.',
+    variant: 'h5',
+    sx: { maxWidth: 360, lineHeight: 1.8, wordBreak: 'keep-all' },
+  },
+};
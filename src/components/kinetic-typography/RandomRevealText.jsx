@@ -1,64 +1,108 @@
-import { useEffect, useState, useMemo } from 'react';
+import { useEffect, useRef, useState, useMemo } from 'react';
 import Box from '@mui/material/Box';
+import { useSectionReveal } from '../../hooks/useSectionReveal';
+import { useReducedMotion } from '../../hooks/useReducedMotion';
+import { useAnimationClock, useRandom } from '../../hooks/useAnimationClock';
+import { splitText } from '../../utils/textSegmentation';
+
+/** 토큰 하나의 blur/opacity 전환 시간 (ms) */
+const REVEAL_TRANSITION_MS = 1200;
 
 /**
  * RandomRevealText 컴포넌트
  *
- * 텍스트의 각 글자를 랜덤 순서로 blur에서 선명하게 전환하며 노출하는 키네틱 타이포그래피.
+ * 텍스트의 각 글자(또는 단어·줄)를 랜덤 순서로 blur에서 선명하게 전환하며 노출하는 키네틱 타이포그래피.
  * Fisher-Yates 셔플로 랜덤 순서를 생성하고, stagger 간격으로 순차 reveal.
  *
  * 동작 흐름:
- * 1. 컴포넌트가 마운트되면 공백을 제외한 글자의 랜덤 순서를 생성한다
- * 2. delay 후 stagger 간격으로 각 글자가 순차적으로 나타난다
- * 3. 각 글자는 blur(12px) + opacity(0) → blur(0) + opacity(1) 전환
- * 4. 모든 글자가 reveal되면 애니메이션이 완료된다
+ * 1. 텍스트를 unit 단위로 분리한다 (utils/textSegmentation — 이모지·결합 문자도 한 글자로 유지)
+ * 2. 컴포넌트가 마운트되면 공백을 제외한 토큰의 랜덤 순서를 생성한다
+ * 3. isActive가 되면 delay 후 stagger 간격으로 각 토큰이 순차적으로 나타난다
+ * 4. 각 토큰은 blur(12px) + opacity(0) → blur(0) + opacity(1) 전환
+ * 5. 마지막 토큰의 전환(1.2s)까지 끝나면 onRevealComplete를 호출한다
+ * 6. isRevealed가 true이거나 이미 읽힌 섹션(SectionRevealContext) 안이면 애니메이션 없이 전체 글자를 바로 표시한다
+ * 7. 모션 감소 모드에서도 애니메이션 없이 전체 글자를 바로 표시한다 (onRevealComplete는 즉시 호출)
+ * 8. 셔플과 타이머는 useRandom/useAnimationClock을 거치므로 AnimationTestProvider 안에서는 결정론적으로 재현된다
  *
  * Props:
  * @param {string} text - 표시할 텍스트 [Required]
+ * @param {boolean} isActive - reveal 시작 여부 — false인 동안은 자리만 차지하고 숨겨진다 [Optional, 기본값: true]
  * @param {number} delay - 애니메이션 시작 지연 시간 (ms) [Optional, 기본값: 300]
- * @param {number} stagger - 글자 간 reveal 간격 (ms) [Optional, 기본값: 80]
+ * @param {number} stagger - 토큰 간 reveal 간격 (ms) [Optional, 기본값: 80]
+ * @param {string} unit - reveal 단위 'char' | 'word' | 'line' [Optional, 기본값: 'char']
  * @param {string} variant - MUI Typography variant [Optional, 기본값: 'body1']
+ * @param {boolean} isRevealed - 처음부터 공개 상태로 표시 [Optional, 기본값: false]
+ * @param {function} onRevealComplete - 모든 토큰의 reveal 전환이 끝났을 때 호출 [Optional]
  * @param {object} sx - MUI sx 스타일 [Optional]
  *
  * Example usage:
  * <RandomRevealText text="Hello World" delay={500} stagger={60} />
+ * <RandomRevealText text="자기 신뢰는 위대함의 본질이다." unit="word" stagger={200} />
+ * <RandomRevealText text="운의 비밀" onRevealComplete={() => setIsTitleDone(true)} />
  */
 function RandomRevealText({
   text,
+  isActive = true,
   delay = 300,
   stagger = 80,
+  unit = 'char',
   variant = 'body1',
+  isRevealed = false,
+  onRevealComplete,
   sx = {},
 }) {
   const [revealedIndices, setRevealedIndices] = useState(new Set());
+  const isSectionRevealed = useSectionReveal();
+  const isReducedMotion = useReducedMotion();
+  const isInstant = isRevealed || isSectionRevealed || isReducedMotion;
+  const clock = useAnimationClock();
+  const random = useRandom();
+  const onRevealCompleteRef = useRef(onRevealComplete);
+
+  const tokens = useMemo(() => splitText(text, unit), [text, unit]);
 
-  /** 공백을 제외한 글자의 랜덤 순서 생성 (Fisher-Yates shuffle) */
+  /** 공백을 제외한 토큰의 랜덤 순서 생성 (Fisher-Yates shuffle) */
   const randomOrder = useMemo(() => {
-    const indices = text
-      .split('')
-      .map((char, i) => (char !== ' ' ? i : -1))
+    const indices = tokens
+      .map((token, i) => (token.isWhitespace ? -1 : i))
       .filter((i) => i !== -1);
 
     for (let i = indices.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [indices[i], indices[j]] = [indices[j], indices[i]];
     }
     return indices;
-  }, [text]);
+  }, [tokens, random]);
+
+  /** 최신 완료 콜백 유지 — 콜백이 바뀌어도 타이머를 다시 걸지 않도록 */
+  useEffect(() => {
+    onRevealCompleteRef.current = onRevealComplete;
+  }, [onRevealComplete]);
 
-  /** stagger 간격으로 순차적 reveal 타이머 설정 */
+  /** stagger 간격으로 순차적 reveal 타이머 설정, 마지막 전환이 끝나면 완료 알림 */
   useEffect(() => {
+    if (!isActive) return;
+    if (isInstant) {
+      onRevealCompleteRef.current?.();
+      return;
+    }
+
     const timeouts = [];
 
     randomOrder.forEach((charIndex, orderIndex) => {
-      const timeout = setTimeout(() => {
+      const timeout = clock.setTimeout(() => {
         setRevealedIndices((prev) => new Set([...prev, charIndex]));
       }, delay + orderIndex * stagger);
       timeouts.push(timeout);
     });
 
-    return () => timeouts.forEach((t) => clearTimeout(t));
-  }, [randomOrder, delay, stagger]);
+    const lastRevealAt = delay + Math.max(randomOrder.length - 1, 0) * stagger;
+    timeouts.push(clock.setTimeout(() => {
+      onRevealCompleteRef.current?.();
+    }, lastRevealAt + REVEAL_TRANSITION_MS));
+
+    return () => timeouts.forEach((t) => clock.clearTimeout(t));
+  }, [randomOrder, delay, stagger, isActive, isInstant, clock]);
 
   return (
     <Box
@@ -68,21 +112,28 @@ function RandomRevealText({
         ...sx,
       } }
     >
-      { text.split('').map((char, index) => {
-        const isRevealed = char === ' ' || revealedIndices.has(index);
+      { tokens.map((token, index) => {
+        /** 줄바꿈 — line 단위는 줄마다 block으로 그리므로 생략 */
+        if (token.text.includes('\n')) {
+          return unit === 'line' ? null : <br key={ index } />;
+        }
+
+        const isTokenRevealed = isInstant || token.isWhitespace || revealedIndices.has(index);
         return (
           <Box
             component="span"
             key={ index }
             sx={ {
-              display: 'inline-block',
-              opacity: isRevealed ? 1 : 0,
-              filter: isRevealed ? 'blur(0px)' : 'blur(12px)',
-              transition: 'opacity 1.2s ease-out, filter 1.2s ease-out',
-              minWidth: char === ' ' ? '0.3em' : undefined,
+              display: unit === 'line' ? 'block' : 'inline-block',
+              opacity: isTokenRevealed ? 1 : 0,
+              filter: isTokenRevealed ? 'blur(0px)' : 'blur(12px)',
+              transition: isInstant
+                ? 'none'
+                : `opacity ${REVEAL_TRANSITION_MS}ms ease-out, filter ${REVEAL_TRANSITION_MS}ms ease-out`,
+              minWidth: token.isWhitespace ? '0.3em' : undefined,
             } }
           >
-            { char }
+            { token.text }
           </Box>
         );
       }) }
@@ -18,14 +18,23 @@ export default {
       description: '애니메이션 시작 지연 시간 (ms)',
     },
     stagger: {
-      control: { type: 'number', min: 10, max: 200, step: 10 },
-      description: '글자 간 reveal 간격 (ms)',
+      control: { type: 'number', min: 10, max: 400, step: 10 },
+      description: '토큰 간 reveal 간격 (ms)',
+    },
+    unit: {
+      control: 'inline-radio',
+      options: ['char', 'word', 'line'],
+      description: 'reveal 단위',
     },
     variant: {
       control: 'select',
       options: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'body1', 'body2'],
       description: 'MUI Typography variant',
     },
+    isRevealed: {
+      control: 'boolean',
+      description: '애니메이션 없이 처음부터 공개 상태로 표시',
+    },
   },
 };
 
@@ -38,6 +47,26 @@ export const Default = {
   },
 };
 
+/** 읽던 위치 복원 등으로 이미 공개된 상태 */
+export const Revealed = {
+  args: {
+    text: 'Design is the silent ambassador of your brand.',
+    variant: 'h4',
+    isRevealed: true,
+  },
+};
+
+/** 타임라인 고정 — 시드 42, 1200ms 시점의 reveal 상태 (매 실행 동일, 스냅샷/테스트용) */
+export const FrozenTimeline = {
+  args: {
+    text: 'Design is the silent ambassador of your brand.',
+    variant: 'h4',
+  },
+  parameters: {
+    animationTest: { seed: 42, time: 1200 },
+  },
+};
+
 /** 리마운트로 애니메이션 반복 재생 */
 const ReplayDemo = () => {
   const [key, setKey] = useState(0);
@@ -109,3 +138,36 @@ export const Variants = {
     </Box>
   ),
 };
+
+/** reveal 단위 — 글자(이모지·결합 문자 포함) / 단어 / 줄 */
+export const Units = {
+  render: () => (
+    <Box sx={ { display: 'flex', flexDirection: 'column', gap: 6 } }>
+      <Box>
+        <Typography variant="overline" color="text.secondary" sx={ { mb: 1, display: 'block' } }>
+          char — grapheme 단위 (👍🏽, é도 한 글자)
+        </Typography>
+        <RandomRevealText text="Trust thyself 👍🏽 — café" variant="h4" stagger={ 80 } />
+      </Box>
+
+      <Box>
+        <Typography variant="overline" color="text.secondary" sx={ { mb: 1, display: 'block' } }>
+          word — 문장 부호는 앞 단어에 붙는다
+        </Typography>
+        <RandomRevealText text="자기 신뢰는, 위대함의 본질이다." variant="h4" unit="word" stagger={ 240 } />
+      </Box>
+
+      <Box>
+        <Typography variant="overline" color="text.secondary" sx={ { mb: 1, display: 'block' } }>
+          line — 줄바꿈 기준
+        </Typography>
+        <RandomRevealText
+          text={ '당신 자신을\n자기 이외의 곳에서\n찾지 말라.' }
+          variant="h4"
+          unit="line"
+          stagger={ 400 }
+        />
+      </Box>
+    </Box>
+  ),
+};
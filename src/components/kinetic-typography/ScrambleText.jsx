@@ -1,9 +1,56 @@
 import { useEffect, useState, useRef } from 'react';
 import Box from '@mui/material/Box';
+import { useReducedMotion } from '../../hooks/useReducedMotion';
+import { useAnimationClock, useRandom } from '../../hooks/useAnimationClock';
+import { segmentGraphemes } from '../../utils/textSegmentation';
+import {
+  INITIAL_JAMO,
+  getJamoStages,
+  getScript,
+  isHangulSyllable,
+  randomSyllableWithInitial,
+} from '../../utils/hangul';
 
 const CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWER_CHARS = 'abcdefghijklmnopqrstuvwxyz';
+const DIGIT_CHARS = '0123456789';
 const INITIAL_CHARS = '!@#$%^&*()_+-=[]{}|;:,.<>?/~`';
 
+/**
+ * 미확정 글자 하나의 스크램블 문자
+ *
+ * @param {string} target - 최종 글자
+ * @param {string} mode - 스크램블 모드 ('charset' | 'hangul' | 'jamo' | 'mixed')
+ * @param {string[]} charList - 문자 집합 (모드가 다루지 않는 글자에 사용)
+ * @param {function} random - 난수 함수
+ * @param {number} distance - 확정까지 남은 거리 (글자 수, 0 초과)
+ * @returns {string} 이번 프레임에 표시할 글자
+ */
+function getScrambleChar(target, mode, charList, random, distance) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  if (mode === 'charset') return pick(charList);
+
+  const script = getScript(target);
+  if (script === 'space') return target;
+
+  if (isHangulSyllable(target)) {
+    if (mode === 'jamo') {
+      /** 확정에 가까워질수록 초성 → 초성+중성 순으로 조합, 그 전에는 임의의 초성 */
+      const stages = getJamoStages(target);
+      const step = Math.ceil(distance);
+      return step < stages.length ? stages[stages.length - 1 - step] : pick(INITIAL_JAMO);
+    }
+    return randomSyllableWithInitial(target, random);
+  }
+
+  if (mode === 'mixed') {
+    if (script === 'upper') return pick(CHARS);
+    if (script === 'lower') return pick(LOWER_CHARS);
+    if (script === 'digit') return pick(DIGIT_CHARS);
+  }
+  return pick(charList);
+}
+
 /**
  * ScrambleText 컴포넌트
  *
@@ -16,6 +63,11 @@ const INITIAL_CHARS = '!@#$%^&*()_+-=[]{}|;:,.<>?/~`';
  * 3. 각 글자가 랜덤 문자로 빠르게 교체된다
  * 4. 왼쪽부터 순차적으로 최종 글자로 확정된다
  * 5. duration 시간이 지나면 모든 글자가 확정되어 애니메이션이 완료된다
+ * 6. 모션 감소 모드에서는 스크램블 없이 최종 텍스트를 바로 표시한다
+ * 7. mode에 따라 한글은 같은 초성의 음절('hangul') 또는 자모 조합 단계('jamo')로 뒤섞이고,
+ *    'mixed'는 글자마다 문자 체계(한글/대문자/소문자/숫자)에 맞는 문자 집합을 고른다
+ * 8. 글자 수와 확정 위치는 grapheme 단위로 센다 (이모지·결합 문자가 쪼개지지 않도록)
+ * 9. 프레임과 랜덤 문자는 useAnimationClock/useRandom을 거치므로 AnimationTestProvider 안에서는 매번 같은 프레임이 재현된다
  *
  * Props:
  * @param {string} text - 표시할 텍스트 [Required]
@@ -25,6 +77,8 @@ const INITIAL_CHARS = '!@#$%^&*()_+-=[]{}|;:,.<>?/~`';
  * @param {boolean} isInitialScramble - 최초 마운트 시 스크램블 효과 여부 [Optional, 기본값: false]
  * @param {string} initialCharset - 최초 등장 스크램블에 사용할 문자 집합 [Optional, 기본값: '!@#$%^&*()_+-=[]{}|;:,.<>?/~`']
  * @param {string} charset - 텍스트 전환 스크램블에 사용할 문자 집합 [Optional, 기본값: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ']
+ * @param {string} mode - 스크램블 모드 [Optional, 기본값: 'charset']
+ *   'charset'(charset/initialCharset 그대로) | 'hangul'(같은 초성의 음절) | 'jamo'(초성→중성→종성 순 조합) | 'mixed'(글자별 문자 체계)
  * @param {string} variant - MUI Typography variant [Optional, 기본값: 'body1']
  * @param {object} sx - MUI sx 스타일 [Optional]
  *
@@ -32,6 +86,8 @@ const INITIAL_CHARS = '!@#$%^&*()_+-=[]{}|;:,.<>?/~`';
  * <ScrambleText text="Hello World" duration={1000} />
  * <ScrambleText text="Design" isInitialScramble initialCharset="※◆●▲■" />
  * <ScrambleText text="Hold" isInitialScramble holdDuration={500} />
+ * <ScrambleText text="자기신뢰" isInitialScramble mode="jamo" />
+ * <ScrambleText text="Issue No.1 자기신뢰" mode="mixed" />
  */
 function ScrambleText({
   text,
@@ -41,6 +97,7 @@ function ScrambleText({
   isInitialScramble = false,
   initialCharset = INITIAL_CHARS,
   charset = CHARS,
+  mode = 'charset',
   variant = 'body1',
   sx = {},
 }) {
@@ -50,12 +107,26 @@ function ScrambleText({
   const [isAnimating, setIsAnimating] = useState(false);
   const prevTextRef = useRef(text);
   const frameRef = useRef(0);
+  const isReducedMotion = useReducedMotion();
+  const clock = useAnimationClock();
+  const random = useRandom();
 
   /** 스크램블 애니메이션 공통 로직 */
   const runScramble = (targetText, fromLength, chars) => {
+    /** 모션 감소 모드: 다음 프레임에 최종 텍스트로 확정만 한다 */
+    if (isReducedMotion) {
+      frameRef.current = clock.requestFrame(() => {
+        setDisplayText(targetText);
+        prevTextRef.current = targetText;
+      });
+      return;
+    }
+
     setIsAnimating(true);
-    const startTime = performance.now();
-    const maxLength = Math.max(fromLength, targetText.length);
+    const startTime = clock.now();
+    const targetChars = segmentGraphemes(targetText);
+    const charList = segmentGraphemes(chars);
+    const maxLength = Math.max(fromLength, targetChars.length);
 
     const animate = (currentTime) => {
       const elapsed = currentTime - startTime;
@@ -66,21 +137,22 @@ function ScrambleText({
       const totalDuration = holdDuration + duration;
 
       /** 왼쪽부터 순차적으로 글자 확정 */
-      const settledCount = Math.floor(progress * targetText.length);
+      const settledCount = Math.floor(progress * targetChars.length);
 
       let result = '';
       for (let i = 0; i < maxLength; i++) {
         if (i < settledCount) {
-          result += targetText[i] || '';
-        } else if (i < targetText.length) {
-          result += chars[Math.floor(Math.random() * chars.length)];
+          result += targetChars[i] || '';
+        } else if (i < targetChars.length) {
+          const distance = i + 1 - progress * targetChars.length;
+          result += getScrambleChar(targetChars[i], mode, charList, random, distance);
         }
       }
 
       setDisplayText(result);
 
       if (elapsed < totalDuration) {
-        frameRef.current = requestAnimationFrame(animate);
+        frameRef.current = clock.requestFrame(animate);
       } else {
         setDisplayText(targetText);
         setIsAnimating(false);
@@ -88,16 +160,16 @@ function ScrambleText({
       }
     };
 
-    frameRef.current = requestAnimationFrame(animate);
+    frameRef.current = clock.requestFrame(animate);
   };
 
   /** 최초 마운트 시 스크램블 효과 */
   useEffect(() => {
     if (!isInitialScramble) return;
-    runScramble(text, text.length, initialCharset);
+    runScramble(text, segmentGraphemes(text).length, initialCharset);
 
     return () => {
-      cancelAnimationFrame(frameRef.current);
+      clock.cancelFrame(frameRef.current);
     };
   }, []);
 
@@ -105,12 +177,12 @@ function ScrambleText({
   useEffect(() => {
     if (!isTrigger || text === prevTextRef.current) return;
 
-    runScramble(text, prevTextRef.current.length, charset);
+    runScramble(text, segmentGraphemes(prevTextRef.current).length, charset);
 
     return () => {
-      cancelAnimationFrame(frameRef.current);
+      clock.cancelFrame(frameRef.current);
     };
-  }, [text, isTrigger, duration, charset]);
+  }, [text, isTrigger, duration, charset, mode]);
 
   /** 초기 렌더링 시 텍스트 설정 (isInitialScramble이 아닌 경우) */
   useEffect(() => {
@@ -128,7 +200,7 @@ function ScrambleText({
         ...sx,
       } }
     >
-      { displayText }
+      { isReducedMotion ? text : displayText }
     </Box>
   );
 }
@@ -33,6 +33,11 @@ export default {
       control: 'text',
       description: '텍스트 전환 스크램블에 사용할 문자 집합',
     },
+    mode: {
+      control: 'inline-radio',
+      options: ['charset', 'hangul', 'jamo', 'mixed'],
+      description: '스크램블 모드 (charset / 같은 초성 음절 / 자모 조합 / 글자별 문자 체계)',
+    },
     variant: {
       control: 'select',
       options: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'body1', 'body2'],
@@ -144,6 +149,64 @@ export const InitialScramble = {
   render: () => <InitialScrambleDemo />,
 };
 
+/** 한글 스크램블 모드 데모 */
+const HangulModesDemo = () => {
+  const [key, setKey] = useState(0);
+  const modes = [
+    { mode: 'hangul', label: 'hangul — 같은 초성의 음절', text: '자기신뢰' },
+    { mode: 'jamo', label: 'jamo — 초성 → 초성+중성 → 완성 음절', text: '자기신뢰' },
+    { mode: 'mixed', label: 'mixed — 글자별 문자 체계', text: 'Issue No.1 자기신뢰' },
+    { mode: 'charset', label: 'charset — 기존 방식 (비교용)', text: '자기신뢰' },
+  ];
+
+  return (
+    <Box sx={ { display: 'flex', flexDirection: 'column', gap: 4 } }>
+      <Button
+        variant="outlined"
+        onClick={ () => setKey((k) => k + 1) }
+        sx={ { alignSelf: 'flex-start' } }
+      >
+        Replay
+      </Button>
+
+      { modes.map(({ mode, label, text }) => (
+        <Box key={ mode }>
+          <Typography variant="overline" color="text.secondary" sx={ { mb: 1, display: 'block' } }>
+            { label }
+          </Typography>
+          <ScrambleText
+            key={ `${mode}-${key}` }
+            text={ text }
+            variant="h3"
+            mode={ mode }
+            isInitialScramble
+            duration={ 1400 }
+            sx={ { fontFamily: '"Noto Serif KR", serif' } }
+          />
+        </Box>
+      )) }
+    </Box>
+  );
+};
+
+export const HangulModes = {
+  render: () => <HangulModesDemo />,
+};
+
+/** 타임라인 고정 — 자모 조합 중간 단계 (시드 7, 700ms) */
+export const FrozenJamo = {
+  args: {
+    text: '자기신뢰는 위대함의 본질',
+    variant: 'h3',
+    mode: 'jamo',
+    isInitialScramble: true,
+    duration: 1400,
+  },
+  parameters: {
+    animationTest: { seed: 7, time: 700 },
+  },
+};
+
 /** duration · charset 변형 비교 */
 const VariantsDemo = () => {
   const [key, setKey] = useState(0);
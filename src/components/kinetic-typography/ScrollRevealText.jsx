@@ -1,25 +1,31 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
+import { useReducedMotion } from '../../hooks/useReducedMotion';
+import { useScrollProgress } from '../../hooks/useScrollProgress';
+import { segmentSentences, splitText } from '../../utils/textSegmentation';
 
 /**
  * ScrollRevealText 컴포넌트
  *
- * 스크롤 진행에 따라 텍스트의 각 글자가 순차적으로 드러나는 스크롤 리빌 효과.
+ * 스크롤 진행에 따라 텍스트의 각 글자(또는 단어·줄)가 순차적으로 드러나는 스크롤 리빌 효과.
  * 문장 단위로 분리하여 각 문장을 별도 블록으로 표시.
+ * 문장 경계는 Intl.Segmenter로 판단하므로 `다.` 뒤 줄바꿈, `?`, `!`로 끝나는 한국어 문장도 나뉜다.
  *
  * 동작 흐름:
  * 1. 컴포넌트가 뷰포트에 진입하면 스크롤 위치 추적을 시작한다
- * 2. 스크롤 진행률(0~1)에 따라 글자가 왼쪽부터 순차적으로 나타난다
- * 3. 비활성 글자는 투명도가 낮고, 활성 글자는 완전히 표시된다
+ * 2. 스크롤 진행률(0~1)에 따라 unit 단위 토큰이 왼쪽부터 순차적으로 나타난다
+ * 3. 비활성 토큰은 투명도가 낮고, 활성 토큰은 완전히 표시된다
  * 4. 뷰포트 중앙을 지나면 모든 글자가 활성화된다
  * 5. autoReveal이 true이면 뷰포트 진입 시 스크롤 없이 자동으로 전체 텍스트가 드러난다
+ * 6. 모션 감소 모드에서는 스크롤 추적 없이 전체 텍스트가 활성 색상으로 바로 표시된다
  *
  * Props:
  * @param {string} text - 표시할 텍스트 [Required]
  * @param {string} activeColor - 활성화된 글자 색상 [Optional, 기본값: 'text.primary']
  * @param {string} inactiveColor - 비활성 글자 색상 [Optional, 기본값: 'text.disabled']
  * @param {string} variant - MUI Typography variant [Optional, 기본값: 'h4']
+ * @param {string} unit - reveal 단위 'char' | 'word' | 'line' [Optional, 기본값: 'char']
  * @param {boolean} autoReveal - 뷰포트 진입 시 자동 리빌 여부 [Optional, 기본값: false]
  * @param {number} autoRevealDuration - 자동 리빌 애니메이션 시간(ms) [Optional, 기본값: 1500]
  * @param {object} sx - MUI sx 스타일 [Optional]
@@ -27,22 +33,25 @@ import Typography from '@mui/material/Typography';
  * Example usage:
  * <ScrollRevealText text="스크롤하면 텍스트가 나타납니다." />
  * <ScrollRevealText text="자동으로 나타납니다." autoReveal />
+ * <ScrollRevealText text="단어 단위로 나타납니다." unit="word" />
  */
 function ScrollRevealText({
   text,
   activeColor = 'text.primary',
   inactiveColor = 'text.disabled',
   variant = 'h4',
+  unit = 'char',
   autoReveal = false,
   autoRevealDuration = 1500,
   sx = {},
 }) {
   const containerRef = useRef(null);
   const [progress, setProgress] = useState(0);
+  const isReducedMotion = useReducedMotion();
 
   /** autoReveal 모드: 뷰포트 진입 시 자동으로 progress를 0→1 애니메이션 */
   useEffect(() => {
-    if (!autoReveal || !containerRef.current) return;
+    if (isReducedMotion || !autoReveal || !containerRef.current) return;
 
     let animationId;
     let startTime;
@@ -74,57 +83,37 @@ function ScrollRevealText({
       observer.disconnect();
       if (animationId) cancelAnimationFrame(animationId);
     };
-  }, [autoReveal, autoRevealDuration]);
-
-  /** 스크롤 위치 기반 진행률 계산 (requestAnimationFrame throttle) */
-  useEffect(() => {
-    if (autoReveal) return;
-
-    let ticking = false;
-
-    const updateProgress = () => {
-      if (!containerRef.current) return;
-
-      const rect = containerRef.current.getBoundingClientRect();
-      const windowHeight = window.innerHeight;
-
-      const start = windowHeight * 0.8;
-      const end = -rect.height * 0.3;
-      const current = rect.top;
-
-      let newProgress = (start - current) / (start - end);
-      newProgress = Math.max(0, Math.min(1, newProgress));
-
-      setProgress(newProgress);
-      ticking = false;
-    };
-
-    const onScroll = () => {
-      if (!ticking) {
-        ticking = true;
-        requestAnimationFrame(updateProgress);
-      }
-    };
-
-    updateProgress();
-    window.addEventListener('scroll', onScroll, { passive: true });
-    return () => window.removeEventListener('scroll', onScroll);
-  }, [autoReveal]);
-
-  /** 문장 단위 분리 ('. ' 기준) */
-  const sentences = text.split('. ').map((s, i, arr) =>
-    i < arr.length - 1 ? s + '.' : s
+  }, [autoReveal, autoRevealDuration, isReducedMotion]);
+
+  /**
+   * 스크롤 위치 기반 진행률 (공유 스크롤 타임라인)
+   * 요소 상단이 뷰포트 80% 지점에 닿을 때 0, 요소 높이 30%가 뷰포트 상단을 지날 때 1
+   */
+  useScrollProgress(containerRef, {
+    start: 'start 0.8',
+    end: '0.3 start',
+    onChange: setProgress,
+    isEnabled: !isReducedMotion && !autoReveal,
+  });
+
+  /** 문장 → unit 토큰 분리 */
+  const sentences = useMemo(
+    () => segmentSentences(text).map((sentence) => splitText(sentence, unit)),
+    [text, unit]
   );
 
-  /** 전체 글자 수 계산 */
-  const totalChars = sentences.reduce((sum, s) => sum + s.length, 0);
-  const revealedCount = Math.floor(totalChars * progress);
+  /** 전체 토큰 수 계산 (공백 제외) */
+  const totalTokens = sentences.reduce(
+    (sum, tokens) => sum + tokens.filter((token) => !token.isWhitespace).length,
+    0
+  );
+  const revealedCount = isReducedMotion ? totalTokens : Math.floor(totalTokens * progress);
 
-  let charCounter = 0;
+  let tokenCounter = 0;
 
   return (
     <Box ref={ containerRef } sx={ sx }>
-      { sentences.map((sentence, sIdx) => (
+      { sentences.map((tokens, sIdx) => (
         <Typography
           key={ sIdx }
           variant={ variant }
@@ -134,19 +123,23 @@ function ScrollRevealText({
             wordBreak: 'keep-all',
           } }
         >
-          { sentence.split('').map((char, cIdx) => {
-            const isRevealed = charCounter < revealedCount;
-            charCounter++;
+          { tokens.map((token, tIdx) => {
+            /** 공백은 앞 토큰의 상태를 따른다 */
+            const isRevealed = token.isWhitespace
+              ? tokenCounter <= revealedCount
+              : tokenCounter < revealedCount;
+            if (!token.isWhitespace) tokenCounter++;
             return (
               <Box
                 component="span"
-                key={ cIdx }
+                key={ tIdx }
                 sx={ {
+                  display: unit === 'line' ? 'block' : undefined,
                   color: isRevealed ? activeColor : inactiveColor,
-                  transition: 'color 0.15s ease-out',
+                  transition: isReducedMotion ? 'none' : 'color 0.15s ease-out',
                 } }
               >
-                { char }
+                { token.text }
               </Box>
             );
           }) }
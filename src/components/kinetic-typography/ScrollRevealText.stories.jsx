@@ -8,11 +8,12 @@ export default {
   tags: ['autodocs'],
   parameters: {
     layout: 'fullscreen',
+    timelineScrubber: { mode: 'scroll' },
   },
   argTypes: {
     text: {
       control: 'text',
-      description: '표시할 텍스트 (". "으로 문장 분리)',
+      description: '표시할 텍스트 (Intl.Segmenter 문장 경계로 분리)',
     },
     activeColor: {
       control: 'text',
@@ -27,6 +28,11 @@ export default {
       options: ['h2', 'h3', 'h4', 'h5', 'h6', 'body1', 'body2'],
       description: 'MUI Typography variant',
     },
+    unit: {
+      control: 'inline-radio',
+      options: ['char', 'word', 'line'],
+      description: 'reveal 단위',
+    },
   },
 };
 
@@ -121,3 +127,18 @@ export const MultipleBlocks = {
     </ScrollArea>
   ),
 };
+
+/** 한국어 문장 경계(`다.` 뒤 줄바꿈, `?`, `!`)와 단어 단위 reveal */
+export const KoreanWords = {
+  render: () => (
+    <ScrollArea>
+      <Box sx={ { maxWidth: 800, mx: 'auto', px: 3 } }>
+        <ScrollRevealText
+          text={ '당신 자신을 자기 이외의 곳에서 찾지 말라.\n남을 부러워하는 것은 무지이다. 모방은 자살이다! 당신은 무엇을 믿는가?' }
+          variant="h4"
+          unit="word"
+        />
+      </Box>
+    </ScrollArea>
+  ),
+};
@@ -0,0 +1,80 @@
+import { useEffect, useMemo, useState } from 'react';
+import { flushSync } from 'react-dom';
+import Box from '@mui/material/Box';
+import { AnimationClockContext } from '../../hooks/useAnimationClock';
+import { createVirtualClock } from '../../utils/animationClock';
+
+/** CSS 전환/키프레임을 멈춰 스냅샷이 전환 도중 값을 잡지 않도록 하는 스타일 */
+const frozenCssSx = {
+  '& *, & *::before, & *::after': {
+    transition: 'none !important',
+    animation: 'none !important',
+  },
+};
+
+/**
+ * AnimationTestProvider 컴포넌트
+ *
+ * 하위 애니메이션 컴포넌트를 타임라인의 정확한 시점으로 고정해 렌더링하는 테스트용 Provider.
+ * Storybook 브라우저 테스트와 비주얼 스냅샷에서 매 실행 같은 결과를 얻기 위해 사용한다.
+ *
+ * 동작 흐름:
+ * 1. 하위 컴포넌트의 useAnimationClock()이 가상 시계를, useRandom()이 seed 기반 난수를 받는다
+ * 2. 마운트 직후 가상 시계를 time(ms)까지 진행하며, 그 사이 예약된 타이머/프레임을 시각 순서대로 실행한다
+ * 3. 각 이벤트의 상태 갱신은 flushSync로 즉시 커밋되어, 이어서 예약되는 타이머도 같은 가상 시각 기준으로 계산된다
+ * 4. 진행이 끝나면 래퍼의 data-animation-time 속성에 도달한 시각을 기록한다 (테스트 대기 조건)
+ * 5. isCssFrozen이면 하위 CSS transition/animation을 꺼서 최종 스타일이 바로 적용되게 한다
+ * 6. time을 늘리면 이어서 진행하고, 줄이면 무시한다 (처음부터 다시 보려면 key를 바꿔 다시 마운트)
+ *
+ * Props:
+ * @param {node} children - 하위 트리 [Required]
+ * @param {number|string} seed - 난수 시드 [Optional, 기본값: 1]
+ * @param {number} time - 고정할 타임라인 시점 (ms) [Optional, 기본값: 0]
+ * @param {boolean} isCssFrozen - CSS transition/animation 비활성화 여부 [Optional, 기본값: true]
+ *
+ * Example usage:
+ * <AnimationTestProvider seed={ 42 } time={ 1200 }>
+ *   <RandomRevealText text="Hello World" />
+ * </AnimationTestProvider>
+ *
+ * await waitFor(() => expect(wrapper.dataset.animationTime).toBe('1200'));
+ */
+function AnimationTestProvider({
+  children,
+  seed = 1,
+  time = 0,
+  isCssFrozen = true,
+}) {
+  const [clock] = useState(() => createVirtualClock({ runEvent: flushSync }));
+  const [settledTime, setSettledTime] = useState(null);
+
+  /** 커밋이 끝난 뒤 진행 — flushSync는 렌더/이펙트 도중에 호출할 수 없으므로 다음 태스크로 미룬다 */
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      clock.advanceTo(time);
+      setSettledTime(clock.now());
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [clock, time]);
+
+  /** 언마운트 시 대기 중인 이벤트 정리 */
+  useEffect(() => () => clock.dispose(), [clock]);
+
+  const value = useMemo(() => ({ clock, seed }), [clock, seed]);
+
+  return (
+    <AnimationClockContext value={ value }>
+      <Box
+        data-animation-time={ settledTime ?? undefined }
+        sx={ {
+          display: 'contents',
+          ...(isCssFrozen ? frozenCssSx : {}),
+        } }
+      >
+        { children }
+      </Box>
+    </AnimationClockContext>
+  );
+}
+
+export default AnimationTestProvider;
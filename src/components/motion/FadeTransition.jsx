@@ -1,5 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
 import Box from '@mui/material/Box';
+import { useReducedMotion } from '../../hooks/useReducedMotion';
 
 /** 방향별 초기 transform offset 계산 */
 function getTranslate(direction, distance) {
@@ -24,6 +25,7 @@ function getTranslate(direction, distance) {
  * 2. direction이 설정되면 해당 방향에서 슬라이드하며 나타난다
  * 3. isIn이 false가 되면 역순으로 페이드 아웃된다
  * 4. isTriggerOnView가 true이면 요소가 뷰포트에 진입할 때 자동 트리거된다
+ * 5. 모션 감소 모드에서는 슬라이드 없이 opacity 크로스페이드만 적용되며, 뷰포트 트리거 요소는 처음부터 표시된다
  *
  * Props:
  * @param {React.ReactNode} children - 페이드 전환할 콘텐츠 [Required]
@@ -55,6 +57,7 @@ function FadeTransition({
 }) {
   const ref = useRef(null);
   const [isVisible, setIsVisible] = useState(!isTriggerOnView && isIn);
+  const isReducedMotion = useReducedMotion();
 
   /** IntersectionObserver 기반 뷰포트 진입 감지 */
   useEffect(() => {
@@ -83,8 +86,11 @@ function FadeTransition({
     }
   }, [isIn, isTriggerOnView]);
 
-  const isActive = isVisible;
-  const transform = isActive ? 'none' : getTranslate(direction, distance);
+  const isActive = isVisible || (isReducedMotion && isTriggerOnView);
+  const transform = isActive || isReducedMotion ? 'none' : getTranslate(direction, distance);
+  const transition = isReducedMotion
+    ? `opacity ${duration}ms ${easing}`
+    : `opacity ${duration}ms ${easing} ${delay}ms, transform ${duration}ms ${easing} ${delay}ms`;
 
   return (
     <Box
@@ -92,13 +98,8 @@ function FadeTransition({
       sx={ {
         opacity: isActive ? 1 : 0,
         transform,
-        transition: `opacity ${duration}ms ${easing} ${delay}ms, transform ${duration}ms ${easing} ${delay}ms`,
+        transition,
         willChange: 'opacity, transform',
-        '@media (prefers-reduced-motion: reduce)': {
-          transition: 'none',
-          opacity: 1,
-          transform: 'none',
-        },
         ...sx,
       } }
     >
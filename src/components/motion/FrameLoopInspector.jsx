@@ -0,0 +1,117 @@
+import { useEffect, useState } from 'react';
+import Box from '@mui/material/Box';
+import { getFrameLoopStats } from '../../utils/frameScheduler';
+
+/** 상태별 표시 색 */
+const STATE_COLORS = {
+  running: '#FFC66E',
+  offscreen: 'rgba(245, 242, 238, 0.4)',
+  hidden: 'rgba(245, 242, 238, 0.4)',
+};
+
+/** 프레임 예산(60fps)의 절반을 넘는 tick은 경고 색으로 표시 */
+const COST_WARNING = 8;
+
+/**
+ * FrameLoopInspector 컴포넌트
+ *
+ * 공유 프레임 스케줄러(utils/frameScheduler)에 등록된 렌더 루프를 보여주는 개발용 디버그 패널.
+ * 어떤 루프가 돌고 있고, 어떤 루프가 화면 밖/탭 숨김으로 멈췄는지, 프레임당 비용이 얼마인지 확인한다.
+ *
+ * 동작 흐름:
+ * 1. interval마다 getFrameLoopStats()를 읽어 패널을 다시 그린다 (루프 자체에는 관여하지 않는다)
+ * 2. 루프마다 이름, 상태(running / offscreen / hidden), 평균 tick 비용(ms), 실행 프레임 수를 표시한다
+ * 3. 평균 비용이 COST_WARNING(ms)을 넘는 루프는 경고 색으로 표시한다
+ *
+ * Props:
+ * @param {boolean} isOpen - 패널 표시 여부 [Optional, 기본값: true]
+ * @param {number} interval - 통계 갱신 간격 (ms) [Optional, 기본값: 500]
+ *
+ * Example usage:
+ * <>
+ *   <GeometricPattern variant="grid" />
+ *   <FrameLoopInspector />
+ * </>
+ */
+function FrameLoopInspector({ isOpen = true, interval = 500 }) {
+  const [stats, setStats] = useState([]);
+
+  /** 통계 폴링 — 패널이 닫혀 있으면 멈춘다 */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const update = () => setStats(getFrameLoopStats());
+    const timerId = setInterval(update, interval);
+    const firstId = setTimeout(update, 0);
+    return () => {
+      clearInterval(timerId);
+      clearTimeout(firstId);
+    };
+  }, [isOpen, interval]);
+
+  if (!isOpen) return null;
+
+  const runningCount = stats.filter(({ state }) => state === 'running').length;
+  const totalCost = stats.reduce((sum, { state, cost }) => (state === 'running' ? sum + cost : sum), 0);
+
+  return (
+    <Box
+      sx={ {
+        position: 'fixed',
+        top: 16,
+        right: 16,
+        zIndex: 2000,
+        width: 320,
+        maxHeight: '60vh',
+        overflowY: 'auto',
+        p: 2,
+        borderRadius: 1,
+        backgroundColor: 'rgba(18, 16, 14, 0.92)',
+        color: '#F5F2EE',
+        fontFamily: 'monospace',
+        fontSize: 11,
+      } }
+    >
+      <Box sx={ { display: 'flex', mb: 1, fontWeight: 700 } }>
+        <Box component="span" sx={ { mr: 'auto' } }>frame loops</Box>
+        <Box component="span" sx={ { opacity: 0.6 } }>
+          { runningCount } / { stats.length } running · { totalCost.toFixed(2) }ms
+        </Box>
+      </Box>
+
+      { stats.length === 0 && (
+        <Box sx={ { opacity: 0.5 } }>등록된 루프가 없습니다</Box>
+      ) }
+
+      { stats.map(({ id, label, state, cost, frames }) => (
+        <Box key={ id } sx={ { display: 'flex', alignItems: 'center', gap: 1, py: 0.25 } }>
+          <Box
+            component="span"
+            sx={ { flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' } }
+          >
+            { label }
+          </Box>
+          <Box component="span" sx={ { width: 64, flexShrink: 0, color: STATE_COLORS[state] } }>
+            { state }
+          </Box>
+          <Box
+            component="span"
+            sx={ {
+              width: 56,
+              flexShrink: 0,
+              textAlign: 'right',
+              color: cost > COST_WARNING ? '#FF7A6E' : 'inherit',
+            } }
+          >
+            { cost.toFixed(2) }ms
+          </Box>
+          <Box component="span" sx={ { width: 48, flexShrink: 0, textAlign: 'right', opacity: 0.5 } }>
+            { frames }
+          </Box>
+        </Box>
+      )) }
+    </Box>
+  );
+}
+
+export default FrameLoopInspector;
@@ -1,6 +1,7 @@
 import * as React from 'react';
 import { keyframes } from '@mui/material/styles';
 import Box from '@mui/material/Box';
+import { useReducedMotion } from '../../hooks/useReducedMotion';
 
 const scrollLeftKf = keyframes`
   from { transform: translateX(0); }
@@ -24,6 +25,7 @@ const scrollRightKf = keyframes`
  * 2. translateX 애니메이션으로 무한 스크롤된다
  * 3. 복제된 요소로 끊김 없는 루프를 구현한다
  * 4. (선택) 호버 시 일시정지 / 스크롤 스크러빙 모드 전환
+ * 5. 모션 감소 모드에서는 흐르지 않고, 아이템 1벌을 줄바꿈 배치해 모든 콘텐츠를 바로 보여준다
  *
  * Props:
  * @param {React.ReactNode} children - 마퀴 안에 표시할 콘텐츠 [Required]
@@ -51,6 +53,7 @@ function MarqueeContainer({
   const measureRef = React.useRef(null);
   const trackRef = React.useRef(null);
   const [fillCount, setFillCount] = React.useState(1);
+  const isReducedMotion = useReducedMotion();
 
   const items = React.Children.toArray(children);
   const animation = direction === 'left' ? scrollLeftKf : scrollRightKf;
@@ -72,7 +75,7 @@ function MarqueeContainer({
     const ro = new ResizeObserver(calculate);
     ro.observe(container);
     return () => ro.disconnect();
-  }, [children, gap]);
+  }, [children, gap, isReducedMotion]);
 
   /** 스크롤 스크러빙: 엘리먼트의 뷰포트 통과 진행률로 translateX 제어 */
   React.useEffect(() => {
@@ -97,7 +100,7 @@ function MarqueeContainer({
     window.addEventListener('scroll', onScroll, { passive: true });
     onScroll();
     return () => window.removeEventListener('scroll', onScroll);
-  }, [isScrollScrub, direction, fillCount]);
+  }, [isScrollScrub, direction, fillCount, isReducedMotion]);
 
   /** 아이템 셋 1벌 렌더링 (fillCount만큼 반복) */
   const renderHalf = (prefix) =>
@@ -109,6 +112,25 @@ function MarqueeContainer({
       ))
     ).flat();
 
+  /** 모션 감소 모드: 정적 줄바꿈 배치 */
+  if (isReducedMotion) {
+    return (
+      <Box
+        sx={ {
+          display: 'flex',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          rowGap: gap,
+          width: '100%',
+        } }
+      >
+        { items.map((child, i) => (
+          <Box key={ i } sx={ { flexShrink: 0, mr: gap } }>{ child }</Box>
+        )) }
+      </Box>
+    );
+  }
+
   return (
     <Box
       ref={ containerRef }
@@ -150,10 +172,6 @@ function MarqueeContainer({
           ...(!isScrollScrub && {
             animation: `${animation} ${speed}s linear infinite`,
           }),
-          '@media (prefers-reduced-motion: reduce)': {
-            animation: 'none',
-            transform: 'none !important',
-          },
         } }
       >
         { renderHalf('a') }
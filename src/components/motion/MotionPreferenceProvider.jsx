@@ -0,0 +1,69 @@
+import { useMemo } from 'react';
+import useMediaQuery from '@mui/material/useMediaQuery';
+import { MotionPreferenceContext, REDUCED_MOTION_QUERY } from '../../hooks/useReducedMotion';
+import { usePersistentPreference } from '../../hooks/usePersistentPreference';
+
+/** 사용자 선택 저장 키 */
+const STORAGE_KEY = 'intertext:motion-preference';
+
+/** 허용되는 사용자 선택 값 */
+const PREFERENCES = ['system', 'reduce', 'full'];
+
+/**
+ * MotionPreferenceProvider 컴포넌트
+ *
+ * 앱 전역 모션 감소 모드 Provider.
+ * 시스템 prefers-reduced-motion을 기본으로 따르되, 사용자가 UI에서 직접 켜고 끌 수 있다.
+ * 하위 애니메이션 컴포넌트는 useReducedMotion()으로 정적/크로스페이드 렌더링 여부를 판단한다.
+ *
+ * 동작 흐름:
+ * 1. 마운트 시 localStorage에 저장된 사용자 선택을 읽는다 (없으면 defaultPreference)
+ * 2. 'system'이면 prefers-reduced-motion 미디어 쿼리 값을 따른다
+ * 3. 'reduce' / 'full'이면 시스템 설정과 무관하게 고정한다
+ * 4. setPreference로 바꾼 값은 localStorage에 저장된다 (isPersistent가 true일 때)
+ *
+ * Props:
+ * @param {node} children - 하위 트리 [Required]
+ * @param {string} defaultPreference - 저장값이 없을 때 선택 ('system' | 'reduce' | 'full') [Optional, 기본값: 'system']
+ * @param {string} preference - 외부 제어용 선택 값. 주어지면 저장값/내부 상태보다 우선 [Optional]
+ * @param {boolean} isPersistent - 사용자 선택을 localStorage에 저장 [Optional, 기본값: true]
+ *
+ * Example usage:
+ * <MotionPreferenceProvider>
+ *   <App />
+ * </MotionPreferenceProvider>
+ *
+ * <MotionPreferenceProvider preference="reduce" isPersistent={ false }>
+ *   <Story />
+ * </MotionPreferenceProvider>
+ */
+function MotionPreferenceProvider({
+  children,
+  defaultPreference = 'system',
+  preference: controlledPreference,
+  isPersistent = true,
+}) {
+  const isSystemReduced = useMediaQuery(REDUCED_MOTION_QUERY, { noSsr: true });
+  const [preference, setPreference] = usePersistentPreference(
+    STORAGE_KEY,
+    PREFERENCES,
+    defaultPreference,
+    isPersistent,
+    controlledPreference,
+  );
+
+  const value = useMemo(() => ({
+    preference,
+    setPreference,
+    isSystemReduced,
+    isReducedMotion: preference === 'reduce' || (preference === 'system' && isSystemReduced),
+  }), [preference, setPreference, isSystemReduced]);
+
+  return (
+    <MotionPreferenceContext value={ value }>
+      { children }
+    </MotionPreferenceContext>
+  );
+}
+
+export default MotionPreferenceProvider;
@@ -0,0 +1,69 @@
+import ButtonBase from '@mui/material/ButtonBase';
+import Box from '@mui/material/Box';
+import { useMotionPreference } from '../../hooks/useReducedMotion';
+
+/**
+ * MotionPreferenceToggle 컴포넌트
+ *
+ * 모션 감소 모드를 켜고 끄는 토글 버튼.
+ * MotionPreferenceProvider 안에서만 렌더링되며, Provider가 없으면 아무것도 그리지 않는다.
+ *
+ * 동작 흐름:
+ * 1. 현재 최종 모션 감소 여부(isReducedMotion)를 aria-pressed와 라벨로 표시한다
+ * 2. 클릭하면 현재 상태의 반대('reduce' ↔ 'full')로 사용자 선택을 고정한다
+ * 3. 시스템 설정을 따르는 중이면 라벨 옆에 'Auto'를 함께 표시한다
+ *
+ * Props:
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <MotionPreferenceProvider>
+ *   <MotionPreferenceToggle sx={ { position: 'fixed', left: 24, bottom: 24 } } />
+ * </MotionPreferenceProvider>
+ */
+function MotionPreferenceToggle({ sx }) {
+  const motion = useMotionPreference();
+  if (!motion) return null;
+
+  const { preference, setPreference, isReducedMotion } = motion;
+
+  return (
+    <ButtonBase
+      aria-pressed={ isReducedMotion }
+      onClick={ () => setPreference(isReducedMotion ? 'full' : 'reduce') }
+      sx={ {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: 1,
+        px: 1.5,
+        py: 0.75,
+        borderRadius: 99,
+        border: '1px solid rgba(245, 242, 238, 0.3)',
+        color: '#F5F2EE',
+        mixBlendMode: 'difference',
+        fontFamily: '"Inter", sans-serif',
+        fontSize: 12,
+        letterSpacing: '0.04em',
+        ...sx,
+      } }
+    >
+      {/* 상태 점 — 모션 감소 중이면 채워진 원 */}
+      <Box
+        component="span"
+        sx={ {
+          width: 6,
+          height: 6,
+          borderRadius: '50%',
+          border: '1px solid currentColor',
+          backgroundColor: isReducedMotion ? 'currentColor' : 'transparent',
+        } }
+      />
+      { isReducedMotion ? '모션 줄임' : '모션 켜짐' }
+      { preference === 'system' && (
+        <Box component="span" sx={ { opacity: 0.5 } }>Auto</Box>
+      ) }
+    </ButtonBase>
+  );
+}
+
+export default MotionPreferenceToggle;
@@ -0,0 +1,63 @@
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import MotionPreferenceToggle from './MotionPreferenceToggle';
+import MotionPreferenceProvider from './MotionPreferenceProvider';
+import MarqueeContainer from './MarqueeContainer';
+import RandomRevealText from '../kinetic-typography/RandomRevealText';
+
+export default {
+  title: 'Interactive/14. Motion/MotionPreferenceToggle',
+  component: MotionPreferenceToggle,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+/** 토글 상태에 따라 함께 바뀌는 애니메이션 미리보기 */
+const MotionPreview = () => (
+  <Box sx={ { display: 'flex', flexDirection: 'column', gap: 4, mt: 4 } }>
+    <RandomRevealText text="Trust thyself." variant="h3" sx={ { color: '#F5F2EE' } } />
+    <MarqueeContainer speed={ 12 }>
+      { ['자기신뢰', '직관', '한줄기 빛', '운의 비밀'].map((word) => (
+        <Typography key={ word } sx={ { color: 'rgba(245, 242, 238, 0.6)', fontSize: 24 } }>
+          { word }
+        </Typography>
+      )) }
+    </MarqueeContainer>
+  </Box>
+);
+
+/**
+ * ## Default
+ *
+ * 스토리북 툴바의 Motion 설정을 따르는 Provider 안에서 렌더링됩니다.
+ * 토글을 누르면 아래 미리보기가 정적 렌더링으로 전환됩니다.
+ */
+export const Default = {
+  render: (args) => (
+    <Box sx={ { minHeight: '100svh', p: 4, backgroundColor: '#12100E' } }>
+      <MotionPreferenceToggle { ...args } />
+      <MotionPreview />
+    </Box>
+  ),
+};
+
+/**
+ * ## Isolated Provider
+ *
+ * 저장하지 않는 독립 Provider. 시스템 설정에서 시작합니다.
+ */
+export const IsolatedProvider = {
+  render: (args) => (
+    <MotionPreferenceProvider isPersistent={ false }>
+      <Box sx={ { minHeight: '100svh', p: 4, backgroundColor: '#12100E' } }>
+        <MotionPreferenceToggle { ...args } />
+        <MotionPreview />
+      </Box>
+    </MotionPreferenceProvider>
+  ),
+};
@@ -1,5 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
 import Box from '@mui/material/Box';
+import { useReducedMotion } from '../../hooks/useReducedMotion';
 
 /**
  * PerspectiveTransition 컴포넌트
@@ -13,6 +14,7 @@ import Box from '@mui/material/Box';
  * 2. isIn이 true가 되면 rotateX(0deg)로 세워지며 나타난다
  * 3. transformOrigin이 회전 축(힌지)을 결정한다
  * 4. isTriggerOnView가 true이면 요소가 뷰포트에 진입할 때 자동 트리거된다
+ * 5. 모션 감소 모드에서는 회전 없이 opacity 크로스페이드만 적용된다
  *
  * Props:
  * @param {React.ReactNode} children - 전환할 콘텐츠 [Required]
@@ -46,6 +48,7 @@ function PerspectiveTransition({
 }) {
   const ref = useRef(null);
   const [isVisible, setIsVisible] = useState(false);
+  const isReducedMotion = useReducedMotion();
 
   /** IntersectionObserver 기반 뷰포트 진입 감지 */
   useEffect(() => {
@@ -76,7 +79,11 @@ function PerspectiveTransition({
     return () => cancelAnimationFrame(raf);
   }, [isIn, isTriggerOnView]);
 
-  const isActive = isVisible;
+  /** 모션 감소 모드: 회전 없이 opacity 크로스페이드만, 뷰포트 트리거 요소는 처음부터 표시 */
+  const isActive = isVisible || (isReducedMotion && isTriggerOnView);
+  const transition = isReducedMotion
+    ? `opacity ${duration}ms ${easing}`
+    : `opacity ${duration}ms ${easing} ${delay}ms, transform ${duration}ms ${easing} ${delay}ms`;
 
   return (
     <Box
@@ -89,17 +96,12 @@ function PerspectiveTransition({
       <Box
         sx={ {
           opacity: isActive ? 1 : 0,
-          transform: isActive
+          transform: isActive || isReducedMotion
             ? 'rotateX(0deg)'
             : `rotateX(${rotateFrom}deg)`,
           transformOrigin,
-          transition: `opacity ${duration}ms ${easing} ${delay}ms, transform ${duration}ms ${easing} ${delay}ms`,
+          transition,
           willChange: 'opacity, transform',
-          '@media (prefers-reduced-motion: reduce)': {
-            transition: 'none',
-            opacity: 1,
-            transform: 'none',
-          },
         } }
       >
         { children }
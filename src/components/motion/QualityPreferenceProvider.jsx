@@ -0,0 +1,80 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { QualityPreferenceContext } from '../../hooks/useQuality';
+import { usePersistentPreference } from '../../hooks/usePersistentPreference';
+import {
+  DEFAULT_QUALITY_TIER,
+  getAdaptiveQualityTier,
+  subscribeAdaptiveQuality,
+} from '../../utils/adaptiveQuality';
+
+/** 사용자 선택 저장 키 */
+const STORAGE_KEY = 'intertext:quality-preference';
+
+/** 허용되는 사용자 선택 값 */
+const PREFERENCES = ['auto', 'high', 'medium', 'low'];
+
+/** auto가 아닐 때 — 측정을 돌리지 않는다 */
+const subscribeNothing = () => () => {};
+
+/**
+ * QualityPreferenceProvider 컴포넌트
+ *
+ * 앱 전역 렌더 품질 Provider.
+ * 기본은 프레임 시간을 측정해 단계를 고르는 'auto'이며, 사용자가 UI에서 단계를 고정할 수 있다.
+ * 하위 WebGL 비주얼(GeometricPattern, GradientOverlay)은 useQuality()로 파티클 수·픽셀 비율·경계면 물결·그레인을 정한다.
+ *
+ * 동작 흐름:
+ * 1. 마운트 시 localStorage에 저장된 사용자 선택을 읽는다 (없으면 defaultPreference)
+ * 2. 'auto'면 utils/adaptiveQuality를 구독해 측정된 단계를 따른다 (처음 몇 초 보정 후 실행 중에도 계속 조정)
+ * 3. 'high' / 'medium' / 'low'면 측정과 무관하게 고정한다
+ * 4. setPreference로 바꾼 값은 localStorage에 저장된다 (isPersistent가 true일 때)
+ *
+ * Props:
+ * @param {node} children - 하위 트리 [Required]
+ * @param {string} defaultPreference - 저장값이 없을 때 선택 ('auto' | 'high' | 'medium' | 'low') [Optional, 기본값: 'auto']
+ * @param {string} preference - 외부 제어용 선택 값. 주어지면 저장값/내부 상태보다 우선 [Optional]
+ * @param {boolean} isPersistent - 사용자 선택을 localStorage에 저장 [Optional, 기본값: true]
+ *
+ * Example usage:
+ * <QualityPreferenceProvider>
+ *   <App />
+ * </QualityPreferenceProvider>
+ *
+ * <QualityPreferenceProvider preference="low" isPersistent={ false }>
+ *   <Story />
+ * </QualityPreferenceProvider>
+ */
+function QualityPreferenceProvider({
+  children,
+  defaultPreference = 'auto',
+  preference: controlledPreference,
+  isPersistent = true,
+}) {
+  const [preference, setPreference] = usePersistentPreference(
+    STORAGE_KEY,
+    PREFERENCES,
+    defaultPreference,
+    isPersistent,
+    controlledPreference,
+  );
+
+  const adaptiveTier = useSyncExternalStore(
+    preference === 'auto' ? subscribeAdaptiveQuality : subscribeNothing,
+    getAdaptiveQualityTier,
+    () => DEFAULT_QUALITY_TIER,
+  );
+
+  const value = useMemo(() => ({
+    preference,
+    setPreference,
+    tier: preference === 'auto' ? adaptiveTier : preference,
+  }), [preference, setPreference, adaptiveTier]);
+
+  return (
+    <QualityPreferenceContext value={ value }>
+      { children }
+    </QualityPreferenceContext>
+  );
+}
+
+export default QualityPreferenceProvider;
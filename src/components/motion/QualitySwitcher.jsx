@@ -0,0 +1,103 @@
+import ButtonBase from '@mui/material/ButtonBase';
+import Box from '@mui/material/Box';
+import { useQualityPreference } from '../../hooks/useQuality';
+
+/** 선택지 — 값과 라벨 */
+const OPTIONS = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'high', label: '높음' },
+  { value: 'medium', label: '보통' },
+  { value: 'low', label: '낮음' },
+];
+
+/** 단계 라벨 (auto 선택 시 측정된 단계 표시) */
+const TIER_LABELS = { high: '높음', medium: '보통', low: '낮음' };
+
+/**
+ * QualitySwitcher 컴포넌트
+ *
+ * 렌더 품질(자동 / 높음 / 보통 / 낮음)을 고르는 라디오 그룹.
+ * QualityPreferenceProvider 안에서만 렌더링되며, Provider가 없으면 아무것도 그리지 않는다.
+ * ThemeSwitcher와 같은 모양으로, mix-blend-mode: difference로 어떤 배경 위에서도 읽힌다.
+ *
+ * 동작 흐름:
+ * 1. 선택지마다 버튼을 그리고 현재 선택은 aria-checked와 채워진 점으로 표시한다
+ * 2. 'Auto' 선택 중이면 측정으로 정해진 현재 단계를 라벨 옆에 함께 표시한다
+ * 3. 클릭하면 setPreference로 선택을 바꾸고, Provider가 선택을 저장한다
+ *
+ * Props:
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <QualityPreferenceProvider>
+ *   <QualitySwitcher sx={ { position: 'fixed', left: 24, bottom: 112 } } />
+ * </QualityPreferenceProvider>
+ */
+function QualitySwitcher({ sx }) {
+  const quality = useQualityPreference();
+  if (!quality) return null;
+
+  const { preference, setPreference, tier } = quality;
+
+  return (
+    <Box
+      role="radiogroup"
+      aria-label="렌더 품질"
+      sx={ {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: 0.5,
+        p: 0.5,
+        borderRadius: 99,
+        border: '1px solid rgba(245, 242, 238, 0.3)',
+        color: '#F5F2EE',
+        mixBlendMode: 'difference',
+        ...sx,
+      } }
+    >
+      { OPTIONS.map(({ value, label }) => {
+        const isChecked = value === preference;
+        return (
+          <ButtonBase
+            key={ value }
+            role="radio"
+            aria-checked={ isChecked }
+            onClick={ () => setPreference(value) }
+            sx={ {
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: 0.75,
+              px: 1.25,
+              py: 0.5,
+              borderRadius: 99,
+              fontFamily: '"Inter", sans-serif',
+              fontSize: 12,
+              letterSpacing: '0.04em',
+              opacity: isChecked ? 1 : 0.55,
+              transition: 'opacity 0.3s ease',
+              '&:hover': { opacity: 1 },
+            } }
+          >
+            {/* 선택 점 — 현재 선택이면 채워진 원 */}
+            <Box
+              component="span"
+              sx={ {
+                width: 6,
+                height: 6,
+                borderRadius: '50%',
+                border: '1px solid currentColor',
+                backgroundColor: isChecked ? 'currentColor' : 'transparent',
+              } }
+            />
+            { label }
+            { value === 'auto' && isChecked && (
+              <Box component="span" sx={ { opacity: 0.5 } }>{ TIER_LABELS[tier] }</Box>
+            ) }
+          </ButtonBase>
+        );
+      }) }
+    </Box>
+  );
+}
+
+export default QualitySwitcher;
@@ -0,0 +1,61 @@
+import Box from '@mui/material/Box';
+import QualitySwitcher from './QualitySwitcher';
+import QualityPreferenceProvider from './QualityPreferenceProvider';
+import FrameLoopInspector from './FrameLoopInspector';
+import GeometricPattern from '../dynamic-color/GeometricPattern';
+
+export default {
+  title: 'Interactive/14. Motion/QualitySwitcher',
+  component: QualitySwitcher,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+/** 선택한 품질 단계를 따르는 WebGL 패턴 미리보기 */
+const QualityPreview = () => (
+  <Box sx={ { display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 2, mt: 4 } }>
+    { ['grid', 'nebula', 'scatter'].map((variant) => (
+      <Box key={ variant } sx={ { aspectRatio: '3 / 4' } }>
+        <GeometricPattern variant={ variant } />
+      </Box>
+    )) }
+  </Box>
+);
+
+/**
+ * ## Default
+ *
+ * 스토리북 툴바의 Quality 설정을 따르는 Provider 안에서 렌더링됩니다.
+ * 툴바 값이 우선하므로 여기서는 현재 선택만 표시됩니다.
+ */
+export const Default = {
+  render: (args) => (
+    <Box sx={ { minHeight: '100svh', p: 4, backgroundColor: '#12100E' } }>
+      <QualitySwitcher { ...args } />
+      <QualityPreview />
+    </Box>
+  ),
+};
+
+/**
+ * ## Isolated Provider
+ *
+ * 저장하지 않는 독립 Provider. Auto에서 시작해 처음 몇 초 동안 프레임 시간을 측정한 뒤 단계를 고릅니다.
+ * 버튼으로 단계를 고정하면 패턴이 해당 단계로 다시 그려지고, FrameLoopInspector에서 프레임 비용 변화를 볼 수 있습니다.
+ */
+export const IsolatedProvider = {
+  render: (args) => (
+    <QualityPreferenceProvider isPersistent={ false }>
+      <Box sx={ { minHeight: '100svh', p: 4, backgroundColor: '#12100E' } }>
+        <QualitySwitcher { ...args } />
+        <QualityPreview />
+      </Box>
+      <FrameLoopInspector />
+    </QualityPreferenceProvider>
+  ),
+};
@@ -0,0 +1,193 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import Box from '@mui/material/Box';
+import ButtonBase from '@mui/material/ButtonBase';
+import Slider from '@mui/material/Slider';
+import { TimelineInspectorContext } from '../../hooks/useTimeline';
+import { useAnimationClock } from '../../hooks/useAnimationClock';
+
+/** 패널 버튼 공통 스타일 */
+const controlSx = {
+  px: 1,
+  py: 0.25,
+  borderRadius: 1,
+  border: '1px solid rgba(245, 242, 238, 0.25)',
+  fontFamily: 'monospace',
+  fontSize: 11,
+  color: '#F5F2EE',
+  '&:hover': { backgroundColor: 'rgba(245, 242, 238, 0.08)' },
+};
+
+/** 스텝 상태별 막대 색 */
+const STATUS_COLORS = {
+  pending: 'rgba(245, 242, 238, 0.15)',
+  active: '#FFC66E',
+  done: 'rgba(245, 242, 238, 0.5)',
+};
+
+/** ms → "1.20s" */
+const formatTime = (ms) => (Number.isFinite(ms) ? `${(ms / 1000).toFixed(2)}s` : '…');
+
+/**
+ * 타임라인 하나의 스텝 막대 + 재생 컨트롤
+ */
+function TimelineTrack({ name, timeline, time }) {
+  const { schedule, duration, direction, isPlaying } = timeline;
+
+  /** 열린 스텝이 아직 안 끝났으면 지금까지 확정된 구간 + 현재 시각으로 축을 잡는다 */
+  const scale = useMemo(() => {
+    const finiteEnds = schedule.flatMap(({ start, end }) => [start, end]).filter(Number.isFinite);
+    return Math.max(...finiteEnds, time, 1);
+  }, [schedule, time]);
+
+  return (
+    <Box sx={ { display: 'flex', flexDirection: 'column', gap: 0.75 } }>
+      <Box sx={ { display: 'flex', alignItems: 'center', gap: 1 } }>
+        <Box component="span" sx={ { fontWeight: 700, mr: 'auto' } }>{ name }</Box>
+        <Box component="span" sx={ { opacity: 0.6 } }>
+          { formatTime(time) } / { formatTime(duration) } { direction < 0 ? '◀' : '▶' }
+        </Box>
+        <ButtonBase sx={ controlSx } onClick={ isPlaying ? timeline.pause : timeline.play }>
+          { isPlaying ? 'pause' : 'play' }
+        </ButtonBase>
+        <ButtonBase sx={ controlSx } onClick={ timeline.reverse }>reverse</ButtonBase>
+        <ButtonBase sx={ controlSx } onClick={ timeline.restart }>restart</ButtonBase>
+        <ButtonBase sx={ controlSx } onClick={ timeline.skipToEnd }>end</ButtonBase>
+      </Box>
+
+      <Slider
+        size="small"
+        min={ 0 }
+        max={ scale }
+        value={ Math.min(time, scale) }
+        onChange={ (event, value) => timeline.seek(value) }
+        aria-label={ `${name} seek` }
+        sx={ { color: '#FFC66E', py: 0.5 } }
+      />
+
+      { schedule.map(({ id, start, end, isOpen }) => (
+        <Box key={ id } sx={ { display: 'flex', alignItems: 'center', gap: 1 } }>
+          <Box component="span" sx={ { width: 96, flexShrink: 0, overflow: 'hidden', textOverflow: 'ellipsis' } }>
+            { id }
+          </Box>
+          <Box sx={ { position: 'relative', flex: 1, height: 8 } }>
+            { Number.isFinite(start) && (
+              <Box
+                sx={ {
+                  position: 'absolute',
+                  top: 0,
+                  bottom: 0,
+                  left: `${(start / scale) * 100}%`,
+                  width: `${((Math.min(end, scale) - start) / scale) * 100}%`,
+                  minWidth: 2,
+                  backgroundColor: STATUS_COLORS[timeline.getStatus(id)],
+                  borderRight: isOpen && !Number.isFinite(end) ? '1px dashed #FFC66E' : 'none',
+                } }
+              />
+            ) }
+            <Box
+              sx={ {
+                position: 'absolute',
+                top: -2,
+                bottom: -2,
+                left: `${(Math.min(time, scale) / scale) * 100}%`,
+                width: '1px',
+                backgroundColor: '#F5F2EE',
+              } }
+            />
+          </Box>
+          <Box component="span" sx={ { width: 88, flexShrink: 0, opacity: 0.5, textAlign: 'right' } }>
+            { formatTime(start) }{ isOpen ? ' ~' : '' }
+          </Box>
+        </Box>
+      )) }
+    </Box>
+  );
+}
+
+/**
+ * TimelineInspector 컴포넌트
+ *
+ * useTimeline으로 만든 섹션 인트로 연출을 Storybook에서 보고 조작하기 위한 개발용 패널.
+ * 하위 트리에서 name 옵션을 준 타임라인이 자동으로 등록된다.
+ *
+ * 동작 흐름:
+ * 1. TimelineInspectorContext로 register/unregister를 제공한다
+ * 2. 등록된 타임라인마다 스텝 막대(대기/진행/완료)와 재생 위치를 화면 하단 패널에 그린다
+ * 3. play/pause, reverse, restart, 끝으로 건너뛰기 버튼과 탐색 슬라이더로 타임라인을 조작한다
+ * 4. 재생 중에는 프레임마다 timeline.getTime()으로 재생 위치를 갱신한다 (섹션은 경계에서만 리렌더)
+ *
+ * Props:
+ * @param {node} children - 하위 트리 [Required]
+ * @param {boolean} isOpen - 패널 표시 여부 [Optional, 기본값: true]
+ *
+ * Example usage:
+ * <TimelineInspector>
+ *   <ArticleSection title="운의 비밀" bodyBlocks={ blocks } />
+ * </TimelineInspector>
+ */
+function TimelineInspector({ children, isOpen = true }) {
+  const clock = useAnimationClock();
+  const [timelines, setTimelines] = useState({});
+  const [, setFrame] = useState(0);
+
+  const register = useCallback((name, timeline) => {
+    setTimelines((prev) => (prev[name] === timeline ? prev : { ...prev, [name]: timeline }));
+  }, []);
+
+  const unregister = useCallback((name) => {
+    setTimelines((prev) => {
+      const { [name]: removed, ...rest } = prev;
+      return removed ? rest : prev;
+    });
+  }, []);
+
+  const value = useMemo(() => ({ register, unregister }), [register, unregister]);
+  const isAnyPlaying = Object.values(timelines).some((timeline) => timeline.isPlaying);
+
+  /** 재생 중인 타임라인이 있으면 프레임마다 패널만 다시 그린다 */
+  useEffect(() => {
+    if (!isOpen || !isAnyPlaying) return;
+
+    let frameId = null;
+    const tick = () => {
+      setFrame((frame) => frame + 1);
+      frameId = clock.requestFrame(tick);
+    };
+    frameId = clock.requestFrame(tick);
+    return () => clock.cancelFrame(frameId);
+  }, [isOpen, isAnyPlaying, clock]);
+
+  return (
+    <TimelineInspectorContext value={ value }>
+      { children }
+      { isOpen && Object.keys(timelines).length > 0 && (
+        <Box
+          sx={ {
+            position: 'fixed',
+            left: 16,
+            right: 16,
+            bottom: 16,
+            zIndex: 2000,
+            maxHeight: '40vh',
+            overflowY: 'auto',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: 2,
+            p: 2,
+            borderRadius: 1,
+            backgroundColor: 'rgba(18, 16, 14, 0.92)',
+            color: '#F5F2EE',
+            fontFamily: 'monospace',
+            fontSize: 11,
+          } }
+        >
+          { Object.entries(timelines).map(([name, timeline]) => (
+            <TimelineTrack key={ name } name={ name } timeline={ timeline } time={ timeline.getTime() } />
+          )) }
+        </Box>
+      ) }
+    </TimelineInspectorContext>
+  );
+}
+
+export default TimelineInspector;
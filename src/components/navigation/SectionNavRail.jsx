@@ -0,0 +1,159 @@
+import { forwardRef, useState } from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import { Indicator } from '../../common/ui/Indicator';
+import { NavMenu } from './NavMenu';
+
+/**
+ * SectionNavRail 컴포넌트
+ *
+ * 매거진 페이지 우측에 고정되는 인페이지 네비게이션 레일.
+ * Indicator(세로 dash)로 현재 섹션 위치를 표시하고, 호버/포커스 시 NavMenu로 전체 목차를 펼친다.
+ * mix-blend-mode: difference를 사용해 라이트/다크 배경 어디서든 읽힌다.
+ *
+ * 동작 방식:
+ * 1. items 순서대로 세로 인디케이터를 그리고 activeId 항목을 강조
+ * 2. 활성 항목 라벨과 "03 / 12" 형식의 위치를 인디케이터 옆에 표시
+ * 3. 레일에 마우스를 올리거나 키보드 포커스가 들어오면 NavMenu 목차가 펼쳐짐
+ * 4. 인디케이터 또는 목차 항목 클릭 시 onItemClick(item) 호출
+ *
+ * Props:
+ * @param {Array} items - 네비게이션 항목 배열 [{ id, label }] [Required]
+ * @param {string} activeId - 현재 활성 항목 id [Optional]
+ * @param {function} onItemClick - 항목 클릭 핸들러 (item) => void [Optional]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <SectionNavRail
+ *   items={[{ id: 'hero', label: '표지' }, { id: 'article-1', label: '당신 안의 진실' }]}
+ *   activeId={activeId}
+ *   onItemClick={(item) => scrollToAnchor(item.id)}
+ * />
+ */
+const SectionNavRail = forwardRef(function SectionNavRail({
+  items = [],
+  activeId,
+  onItemClick,
+  sx,
+  ...props
+}, ref) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (items.length === 0) return null;
+
+  const activeIndex = Math.max(0, items.findIndex((item) => item.id === activeId));
+  const activeItem = items[activeIndex];
+  const formatNumber = (n) => String(n).padStart(2, '0');
+
+  /**
+   * 포커스가 레일 밖으로 나갈 때만 접는다
+   */
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsExpanded(false);
+  };
+
+  return (
+    <Box
+      ref={ ref }
+      component="aside"
+      aria-label="섹션 목차"
+      onMouseEnter={ () => setIsExpanded(true) }
+      onMouseLeave={ () => setIsExpanded(false) }
+      onFocus={ () => setIsExpanded(true) }
+      onBlur={ handleBlur }
+      sx={ {
+        position: 'fixed',
+        top: '50%',
+        right: { xs: 12, md: 24 },
+        transform: 'translateY(-50%)',
+        zIndex: 20,
+        display: { xs: 'none', sm: 'flex' },
+        alignItems: 'center',
+        gap: 2,
+        color: '#F5F2EE',
+        mixBlendMode: 'difference',
+        ...sx,
+      } }
+      { ...props }
+    >
+      {/* 펼친 목차 — 호버/포커스 시에만 표시 */}
+      <NavMenu
+        items={ items }
+        activeId={ activeItem.id }
+        orientation="vertical"
+        size="sm"
+        onItemClick={ onItemClick }
+        aria-hidden={ !isExpanded }
+        sx={ {
+          opacity: isExpanded ? 1 : 0,
+          visibility: isExpanded ? 'visible' : 'hidden',
+          transform: isExpanded ? 'translateX(0)' : 'translateX(8px)',
+          transition: 'opacity 0.3s ease, transform 0.3s ease, visibility 0.3s',
+          maxHeight: '70svh',
+          overflowY: 'auto',
+          '& [role="menuitem"]': {
+            justifyContent: 'flex-end',
+            color: 'rgba(245,242,238,0.5)',
+            fontFamily: '"Noto Serif KR", serif',
+            backgroundColor: 'transparent',
+          },
+          '& [role="menuitem"]:hover, & [aria-current="page"]': {
+            color: '#F5F2EE',
+            backgroundColor: 'transparent',
+          },
+        } }
+      />
+
+      {/* 활성 섹션 라벨 — 목차가 접혀 있을 때만 표시 */}
+      <Box
+        aria-live="polite"
+        sx={ {
+          textAlign: 'right',
+          opacity: isExpanded ? 0 : 1,
+          transition: 'opacity 0.3s ease',
+          pointerEvents: 'none',
+          position: isExpanded ? 'absolute' : 'static',
+        } }
+      >
+        <Typography
+          sx={ {
+            fontFamily: '"Cormorant Garamond", serif',
+            fontStyle: 'italic',
+            fontSize: 13,
+            color: 'rgba(245,242,238,0.5)',
+          } }
+        >
+          { formatNumber(activeIndex + 1) } / { formatNumber(items.length) }
+        </Typography>
+        <Typography
+          sx={ {
+            fontFamily: '"Noto Serif KR", serif',
+            fontSize: 13,
+            color: '#F5F2EE',
+            maxWidth: 160,
+            whiteSpace: 'nowrap',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+          } }
+        >
+          { activeItem.label }
+        </Typography>
+      </Box>
+
+      {/* 진행 인디케이터 */}
+      <Indicator
+        total={ items.length }
+        current={ activeIndex }
+        variant="dash"
+        direction="vertical"
+        size="sm"
+        activeColor="#F5F2EE"
+        inactiveColor="rgba(245,242,238,0.4)"
+        hasHoverEffect={ false }
+        onClick={ onItemClick ? (index) => onItemClick(items[index]) : undefined }
+      />
+    </Box>
+  );
+});
+
+export { SectionNavRail };
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import Box from '@mui/material/Box';
+import { SectionNavRail } from './SectionNavRail';
+import magazinePage from '../../data/magazinePage';
+
+const navItems = magazinePage.sections
+  .filter((descriptor) => descriptor.navLabel)
+  .map((descriptor) => ({ id: descriptor.id, label: descriptor.navLabel }));
+
+export default {
+  title: 'Component/10. Navigation/SectionNavRail',
+  component: SectionNavRail,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    items: { control: 'object', description: '네비게이션 항목 배열 [{ id, label }]' },
+    activeId: { control: 'text', description: '현재 활성 항목 id' },
+    onItemClick: { action: 'itemClicked', description: '항목 클릭 핸들러 (item)' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+/**
+ * Story Component: Interactive Demo
+ */
+function InteractiveDemo() {
+  const [activeId, setActiveId] = useState(navItems[0]?.id);
+
+  return (
+    <Box sx={ { minHeight: '100svh', backgroundColor: '#12100E' } }>
+      <SectionNavRail
+        items={ navItems }
+        activeId={ activeId }
+        onItemClick={ (item) => setActiveId(item.id) }
+      />
+    </Box>
+  );
+}
+
+/**
+ * ## Default
+ *
+ * magazinePage 스키마의 navLabel 항목으로 구성한 레일.
+ * 레일에 마우스를 올리면 전체 목차가 펼쳐집니다.
+ */
+export const Default = {
+  args: {
+    items: navItems,
+    activeId: navItems[2]?.id,
+  },
+  render: (args) => (
+    <Box sx={ { minHeight: '100svh', backgroundColor: '#12100E' } }>
+      <SectionNavRail { ...args } />
+    </Box>
+  ),
+};
+
+/**
+ * ## Light Background
+ *
+ * mix-blend-mode: difference로 라이트 배경에서도 읽히는지 확인합니다.
+ */
+export const LightBackground = {
+  args: {
+    items: navItems,
+    activeId: navItems[0]?.id,
+  },
+  render: (args) => (
+    <Box sx={ { minHeight: '100svh', backgroundColor: '#F5F2EE' } }>
+      <SectionNavRail { ...args } />
+    </Box>
+  ),
+};
+
+/**
+ * ## Interactive
+ *
+ * 클릭한 항목이 활성 상태가 됩니다.
+ */
+export const Interactive = {
+  render: () => <InteractiveDemo />,
+};
@@ -1,2 +1,3 @@
 export { NavMenu } from './NavMenu.jsx';
 export { GNB, useGNB } from './GNB.jsx';
+export { SectionNavRail } from './SectionNavRail.jsx';
@@ -1,7 +1,8 @@
 import React, { useRef } from 'react';
 import Box from '@mui/material/Box';
 // eslint-disable-next-line no-unused-vars
-import { motion, useScroll, useTransform } from 'framer-motion';
+import { motion, useTransform } from 'framer-motion';
+import { useScrollProgress } from '../../hooks/useScrollProgress';
 
 /**
  * ScrollScaleContainer - 스크롤 연동 스케일 컨테이너
@@ -11,7 +12,7 @@ import { motion, useScroll, useTransform } from 'framer-motion';
  *
  * 동작 원리:
  * 1. 외부 Box가 children의 원본 크기만큼 공간을 확보한다
- * 2. Framer Motion useScroll로 요소의 뷰포트 내 스크롤 진행도(0→1)를 추적한다
+ * 2. 공유 스크롤 타임라인(useScrollProgress)으로 요소의 뷰포트 내 스크롤 진행도(0→1)를 추적한다
  * 3. useTransform으로 진행도를 scaleFrom→scaleTo 범위에 선형 매핑한다
  * 4. 내부 motion.div에 transform: scale()을 적용한다 (layout flow 무영향)
  * 5. 요소가 뷰포트에 진입하면 작은 상태에서 시작, 중앙에 도달하면 원본 크기
@@ -21,7 +22,7 @@ import { motion, useScroll, useTransform } from 'framer-motion';
  * @param {number} scaleFrom - 최소 스케일 (뷰포트 밖) [Optional, 기본값: 0.85]
  * @param {number} scaleTo - 최대 스케일 (뷰포트 완전 노출) [Optional, 기본값: 1]
  * @param {string} transformOrigin - 스케일 기준점 [Optional, 기본값: 'center center']
- * @param {string[]} offset - Framer Motion useScroll offset 배열 [Optional, 기본값: ['start end', 'center center']]
+ * @param {string[]} offset - [시작 지점, 끝 지점] 오프셋 배열 (useScrollProgress 형식) [Optional, 기본값: ['start end', 'center center']]
  * @param {function} ease - 이징 함수 (t => number). 스케일 보간에 적용 [Optional, 기본값: easeOutCubic]
  * @param {object} sx - 외부 컨테이너 추가 스타일 [Optional]
  *
@@ -44,12 +45,12 @@ function ScrollScaleContainer({
 }) {
   const containerRef = useRef(null);
 
-  const { scrollYProgress } = useScroll({
-    target: containerRef,
-    offset,
+  const scrollProgress = useScrollProgress(containerRef, {
+    start: offset[0],
+    end: offset[1],
   });
 
-  const scale = useTransform(scrollYProgress, [0, 1], [scaleFrom, scaleTo], {
+  const scale = useTransform(scrollProgress, [0, 1], [scaleFrom, scaleTo], {
     ease,
   });
 
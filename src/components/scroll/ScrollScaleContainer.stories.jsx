@@ -22,6 +22,7 @@ export default {
   },
   parameters: {
     layout: 'fullscreen',
+    timelineScrubber: { mode: 'scroll' },
   },
 };
 
@@ -1,5 +1,6 @@
-import { useRef, useEffect, useState } from 'react';
+import { useRef, useEffect, useState, useCallback } from 'react';
 import Box from '@mui/material/Box';
+import { useScrollProgress } from '../../hooks/useScrollProgress';
 
 /**
  * VideoScrubbing Component
@@ -58,79 +59,39 @@ const VideoScrubbing = ({
     return () => observer.disconnect();
   }, []);
 
-  useEffect(() => {
+  // Scroll progress from the shared scroll timeline:
+  // 0 when the tracked element's top reaches the viewport top, 1 when its bottom does
+  const handleProgress = useCallback((rawProgress) => {
     const video = videoRef.current;
-    if (!video || !isInView) return;
-
-    let animationFrameId = null;
-    let lastScrollTime = 0;
-    const throttleDelay = 16; // ~60fps
-
-    const updateVideoTime = () => {
-      const now = Date.now();
-      if (now - lastScrollTime < throttleDelay) {
-        animationFrameId = requestAnimationFrame(updateVideoTime);
-        return;
-      }
-      lastScrollTime = now;
-
-      let progress = 0;
-
-      if (containerRef && containerRef.current) {
-        const container = containerRef.current;
-        const containerHeight = container.offsetHeight;
-        const containerOffsetTop = container.offsetTop;
-        const scrollY = window.scrollY || window.pageYOffset;
-
-        progress = (scrollY - containerOffsetTop) / containerHeight;
-      } else {
-        const videoHeight = video.offsetHeight;
-        const videoOffsetTop = video.offsetTop;
-        const scrollY = window.scrollY || window.pageYOffset;
-
-        progress = (scrollY - videoOffsetTop) / videoHeight;
-      }
-
-      // Apply scroll range mapping
-      const { start, end } = scrollRange;
-      progress = (progress - start) / (end - start);
-
-      // Clamp between 0 and 1
-      progress = Math.max(0, Math.min(1, progress));
-
-      // Callback
-      if (onProgressChange) {
-        onProgressChange(progress);
-      }
-
-      // Update video time
-      if (video.duration) {
-        const targetTime = video.duration * progress;
-        if (Math.abs(video.currentTime - targetTime) > 0.033) {
-          video.currentTime = targetTime;
-        }
-      }
-
-      animationFrameId = requestAnimationFrame(updateVideoTime);
-    };
+    if (!video) return;
 
-    animationFrameId = requestAnimationFrame(updateVideoTime);
+    // Apply scroll range mapping
+    const { start, end } = scrollRange;
+    let progress = (rawProgress - start) / (end - start);
 
-    const handleScroll = () => {
-      if (!animationFrameId) {
-        animationFrameId = requestAnimationFrame(updateVideoTime);
-      }
-    };
+    // Clamp between 0 and 1
+    progress = Math.max(0, Math.min(1, progress));
 
-    window.addEventListener('scroll', handleScroll, { passive: true });
+    // Callback
+    if (onProgressChange) {
+      onProgressChange(progress);
+    }
 
-    return () => {
-      window.removeEventListener('scroll', handleScroll);
-      if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
+    // Update video time
+    if (video.duration) {
+      const targetTime = video.duration * progress;
+      if (Math.abs(video.currentTime - targetTime) > 0.033) {
+        video.currentTime = targetTime;
       }
-    };
-  }, [isInView, containerRef, scrollRange, onProgressChange]);
+    }
+  }, [scrollRange, onProgressChange]);
+
+  useScrollProgress(containerRef ?? videoRef, {
+    start: 'start start',
+    end: 'end start',
+    onChange: handleProgress,
+    isEnabled: isInView,
+  });
 
   return (
     <Box
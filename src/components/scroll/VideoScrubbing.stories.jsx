@@ -21,6 +21,7 @@ export default {
   tags: ['autodocs'],
   parameters: {
     layout: 'fullscreen',
+    timelineScrubber: { mode: 'scroll' },
     docs: {
       description: {
         component: `
@@ -0,0 +1,41 @@
+import { useMemo } from 'react';
+import { ThemeProvider } from '@mui/material/styles';
+import { createCoverTheme } from '../../styles/themes';
+import { useThemePreference } from '../../hooks/useThemePreference';
+
+/**
+ * CoverThemeProvider 컴포넌트
+ *
+ * 커버 이미지에서 추출한 팔레트로 만든 호별 아트 디렉션 테마를 하위 트리에 적용한다.
+ * GradientOverlay, GeometricPattern, 섹션은 theme.magazine을 읽으므로 별도 props 없이 호 색상으로 바뀐다.
+ *
+ * 동작 흐름:
+ * 1. palette가 없으면(추출 실패, SSR) 바깥 테마를 그대로 쓴다
+ * 2. 사용자가 ThemeSwitcher에서 기본 테마 외의 테마(다크, 고대비)를 골랐으면 그 선택을 우선한다
+ * 3. 그 외에는 palette로 테마를 만들어 ThemeProvider로 감싼다
+ *
+ * Props:
+ * @param {object} palette - 매거진 팔레트 (utils/coverPalette의 derivePalette 결과) [Optional]
+ * @param {node} children - 하위 트리 [Required]
+ *
+ * Example usage:
+ * const palette = use(loadCoverPalette(issue.cover));
+ * <CoverThemeProvider palette={ palette }>
+ *   <MagazinePage sections={ sections } />
+ * </CoverThemeProvider>
+ */
+function CoverThemeProvider({ palette, children }) {
+  const preference = useThemePreference();
+  const isUserTheme = preference && preference.themeName !== 'default';
+  const coverTheme = useMemo(() => (palette ? createCoverTheme(palette) : null), [palette]);
+
+  if (!coverTheme || isUserTheme) return children;
+
+  return (
+    <ThemeProvider theme={ coverTheme }>
+      { children }
+    </ThemeProvider>
+  );
+}
+
+export default CoverThemeProvider;
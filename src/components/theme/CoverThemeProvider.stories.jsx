@@ -0,0 +1,139 @@
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import { useTheme } from '@mui/material/styles';
+import CoverThemeProvider from './CoverThemeProvider';
+import GeometricPattern from '../dynamic-color/GeometricPattern';
+import HeroSection from '../../sections/HeroSection';
+import BridgeSection from '../../sections/BridgeSection';
+import OutroSection from '../../sections/OutroSection';
+import magazineData from '../../data/magazineData';
+import { derivePalette, loadCoverPalette } from '../../utils/coverPalette';
+import selfRelianceCover from '../../assets/cover.jpeg';
+import magazineCover from '../../assets/magazineb.jpg';
+
+export default {
+  title: 'Interactive/16. Theme/CoverThemeProvider',
+  component: CoverThemeProvider,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+};
+
+/** 현재 테마의 매거진 팔레트를 스와치로 표시 */
+const PaletteSwatches = () => {
+  const { surface, accent, text } = useTheme().magazine;
+  const swatches = [
+    ['surface.light', surface.light],
+    ['surface.dark', surface.dark],
+    ['surface.warm', surface.warm],
+    ['accent', accent],
+    ['text.onLight', text.onLight],
+    ['text.onDark', text.onDark],
+  ];
+
+  return (
+    <Box sx={ { display: 'flex', flexDirection: 'column', gap: 1 } }>
+      { swatches.map(([label, color]) => (
+        <Box key={ label } sx={ { display: 'flex', alignItems: 'center', gap: 1.5 } }>
+          <Box sx={ { width: 32, height: 32, backgroundColor: color, border: '1px solid rgba(128, 128, 128, 0.3)' } } />
+          <Typography variant="caption" sx={ { fontFamily: 'monospace' } }>
+            { label } — { color }
+          </Typography>
+        </Box>
+      )) }
+    </Box>
+  );
+};
+
+/** 커버 + 추출 팔레트 + 테마를 따르는 GeometricPattern 미리보기 */
+const CoverPreview = ({ cover }) => (
+  <Box
+    sx={ (theme) => ({
+      display: 'grid',
+      gridTemplateColumns: { xs: '1fr', md: '240px 1fr 320px' },
+      gap: 4,
+      p: 4,
+      minHeight: '100svh',
+      backgroundColor: theme.magazine.surface.light,
+      color: theme.magazine.text.onLight,
+    }) }
+  >
+    <Box component="img" src={ cover } alt="" sx={ { width: '100%', display: 'block' } } />
+    <Box sx={ { display: 'flex', flexDirection: 'column', gap: 2 } }>
+      <Typography variant="h4">Cover Palette</Typography>
+      <Typography sx={ (theme) => ({ color: theme.magazine.text.onLightSecondary }) }>
+        텍스트 색상은 서피스 대비 WCAG 기준(본문 7:1, 보조 4.5:1)을 통과하도록 조정됩니다.
+      </Typography>
+      <PaletteSwatches />
+    </Box>
+    <Box sx={ { aspectRatio: '3 / 4' } }>
+      <GeometricPattern variant="grid" />
+    </Box>
+  </Box>
+);
+
+/**
+ * ## Self Reliance
+ *
+ * 1호 커버에서 추출한 팔레트. 툴바 Theme이 Default일 때만 적용됩니다.
+ */
+export const SelfReliance = {
+  loaders: [async () => ({ palette: await loadCoverPalette(selfRelianceCover) })],
+  render: (args, { loaded: { palette } }) => (
+    <CoverThemeProvider palette={ palette }>
+      <CoverPreview cover={ selfRelianceCover } />
+    </CoverThemeProvider>
+  ),
+};
+
+/**
+ * ## Other Cover
+ *
+ * 다른 이미지로 같은 추출을 돌려 호마다 색이 달라지는 것을 확인합니다.
+ */
+export const OtherCover = {
+  loaders: [async () => ({ palette: await loadCoverPalette(magazineCover) })],
+  render: (args, { loaded: { palette } }) => (
+    <CoverThemeProvider palette={ palette }>
+      <CoverPreview cover={ magazineCover } />
+    </CoverThemeProvider>
+  ),
+};
+
+/** 기본 테마와 확연히 다른 고정 팔레트 — 청록 기조 + 붉은 포인트 (이미지 로드 없이 재현 가능) */
+const TEAL_PALETTE = derivePalette([
+  ...Array.from({ length: 90 }, () => [40, 110, 100, 255]).flat(),
+  ...Array.from({ length: 10 }, () => [230, 80, 60, 255]).flat(),
+]);
+
+/**
+ * ## Section Seams
+ *
+ * Hero → Bridge → 라이트 서피스, Outro 텍스트가 호별 팔레트를 따르는지 확인합니다.
+ * Hero 하단 그라데이션과 Bridge가 같은 surface.light로 이어져야 하고,
+ * Outro 타이틀·CTA·링크는 text.onLight 계열로 표시되어야 합니다. 툴바 Theme이 Default일 때만 적용됩니다.
+ */
+export const SectionSeams = {
+  render: () => {
+    const { intro, outro } = magazineData;
+    return (
+      <CoverThemeProvider palette={ TEAL_PALETTE }>
+        <HeroSection
+          logo={ intro.logo }
+          subtitle={ intro.subtitle }
+          title={ intro.title }
+          leadText={ intro.leadText }
+          footerText={ intro.footerText }
+        />
+        <BridgeSection />
+        <Box sx={ (theme) => ({ p: 4, backgroundColor: theme.magazine.surface.light }) }>
+          <PaletteSwatches />
+        </Box>
+        <Box sx={ (theme) => ({ backgroundColor: theme.magazine.surface.light }) }>
+          <OutroSection titles={ outro.titles } ctaText={ outro.ctaText } links={ outro.links } />
+        </Box>
+      </CoverThemeProvider>
+    );
+  },
+};
@@ -0,0 +1,68 @@
+import { useMemo } from 'react';
+import { ThemeProvider } from '@mui/material/styles';
+import { getTheme, getThemeNames } from '../../styles/themes';
+import { ThemePreferenceContext } from '../../hooks/useThemePreference';
+import { usePersistentPreference } from '../../hooks/usePersistentPreference';
+
+/** 사용자 선택 저장 키 */
+const STORAGE_KEY = 'intertext:theme';
+
+/**
+ * ThemePreferenceProvider 컴포넌트
+ *
+ * 테마 레지스트리(styles/themes)에서 선택한 테마를 MUI ThemeProvider로 내려주는 Provider.
+ * 하위 섹션은 useTheme()의 theme.magazine / theme.palette 토큰으로 색을 읽으므로 테마 전환이 바로 반영된다.
+ *
+ * 동작 흐름:
+ * 1. 마운트 시 localStorage에 저장된 테마 이름을 읽는다 (없으면 defaultThemeName)
+ * 2. themeName prop이 주어지면 저장값보다 우선한다 (Storybook 툴바 등 외부 제어)
+ * 3. setThemeName으로 바꾼 값은 localStorage에 저장된다 (isPersistent가 true일 때)
+ * 4. 레지스트리에 없는 이름은 무시한다
+ *
+ * Props:
+ * @param {node} children - 하위 트리 [Required]
+ * @param {string} defaultThemeName - 저장값이 없을 때 테마 [Optional, 기본값: 'default']
+ * @param {string} themeName - 외부 제어용 테마 이름. 주어지면 저장값/내부 상태보다 우선 [Optional]
+ * @param {boolean} isPersistent - 선택을 localStorage에 저장 [Optional, 기본값: true]
+ *
+ * Example usage:
+ * <ThemePreferenceProvider>
+ *   <CssBaseline />
+ *   <App />
+ * </ThemePreferenceProvider>
+ *
+ * <ThemePreferenceProvider themeName="dark" isPersistent={ false }>
+ *   <Story />
+ * </ThemePreferenceProvider>
+ */
+function ThemePreferenceProvider({
+  children,
+  defaultThemeName = 'default',
+  themeName: controlledThemeName,
+  isPersistent = true,
+}) {
+  const themeNames = useMemo(() => getThemeNames(), []);
+  const [themeName, setThemeName] = usePersistentPreference(
+    STORAGE_KEY,
+    themeNames,
+    defaultThemeName,
+    isPersistent,
+    controlledThemeName,
+  );
+
+  const value = useMemo(() => ({
+    themeName,
+    setThemeName,
+    themeNames,
+  }), [themeName, setThemeName, themeNames]);
+
+  return (
+    <ThemePreferenceContext value={ value }>
+      <ThemeProvider theme={ getTheme(themeName) }>
+        { children }
+      </ThemeProvider>
+    </ThemePreferenceContext>
+  );
+}
+
+export default ThemePreferenceProvider;
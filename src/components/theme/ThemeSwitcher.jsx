@@ -0,0 +1,92 @@
+import ButtonBase from '@mui/material/ButtonBase';
+import Box from '@mui/material/Box';
+import { alpha, useTheme } from '@mui/material/styles';
+import { themeMeta } from '../../styles/themes';
+import { useThemePreference } from '../../hooks/useThemePreference';
+
+/**
+ * ThemeSwitcher 컴포넌트
+ *
+ * 등록된 테마 중 하나를 고르는 라디오 그룹.
+ * ThemePreferenceProvider 안에서만 렌더링되며, Provider가 없으면 아무것도 그리지 않는다.
+ * mix-blend-mode: difference를 사용해 어떤 테마·섹션 배경 위에서도 읽힌다.
+ *
+ * 동작 흐름:
+ * 1. 레지스트리의 테마마다 themeMeta 이름으로 버튼을 하나씩 그린다
+ * 2. 현재 테마는 aria-checked와 채워진 점으로 표시한다
+ * 3. 클릭하면 setThemeName으로 테마를 바꾸고, Provider가 선택을 저장한다
+ *
+ * Props:
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <ThemePreferenceProvider>
+ *   <ThemeSwitcher sx={ { position: 'fixed', left: 24, bottom: 64 } } />
+ * </ThemePreferenceProvider>
+ */
+function ThemeSwitcher({ sx }) {
+  const { text } = useTheme().magazine;
+  const preference = useThemePreference();
+  if (!preference) return null;
+
+  const { themeName, setThemeName, themeNames } = preference;
+
+  return (
+    <Box
+      role="radiogroup"
+      aria-label="테마"
+      sx={ {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: 0.5,
+        p: 0.5,
+        borderRadius: 99,
+        border: `1px solid ${alpha(text.onDark, 0.3)}`,
+        color: text.onDark,
+        mixBlendMode: 'difference',
+        ...sx,
+      } }
+    >
+      { themeNames.map((name) => {
+        const isChecked = name === themeName;
+        return (
+          <ButtonBase
+            key={ name }
+            role="radio"
+            aria-checked={ isChecked }
+            onClick={ () => setThemeName(name) }
+            sx={ {
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: 0.75,
+              px: 1.25,
+              py: 0.5,
+              borderRadius: 99,
+              fontFamily: '"Inter", sans-serif',
+              fontSize: 12,
+              letterSpacing: '0.04em',
+              opacity: isChecked ? 1 : 0.55,
+              transition: 'opacity 0.3s ease',
+              '&:hover': { opacity: 1 },
+            } }
+          >
+            {/* 선택 점 — 현재 테마면 채워진 원 */}
+            <Box
+              component="span"
+              sx={ {
+                width: 6,
+                height: 6,
+                borderRadius: '50%',
+                border: '1px solid currentColor',
+                backgroundColor: isChecked ? 'currentColor' : 'transparent',
+              } }
+            />
+            { themeMeta[name]?.name ?? name }
+          </ButtonBase>
+        );
+      }) }
+    </Box>
+  );
+}
+
+export default ThemeSwitcher;
@@ -0,0 +1,65 @@
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import ThemeSwitcher from './ThemeSwitcher';
+import ThemePreferenceProvider from './ThemePreferenceProvider';
+
+export default {
+  title: 'Interactive/16. Theme/ThemeSwitcher',
+  component: ThemeSwitcher,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+/** 테마 토큰을 읽는 읽기/몰입 서피스 미리보기 */
+const SurfacePreview = () => (
+  <Box sx={ { display: 'grid', gridTemplateColumns: '1fr 1fr', mt: 4 } }>
+    <Box sx={ (theme) => ({ p: 4, backgroundColor: theme.magazine.surface.light, color: theme.magazine.text.onLight }) }>
+      <Typography variant="h4">Reading Surface</Typography>
+      <Typography sx={ (theme) => ({ mt: 1, color: theme.magazine.text.onLightSecondary }) }>
+        magazine.surface.light
+      </Typography>
+    </Box>
+    <Box sx={ (theme) => ({ p: 4, backgroundColor: theme.magazine.surface.dark, color: theme.magazine.text.onDark }) }>
+      <Typography variant="h4">Immersive Surface</Typography>
+      <Typography sx={ (theme) => ({ mt: 1, color: theme.magazine.text.onDarkSecondary }) }>
+        magazine.surface.dark
+      </Typography>
+    </Box>
+  </Box>
+);
+
+/**
+ * ## Default
+ *
+ * 스토리북 툴바의 Theme 설정을 따르는 Provider 안에서 렌더링됩니다.
+ * 툴바 값이 우선하므로 여기서는 현재 선택만 표시됩니다.
+ */
+export const Default = {
+  render: (args) => (
+    <Box sx={ { minHeight: '100svh', p: 4, backgroundColor: '#12100E' } }>
+      <ThemeSwitcher { ...args } />
+      <SurfacePreview />
+    </Box>
+  ),
+};
+
+/**
+ * ## Isolated Provider
+ *
+ * 저장하지 않는 독립 Provider. 버튼을 누르면 아래 서피스가 바로 바뀝니다.
+ */
+export const IsolatedProvider = {
+  render: (args) => (
+    <ThemePreferenceProvider isPersistent={ false }>
+      <Box sx={ { minHeight: '100svh', p: 4, backgroundColor: '#12100E' } }>
+        <ThemeSwitcher { ...args } />
+        <SurfacePreview />
+      </Box>
+    </ThemePreferenceProvider>
+  ),
+};
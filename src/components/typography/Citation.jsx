@@ -0,0 +1,97 @@
+import { Box, Typography } from '@mui/material';
+import { useCitations } from '../../hooks/useCitations';
+import {
+  formatCitation,
+  getFootnoteAnchorId,
+  getFootnoteRefAnchorId,
+} from '../../utils/citations';
+
+/**
+ * Citation 컴포넌트
+ *
+ * 인용문 출처를 "— 저자, 『제목』, 출판사, 쪽수" 형식으로 표시하는 <cite>.
+ * QuotedContainer, PullQuote, 용어 상세 인용문이 같은 형식으로 출처를 표시한다.
+ *
+ * 동작 흐름:
+ * 1. 문자열 출처는 그대로 표시한다
+ * 2. { referenceId, page } 출처는 CitationContext의 참고 문헌에서 항목을 찾아 formatCitation으로 표시한다
+ * 3. Provider 밖에서 referenceId 출처를 받으면 표시하지 않는다
+ *
+ * Props:
+ * @param {string|object} citation - 인용 출처 (utils/citations) [Required]
+ * @param {string} variant - 타이포그래피 variant [Optional, 기본값: 'body2']
+ * @param {object} sx - 추가 스타일 오버라이드 [Optional]
+ *
+ * Example usage:
+ * <Citation citation="바딤 젤란드" />
+ * <Citation citation={{ referenceId: 'self-reliance', page: 23 }} />
+ */
+export function Citation({ citation, variant = 'body2', sx }) {
+  const citations = useCitations();
+
+  if (!citation) return null;
+  if (citation.referenceId && !citations) return null;
+
+  return (
+    <Typography
+      variant={variant}
+      component="cite"
+      sx={{
+        display: 'block',
+        fontStyle: 'normal',
+        color: 'text.secondary',
+        '&::before': {
+          content: '"— "',
+        },
+        ...sx,
+      }}
+    >
+      {formatCitation(citation, citations?.references)}
+    </Typography>
+  );
+}
+
+/**
+ * FootnoteRef 컴포넌트
+ *
+ * 본문의 각주 참조 [^id]를 위첨자 번호 링크로 표시한다.
+ * 번호를 누르면 BibliographySection의 각주 항목으로, 각주 항목의 ↩를 누르면 다시 이 위치로 이동한다.
+ *
+ * Props:
+ * @param {string} id - 각주 id [Required]
+ *
+ * Example usage:
+ * <FootnoteRef id="intuition" />
+ */
+export function FootnoteRef({ id }) {
+  const footnote = useCitations()?.footnotes.find((item) => item.id === id);
+
+  if (!footnote) return null;
+
+  return (
+    <Box
+      component="sup"
+      sx={{
+        fontSize: '0.6em',
+        lineHeight: 0,
+        ml: '0.1em',
+      }}
+    >
+      <Box
+        component="a"
+        id={getFootnoteRefAnchorId(id)}
+        href={`#${getFootnoteAnchorId(id)}`}
+        aria-label={`각주 ${footnote.number}`}
+        sx={{
+          color: (theme) => theme.magazine.accent,
+          textDecoration: 'none',
+          fontWeight: 700,
+          scrollMarginTop: '40vh',
+          '&:hover, &:focus-visible': { textDecoration: 'underline' },
+        }}
+      >
+        {footnote.number}
+      </Box>
+    </Box>
+  );
+}
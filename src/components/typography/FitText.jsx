@@ -1,10 +1,12 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { Box } from '@mui/material';
+import { getInlineSize, getWritingModeSx, isVerticalWritingMode } from '../../utils/writingMode';
 
 /**
  * FitText 컴포넌트
  *
  * 컨테이너 너비에 꽉 차도록 텍스트 크기가 자동으로 조절되는 반응형 타이포그래피 컴포넌트.
+ * 세로쓰기(writingMode="vertical")에서는 컨테이너 높이에 맞춘다.
  *
  * 시각적 동작:
  * 1. 텍스트가 컨테이너 너비에 맞춰 자동으로 크기가 커지거나 작아짐
@@ -12,6 +14,7 @@ import { Box } from '@mui/material';
  * 3. variant를 'headline'으로 설정하면 Chillax 폰트로 전환되며 더 타이트한 행간 적용
  * 4. letterSpacing, wordSpacing 값을 높이면 글자/단어 간격이 넓어짐
  * 5. minFontSize, maxFontSize로 텍스트 크기의 최소/최대 범위 제한 가능
+ * 6. writingMode가 'vertical'이면 글자가 위→아래로 흐르고, 컨테이너 높이(부모가 높이를 정해야 함)를 채움
  *
  * Props:
  * @param {string} text - 표시할 텍스트 [Required]
@@ -21,10 +24,12 @@ import { Box } from '@mui/material';
  * @param {number} letterSpacing - 자간 배율 [Optional, 기본값: 1]
  * @param {number} wordSpacing - 단어 간격 배율 [Optional, 기본값: 1]
  * @param {number} fontWeight - 폰트 굵기 [Optional]
+ * @param {string} writingMode - 쓰기 방향 ('horizontal' | 'vertical') [Optional, 기본값: 'horizontal']
  *
  * Example usage:
  * <FitText text="Hello World" variant="headline" />
  * <FitText text="Responsive Text" minFontSize={ 16 } maxFontSize={ 120 } />
+ * <Box sx={ { height: 480 } }><FitText text="자기 신뢰" writingMode="vertical" /></Box>
  */
 export function FitText({
   text,
@@ -34,11 +39,13 @@ export function FitText({
   letterSpacing = 1,
   wordSpacing = 1,
   fontWeight,
+  writingMode = 'horizontal',
   ...props
 }) {
   const containerRef = useRef(null);
   const measureRef = useRef(null);
   const [fontSize, setFontSize] = useState(minFontSize);
+  const isVertical = isVerticalWritingMode(writingMode);
 
   /**
    * variant에 따른 폰트 스타일 결정
@@ -63,24 +70,24 @@ export function FitText({
 
   /**
    * 폰트 크기 계산 함수
-   * - 숨겨진 측정 요소(100px 기준)와 컨테이너 너비를 비교하여 비율 계산
+   * - 숨겨진 측정 요소(100px 기준)와 컨테이너의 글줄 방향 길이(가로쓰기: 너비, 세로쓰기: 높이)를 비교하여 비율 계산
    * - 계산된 크기가 min/max 범위를 벗어나면 범위 내로 제한
    */
   const updateFontSize = useCallback(() => {
     if (!containerRef.current || !measureRef.current) return;
 
-    const containerWidth = containerRef.current.offsetWidth;
-    const measureWidth = measureRef.current.offsetWidth;
+    const containerSize = getInlineSize(containerRef.current, writingMode);
+    const measureSize = getInlineSize(measureRef.current, writingMode);
 
-    if (measureWidth === 0) return;
+    if (measureSize === 0) return;
 
     // 0.98 버퍼: 렌더링 차이로 인한 미세한 오버플로우 방지
-    const ratio = (containerWidth * 0.98) / measureWidth;
+    const ratio = (containerSize * 0.98) / measureSize;
     const calculatedFontSize = 100 * ratio;
     const finalSize = Math.min(Math.max(calculatedFontSize, minFontSize), maxFontSize);
 
     setFontSize(finalSize);
-  }, [minFontSize, maxFontSize]);
+  }, [minFontSize, maxFontSize, writingMode]);
 
   /**
    * 크기 변화 감지 및 자동 업데이트
@@ -107,7 +114,8 @@ export function FitText({
       className="text-fit"
       sx={ {
         display: 'flex',
-        width: '100%',
+        ...getWritingModeSx(writingMode),
+        ...(isVertical ? { height: '100%' } : { width: '100%' }),
         justifyContent: 'center',
         alignItems: 'center',
         ...props.sx
@@ -133,7 +141,7 @@ export function FitText({
         { text }
       </Box>
 
-      {/* 숨겨진 측정용 요소 - 100px 기준으로 텍스트 너비 측정 */}
+      {/* 숨겨진 측정용 요소 - 100px 기준으로 텍스트 길이 측정 (컨테이너의 쓰기 방향을 상속) */}
       <Box
         ref={ measureRef }
         component="span"
@@ -87,6 +87,15 @@ export default {
         type: { summary: 'number' },
       },
     },
+    writingMode: {
+      control: 'radio',
+      options: ['horizontal', 'vertical'],
+      description: '쓰기 방향 (vertical이면 컨테이너 높이에 맞춤)',
+      table: {
+        type: { summary: 'string' },
+        defaultValue: { summary: 'horizontal' },
+      },
+    },
   },
 };
 
@@ -105,6 +114,22 @@ export const Default = {
   ),
 };
 
+/** 세로쓰기 — 컨테이너 높이에 맞춰 크기 조절 */
+export const Vertical = {
+  args: {
+    text: '자기 신뢰',
+    variant: 'headline',
+    writingMode: 'vertical',
+    minFontSize: 16,
+    maxFontSize: 200,
+  },
+  render: (args) => (
+    <Box sx={ { height: 400, border: '1px dashed grey', p: 2 } }>
+      <FitText { ...args } />
+    </Box>
+  ),
+};
+
 /** Headline 변형 */
 export const Headline = {
   args: {
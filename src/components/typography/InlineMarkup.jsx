@@ -0,0 +1,197 @@
+import { Fragment, useId, useMemo, useState } from 'react';
+import { Box, ButtonBase, ClickAwayListener, Tooltip, Typography } from '@mui/material';
+import { useGlossary } from '../../hooks/useGlossary';
+import { findGlossaryTerm, parseInlineMarkup } from '../../utils/inlineMarkup';
+import { FootnoteRef } from './Citation.jsx';
+
+/**
+ * Ruby 컴포넌트
+ *
+ * 본문 위에 한자·원어 주석을 작게 표시하는 <ruby> 래퍼.
+ * 루비를 지원하지 않는 환경에서는 <rp> 괄호로 "천재(天才)"처럼 표시된다.
+ *
+ * Props:
+ * @param {ReactNode} children - 본문 텍스트 [Required]
+ * @param {string} annotation - 주석 텍스트 [Required]
+ * @param {object} sx - 추가 스타일 오버라이드 [Optional]
+ *
+ * Example usage:
+ * <Ruby annotation="天才">천재</Ruby>
+ */
+export function Ruby({ children, annotation, sx }) {
+  return (
+    <Box
+      component="ruby"
+      sx={{
+        rubyPosition: 'over',
+        '& rt': {
+          fontSize: '0.5em',
+          fontWeight: 400,
+          letterSpacing: 0,
+          opacity: 0.7,
+        },
+        ...sx,
+      }}
+    >
+      {children}
+      <rp>(</rp>
+      <rt>{annotation}</rt>
+      <rp>)</rp>
+    </Box>
+  );
+}
+
+/**
+ * GlossaryTerm 컴포넌트
+ *
+ * 본문 속 용어를 용어집 항목과 연결하는 인라인 링크.
+ *
+ * 동작 흐름:
+ * 1. GlossaryContext의 용어집에서 term(id 또는 title)으로 용어를 찾는다
+ * 2. 찾으면 점선 밑줄이 그어진 버튼으로 렌더링하고, 호버하거나 탭하면 용어 description 팝오버를 띄운다
+ * 3. 팝오버의 '자세히 보기'는 onTermDetail(term)을 호출해 TermsDetailModal을 연다
+ * 4. 팝오버 바깥을 누르거나 Esc를 누르면 닫힌다
+ * 5. 용어집이 없거나 용어를 찾지 못하면 일반 텍스트로 표시한다
+ *
+ * Props:
+ * @param {string} term - 용어 id 또는 title [Required]
+ * @param {ReactNode} children - 본문에 표시할 텍스트 [Required]
+ * @param {object} sx - 추가 스타일 오버라이드 [Optional]
+ *
+ * Example usage:
+ * <GlossaryTerm term="가능태 공간">가능태 공간</GlossaryTerm>
+ * <GlossaryTerm term="pendulum">진자</GlossaryTerm>
+ */
+export function GlossaryTerm({ term: termKey, children, sx }) {
+  const glossary = useGlossary();
+  const [isOpen, setIsOpen] = useState(false);
+  const popoverId = useId();
+  const term = findGlossaryTerm(glossary?.terms, termKey);
+
+  if (!term) return children;
+
+  const handleDetail = () => {
+    setIsOpen(false);
+    glossary.onTermDetail?.(term);
+  };
+
+  const popover = (
+    <Box id={popoverId} sx={{ display: 'flex', flexDirection: 'column', gap: 1, p: 0.5 }}>
+      <Typography variant="subtitle2" component="span" sx={{ fontWeight: 700 }}>
+        {term.title}
+      </Typography>
+      <Typography variant="body2" component="span" sx={{ lineHeight: 1.6, wordBreak: 'keep-all' }}>
+        {term.description}
+      </Typography>
+      {glossary.onTermDetail && (
+        <ButtonBase
+          onClick={handleDetail}
+          sx={{
+            alignSelf: 'flex-start',
+            fontSize: '0.75rem',
+            letterSpacing: '0.08em',
+            color: (theme) => theme.magazine.accent,
+            '&:hover': { textDecoration: 'underline' },
+          }}
+        >
+          자세히 보기 →
+        </ButtonBase>
+      )}
+    </Box>
+  );
+
+  return (
+    <ClickAwayListener onClickAway={() => setIsOpen(false)}>
+      <Tooltip
+        title={popover}
+        open={isOpen}
+        onOpen={() => setIsOpen(true)}
+        onClose={() => setIsOpen(false)}
+        disableTouchListener
+        enterDelay={200}
+        leaveDelay={200}
+        slotProps={{
+          tooltip: {
+            sx: {
+              maxWidth: 280,
+              p: 1.5,
+              borderRadius: 1,
+              backgroundColor: (theme) => theme.magazine.surface.dark,
+              color: (theme) => theme.magazine.text.onDark,
+              boxShadow: '0 8px 24px rgba(0, 0, 0, 0.3)',
+            },
+          },
+        }}
+      >
+        <Box
+          component="button"
+          type="button"
+          aria-expanded={isOpen}
+          aria-controls={isOpen ? popoverId : undefined}
+          onClick={() => setIsOpen((prev) => !prev)}
+          sx={{
+            p: 0,
+            m: 0,
+            border: 0,
+            background: 'none',
+            font: 'inherit',
+            color: 'inherit',
+            letterSpacing: 'inherit',
+            cursor: 'help',
+            textDecoration: 'underline dotted',
+            textDecorationThickness: '1px',
+            textUnderlineOffset: '0.3em',
+            '&:hover, &:focus-visible': {
+              textDecorationColor: (theme) => theme.magazine.accent,
+            },
+            ...sx,
+          }}
+        >
+          {children}
+        </Box>
+      </Tooltip>
+    </ClickAwayListener>
+  );
+}
+
+/**
+ * InlineMarkupNode 컴포넌트 (하위 컴포넌트)
+ *
+ * parseInlineMarkup 노드 하나를 렌더링한다. 토큰 단위로 노출하는 키네틱 타이포그래피에서 사용.
+ *
+ * Props:
+ * @param {object} node - 마크업 노드 { type, text, term?, annotation?, footnote? } [Required]
+ *
+ * Example usage:
+ * <InlineMarkupNode node={{ type: 'ruby', text: '천재', annotation: '天才' }} />
+ */
+export function InlineMarkupNode({ node }) {
+  if (node.type === 'term') return <GlossaryTerm term={node.term}>{node.text}</GlossaryTerm>;
+  if (node.type === 'ruby') return <Ruby annotation={node.annotation}>{node.text}</Ruby>;
+  if (node.type === 'footnote') return <FootnoteRef id={node.footnote} />;
+  return node.text;
+}
+
+/**
+ * InlineMarkup 컴포넌트
+ *
+ * 용어집 링크([[용어]]), 루비({본문|주석}), 각주 참조([^id]) 마크업이 들어간 문자열을 렌더링한다.
+ * 문법은 utils/inlineMarkup 참고.
+ *
+ * Props:
+ * @param {string} text - 마크업 문자열 [Required]
+ *
+ * Example usage:
+ * <Typography>
+ *   <InlineMarkup text="[[가능태 공간]]에는 모든 것이 이미 존재한다. {천재|天才}" />
+ * </Typography>
+ */
+export function InlineMarkup({ text }) {
+  const nodes = useMemo(() => parseInlineMarkup(text), [text]);
+
+  return nodes.map((node, index) => (
+    <Fragment key={index}>
+      <InlineMarkupNode node={node} />
+    </Fragment>
+  ));
+}
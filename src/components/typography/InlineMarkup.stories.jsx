@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import { DocumentTitle, PageContainer, SectionTitle } from '../storybookDocumentation';
+import { GlossaryContext } from '../../hooks/useGlossary';
+import LineRevealText from '../kinetic-typography/LineRevealText';
+import magazineData from '../../data/magazineData';
+import { InlineMarkup, StyledParagraph } from '.';
+
+const SAMPLE_TEXT = '[[가능태 공간]]에는 모든 것이 이미 존재한다. [[pendulum|펜듈럼]]에 휘둘리지 않으려면 [[중요도]]를 낮추고, {천재|天才}처럼 자기 생각을 믿어야 한다.';
+
+export default {
+  title: 'Component/1. Typography/InlineMarkup',
+  component: InlineMarkup,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'padded',
+    docs: {
+      description: {
+        component: `
+## InlineMarkup
+
+본문 문자열 속 용어집 링크와 루비 주석을 렌더링하는 인라인 마크업.
+
+### 문법
+- \`[[가능태 공간]]\` — 용어 title 또는 id로 용어집 항목에 연결
+- \`[[pendulum|펜듈럼]]\` — 연결할 용어 + 본문에 표시할 텍스트
+- \`{천재|天才}\` — 루비 주석 (한자·원어)
+
+### 용도
+- ArticleSection 본문(LineRevealText), StyledParagraph, VariantsSpaceCard 본문
+- 호버하거나 탭하면 용어 설명 팝오버, '자세히 보기'로 TermsDetailModal 열기
+        `,
+      },
+    },
+  },
+  argTypes: {
+    text: {
+      control: { type: 'text' },
+      description: '마크업 문자열',
+    },
+  },
+};
+
+/** 용어집 Provider — '자세히 보기'를 누른 용어를 아래에 표시 */
+const GlossaryDemo = ({ children }) => {
+  const [selected, setSelected] = useState(null);
+
+  return (
+    <GlossaryContext value={ { terms: magazineData.terms.allTerms, onTermDetail: setSelected } }>
+      { children }
+      <Typography variant="caption" color="text.secondary" sx={ { display: 'block', mt: 3 } }>
+        onTermDetail: { selected ? selected.title : '—' }
+      </Typography>
+    </GlossaryContext>
+  );
+};
+
+export const Default = {
+  args: {
+    text: SAMPLE_TEXT,
+  },
+  render: (args) => (
+    <GlossaryDemo>
+      <Typography variant="body1" sx={ { maxWidth: 560, lineHeight: 2, wordBreak: 'keep-all' } }>
+        <InlineMarkup { ...args } />
+      </Typography>
+    </GlossaryDemo>
+  ),
+};
+
+/** 용어집 Provider가 없으면 링크 없이 텍스트로, 루비는 그대로 표시 */
+export const WithoutGlossary = {
+  args: {
+    text: SAMPLE_TEXT,
+  },
+  render: (args) => (
+    <Typography variant="body1" sx={ { maxWidth: 560, lineHeight: 2, wordBreak: 'keep-all' } }>
+      <InlineMarkup { ...args } />
+    </Typography>
+  ),
+};
+
+/** 같은 마크업을 쓰는 컴포넌트들 */
+export const Usage = {
+  render: () => (
+    <GlossaryDemo>
+      <PageContainer>
+        <DocumentTitle
+          title="Inline Markup"
+          status="Available"
+          note="Glossary links and ruby annotations in body text"
+          brandName="Typography"
+          systemName="Starter Kit"
+          version="1.0"
+        />
+        <Stack spacing={ 6 }>
+          <Box>
+            <SectionTitle title="StyledParagraph" description="children이 문자열이면 마크업을 해석" />
+            <StyledParagraph variant="body1">{ SAMPLE_TEXT }</StyledParagraph>
+          </Box>
+          <Box>
+            <SectionTitle title="LineRevealText" description="용어·루비는 한 단어처럼 같은 줄과 함께 노출" />
+            <LineRevealText
+              text={ SAMPLE_TEXT }
+              sx={ { maxWidth: 480, lineHeight: 2, wordBreak: 'keep-all' } }
+            />
+          </Box>
+        </Stack>
+      </PageContainer>
+    </GlossaryDemo>
+  ),
+};
@@ -1,6 +1,8 @@
 import { useEffect, useRef, useState } from 'react';
 import { Box, Typography } from '@mui/material';
 import { keyframes } from '@mui/material/styles';
+import { Citation } from './Citation.jsx';
+import { getWritingModeSx, isVerticalWritingMode } from '../../utils/writingMode';
 
 /**
  * Material Symbols 아이콘 컴포넌트
@@ -29,15 +31,16 @@ function MaterialSymbol({ name, size = 24, fill = false, weight = 400, color = '
 
 /**
  * 애니메이션 키프레임 정의
+ * transform 대신 scale 속성을 써서 인용 부호의 반전·회전 transform을 덮어쓰지 않는다
  */
 const fadeInScale = keyframes`
   from {
     opacity: 0;
-    transform: scale(0.8);
+    scale: 0.8;
   }
   to {
     opacity: 1;
-    transform: scale(1);
+    scale: 1;
   }
 `;
 
@@ -52,6 +55,9 @@ const fadeInScale = keyframes`
  * 2. quoteStyle에 따라 다양한 인용 부호 문자 사용
  * 3. position에 따라 인용 부호의 위치가 조정됨
  * 4. animated가 true면 viewport 진입 시 애니메이션 실행
+ * 5. citation(또는 author)이 있으면 Citation으로 출처를 표시 (utils/citations)
+ * 6. writingMode가 'vertical'이면 세로쓰기로 흐름 — 인용 부호는 90° 돌려 세로쓰기 문장 부호(﹃ ﹄)처럼
+ *    여는 부호가 첫 글자 위, 닫는 부호가 마지막 글자 아래에 놓이고, 출처는 인용문 왼쪽 열에 표시
  *
  * Props:
  * @param {string} children - 인용할 텍스트 [Required]
@@ -59,9 +65,11 @@ const fadeInScale = keyframes`
  * @param {string} quoteColor - 인용 부호 색상 [Optional, 기본값: 'text.disabled']
  * @param {string} position - 인용 부호 위치 ('outside' | 'inside' | 'overlay') [Optional, 기본값: 'outside']
  * @param {boolean} animated - 등장 애니메이션 [Optional, 기본값: false]
- * @param {string} author - 인용 출처/저자 [Optional]
+ * @param {string} author - 인용 출처/저자 (citation이 없을 때 표시) [Optional]
+ * @param {string|object} citation - 인용 출처 { referenceId, page } 또는 문자열 (utils/citations) [Optional]
  * @param {string} variant - 타이포그래피 variant [Optional, 기본값: 'h4']
  * @param {string} align - 텍스트 정렬 ('left' | 'center' | 'right') [Optional, 기본값: 'left']
+ * @param {string} writingMode - 쓰기 방향 ('horizontal' | 'vertical') [Optional, 기본값: 'horizontal']
  * @param {object} sx - 추가 스타일 오버라이드 [Optional]
  *
  * Example usage:
@@ -69,6 +77,12 @@ const fadeInScale = keyframes`
  * <QuotedContainer author="Steve Jobs">
  *   Design is not just what it looks like.
  * </QuotedContainer>
+ * <QuotedContainer citation={{ referenceId: 'self-reliance', page: 23 }}>
+ *   자기 자신을 믿어라.
+ * </QuotedContainer>
+ * <QuotedContainer writingMode="vertical" author="랄프 왈도 에머슨">
+ *   자기 자신을 믿어라.
+ * </QuotedContainer>
  */
 export function QuotedContainer({
   children,
@@ -77,8 +91,10 @@ export function QuotedContainer({
   position = 'outside',
   animated = false,
   author,
+  citation,
   variant = 'h4',
   align = 'left',
+  writingMode = 'horizontal',
   sx,
   ...props
 }) {
@@ -116,12 +132,30 @@ export function QuotedContainer({
   };
 
   const iconSize = iconSizes[quoteSize];
+  const source = citation ?? author;
+
+  const isVertical = isVerticalWritingMode(writingMode);
+  const writingModeSx = getWritingModeSx(writingMode);
 
   // 공통 아이콘 스타일
+  // 세로쓰기에서는 아이콘 리거처가 옆으로 눕지 않도록 가로로 렌더링한 뒤 transform으로 직접 돌린다
   const baseIconSx = {
     opacity: animated && !isVisible ? 0 : (position === 'overlay' ? 0.12 : 0.3),
     animation: animated && isVisible ? `${fadeInScale} 0.4s ease-out forwards` : 'none',
     flexShrink: 0,
+    ...(isVertical && { writingMode: 'horizontal-tb' }),
+  };
+
+  /**
+   * 인용 부호 방향
+   * - 가로쓰기: 닫는 부호는 format_quote 그대로, 여는 부호는 좌우 반전. shift만큼 세로로 밀어 글줄 위/아래에 맞춤
+   * - 세로쓰기: 같은 글리프를 90° 돌리고, shift는 줄이 쌓이는 방향(가로)으로 반대로 적용 (글줄의 위쪽 = 오른쪽)
+   */
+  const getQuoteTransform = (mark, shift = 0) => {
+    const mirror = mark === 'open' ? 'scaleX(-1)' : '';
+    const offset = shift ? (isVertical ? `translateX(${-shift}em)` : `translateY(${shift}em)`) : '';
+    const parts = isVertical ? [offset, 'rotate(90deg)', mirror] : [mirror, offset];
+    return parts.filter(Boolean).join(' ');
   };
 
   // Position: outside (기본 - 인라인 배치로 첫 글자 좌상단, 마지막 글자 우하단)
@@ -131,6 +165,7 @@ export function QuotedContainer({
         ref={containerRef}
         sx={{
           textAlign: align,
+          ...writingModeSx,
           ...sx,
         }}
         {...props}
@@ -154,10 +189,10 @@ export function QuotedContainer({
             color={quoteColor}
             sx={{
               ...baseIconSx,
-              transform: 'scaleX(-1) translateY(-0.15em)',
+              transform: getQuoteTransform('open', -0.15),
               verticalAlign: 'top',
-              mr: '0.1em',
-              ml: '-0.1em',
+              marginInlineEnd: '0.1em',
+              marginInlineStart: '-0.1em',
             }}
           />
           {children}
@@ -169,33 +204,16 @@ export function QuotedContainer({
             color={quoteColor}
             sx={{
               ...baseIconSx,
-              transform: 'translateY(0.15em)',
+              transform: getQuoteTransform('close', 0.15),
               verticalAlign: 'bottom',
-              ml: '0.1em',
-              mr: '-0.1em',
+              marginInlineStart: '0.1em',
+              marginInlineEnd: '-0.1em',
               animationDelay: '0.15s',
             }}
           />
         </Typography>
 
-        {author && (
-          <Typography
-            variant="body2"
-            component="cite"
-            sx={{
-              display: 'block',
-              mt: 2,
-              fontStyle: 'normal',
-              color: 'text.secondary',
-              textAlign: align,
-              '&::before': {
-                content: '"— "',
-              },
-            }}
-          >
-            {author}
-          </Typography>
-        )}
+        <Citation citation={source} sx={{ marginBlockStart: 2, textAlign: align }} />
       </Box>
     );
   }
@@ -207,6 +225,7 @@ export function QuotedContainer({
         ref={containerRef}
         sx={{
           textAlign: align,
+          ...writingModeSx,
           ...sx,
         }}
         {...props}
@@ -228,9 +247,9 @@ export function QuotedContainer({
             color={quoteColor}
             sx={{
               ...baseIconSx,
-              transform: 'scaleX(-1) translateY(-0.2em)',
+              transform: getQuoteTransform('open', -0.2),
               verticalAlign: 'top',
-              mr: '0.05em',
+              marginInlineEnd: '0.05em',
             }}
           />
           {children}
@@ -242,30 +261,14 @@ export function QuotedContainer({
             color={quoteColor}
             sx={{
               ...baseIconSx,
-              transform: 'translateY(0.2em)',
+              transform: getQuoteTransform('close', 0.2),
               verticalAlign: 'bottom',
-              ml: '0.05em',
+              marginInlineStart: '0.05em',
               animationDelay: '0.15s',
             }}
           />
         </Typography>
-        {author && (
-          <Typography
-            variant="body2"
-            component="cite"
-            sx={{
-              display: 'block',
-              mt: 2,
-              fontStyle: 'normal',
-              color: 'text.secondary',
-              '&::before': {
-                content: '"— "',
-              },
-            }}
-          >
-            {author}
-          </Typography>
-        )}
+        <Citation citation={source} sx={{ marginBlockStart: 2 }} />
       </Box>
     );
   }
@@ -278,7 +281,8 @@ export function QuotedContainer({
         sx={{
           position: 'relative',
           textAlign: align,
-          py: 3,
+          paddingBlock: 3,
+          ...writingModeSx,
           ...sx,
         }}
         {...props}
@@ -291,10 +295,18 @@ export function QuotedContainer({
           color={quoteColor}
           sx={{
             position: 'absolute',
-            left: align === 'right' ? 'auto' : 0,
-            right: align === 'right' ? 0 : 'auto',
-            top: 0,
-            transform: 'scaleX(-1)',
+            ...(isVertical ? {
+              // 세로쓰기: 글줄이 시작하는 오른쪽 열의 머리 (align은 위/아래)
+              right: 0,
+              top: align === 'right' ? 'auto' : 0,
+              bottom: align === 'right' ? 0 : 'auto',
+              writingMode: 'horizontal-tb',
+            } : {
+              left: align === 'right' ? 'auto' : 0,
+              right: align === 'right' ? 0 : 'auto',
+              top: 0,
+            }),
+            transform: getQuoteTransform('open'),
             opacity: animated && !isVisible ? 0 : 0.06,
             animation: animated && isVisible ? `${fadeInScale} 0.4s ease-out forwards` : 'none',
             pointerEvents: 'none',
@@ -315,23 +327,7 @@ export function QuotedContainer({
           >
             {children}
           </Typography>
-          {author && (
-            <Typography
-              variant="body2"
-              component="cite"
-              sx={{
-                display: 'block',
-                mt: 2,
-                fontStyle: 'normal',
-                color: 'text.secondary',
-                '&::before': {
-                  content: '"— "',
-                },
-              }}
-            >
-              {author}
-            </Typography>
-          )}
+          <Citation citation={source} sx={{ marginBlockStart: 2 }} />
         </Box>
       </Box>
     );
@@ -8,6 +8,8 @@ import TableContainer from '@mui/material/TableContainer';
 import TableHead from '@mui/material/TableHead';
 import TableRow from '@mui/material/TableRow';
 import { DocumentTitle, PageContainer, SectionTitle } from '../storybookDocumentation';
+import { CitationContext } from '../../hooks/useCitations';
+import magazineData from '../../data/magazineData';
 import { QuotedContainer } from '.';
 
 export default {
@@ -59,6 +61,10 @@ export default {
       control: { type: 'text' },
       description: '인용 출처/저자',
     },
+    citation: {
+      control: { type: 'object' },
+      description: '인용 출처 { referenceId, page } 또는 문자열 (utils/citations)',
+    },
     variant: {
       control: { type: 'select' },
       options: ['h3', 'h4', 'h5', 'h6', 'body1', 'body2'],
@@ -69,6 +75,11 @@ export default {
       options: ['left', 'center', 'right'],
       description: '텍스트 정렬',
     },
+    writingMode: {
+      control: { type: 'radio' },
+      options: ['horizontal', 'vertical'],
+      description: '쓰기 방향 (vertical: 세로쓰기)',
+    },
   },
 };
 
@@ -93,6 +104,39 @@ export const Default = {
   },
 };
 
+/** 세로쓰기 — 인용 부호가 90° 돌아 첫 글자 위, 마지막 글자 아래에 놓임 */
+export const Vertical = {
+  args: {
+    children: sampleQuotes.korean,
+    quoteSize: 'lg',
+    position: 'outside',
+    author: 'Steve Jobs',
+    variant: 'h5',
+    writingMode: 'vertical',
+  },
+  render: (args) => (
+    <Stack direction="row" spacing={ 6 } sx={ { height: 420 } }>
+      <QuotedContainer { ...args } />
+      <QuotedContainer { ...args } position="inside" />
+      <QuotedContainer { ...args } position="overlay" />
+    </Stack>
+  ),
+};
+
+/** 참고 문헌 출처 — CitationContext의 references에서 referenceId를 찾아 표시 */
+export const WithCitation = {
+  args: {
+    children: '당신 자신을 자기 이외의 곳에서 찾지 말라.',
+    citation: { referenceId: 'self-reliance' },
+    variant: 'h5',
+  },
+  render: (args) => (
+    <CitationContext value={ { references: magazineData.references, footnotes: [] } }>
+      <QuotedContainer { ...args } />
+    </CitationContext>
+  ),
+};
+
 /** 문서 및 데모 */
 export const Documentation = {
   render: () => (
@@ -174,6 +218,12 @@ export const Documentation = {
                 <TableCell>&apos;left&apos;</TableCell>
                 <TableCell>텍스트 정렬</TableCell>
               </TableRow>
+              <TableRow>
+                <TableCell sx={ { fontFamily: 'monospace' } }>writingMode</TableCell>
+                <TableCell>&apos;horizontal&apos; | &apos;vertical&apos;</TableCell>
+                <TableCell>&apos;horizontal&apos;</TableCell>
+                <TableCell>쓰기 방향 (vertical: 인용 부호 90° 회전)</TableCell>
+              </TableRow>
             </TableBody>
           </Table>
         </TableContainer>
@@ -0,0 +1,100 @@
+import { Fragment, useMemo } from 'react';
+import { Box } from '@mui/material';
+import { InlineMarkup } from './InlineMarkup.jsx';
+import { toRichText } from '../../utils/richText';
+
+/** 인라인 타입별 스타일 — 색·크기는 부모 텍스트를 따른다 */
+const inlineSx = {
+  emphasis: {
+    fontStyle: 'normal',
+    fontWeight: 700,
+  },
+  accent: {
+    fontWeight: 700,
+    color: (theme) => theme.magazine.accent,
+  },
+};
+
+/**
+ * RichTextInline 컴포넌트 (하위 컴포넌트)
+ *
+ * 구조화 본문의 인라인 노드 하나를 렌더링한다. 토큰 단위로 노출하는 키네틱 타이포그래피에서도 사용.
+ *
+ * Props:
+ * @param {string|object} node - 인라인 노드 (utils/richText) [Required]
+ * @param {ReactNode} children - 표시할 내용. 없으면 node.text [Optional]
+ *
+ * Example usage:
+ * <RichTextInline node={{ type: 'accent', text: '우리의 의식' }} />
+ */
+export function RichTextInline({ node, children }) {
+  if (typeof node === 'string') return <InlineMarkup text={node} />;
+  if (node.type === 'break') return <br />;
+
+  return (
+    <Box component={node.type === 'emphasis' ? 'strong' : 'mark'} sx={{ backgroundColor: 'transparent', ...inlineSx[node.type] }}>
+      {children ?? <InlineMarkup text={node.text} />}
+    </Box>
+  );
+}
+
+/**
+ * RichText 컴포넌트
+ *
+ * 카드·아티클·스토리·용어 상세가 함께 쓰는 구조화 본문 렌더러.
+ * 형식은 utils/richText 참고.
+ *
+ * 동작 흐름:
+ * 1. 문자열 본문은 빈 줄을 문단, 줄바꿈을 break로 해석한다
+ * 2. paragraph는 <p>, quote는 왼쪽 선이 있는 <blockquote>로 렌더링한다
+ * 3. emphasis는 볼드, accent는 볼드 + 액센트 컬러, break는 줄바꿈으로 표시한다
+ * 4. 일반 텍스트의 용어집 링크·루비 마크업도 함께 해석한다
+ * 5. 글꼴·색·행간은 sx로 루트에 지정하면 모든 블록이 상속한다
+ *
+ * Props:
+ * @param {string|Array<object>} value - 본문 (문자열 또는 블록 배열) [Required]
+ * @param {number} spacing - 블록 사이 간격 (theme spacing) [Optional, 기본값: 2]
+ * @param {string} component - 루트 요소 [Optional, 기본값: 'div']
+ * @param {object} sx - 루트 스타일 (typography, color 등) [Optional]
+ *
+ * Example usage:
+ * <RichText value={ card.body } sx={ { color: 'text.secondary', lineHeight: 1.85 } } />
+ * <RichText value="첫 문단\n\n두 번째 문단" />
+ */
+export function RichText({ value, spacing = 2, component = 'div', sx }) {
+  const blocks = useMemo(() => toRichText(value), [value]);
+
+  return (
+    <Box
+      component={component}
+      sx={{
+        '& > *': { m: 0 },
+        '& > * + *': { mt: spacing },
+        ...sx,
+      }}
+    >
+      {blocks.map((block, blockIndex) => (
+        <Box
+          key={blockIndex}
+          component={block.type === 'quote' ? 'blockquote' : 'p'}
+          sx={block.type === 'quote' ? {
+            pl: 2,
+            borderLeft: '2px solid',
+            borderColor: (theme) => theme.magazine.accent,
+          } : undefined}
+        >
+          {block.content.map((node, nodeIndex) => (
+            <Fragment key={nodeIndex}>
+              <RichTextInline node={node} />
+            </Fragment>
+          ))}
+          {block.type === 'quote' && block.source && (
+            <Box component="cite" sx={{ display: 'block', mt: 1, fontSize: '0.85em', fontStyle: 'normal', opacity: 0.7 }}>
+              — {block.source}
+            </Box>
+          )}
+        </Box>
+      ))}
+    </Box>
+  );
+}
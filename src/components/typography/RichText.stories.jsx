@@ -0,0 +1,144 @@
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import { DocumentTitle, PageContainer, SectionTitle } from '../storybookDocumentation';
+import { convertHighlightedBody } from '../../utils/richText';
+import magazineData from '../../data/magazineData';
+import { RichText } from '.';
+
+const [variantsSpaceTerm] = magazineData.terms.featured;
+
+/** 다크 카드 본문과 같은 글꼴·색 */
+const cardBodySx = {
+  typography: 'body1',
+  maxWidth: 480,
+  color: 'rgba(245, 242, 238, 0.7)',
+  lineHeight: 1.85,
+  wordBreak: 'keep-all',
+};
+
+export default {
+  title: 'Component/1. Typography/RichText',
+  component: RichText,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'padded',
+    docs: {
+      description: {
+        component: `
+## RichText
+
+카드·아티클·스토리·용어 상세가 함께 쓰는 구조화 본문 렌더러.
+
+### 형식 (utils/richText)
+- 블록: \`paragraph\`, \`quote\` (source로 출처 표기)
+- 인라인: 문자열, \`emphasis\`(볼드), \`accent\`(볼드 + 액센트 컬러), \`break\`(줄바꿈)
+- 문자열 본문은 빈 줄을 문단, 줄바꿈을 break로 해석
+
+### 마이그레이션
+\`convertHighlightedBody({ body, bodyHighlight, bodyHighlights })\`가 기존 하이라이트 문자열 데이터를 구조화 본문으로 바꾼다.
+찾지 못한 하이라이트 문구는 에러로 알린다.
+        `,
+      },
+    },
+  },
+  argTypes: {
+    value: {
+      control: { type: 'object' },
+      description: '본문 (문자열 또는 블록 배열)',
+    },
+    spacing: {
+      control: { type: 'number', min: 0, max: 6, step: 0.5 },
+      description: '블록 사이 간격 (theme spacing)',
+    },
+  },
+};
+
+/** 다크 서피스 (카드·모달 본문 색 확인용) */
+const DarkSurface = ({ children }) => (
+  <Box sx={ (theme) => ({ p: 4, backgroundColor: theme.magazine.surface.dark }) }>
+    { children }
+  </Box>
+);
+
+export const Default = {
+  args: {
+    value: variantsSpaceTerm.cards[2].body,
+    sx: cardBodySx,
+  },
+  render: (args) => (
+    <DarkSurface>
+      <RichText { ...args } />
+    </DarkSurface>
+  ),
+};
+
+/** 블록 종류 — 문단, 인용(출처), 강조, 액센트, 줄바꿈 */
+export const Blocks = {
+  args: {
+    value: [
+      {
+        type: 'paragraph',
+        content: ['양자역학의 기본 전제는 ', { type: 'emphasis', text: '우리의 직관' }, '에 정면으로 반한다.', { type: 'break' }, '줄바꿈 뒤의 문장.'],
+      },
+      { type: 'quote', content: ['변이 공간에는 모든 것이 이미 존재한다.'], source: '바딤 젤란드' },
+      { type: 'paragraph', content: [{ type: 'accent', text: '우리는 자기가 선택한 것을 얻는다.' }] },
+    ],
+    sx: cardBodySx,
+  },
+  render: (args) => (
+    <DarkSurface>
+      <RichText { ...args } />
+    </DarkSurface>
+  ),
+};
+
+/** 문자열 본문 — 빈 줄은 문단, 줄바꿈은 break */
+export const PlainString = {
+  args: {
+    value: '첫 문단의 첫 줄\n첫 문단의 둘째 줄\n\n두 번째 문단',
+    sx: cardBodySx,
+  },
+  render: (args) => (
+    <DarkSurface>
+      <RichText { ...args } />
+    </DarkSurface>
+  ),
+};
+
+/** 하이라이트 문자열 데이터 → 구조화 본문 변환 결과 */
+export const Migration = {
+  render: () => {
+    const legacy = {
+      body: '그렇다면, 이 \'빛\'은 무엇일까.\n그것은 바로 우리의 의식이다.',
+      bodyHighlight: '그래서 사람은 정확히 자신이 선택한 것을 얻는다.',
+      bodyHighlights: ['우리의 의식'],
+    };
+    const converted = convertHighlightedBody(legacy);
+
+    return (
+      <PageContainer>
+        <DocumentTitle
+          title="RichText Migration"
+          status="Available"
+          note="Convert highlight-string bodies to structured rich text"
+          brandName="Typography"
+          systemName="Starter Kit"
+          version="1.0"
+        />
+        <Stack spacing={ 4 }>
+          <Box>
+            <SectionTitle title="Before" description="body + bodyHighlight + bodyHighlights" />
+            <Box component="pre" sx={ { m: 0, fontSize: 12, whiteSpace: 'pre-wrap' } }>{ JSON.stringify(legacy, null, 2) }</Box>
+          </Box>
+          <Box>
+            <SectionTitle title="After" description="convertHighlightedBody(legacy)" />
+            <Box component="pre" sx={ { m: 0, fontSize: 12, whiteSpace: 'pre-wrap' } }>{ JSON.stringify(converted, null, 2) }</Box>
+          </Box>
+          <DarkSurface>
+            <RichText value={ converted } sx={ cardBodySx } />
+          </DarkSurface>
+        </Stack>
+      </PageContainer>
+    );
+  },
+};
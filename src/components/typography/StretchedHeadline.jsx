@@ -1,18 +1,23 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { Box } from '@mui/material';
+import { splitText } from '../../utils/textSegmentation';
+import { getWritingModeSx, isVerticalWritingMode } from '../../utils/writingMode';
 
 /**
  * StretchedHeadline 컴포넌트
  *
  * 단어 간격을 동적으로 늘려 컨테이너 전체 너비를 채우는 히어로 타이포그래피 컴포넌트.
  * 각 단어를 개별 span으로 분리하고 flexbox의 space-between으로 배치한다.
+ * 세로쓰기(writingMode="vertical")에서는 단어가 위→아래로 흐르며 컨테이너 전체 높이를 채운다.
  *
  * 동작 방식:
- * 1. 텍스트를 공백 기준으로 단어 단위로 분리
+ * 1. 텍스트를 단어 단위로 분리 (utils/textSegmentation — 문장 부호·이모지는 앞 단어에 붙는다)
  * 2. 각 단어를 개별 span 요소로 래핑
  * 3. flexbox justify-content: space-between으로 전체 너비에 균등 배치
  * 4. ResizeObserver로 컨테이너 크기 변화 감지하여 반응형 대응
  * 5. fillWidth가 false면 일반 word-spacing으로 간격 조절
+ * 6. writingMode가 'vertical'이면 flex 주축이 글줄 방향(세로)이 되어 높이 100%를 채우고,
+ *    animated 등장은 아래→위 대신 줄이 쌓이는 방향의 반대(왼쪽→오른쪽)로 움직임
  *
  * Props:
  * @param {string} text - 표시할 텍스트 [Required]
@@ -24,11 +29,13 @@ import { Box } from '@mui/material';
  * @param {number} fontWeight - 폰트 굵기 [Optional, 기본값: 700]
  * @param {number} lineHeight - 줄 높이 [Optional, 기본값: 1]
  * @param {string} textTransform - 텍스트 변환 ('none' | 'uppercase' | 'lowercase') [Optional, 기본값: 'uppercase']
+ * @param {string} writingMode - 쓰기 방향 ('horizontal' | 'vertical') — vertical은 부모가 높이를 정해야 함 [Optional, 기본값: 'horizontal']
  * @param {object} sx - 추가 스타일 오버라이드 [Optional]
  *
  * Example usage:
  * <StretchedHeadline text="DESIGN SYSTEM" />
  * <StretchedHeadline text="Hello World" fillWidth={false} minWordSpacing={2} />
+ * <Box sx={{ height: 600 }}><StretchedHeadline text="스스로 서는 사람" writingMode="vertical" /></Box>
  */
 export function StretchedHeadline({
   text,
@@ -40,14 +47,26 @@ export function StretchedHeadline({
   fontWeight = 700,
   lineHeight = 1,
   textTransform = 'uppercase',
+  writingMode = 'horizontal',
   sx,
   ...props
 }) {
   const containerRef = useRef(null);
   const [isAnimated, setIsAnimated] = useState(false);
 
+  // 쓰기 방향 — 세로쓰기는 글줄 방향이 높이, 등장 오프셋은 가로(translateX)
+  const isVertical = isVerticalWritingMode(writingMode);
+  const lineSizeSx = isVertical ? { height: '100%' } : { width: '100%' };
+  const hiddenTransform = isVertical ? 'translateX(-20px)' : 'translateY(20px)';
+  const shownTransform = isVertical ? 'translateX(0)' : 'translateY(0)';
+
   // 단어 분리
-  const words = text.trim().split(/\s+/);
+  const words = useMemo(
+    () => splitText(text.trim(), 'word')
+      .filter((token) => !token.isWhitespace)
+      .map((token) => token.text),
+    [text]
+  );
 
   // 애니메이션 트리거 (viewport 진입 시)
   useEffect(() => {
@@ -80,7 +99,8 @@ export function StretchedHeadline({
           display: 'flex',
           justifyContent: 'space-between',
           alignItems: 'center',
-          width: '100%',
+          ...getWritingModeSx(writingMode),
+          ...lineSizeSx,
           fontFamily,
           fontSize,
           fontWeight,
@@ -99,7 +119,7 @@ export function StretchedHeadline({
               display: 'inline-block',
               opacity: variant === 'animated' ? (isAnimated ? 1 : 0) : 1,
               transform: variant === 'animated'
-                ? (isAnimated ? 'translateY(0)' : 'translateY(20px)')
+                ? (isAnimated ? shownTransform : hiddenTransform)
                 : 'none',
               transition: variant === 'animated'
                 ? `opacity 0.6s ease-out ${index * 0.1}s, transform 0.6s ease-out ${index * 0.1}s`
@@ -119,7 +139,8 @@ export function StretchedHeadline({
       ref={containerRef}
       sx={{
         display: 'block',
-        width: '100%',
+        ...getWritingModeSx(writingMode),
+        ...lineSizeSx,
         fontFamily,
         fontSize,
         fontWeight,
@@ -140,9 +161,9 @@ export function StretchedHeadline({
             sx={{
               display: 'inline-block',
               opacity: isAnimated ? 1 : 0,
-              transform: isAnimated ? 'translateY(0)' : 'translateY(20px)',
+              transform: isAnimated ? shownTransform : hiddenTransform,
               transition: `opacity 0.6s ease-out ${index * 0.1}s, transform 0.6s ease-out ${index * 0.1}s`,
-              mr: index < words.length - 1 ? `${minWordSpacing}em` : 0,
+              marginInlineEnd: index < words.length - 1 ? `${minWordSpacing}em` : 0,
             }}
           >
             {word}
@@ -160,11 +181,13 @@ export function StretchedHeadline({
  *
  * 여러 줄의 StretchedHeadline을 세로로 배치하는 래퍼 컴포넌트.
  * 각 줄이 독립적으로 전체 너비를 채운다.
+ * 세로쓰기에서는 줄이 오른쪽→왼쪽으로 쌓이고 각 줄이 전체 높이를 채운다.
  *
  * Props:
  * @param {string[]} lines - 각 줄의 텍스트 배열 [Required]
  * @param {number} gap - 줄 간격 [Optional, 기본값: 0]
  * @param {object} headlineProps - 각 StretchedHeadline에 전달할 props [Optional]
+ * @param {string} writingMode - 쓰기 방향 ('horizontal' | 'vertical') [Optional, 기본값: 'horizontal']
  * @param {object} sx - 추가 스타일 오버라이드 [Optional]
  *
  * Example usage:
@@ -177,6 +200,7 @@ export function StretchedHeadlineMultiline({
   lines,
   gap = 0,
   headlineProps = {},
+  writingMode = 'horizontal',
   sx,
   ...props
 }) {
@@ -184,9 +208,11 @@ export function StretchedHeadlineMultiline({
     <Box
       sx={{
         display: 'flex',
+        // column은 block 축 — 세로쓰기에서는 줄이 오른쪽→왼쪽으로 쌓인다
         flexDirection: 'column',
         gap,
-        width: '100%',
+        ...getWritingModeSx(writingMode),
+        ...(isVerticalWritingMode(writingMode) ? { height: '100%' } : { width: '100%' }),
         ...sx,
       }}
       {...props}
@@ -195,6 +221,7 @@ export function StretchedHeadlineMultiline({
         <StretchedHeadline
           key={index}
           text={line}
+          writingMode={writingMode}
           {...headlineProps}
           sx={{
             ...(headlineProps.variant === 'animated' && {
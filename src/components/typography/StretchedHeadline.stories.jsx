@@ -50,6 +50,11 @@ export default {
       options: ['none', 'uppercase', 'lowercase'],
       description: '텍스트 변환',
     },
+    writingMode: {
+      control: 'radio',
+      options: ['horizontal', 'vertical'],
+      description: '쓰기 방향 (vertical: 세로쓰기)',
+    },
   },
 };
 
@@ -63,6 +68,28 @@ export const Default = {
   },
 };
 
+/** 세로쓰기 — 단어가 전체 높이를 채움 */
+export const Vertical = {
+  args: {
+    text: '스스로 서는 사람',
+    fillWidth: true,
+    variant: 'animated',
+    textTransform: 'none',
+    writingMode: 'vertical',
+  },
+  render: (args) => (
+    <Box sx={ { height: 560, display: 'flex', gap: 4 } }>
+      <StretchedHeadline { ...args } />
+      <StretchedHeadlineMultiline
+        lines={ ['WE CREATE', 'DIGITAL', 'EXPERIENCES'] }
+        gap={ 1 }
+        writingMode="vertical"
+        headlineProps={ { fontSize: '3rem' } }
+      />
+    </Box>
+  ),
+};
+
 /** 문서 및 데모 */
 export const Documentation = {
   render: () => (
@@ -132,6 +159,12 @@ export const Documentation = {
                 <TableCell>&apos;uppercase&apos;</TableCell>
                 <TableCell>텍스트 변환</TableCell>
               </TableRow>
+              <TableRow>
+                <TableCell sx={ { fontFamily: 'monospace' } }>writingMode</TableCell>
+                <TableCell>&apos;horizontal&apos; | &apos;vertical&apos;</TableCell>
+                <TableCell>&apos;horizontal&apos;</TableCell>
+                <TableCell>쓰기 방향 (vertical: 전체 높이를 채움)</TableCell>
+              </TableRow>
             </TableBody>
           </Table>
         </TableContainer>
@@ -1,4 +1,7 @@
 import { Box, Typography } from '@mui/material';
+import { InlineMarkup } from './InlineMarkup.jsx';
+import { Citation } from './Citation.jsx';
+import { getWritingModeSx, isVerticalWritingMode } from '../../utils/writingMode';
 
 /**
  * StyledParagraph 컴포넌트
@@ -11,14 +14,18 @@ import { Box, Typography } from '@mui/material';
  * 3. styleColor로 Drop Cap과 장식 라인 색상을 동시에 지정
  * 4. variant로 Typography 스타일을 지정
  * 5. maxWidth로 최적의 줄 길이를 제어
+ * 6. children이 문자열이면 용어집 링크([[용어]])와 루비({본문|주석}) 마크업을 해석한다
+ * 7. writingMode가 'vertical'이면 세로쓰기로 흐름 — 장식 라인은 글줄이 시작하는 위쪽에 가로로 놓이고,
+ *    maxWidth는 글줄 길이(높이)를 제한하며, Drop Cap은 첫 두 줄(오른쪽 두 열)의 머리에 자리 잡음
  *
  * Props:
- * @param {string} children - 문단 텍스트 [Required]
+ * @param {string} children - 문단 텍스트 (인라인 마크업 사용 가능) [Required]
  * @param {string} variant - Typography variant ('h4' | 'h5' | 'h6' | 'body1' | 'body2') [Optional, 기본값: 'h5']
  * @param {boolean} dropCap - 첫 글자 확대 (Drop Cap, 2줄 높이, 자동 float) [Optional, 기본값: false]
  * @param {string} styleColor - Drop Cap 및 장식 라인 색상 (MUI 색상 경로 또는 HEX) [Optional, 기본값: 'primary.main']
  * @param {string} align - 텍스트 정렬 ('left' | 'center' | 'right' | 'justify') [Optional, 기본값: 'left']
- * @param {number|string} maxWidth - 최대 너비 (ch 단위 숫자 또는 CSS 값) [Optional, 기본값: 65]
+ * @param {number|string} maxWidth - 최대 글줄 길이 (ch 단위 숫자 또는 CSS 값, 세로쓰기에서는 높이) [Optional, 기본값: 65]
+ * @param {string} writingMode - 쓰기 방향 ('horizontal' | 'vertical') [Optional, 기본값: 'horizontal']
  * @param {object} sx - 추가 스타일 오버라이드 [Optional]
  *
  * Example usage:
@@ -28,6 +35,9 @@ import { Box, Typography } from '@mui/material';
  * <StyledParagraph variant="h4" dropCap styleColor="secondary.main">
  *   Lorem ipsum dolor sit amet...
  * </StyledParagraph>
+ * <StyledParagraph variant="h5" dropCap writingMode="vertical" maxWidth={ 24 }>
+ *   자기 자신을 믿어라.
+ * </StyledParagraph>
  */
 export function StyledParagraph({
   children,
@@ -36,16 +46,17 @@ export function StyledParagraph({
   styleColor = 'primary.main',
   align = 'left',
   maxWidth = 65,
+  writingMode = 'horizontal',
   sx,
   ...props
 }) {
   // 최대 너비 처리
   const maxWidthValue = typeof maxWidth === 'number' ? `${maxWidth}ch` : maxWidth;
 
-  // 장식 스타일 (왼쪽 border)
+  // 장식 스타일 (글줄 시작 쪽 border — 가로쓰기: 왼쪽, 세로쓰기: 위쪽)
   const decorationStyle = {
-    pl: 4,
-    borderLeft: '3px solid',
+    paddingInlineStart: 4,
+    borderInlineStart: '3px solid',
     borderColor: styleColor,
     color: 'text.secondary',
   };
@@ -65,20 +76,45 @@ export function StyledParagraph({
     },
   };
 
+  // 세로쓰기 Drop Cap
+  // float: left는 물리 방향이라 세로쓰기에서는 글줄 끝(왼쪽)으로 밀려나므로 inline-start(위쪽)로 띄운다.
+  // initial-letter를 지원하는 브라우저에서는 float 대신 첫 두 줄에 맞춰 정확히 가라앉힌다.
+  const verticalDropCapStyle = {
+    '&::first-letter': {
+      float: 'inline-start',
+      fontSize: '300%',
+      fontWeight: 700,
+      lineHeight: 1,
+      marginInlineEnd: 1,
+      fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+      color: styleColor,
+    },
+    '@supports (initial-letter: 2) or (-webkit-initial-letter: 2)': {
+      '&::first-letter': {
+        float: 'none',
+        fontSize: 'inherit',
+        lineHeight: 'inherit',
+        initialLetter: 2,
+        WebkitInitialLetter: 2,
+      },
+    },
+  };
+
   return (
     <Typography
       variant={variant}
       component="p"
       sx={{
-        maxWidth: maxWidthValue,
+        ...getWritingModeSx(writingMode),
+        maxInlineSize: maxWidthValue,
         textAlign: align,
         ...decorationStyle,
-        ...(dropCap && dropCapStyle),
+        ...(dropCap && (isVerticalWritingMode(writingMode) ? verticalDropCapStyle : dropCapStyle)),
         ...sx,
       }}
       {...props}
     >
-      {children}
+      {typeof children === 'string' ? <InlineMarkup text={children} /> : children}
     </Typography>
   );
 }
@@ -90,9 +126,11 @@ export function StyledParagraph({
  *
  * Props:
  * @param {string} children - 인용 텍스트 [Required]
- * @param {string} author - 인용 출처/저자 [Optional]
+ * @param {string} author - 인용 출처/저자 (citation이 없을 때 표시) [Optional]
+ * @param {string|object} citation - 인용 출처 { referenceId, page } 또는 문자열 (utils/citations) [Optional]
  * @param {boolean} dropCap - 첫 글자 확대 (Drop Cap, 2줄 높이) [Optional, 기본값: false]
  * @param {string} styleColor - Drop Cap 및 장식 라인 색상 [Optional, 기본값: 'primary.main']
+ * @param {string} writingMode - 쓰기 방향 ('horizontal' | 'vertical') — 세로쓰기에서 출처는 인용문 왼쪽 열에 놓임 [Optional, 기본값: 'horizontal']
  * @param {object} sx - 추가 스타일 오버라이드 [Optional]
  *
  * Example usage:
@@ -100,30 +138,22 @@ export function StyledParagraph({
  *   Design is not just what it looks like.
  * </PullQuote>
  */
-export function PullQuote({ children, author, dropCap = false, styleColor = 'primary.main', sx, ...props }) {
+export function PullQuote({
+  children,
+  author,
+  citation,
+  dropCap = false,
+  styleColor = 'primary.main',
+  writingMode = 'horizontal',
+  sx,
+  ...props
+}) {
   return (
-    <Box sx={{ ...sx }} {...props}>
-      <StyledParagraph maxWidth="none" dropCap={dropCap} styleColor={styleColor}>
+    <Box sx={{ ...getWritingModeSx(writingMode), ...sx }} {...props}>
+      <StyledParagraph maxWidth="none" dropCap={dropCap} styleColor={styleColor} writingMode={writingMode}>
         {children}
       </StyledParagraph>
-      {author && (
-        <Typography
-          variant="caption"
-          component="cite"
-          sx={{
-            display: 'block',
-            mt: 2,
-            pl: 4,
-            fontStyle: 'normal',
-            color: 'text.secondary',
-            '&::before': {
-              content: '"— "',
-            },
-          }}
-        >
-          {author}
-        </Typography>
-      )}
+      <Citation citation={citation ?? author} variant="caption" sx={{ marginBlockStart: 2, paddingInlineStart: 4 }} />
     </Box>
   );
 }
@@ -62,6 +62,11 @@ export default {
       control: { type: 'number' },
       description: '최대 너비 (ch 단위)',
     },
+    writingMode: {
+      control: { type: 'radio' },
+      options: ['horizontal', 'vertical'],
+      description: '쓰기 방향 (vertical: 세로쓰기)',
+    },
   },
 };
 
@@ -84,6 +89,27 @@ export const Default = {
   },
 };
 
+/** 세로쓰기 — 장식 라인은 위쪽, Drop Cap은 첫 두 줄의 머리 */
+export const Vertical = {
+  args: {
+    children: sampleText.korean,
+    variant: 'h5',
+    dropCap: true,
+    styleColor: 'primary.main',
+    align: 'left',
+    maxWidth: 20,
+    writingMode: 'vertical',
+  },
+  render: (args) => (
+    <Stack direction="row" spacing={ 6 } sx={ { alignItems: 'flex-start' } }>
+      <StyledParagraph { ...args } />
+      <PullQuote author="랄프 왈도 에머슨" writingMode="vertical" sx={ { maxHeight: '20em' } }>
+        자기 자신을 믿어라. 모든 마음이 그 쇠줄에 따라 진동한다.
+      </PullQuote>
+    </Stack>
+  ),
+};
+
 /** 문서 및 데모 */
 export const Documentation = {
   render: () => (
@@ -153,6 +179,12 @@ export const Documentation = {
                 <TableCell>&apos;left&apos;</TableCell>
                 <TableCell>텍스트 정렬</TableCell>
               </TableRow>
+              <TableRow>
+                <TableCell sx={ { fontFamily: 'monospace' } }>writingMode</TableCell>
+                <TableCell>&apos;horizontal&apos; | &apos;vertical&apos;</TableCell>
+                <TableCell>&apos;horizontal&apos;</TableCell>
+                <TableCell>쓰기 방향 (vertical: 장식 라인 위쪽, 세로 Drop Cap)</TableCell>
+              </TableRow>
             </TableBody>
           </Table>
         </TableContainer>
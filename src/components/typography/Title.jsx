@@ -1,4 +1,5 @@
 import { Box, Typography } from '@mui/material';
+import { getWritingModeSx, isVerticalWritingMode } from '../../utils/writingMode';
 
 /**
  * Title 컴포넌트
@@ -12,6 +13,8 @@ import { Box, Typography } from '@mui/material';
  * 3. subtitle이 있으면 메인 타이틀 아래에 부연 설명으로 표시됨
  * 4. layout에 따라 요소들의 배치 방식이 달라짐
  * 5. divider가 true면 하단에 시각적 구분선이 추가됨
+ * 6. writingMode가 'vertical'이면 세로쓰기로 흐름 — overline, 타이틀, 서브타이틀이 오른쪽→왼쪽으로 쌓이고
+ *    구분선은 맨 왼쪽에 세로로 놓임 (여백·구분선은 논리 속성이라 두 방향에서 같은 위치 관계를 유지)
  *
  * Props:
  * @param {string} title - 메인 타이틀 텍스트 [Required]
@@ -22,12 +25,14 @@ import { Box, Typography } from '@mui/material';
  * @param {string} layout - 레이아웃 방식 ('stack' | 'inline' | 'split') [Optional, 기본값: 'stack']
  * @param {boolean} divider - 하단 구분선 표시 여부 [Optional, 기본값: false]
  * @param {string} dividerStyle - 구분선 스타일 ('line' | 'dot' | 'gradient') [Optional, 기본값: 'line']
+ * @param {string} writingMode - 쓰기 방향 ('horizontal' | 'vertical') [Optional, 기본값: 'horizontal']
  * @param {object} sx - 추가 스타일 오버라이드 [Optional]
  *
  * Example usage:
  * <Title title="섹션 제목" />
  * <Title title="About Us" overline="Company" subtitle="우리의 이야기" />
  * <Title title="Features" layout="inline" divider dividerStyle="gradient" />
+ * <Title title="자기 신뢰" overline="Essay" subtitle="랄프 왈도 에머슨" writingMode="vertical" divider />
  */
 export function Title({
   title,
@@ -38,6 +43,7 @@ export function Title({
   layout = 'stack',
   divider = false,
   dividerStyle = 'line',
+  writingMode = 'horizontal',
   sx,
   ...props
 }) {
@@ -64,19 +70,22 @@ export function Title({
     right: 'flex-end',
   };
 
-  // 구분선 스타일 정의
+  // 쓰기 방향 스타일 (세로쓰기: vertical-rl)
+  const writingModeSx = getWritingModeSx(writingMode);
+
+  // 구분선 스타일 정의 (inline = 글줄 방향 길이, block = 두께)
   const dividerStyles = {
     line: {
-      width: '100%',
-      maxWidth: align === 'center' ? 120 : '100%',
-      height: 1,
+      inlineSize: '100%',
+      maxInlineSize: align === 'center' ? 120 : '100%',
+      blockSize: 1,
       backgroundColor: 'divider',
-      mt: 2,
+      marginBlockStart: 2,
     },
     dot: {
       display: 'flex',
       gap: 1,
-      mt: 2,
+      marginBlockStart: 2,
       '& > span': {
         width: 6,
         height: 6,
@@ -85,12 +94,12 @@ export function Title({
       },
     },
     gradient: {
-      width: '100%',
-      maxWidth: align === 'center' ? 200 : '100%',
-      height: 2,
-      background: 'linear-gradient(90deg, transparent 0%, currentColor 50%, transparent 100%)',
+      inlineSize: '100%',
+      maxInlineSize: align === 'center' ? 200 : '100%',
+      blockSize: 2,
+      background: `linear-gradient(${isVerticalWritingMode(writingMode) ? 180 : 90}deg, transparent 0%, currentColor 50%, transparent 100%)`,
       color: 'primary.main',
-      mt: 2,
+      marginBlockStart: 2,
       opacity: 0.6,
     },
   };
@@ -104,6 +113,7 @@ export function Title({
           flexDirection: 'column',
           alignItems: alignmentMap[align],
           textAlign: align,
+          ...writingModeSx,
           ...sx,
         }}
         {...props}
@@ -116,7 +126,7 @@ export function Title({
               color: 'primary.main',
               fontWeight: 600,
               letterSpacing: '0.1em',
-              mb: 0.5,
+              marginBlockEnd: 0.5,
             }}
           >
             {overline}
@@ -139,8 +149,8 @@ export function Title({
             component="p"
             sx={{
               color: 'text.secondary',
-              mt: 1,
-              maxWidth: '60ch',
+              marginBlockStart: 1,
+              maxInlineSize: '60ch',
             }}
           >
             {subtitle}
@@ -171,6 +181,7 @@ export function Title({
           flexDirection: 'column',
           alignItems: alignmentMap[align],
           textAlign: align,
+          ...writingModeSx,
           ...sx,
         }}
         {...props}
@@ -214,8 +225,8 @@ export function Title({
             component="p"
             sx={{
               color: 'text.secondary',
-              mt: 1,
-              maxWidth: '60ch',
+              marginBlockStart: 1,
+              maxInlineSize: '60ch',
             }}
           >
             {subtitle}
@@ -245,6 +256,7 @@ export function Title({
           display: 'flex',
           flexDirection: 'column',
           gap: 1,
+          ...writingModeSx,
           ...sx,
         }}
         {...props}
@@ -289,8 +301,8 @@ export function Title({
               component="p"
               sx={{
                 color: 'text.secondary',
-                maxWidth: '40ch',
-                textAlign: 'right',
+                maxInlineSize: '40ch',
+                textAlign: 'end',
                 flex: '0 1 auto',
               }}
             >
@@ -68,6 +68,11 @@ export default {
       options: ['line', 'dot', 'gradient'],
       description: '구분선 스타일',
     },
+    writingMode: {
+      control: 'radio',
+      options: ['horizontal', 'vertical'],
+      description: '쓰기 방향 (vertical: 세로쓰기)',
+    },
   },
 };
 
@@ -84,6 +89,26 @@ export const Default = {
   },
 };
 
+/** 세로쓰기 — overline, 타이틀, 서브타이틀이 오른쪽에서 왼쪽으로 쌓임 */
+export const Vertical = {
+  args: {
+    title: '자기 신뢰',
+    overline: 'Essay',
+    subtitle: '랄프 왈도 에머슨의 글을 다시 읽다',
+    level: 'h2',
+    align: 'left',
+    layout: 'stack',
+    divider: true,
+    dividerStyle: 'gradient',
+    writingMode: 'vertical',
+  },
+  render: (args) => (
+    <Box sx={ { height: 420 } }>
+      <Title { ...args } />
+    </Box>
+  ),
+};
+
 /** 모든 레이아웃 비교 */
 export const Layouts = {
   render: () => (
@@ -164,6 +189,12 @@ export const Layouts = {
                 <TableCell>&apos;line&apos;</TableCell>
                 <TableCell>구분선 스타일</TableCell>
               </TableRow>
+              <TableRow>
+                <TableCell sx={ { fontFamily: 'monospace' } }>writingMode</TableCell>
+                <TableCell>&apos;horizontal&apos; | &apos;vertical&apos;</TableCell>
+                <TableCell>&apos;horizontal&apos;</TableCell>
+                <TableCell>쓰기 방향 (vertical: 세로쓰기, 오른쪽→왼쪽으로 쌓임)</TableCell>
+              </TableRow>
             </TableBody>
           </Table>
         </TableContainer>
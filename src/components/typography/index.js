@@ -33,3 +33,17 @@ export {
 
 // QuotedContainer - 장식적 인용 부호가 있는 인용문
 export { QuotedContainer } from './QuotedContainer.jsx';
+
+// InlineMarkup - 본문 속 용어집 링크([[용어]]), 루비 주석({본문|주석}), 각주 참조([^id])
+export {
+  InlineMarkup,
+  InlineMarkupNode,
+  GlossaryTerm,
+  Ruby,
+} from './InlineMarkup.jsx';
+
+// Citation - 인용 출처 표기와 본문 각주 번호 (utils/citations)
+export { Citation, FootnoteRef } from './Citation.jsx';
+
+// RichText - 구조화 본문 렌더러 (문단, 강조, 액센트, 인용, 줄바꿈)
+export { RichText, RichTextInline } from './RichText.jsx';
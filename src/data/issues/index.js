@@ -0,0 +1,89 @@
+/**
+ * Issue Registry
+ *
+ * 매거진 호(issue) 메타데이터 목록과 호별 데이터 번들 로더.
+ * 메타데이터는 아카이브 페이지에서 바로 쓰이도록 정적으로 포함하고,
+ * 본문 데이터 번들은 load()로 동적 import하여 호마다 별도 청크로 분리한다.
+ *
+ * 계층 구조:
+ * issues[]
+ * ├── id         - URL 식별자 (/issues/:issueId)
+ * ├── number     - 호 번호
+ * ├── title      - 호 타이틀 (다루는 텍스트)
+ * ├── author     - 원전 저자
+ * ├── publisher  - 원전 출판사 [Optional]
+ * ├── cover      - 커버 이미지 src (호별 아트 디렉션 테마의 팔레트 출처)
+ * ├── date       - 발행일 (YYYY-MM)
+ * └── load       - () => Promise<{ default: { data, sections } }> 데이터 번들 로더
+ *
+ * Example usage:
+ * const issue = getIssue('self-reliance');
+ * const { data, sections } = use(loadIssue(issue.id));
+ */
+
+import selfRelianceCover from '../../assets/cover.jpeg';
+
+export const issues = [
+  {
+    id: 'self-reliance',
+    number: 1,
+    title: '자기 신뢰',
+    author: '랄프 왈도 에머슨',
+    publisher: '현대지성',
+    cover: selfRelianceCover,
+    date: '2026-02',
+    load: () => import('./selfReliance.js'),
+  },
+];
+
+/** 가장 최근 호 (number 기준) */
+export const latestIssue = issues.reduce(
+  (latest, issue) => (issue.number > latest.number ? issue : latest),
+  issues[0]
+);
+
+/**
+ * id로 호 메타데이터 조회
+ *
+ * @param {string} issueId - 호 id
+ * @returns {object|undefined} 호 메타데이터 (없으면 undefined)
+ */
+export const getIssue = (issueId) => issues.find((issue) => issue.id === issueId);
+
+/** 호별 번들 로딩 Promise 캐시 — React use()에 같은 Promise를 넘기기 위해 유지 */
+const bundleCache = new Map();
+
+/**
+ * 호 데이터 번들 로드
+ * 같은 id에 대해서는 항상 동일한 Promise를 반환한다.
+ * 청크 로드가 실패하면 캐시에서 지워, 다음 호출(다시 시도)에서 새로 import한다.
+ *
+ * @param {string} issueId - 호 id
+ * @returns {Promise<{ data: object, sections: object[] }>} 데이터 번들
+ */
+export const loadIssue = (issueId) => {
+  if (!bundleCache.has(issueId)) {
+    const issue = getIssue(issueId);
+    if (!issue) {
+      return Promise.reject(new Error(`[issues] 알 수 없는 호 id입니다: "${issueId}"`));
+    }
+    bundleCache.set(issueId, issue.load().then(
+      (module) => module.default,
+      (error) => {
+        bundleCache.delete(issueId);
+        throw error;
+      }
+    ));
+  }
+  return bundleCache.get(issueId);
+};
+
+/**
+ * 호 번호 표기 문자열
+ *
+ * @param {object} issue - 호 메타데이터
+ * @returns {string} 예: 'Issue No.1'
+ */
+export const formatIssueNumber = (issue) => `Issue No.${issue.number}`;
+
+export default issues;
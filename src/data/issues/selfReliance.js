@@ -0,0 +1,14 @@
+/**
+ * Issue No.1 — 자기 신뢰 데이터 번들
+ *
+ * 이 호의 텍스트 데이터와 페이지 스키마를 하나로 묶는다.
+ * issues/index.js의 load()로만 동적 import되어 별도 청크로 분리된다.
+ */
+
+import magazineData from '../magazineData';
+import magazinePage from '../magazinePage';
+
+export default {
+  data: magazineData,
+  sections: magazinePage.sections,
+};
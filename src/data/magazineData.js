@@ -15,9 +15,12 @@
  * ├── stories        - 인터뷰 (각각 body/quotes 포함)
  * ├── survey         - 설문조사 결과
  * ├── outro          - 마무리 인사
- * └── footer         - 푸터
+ * ├── footer         - 푸터
+ * └── references     - 참고 문헌 (각주·인용 출처)
  */
 
+import variantsSpaceTerm from '../content/terms/variants-space.md';
+
 const magazineData = {
   // ─────────────────────────────────────
   // 1. Intro
@@ -48,14 +51,14 @@ const magazineData = {
   // ─────────────────────────────────────
   // 3. Index
   // ─────────────────────────────────────
+  /** items[].id는 페이지 스키마(magazinePage.js)의 섹션 id — 클릭·딥 링크 앵커 */
   index: {
     label: 'Contents',
     headline: 'Issue No.1',
     items: [
       { id: 'editors-letter', title: "Editor's Letter", description: '편집자의 말' },
-      { id: 'terms', title: 'Terms', description: '트랜서핑 주요 용어' },
-      { id: 'article', title: 'Article', description: '깊이 있는 아티클' },
-      { id: 'story', title: 'Story', description: '트랜서핑 인터뷰' },
+      { id: 'article-1', title: 'Article', description: '깊이 있는 아티클' },
+      { id: 'story-1', title: 'Story', description: '트랜서핑 인터뷰' },
       { id: 'survey', title: 'Survey', description: '독자 설문조사' },
     ],
   },
@@ -87,61 +90,8 @@ const magazineData = {
 
     /** 섹션에 노출되는 주요 용어 5개 */
     featured: [
-      {
-        id: 'variants-space',
-        motif: 'grid',
-        title: '가능태 공간',
-        description: '모든 가능한 현실이 존재하는 무한한 정보장',
-        body: `변이 공간(Variants Space)은 트랜서핑의 가장 핵심적인 개념입니다. 이 공간에는 과거, 현재, 미래의 모든 가능한 시나리오가 이미 존재합니다. 우리는 그 중 하나를 선택하여 경험하고 있을 뿐입니다. 양자물리학의 다세계 해석과 유사한 이 개념은, 우리의 의식이 무한한 가능성 중 특정 현실을 "선택"한다고 말합니다.`,
-        quotes: [
-          { text: '변이 공간에는 모든 것이 이미 존재한다.', source: '바딤 젤란드' },
-        ],
-        cards: [
-          {
-            id: 'vs-card-1',
-            motif: 'grid',
-            headline: '현실은 하나로 고정되어 있지 않다',
-            body: '양자역학의 기본 전제는 우리의 직관에 정면으로 반한다.\n"미시세계의 대상은 관측되기 전까지 하나의 상태로 정해져 있지 않다."\n\n전자 하나를 예로 들면, 그것은 입자처럼 행동하기도 하고, 파동처럼 퍼져 있기도 하다. 어느 쪽이 "진짜"인지는 우리가 어떻게 바라보느냐에 따라 달라진다. 입자로 바라보면 원자 모형은 태양 주위를 도는 행성처럼 보이고, 파동으로 바라보면 물감이 번진 점처럼 보인다. 이 두 모형은 각각 나름대로의 역할을 하면서 현실의 서로 다른 측면을 동시에 반영한다.',
-            bodyHighlight: '우리는 자기가 선택한 것을 얻는다.',
-          },
-          {
-            id: 'vs-card-2',
-            motif: 'spotlight',
-            headline: '현실은 이미 존재하는 가능태가 드러나는 것이다',
-            body: '이처럼 관측되기 전까지, 그것은 입자일 수도 있고 파동일 수도 있는 상태를, 리얼리티 트랜서핑 시리즈에서는 \'가능태 공간\'이라 정의한다.\n이 공간 안에는 일어날 수 있는 모든 사건의 모든 가능성이 이미 포함되어 있다.\n현재란, 가능태 공간 속의 특정 구역이 당신의 인생트랙 위에 실현되어 드러난 것에 불과하다.\n마치 어두운 숲에서 손전등을 들고 다니며 어느 한 지점을 비출 때, 숲의 한 부분만이 밝게 드러나는 것처럼',
-            bodyHighlight: '이미 존재하던 것 중 단 한 부분이, 지금 이 순간 당신 앞에 드러나 있을 뿐이다.',
-          },
-          {
-            id: 'vs-card-3',
-            motif: 'flashlight',
-            headline: '의식은 \'빛\' 이다. \'빛\'은 의식이다.',
-            body: '그렇다면, 이미 존재하는 가능성 중 하나를 확정하는 이 \'빛\'은 무엇일까.\n그것은 바로 우리의 의식이다.\n의식은 가능태 공간에서 어떤 섹터를 비추는 좌표계처럼 작동한다.\n숲 전체가 가능태 공간이라면, 손전등 불빛은 의식의 방향이다. 불빛이 놓인 공간, 즉 의식이 향한 섹터가 현실로 밝혀진다.\n이처럼 우리의 의식은 행동만큼이나 우리의 현실에 직접적인 영향을 끼친다.\n트랜서핑에서는 이 의식을 \'사념 에너지\' 라고 부른다. 사념 에너지의 파동은 잠재된 가능태를 물질화시킨다.',
-            bodyHighlight: '그래서 사람은 정확히 자신이 선택한 것을 얻는다.',
-            bodyHighlights: ['우리의 의식'],
-          },
-          {
-            id: 'vs-card-4',
-            motif: 'scatter',
-            headline: '각자가 자기만의 현실을 산다.',
-            body: '각자는 자신만의 인생트랙을 따라 여행한다. 그러나 동시에, 모든 사람은 하나의 동일한 세계에 살고 있다. 물질세계는 모두에게 하나지만, 각자가 경험하는 현실은 저마다 다르다.\n같은 물리적인 세계에 살고 있으면서도 느닷없이 연인에게 실연을 당한 현실과 지금 막 사랑에 빠진 현실이 과연 같다고 말할 수 있을까. "사랑에 빠지니 세상이 아름다워 보인다"라는 말은 결코 문학적인 수사가 아니다.\n좋은 것이든 나쁜 것이든 무언가를 생각하는 순간, 당신은 사념 에너지를 가능태 공간 속으로 방사한다. 이 에너지는 특정 섹터에 작용하고, 그 상호작용은 그에 상응하는 변화를 당신의 현실로 되돌려 보낸다.',
-            bodyHighlight: '당신이 방사한 사념은, 언제나 그에 상응하는 현실로 되돌아온다.',
-          },
-          {
-            id: 'vs-card-5',
-            motif: 'nebula',
-            headline: '시나리오의 내용은 고칠 수 없다.',
-            body: '그러나 여기서 중요한 점이 있다. 당신은 결코 가능태 공간 속 시나리오의 내용을 고칠 수 없다.\n가능태 공간 속 불쾌한 시나리오를 고치려 애쓰는 순간, 당신은 정확히 자기가 싫어하는 것들을 생각하게 된다.\n소망, 갈망, 원망처럼 불만, 저항, 두려움이라는 감정은 가능태 공간에서 동일하게 해당 섹터를 계속 주시하는 상태다.  그리고 바로 그 과정을 통해, 당신의 선택은 유감없이 물질화되어 원하지 않았던 바로 그것을 얻게 된다.\n미술관에서 전시 작품이 마음에 들지 않는다고 작품을 없애거나 새로 그릴 수 없는 것과 같다.\n다만, 발길을 돌려 다른 전시실로 가는 것은 누구도 막지 못한다.',
-            bodyHighlight: '할 수 있는 것은 오직 다른 시나리오를 선택하는 것뿐이다.',
-          },
-          {
-            id: 'vs-card-6',
-            motif: 'choose',
-            headline: '그저 골라잡아라',
-            body: '가능태 모델을 완전히 이해하는 것은 불가능하다. 다만, 그 모델이 가져다주는 성과만을 이용하면 된다.\n가능태 모델에 따르면 사람은 자신의 운명을 창조한다. 행복 역시 스스로 선택하는 것이며, 그것을 얻기 위해 싸울 필요는 없다.\n세상이 하는 일이란 당신의 선택을 현실로 실현시켜주는 것뿐이다. 당신이 무엇을 주문하든, 그것은 언제나 무조건 배달된다.',
-            bodyHighlight: '마음에 드는 가능태를 그저 골라잡아보라.',
-          },
-        ],
-      },
+      // 가능태 공간 — 카드 본문까지 Markdown으로 작성 (src/content/terms)
+      variantsSpaceTerm,
       {
         id: 'pendulum',
         motif: 'ripple',
@@ -411,6 +361,25 @@ const magazineData = {
     instagramUrl: 'https://instagram.com/inter._text',
     copyright: '© 2026 Intertext. All rights reserved.',
   },
+
+  // ─────────────────────────────────────
+  // 11. References
+  // ─────────────────────────────────────
+  /** 참고 문헌 — 각주와 인용 출처의 { referenceId }가 가리킨다 (utils/citations) */
+  references: [
+    {
+      id: 'self-reliance',
+      author: '랄프 왈도 에머슨',
+      title: '자기 신뢰',
+      publisher: '현대지성',
+    },
+    {
+      id: 'reality-transurfing',
+      author: '바딤 젤란드',
+      title: '리얼리티 트랜서핑',
+      publisher: '정신세계사',
+    },
+  ],
 };
 
 export default magazineData;
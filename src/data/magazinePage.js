@@ -0,0 +1,186 @@
+/**
+ * Magazine Page Schema
+ *
+ * MagazinePage가 렌더링하는 섹션의 순서와 각 섹션 데이터.
+ * 배열 순서가 곧 화면 순서이며, 섹션 추가/삭제/재배치는 이 파일만 수정하면 된다.
+ *
+ * 섹션 디스크립터 구조:
+ * { type, id?, navLabel?, isScrollOutTrigger?, ...props }
+ * ├── type                - sectionRegistry에 등록된 섹션 타입 [Required]
+ * ├── id                  - 섹션 고유 id (React key, 앵커 id — `/#article-3` 딥 링크 대상) [Optional]
+ * ├── navLabel            - 섹션 네비게이션 레일에 표시할 라벨. 있는 섹션만 목차에 노출 [Optional]
+ * ├── isScrollOutTrigger  - GradientOverlay 라이트 전환 시작 지점 여부 [Optional]
+ * ├── footnotes           - 본문 [^id]가 참조하는 각주 [{ id, text, citation? }]. 페이지가 모아 번호를 매긴다 (utils/citations) [Optional]
+ * └── ...props            - 섹션 컴포넌트에 그대로 전달되는 props
+ *
+ * 사용 가능한 type과 필수 props는 src/sections/sectionRegistry.js 참고.
+ *
+ * 본문이 긴 섹션(아티클, 클로징 인용, 출처)은 src/content의 Markdown 파일로 작성하고 import한다.
+ * Markdown은 vite-plugins/issueContent가 같은 섹션 디스크립터 형태로 컴파일한다.
+ */
+
+import magazineData from './magazineData';
+import selfImage from '../assets/self.jpg';
+import article01 from '../content/self-reliance/article-01.md';
+import article02 from '../content/self-reliance/article-02.md';
+import article03 from '../content/self-reliance/article-03.md';
+import article04 from '../content/self-reliance/article-04.md';
+import article05 from '../content/self-reliance/article-05.md';
+import article06 from '../content/self-reliance/article-06.md';
+import article07 from '../content/self-reliance/article-07.md';
+import article08 from '../content/self-reliance/article-08.md';
+import article09 from '../content/self-reliance/article-09.md';
+import article10 from '../content/self-reliance/article-10.md';
+import closingQuote from '../content/self-reliance/closing-quote.md';
+import bookSource from '../content/self-reliance/book-source.md';
+
+const {
+  intro,
+  editorLetter,
+  index,
+  comments,
+  stories,
+  survey,
+  outro,
+  footer,
+} = magazineData;
+
+const magazinePage = {
+  sections: [
+    // 사이트 진입 — 라이트 영역
+    {
+      type: 'hero',
+      id: 'hero',
+      navLabel: '표지',
+      logo: 'inter',
+      title: '자기신뢰',
+      authorInfo: '랄프 왈도 에머슨, 현대지성',
+    },
+    // 히어로 → 라이트 섹션 전환 브릿지
+    {
+      type: 'bridge',
+    },
+    // 리드 헤드라인 — 라이트 배경 풀스크린 인용문
+    {
+      type: 'leadHeadline',
+      id: 'lead-headline',
+      navLabel: '들어가며',
+      headline: intro.leadHeadline,
+      sx: { backgroundColor: (theme) => theme.magazine.surface.light },
+    },
+    // 리드 본문 — 라이트→다크 그라데이션 배경
+    {
+      type: 'leadText',
+      id: 'lead-text',
+      text: intro.leadText,
+      sx: {
+        background: (theme) => `linear-gradient(to bottom, ${theme.magazine.surface.light} 60%, ${theme.magazine.surface.dark} 100%)`,
+      },
+    },
+    // 핵심 메타포 — 어둠 속 한 줄기 빛 확장 인터랙션
+    {
+      type: 'lightMetaphor',
+      id: 'light-metaphor',
+    },
+    // 에디터 레터 — CTA는 바로 아래 목차로 이동
+    {
+      type: 'editorLetter',
+      id: 'editors-letter',
+      navLabel: '에디터 레터',
+      headline: editorLetter.headline,
+      bodyText: editorLetter.bodyText,
+      tag: editorLetter.tag,
+      ctaText: editorLetter.ctaText,
+      ctaTarget: 'contents',
+    },
+    // 목차 — 항목 id는 이 스키마의 섹션 id
+    {
+      type: 'tableOfContents',
+      id: 'contents',
+      navLabel: '목차',
+      label: index.label,
+      headline: index.headline,
+      items: index.items,
+    },
+    // 독자 코멘트 마퀴
+    {
+      type: 'comments',
+      id: 'comments',
+      navLabel: '코멘트',
+      sectionTitle: comments.sectionTitle,
+      comments: comments.comments,
+    },
+    // 아티클 1 — 당신 안의 진실
+    article01,
+    // 아티클 2 — 한줄기 빛
+    article02,
+    // 아티클 3 — 위대한 예술 작품의 교훈
+    article03,
+    // 아티클 4 — 자신에게 주어진 경작지
+    article04,
+    // 아티클 5 — 당신 안의 신성한 생각
+    article05,
+    // 아티클 6 — 자기자신의 본성
+    article06,
+    // 아티클 7 — 측정할 수 없는 빛
+    article07,
+    // 아티클 8 — 직관은 모든 것의 원천
+    article08,
+    // 아티클 9 — 직관은 운명이다
+    article09,
+    // 아티클 10 — 운의 비밀
+    article10,
+    // 인터뷰 — 스토리마다 하나의 섹션
+    ...stories.items.map((story, storyIndex) => ({
+      type: 'story',
+      id: story.id,
+      navLabel: story.headline,
+      story,
+      index: storyIndex,
+      totalCount: stories.items.length,
+    })),
+    // 독자 설문 결과
+    {
+      type: 'survey',
+      id: 'survey',
+      navLabel: '설문',
+      sectionTitle: survey.sectionTitle,
+      headline: survey.headline,
+      leadText: survey.leadText,
+      surveys: survey.surveys,
+    },
+    // 클로징 인용 — 조로아스터
+    closingQuote,
+    // 출처 안내 + 도서 이미지 (이미지 asset만 여기서 추가)
+    {
+      ...bookSource,
+      image: selfImage,
+    },
+    // 각주 & 참고 문헌 — 본문 각주와 magazineData.references
+    {
+      type: 'bibliography',
+      id: 'notes',
+      navLabel: '주석',
+    },
+    // Outro — 마무리 인사 (GradientOverlay 라이트 전환 시작 지점)
+    {
+      type: 'outro',
+      id: 'outro',
+      isScrollOutTrigger: true,
+      titles: outro.titles,
+      ctaText: outro.ctaText,
+      links: outro.links,
+    },
+    // 퇴장 — 라이트 영역
+    {
+      type: 'footer',
+      id: 'footer',
+      logo: footer.logo,
+      instagramHandle: footer.instagramHandle,
+      instagramUrl: footer.instagramUrl,
+      copyright: footer.copyright,
+    },
+  ],
+};
+
+export default magazinePage;
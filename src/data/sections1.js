@@ -2,53 +2,113 @@ export const sections = [
   {
     id: 1,
     title: "현실은 하나로 고정되어 있지 않다",
-    body: `양자역학의 기본 전제는 우리의 직관에 정면으로 반한다.
-"미시세계의 대상은 관측되기 전까지 하나의 상태로 정해져 있지 않다."
-
-전자 하나를 예로 들면, 그것은 입자처럼 행동하기도 하고, 파동처럼 퍼져 있기도 하다. 어느 쪽이 "진짜"인지는 우리가 어떻게 바라보느냐에 따라 달라진다. 입자로 바라보면 원자 모형은 태양 주위를 도는 행성처럼 보이고, 파동으로 바라보면 물감이 번진 점처럼 보인다. 이 두 모형은 각각 나름대로의 역할을 하면서 현실의 서로 다른 측면을 동시에 반영한다.
-우리는 자기가 선택한 것을 얻는다.`,
+    body: [
+      {
+        type: 'paragraph',
+        content: [
+          '양자역학의 기본 전제는 우리의 직관에 정면으로 반한다.',
+          { type: 'break' },
+          '"미시세계의 대상은 관측되기 전까지 하나의 상태로 정해져 있지 않다."',
+        ],
+      },
+      { type: 'paragraph', content: ['전자 하나를 예로 들면, 그것은 입자처럼 행동하기도 하고, 파동처럼 퍼져 있기도 하다. 어느 쪽이 "진짜"인지는 우리가 어떻게 바라보느냐에 따라 달라진다. 입자로 바라보면 원자 모형은 태양 주위를 도는 행성처럼 보이고, 파동으로 바라보면 물감이 번진 점처럼 보인다. 이 두 모형은 각각 나름대로의 역할을 하면서 현실의 서로 다른 측면을 동시에 반영한다.'] },
+      { type: 'paragraph', content: [{ type: 'accent', text: '우리는 자기가 선택한 것을 얻는다.' }] },
+    ],
   },
   {
     id: 2,
     title: "현실은 이미 존재하는 가능태가 드러나는 것이다",
-    body: `이처럼 관측되기 전까지, 그것은 입자일 수도 있고 파동일 수도 있는 상태를, 리얼리티 트랜서핑 시리즈에서는 '가능태 공간'이라 정의한다.
-이 공간 안에는 일어날 수 있는 모든 사건의 모든 가능성이 이미 포함되어 있다.
-현재란, 가능태 공간 속의 특정 구역이 당신의 인생트랙 위에 실현되어 드러난 것에 불과하다.
-마치 어두운 숲에서 손전등을 들고 다니며 어느 한 지점을 비출 때, 숲의 한 부분만이 밝게 드러나는 것처럼
-이미 존재하던 것 중 단 한 부분이, 지금 이 순간 당신 앞에 드러나 있을 뿐이다.`,
+    body: [
+      {
+        type: 'paragraph',
+        content: [
+          '이처럼 관측되기 전까지, 그것은 입자일 수도 있고 파동일 수도 있는 상태를, 리얼리티 트랜서핑 시리즈에서는 \'가능태 공간\'이라 정의한다.',
+          { type: 'break' },
+          '이 공간 안에는 일어날 수 있는 모든 사건의 모든 가능성이 이미 포함되어 있다.',
+          { type: 'break' },
+          '현재란, 가능태 공간 속의 특정 구역이 당신의 인생트랙 위에 실현되어 드러난 것에 불과하다.',
+          { type: 'break' },
+          '마치 어두운 숲에서 손전등을 들고 다니며 어느 한 지점을 비출 때, 숲의 한 부분만이 밝게 드러나는 것처럼',
+        ],
+      },
+      { type: 'paragraph', content: [{ type: 'accent', text: '이미 존재하던 것 중 단 한 부분이, 지금 이 순간 당신 앞에 드러나 있을 뿐이다.' }] },
+    ],
   },
   {
     id: 3,
     title: "의식은 '빛' 이다. '빛'은 의식이다.",
-    body: `그렇다면, 이미 존재하는 가능성 중 하나를 확정하는 이 '빛'은 무엇일까.
-그것은 바로 우리의 의식이다.
-의식은 가능태 공간에서 어떤 섹터를 비추는 좌표계처럼 작동한다.
-숲 전체가 가능태 공간이라면, 손전등 불빛은 의식의 방향이다. 불빛이 놓인 공간, 즉 의식이 향한 섹터가 현실로 밝혀진다.
-이처럼 우리의 의식은 행동만큼이나 우리의 현실에 직접적인 영향을 끼친다.
-트랜서핑에서는 이 의식을 '사념 에너지' 라고 부른다. 사념 에너지의 파동은 잠재된 가능태를 물질화시킨다.
-그래서 사람은 정확히 자신이 선택한 것을 얻는다.`,
+    body: [
+      {
+        type: 'paragraph',
+        content: [
+          '그렇다면, 이미 존재하는 가능성 중 하나를 확정하는 이 \'빛\'은 무엇일까.',
+          { type: 'break' },
+          '그것은 바로 ',
+          { type: 'accent', text: '우리의 의식' },
+          '이다.',
+          { type: 'break' },
+          '의식은 가능태 공간에서 어떤 섹터를 비추는 좌표계처럼 작동한다.',
+          { type: 'break' },
+          '숲 전체가 가능태 공간이라면, 손전등 불빛은 의식의 방향이다. 불빛이 놓인 공간, 즉 의식이 향한 섹터가 현실로 밝혀진다.',
+          { type: 'break' },
+          '이처럼 우리의 의식은 행동만큼이나 우리의 현실에 직접적인 영향을 끼친다.',
+          { type: 'break' },
+          '트랜서핑에서는 이 의식을 \'사념 에너지\' 라고 부른다. 사념 에너지의 파동은 잠재된 가능태를 물질화시킨다.',
+        ],
+      },
+      { type: 'paragraph', content: [{ type: 'accent', text: '그래서 사람은 정확히 자신이 선택한 것을 얻는다.' }] },
+    ],
   },
   {
     id: 4,
     title: "각자가 자기만의 현실을 산다.",
-    body: `각자는 자신만의 인생트랙을 따라 여행한다. 그러나 동시에, 모든 사람은 하나의 동일한 세계에 살고 있다. 물질세계는 모두에게 하나지만, 각자가 경험하는 현실은 저마다 다르다.
-같은 물리적인 세계에 살고 있으면서도 느닷없이 연인에게 실연을 당한 현실과 지금 막 사랑에 빠진 현실이 과연 같다고 말할 수 있을까. "사랑에 빠지니 세상이 아름다워 보인다"라는 말은 결코 문학적인 수사가 아니다.
-좋은 것이든 나쁜 것이든 무언가를 생각하는 순간, 당신은 사념 에너지를 가능태 공간 속으로 방사한다. 이 에너지는 특정 섹터에 작용하고, 그 상호작용은 그에 상응하는 변화를 당신의 현실로 되돌려 보낸다.`,
+    body: [
+      {
+        type: 'paragraph',
+        content: [
+          '각자는 자신만의 인생트랙을 따라 여행한다. 그러나 동시에, 모든 사람은 하나의 동일한 세계에 살고 있다. 물질세계는 모두에게 하나지만, 각자가 경험하는 현실은 저마다 다르다.',
+          { type: 'break' },
+          '같은 물리적인 세계에 살고 있으면서도 느닷없이 연인에게 실연을 당한 현실과 지금 막 사랑에 빠진 현실이 과연 같다고 말할 수 있을까. "사랑에 빠지니 세상이 아름다워 보인다"라는 말은 결코 문학적인 수사가 아니다.',
+          { type: 'break' },
+          '좋은 것이든 나쁜 것이든 무언가를 생각하는 순간, 당신은 사념 에너지를 가능태 공간 속으로 방사한다. 이 에너지는 특정 섹터에 작용하고, 그 상호작용은 그에 상응하는 변화를 당신의 현실로 되돌려 보낸다.',
+        ],
+      },
+    ],
   },
   {
     id: 5,
     title: "시나리오의 내용은 고칠 수 없다.",
-    body: `그러나 여기서 중요한 점이 있다. 당신은 결코 가능태 공간 속 시나리오의 내용을 고칠 수 없다. 할 수 있는 것은 오직 다른 시나리오를 선택하는 것뿐이다.
-가능태 공간 속 불쾌한 시나리오를 고치려 애쓰는 순간, 당신은 정확히 자기가 싫어하는 것들을 생각하게 된다.
-소망, 갈망, 원망처럼 불만, 저항, 두려움이라는 감정은 가능태 공간에서 동일하게 해당 섹터를 계속 주시하는 상태다. 그리고 바로 그 과정을 통해, 당신의 선택은 유감없이 물질화되어 원하지 않았던 바로 그것을 얻게 된다.
-미술관에서 전시 작품이 마음에 들지 않는다고 작품을 없애거나 새로 그릴 수 없는 것과 같다.
-다만, 발길을 돌려 다른 전시실로 가는 것은 누구도 막지 못한다.`,
+    body: [
+      {
+        type: 'paragraph',
+        content: [
+          '그러나 여기서 중요한 점이 있다. 당신은 결코 가능태 공간 속 시나리오의 내용을 고칠 수 없다. 할 수 있는 것은 오직 다른 시나리오를 선택하는 것뿐이다.',
+          { type: 'break' },
+          '가능태 공간 속 불쾌한 시나리오를 고치려 애쓰는 순간, 당신은 정확히 자기가 싫어하는 것들을 생각하게 된다.',
+          { type: 'break' },
+          '소망, 갈망, 원망처럼 불만, 저항, 두려움이라는 감정은 가능태 공간에서 동일하게 해당 섹터를 계속 주시하는 상태다. 그리고 바로 그 과정을 통해, 당신의 선택은 유감없이 물질화되어 원하지 않았던 바로 그것을 얻게 된다.',
+          { type: 'break' },
+          '미술관에서 전시 작품이 마음에 들지 않는다고 작품을 없애거나 새로 그릴 수 없는 것과 같다.',
+          { type: 'break' },
+          '다만, 발길을 돌려 다른 전시실로 가는 것은 누구도 막지 못한다.',
+        ],
+      },
+    ],
   },
   {
     id: 6,
     title: "그저 골라잡아라",
-    body: `가능태 모델을 완전히 이해하는 것은 불가능하다. 다만, 그 모델이 가져다주는 성과만을 이용하면 된다.
-가능태 모델에 따르면 사람은 자신의 운명을 창조한다. 행복 역시 스스로 선택하는 것이며, 그것을 얻기 위해 싸울 필요는 없다.
-세상이 하는 일이란 당신의 선택을 현실로 실현시켜주는 것뿐이다. 당신이 무엇을 주문하든, 그것은 언제나 무조건 배달된다.`,
+    body: [
+      {
+        type: 'paragraph',
+        content: [
+          '가능태 모델을 완전히 이해하는 것은 불가능하다. 다만, 그 모델이 가져다주는 성과만을 이용하면 된다.',
+          { type: 'break' },
+          '가능태 모델에 따르면 사람은 자신의 운명을 창조한다. 행복 역시 스스로 선택하는 것이며, 그것을 얻기 위해 싸울 필요는 없다.',
+          { type: 'break' },
+          '세상이 하는 일이란 당신의 선택을 현실로 실현시켜주는 것뿐이다. 당신이 무엇을 주문하든, 그것은 언제나 무조건 배달된다.',
+        ],
+      },
+    ],
   },
 ];
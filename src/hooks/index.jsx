@@ -7,3 +7,17 @@
 
 // 공통 훅
 export { useSnackbar } from './useSnackbar';
+export { useScrollSpy } from './useScrollSpy';
+export { useScrollProgress } from './useScrollProgress';
+export { useHashScroll, scrollToAnchor } from './useHashScroll';
+export { useSectionReveal } from './useSectionReveal';
+export { useReadingPosition, scrollToReadingPosition } from './useReadingPosition';
+export { useReducedMotion, useMotionPreference } from './useReducedMotion';
+export { useAnimationClock, useRandom } from './useAnimationClock';
+export { useQuality, useQualityPreference } from './useQuality';
+export { useWebGLStatus } from './useWebGLStatus';
+export { useThemePreference } from './useThemePreference';
+export { usePersistentPreference } from './usePersistentPreference';
+export { useTimeline } from './useTimeline';
+export { useGlossary } from './useGlossary';
+export { useCitations } from './useCitations';
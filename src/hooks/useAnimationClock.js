@@ -0,0 +1,56 @@
+import { createContext, useContext, useId, useMemo } from 'react';
+import { realClock, createRandom, hashSeed } from '../utils/animationClock';
+
+/**
+ * Animation Clock Context
+ *
+ * AnimationTestProvider가 제공하는 시계와 난수 시드.
+ * { clock, seed }
+ * ├── clock - 시계 인터페이스 (utils/animationClock 참고)
+ * └── seed  - 난수 시드. 컴포넌트마다 useId와 조합해 독립된 수열을 만든다
+ */
+export const AnimationClockContext = createContext(null);
+
+/**
+ * useAnimationClock 커스텀 훅
+ *
+ * 애니메이션 타이머/프레임 예약에 쓸 시계를 반환한다.
+ * Provider 밖에서는 브라우저 타이머(realClock)를 그대로 쓴다.
+ *
+ * Example usage:
+ * const clock = useAnimationClock();
+ * useEffect(() => {
+ *   const timer = clock.setTimeout(() => setPhase(1), 800);
+ *   return () => clock.clearTimeout(timer);
+ * }, [clock]);
+ *
+ * @returns {object} 시계 인터페이스 { now, setTimeout, clearTimeout, requestFrame, cancelFrame }
+ */
+export function useAnimationClock() {
+  const context = useContext(AnimationClockContext);
+  return context ? context.clock : realClock;
+}
+
+/**
+ * useRandom 커스텀 훅
+ *
+ * Math.random 대신 쓸 난수 함수를 반환한다.
+ * Provider 안에서는 시드와 컴포넌트 위치(useId)로 시드된 수열을, 밖에서는 Math.random을 반환한다.
+ * 같은 트리를 같은 시드로 렌더링하면 컴포넌트마다 항상 같은 수열을 얻는다.
+ *
+ * Example usage:
+ * const random = useRandom();
+ * const offset = (random() - 0.5) * 300;
+ *
+ * @returns {function} () => number (0 이상 1 미만)
+ */
+export function useRandom() {
+  const context = useContext(AnimationClockContext);
+  const id = useId();
+  const seed = context?.seed;
+
+  return useMemo(
+    () => (seed === undefined ? Math.random : createRandom(hashSeed(seed, id))),
+    [seed, id]
+  );
+}
@@ -0,0 +1,27 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Citation Context
+ *
+ * 호의 참고 문헌과 번호가 매겨진 각주를 하위 컴포넌트에 알린다 (utils/citations).
+ * { references, footnotes }
+ * ├── references  - 참고 문헌 배열 (magazineData.references). Citation의 referenceId가 가리킨다
+ * └── footnotes   - collectFootnotes 결과 [{ id, number, text, citation? }]. 본문 [^id]가 번호를 찾는다
+ */
+export const CitationContext = createContext(null);
+
+/**
+ * useCitations 커스텀 훅
+ *
+ * 현재 트리의 참고 문헌과 각주를 반환한다.
+ * Provider 밖(스토리북 단독 렌더링 등)에서는 null — 각주 참조는 표시되지 않고, 출처는 referenceId 없이 적힌 것만 표시된다.
+ *
+ * Example usage:
+ * const citations = useCitations();
+ * const footnote = citations?.footnotes.find((item) => item.id === 'intuition');
+ *
+ * @returns {{references: Array<object>, footnotes: Array<object>}|null}
+ */
+export function useCitations() {
+  return useContext(CitationContext);
+}
@@ -0,0 +1,27 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Glossary Context
+ *
+ * 본문 속 [[용어]] 마크업이 참조하는 용어집과 상세 보기 핸들러를 하위 컴포넌트에 알린다.
+ * { terms, onTermDetail }
+ * ├── terms         - 용어 배열 (magazineData.terms.allTerms)
+ * └── onTermDetail  - (term) => void. 팝오버의 '자세히 보기'에서 호출 (TermsDetailModal 열기)
+ */
+export const GlossaryContext = createContext(null);
+
+/**
+ * useGlossary 커스텀 훅
+ *
+ * 현재 트리의 용어집을 반환한다.
+ * Provider 밖(스토리북 단독 렌더링 등)에서는 null — 용어 마크업은 링크 없이 텍스트로 표시된다.
+ *
+ * Example usage:
+ * const glossary = useGlossary();
+ * const term = findGlossaryTerm(glossary?.terms, '가능태 공간');
+ *
+ * @returns {{terms: Array<object>, onTermDetail: function}|null} 용어집
+ */
+export function useGlossary() {
+  return useContext(GlossaryContext);
+}
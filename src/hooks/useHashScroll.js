@@ -0,0 +1,88 @@
+import { useEffect, useRef } from 'react';
+import { useReducedMotion } from './useReducedMotion';
+
+/**
+ * 앵커 id 위치로 스크롤
+ * 앵커 래퍼의 시작점으로 이동하므로 sticky 섹션도 첫 화면부터 보인다.
+ *
+ * @param {string} id - 대상 앵커 id
+ * @param {object} options - 옵션
+ * @param {string} options.behavior - 스크롤 방식 ('auto' | 'smooth' | 'instant') [기본값: 'smooth']
+ * @param {boolean} options.updateHash - URL 해시를 id로 교체 [기본값: true]
+ * @returns {boolean} 대상 요소를 찾아 스크롤했는지 여부
+ */
+export function scrollToAnchor(id, options = {}) {
+  const { behavior = 'smooth', updateHash = true } = options;
+  const element = id ? document.getElementById(id) : null;
+  if (!element) return false;
+
+  const top = element.getBoundingClientRect().top + window.scrollY;
+  window.scrollTo({ top, behavior });
+
+  if (updateHash && window.location.hash !== `#${id}`) {
+    window.history.replaceState(window.history.state, '', `#${id}`);
+  }
+  return true;
+}
+
+/**
+ * URL 해시에서 앵커 id 추출 ('#article-3' → 'article-3')
+ *
+ * @param {string} hash - location.hash
+ * @returns {string} 디코딩된 id (없으면 빈 문자열)
+ */
+function getHashId(hash) {
+  if (!hash || hash.length < 2) return '';
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch {
+    return hash.slice(1);
+  }
+}
+
+/**
+ * useHashScroll 커스텀 훅
+ *
+ * `/#article-3` 같은 딥 링크로 진입했을 때 해당 앵커로 스크롤한다.
+ * 섹션이 호 번들 로드(Suspense) 이후에 렌더링되므로, 브라우저 기본 해시 이동 대신 마운트 후 직접 이동한다.
+ *
+ * 동작 방식:
+ * 1. 마운트 후 다음 프레임에서 location.hash의 앵커로 즉시 이동
+ * 2. 이후 hashchange 이벤트(목차 링크, 주소창 수정)마다 부드럽게 이동
+ *    — 모션 감소 모드(useReducedMotion)에서는 즉시 이동
+ *
+ * Example usage:
+ * useHashScroll();
+ *
+ * @param {boolean} isEnabled - 활성화 여부 [기본값: true]
+ */
+export function useHashScroll(isEnabled = true) {
+  const isReducedMotion = useReducedMotion();
+  const isReducedMotionRef = useRef(isReducedMotion);
+
+  /** 모션 감소 설정 → ref 동기화 (설정이 바뀌어도 초기 해시 이동을 다시 하지 않는다) */
+  useEffect(() => {
+    isReducedMotionRef.current = isReducedMotion;
+  }, [isReducedMotion]);
+
+  useEffect(() => {
+    if (!isEnabled) return undefined;
+
+    const frameId = requestAnimationFrame(() => {
+      scrollToAnchor(getHashId(window.location.hash), { behavior: 'instant', updateHash: false });
+    });
+
+    const handleHashChange = () => {
+      scrollToAnchor(getHashId(window.location.hash), {
+        behavior: isReducedMotionRef.current ? 'instant' : 'smooth',
+        updateHash: false,
+      });
+    };
+
+    window.addEventListener('hashchange', handleHashChange);
+    return () => {
+      cancelAnimationFrame(frameId);
+      window.removeEventListener('hashchange', handleHashChange);
+    };
+  }, [isEnabled]);
+}
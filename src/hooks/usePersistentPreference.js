@@ -0,0 +1,78 @@
+import { useCallback, useState } from 'react';
+
+/**
+ * 저장된 사용자 선택 조회
+ *
+ * @param {string} storageKey - localStorage 키
+ * @param {Array<string>} allowedValues - 허용되는 값 목록
+ * @param {string} fallback - 저장값이 없거나 허용되지 않은 값일 때 사용할 값
+ * @returns {string} 저장된 값 또는 fallback
+ */
+function readStoredPreference(storageKey, allowedValues, fallback) {
+  try {
+    const stored = window.localStorage.getItem(storageKey);
+    return allowedValues.includes(stored) ? stored : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * usePersistentPreference 커스텀 훅
+ *
+ * localStorage에 저장되는 사용자 선택 값 하나를 관리한다.
+ * 테마·모션·품질 Preference Provider가 같은 저장/외부 제어 규칙을 공유한다.
+ *
+ * 동작 방식:
+ * 1. 마운트 시 localStorage에 저장된 값을 읽는다 (없거나 allowedValues에 없으면 fallback, SSR에서는 항상 fallback)
+ * 2. controlledValue가 허용된 값이면 저장값/내부 상태보다 우선한다 (Storybook 툴바 등 외부 제어)
+ * 3. setPreference로 바꾼 값은 localStorage에 저장된다 (isPersistent가 true일 때)
+ *    — 저장에 실패하면(사생활 보호 모드 등) 이번 세션에만 적용한다
+ * 4. 허용되지 않은 값은 무시한다
+ *
+ * Example usage:
+ * const [preference, setPreference] = usePersistentPreference(
+ *   'intertext:motion-preference',
+ *   PREFERENCES,
+ *   defaultPreference,
+ *   isPersistent,
+ *   controlledPreference,
+ * );
+ *
+ * @param {string} storageKey - localStorage 키 [Required]
+ * @param {Array<string>} allowedValues - 허용되는 값 목록. 렌더마다 새 배열을 만들지 않는다 (모듈 상수 또는 useMemo) [Required]
+ * @param {string} fallback - 저장값이 없을 때 사용할 값 [Required]
+ * @param {boolean} isPersistent - 선택을 localStorage에 저장/복원 [Optional, 기본값: true]
+ * @param {string} controlledValue - 외부 제어용 값 [Optional]
+ * @returns {Array} [preference, setPreference]
+ */
+export function usePersistentPreference(
+  storageKey,
+  allowedValues,
+  fallback,
+  isPersistent = true,
+  controlledValue,
+) {
+  const [storedPreference, setStoredPreference] = useState(() => (
+    isPersistent && typeof window !== 'undefined'
+      ? readStoredPreference(storageKey, allowedValues, fallback)
+      : fallback
+  ));
+
+  const preference = allowedValues.includes(controlledValue)
+    ? controlledValue
+    : storedPreference;
+
+  const setPreference = useCallback((next) => {
+    if (!allowedValues.includes(next)) return;
+    setStoredPreference(next);
+    if (!isPersistent) return;
+    try {
+      window.localStorage.setItem(storageKey, next);
+    } catch {
+      // 저장 실패 시 이번 세션에만 적용
+    }
+  }, [storageKey, allowedValues, isPersistent]);
+
+  return [preference, setPreference];
+}
@@ -0,0 +1,47 @@
+import { createContext, useContext } from 'react';
+import { QUALITY_TIERS, DEFAULT_QUALITY_TIER } from '../utils/adaptiveQuality';
+
+/**
+ * Quality Preference Context
+ *
+ * QualityPreferenceProvider가 제공하는 렌더 품질 설정.
+ * { preference, setPreference, tier }
+ * ├── preference    - 사용자 선택 ('auto' | 'high' | 'medium' | 'low')
+ * ├── setPreference - 사용자 선택 변경 (preference) => void
+ * └── tier          - 최종 품질 단계 ('high' | 'medium' | 'low'). auto면 utils/adaptiveQuality의 측정 결과
+ */
+export const QualityPreferenceContext = createContext(null);
+
+/**
+ * useQuality 커스텀 훅
+ *
+ * 파티클·셰이더 비주얼이 쓸 품질 단계 설정을 반환한다.
+ * quality에 단계 이름을 주면 그 단계로 고정하고, 없거나 'auto'면 Provider의 단계를 따른다.
+ * Provider 밖에서는 DEFAULT_QUALITY_TIER('high')를 쓴다.
+ *
+ * Example usage:
+ * const { particleScale, maxPixelRatio } = useQuality(quality);
+ * const particleCount = Math.round(200000 * particleScale);
+ *
+ * @param {string} quality - 컴포넌트 quality prop ('auto' | 'high' | 'medium' | 'low') [Optional]
+ * @returns {object} 단계 설정 { particleScale, maxPixelRatio, isWave, isGrain } (utils/adaptiveQuality 참고)
+ */
+export function useQuality(quality) {
+  const context = useContext(QualityPreferenceContext);
+  const tier = QUALITY_TIERS[quality] ? quality : (context?.tier ?? DEFAULT_QUALITY_TIER);
+  return QUALITY_TIERS[tier];
+}
+
+/**
+ * useQualityPreference 커스텀 훅
+ *
+ * 품질 설정 UI(QualitySwitcher 등)에서 사용자 선택을 읽고 바꿀 때 사용한다.
+ *
+ * Example usage:
+ * const { preference, setPreference, tier } = useQualityPreference();
+ *
+ * @returns {object|null} QualityPreferenceContext 값 (Provider 밖이면 null)
+ */
+export function useQualityPreference() {
+  return useContext(QualityPreferenceContext);
+}
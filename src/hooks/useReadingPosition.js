@@ -0,0 +1,162 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/** localStorage 키 접두사 — 호(issue)별로 분리 저장 */
+const STORAGE_PREFIX = 'intertext:reading-position:';
+
+/** 저장 디바운스 (ms) */
+const SAVE_DELAY = 400;
+
+/** 이 높이(뷰포트 비율)보다 위에 있으면 "처음"으로 보고 저장하지 않는다 */
+const TOP_THRESHOLD = 0.5;
+
+/**
+ * 저장된 읽기 위치 조회
+ *
+ * @param {string} issueId - 호 id
+ * @returns {object|null} { anchorId, offset, savedAt } 또는 null
+ */
+function readPosition(issueId) {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + issueId);
+    const position = raw ? JSON.parse(raw) : null;
+    if (!position || typeof position.anchorId !== 'string') return null;
+    return {
+      anchorId: position.anchorId,
+      offset: Math.max(0, Math.min(1, Number(position.offset) || 0)),
+      savedAt: position.savedAt,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 읽기 위치 저장 (null이면 삭제)
+ * 사생활 보호 모드 등 localStorage를 쓸 수 없는 환경에서는 조용히 무시한다.
+ *
+ * @param {string} issueId - 호 id
+ * @param {object|null} position - { anchorId, offset }
+ */
+function writePosition(issueId, position) {
+  try {
+    const key = STORAGE_PREFIX + issueId;
+    if (position) {
+      window.localStorage.setItem(key, JSON.stringify({ ...position, savedAt: Date.now() }));
+    } else {
+      window.localStorage.removeItem(key);
+    }
+  } catch {
+    // 저장 실패는 읽기 경험에 영향을 주지 않는다
+  }
+}
+
+/**
+ * 현재 스크롤 위치를 섹션 단위 + 섹션 내 오프셋으로 측정
+ *
+ * @param {string[]} anchorIds - 앵커 id 배열 (문서 순서)
+ * @returns {object|null} { anchorId, offset } — offset은 앵커 높이 대비 비율(0~1). 최상단이면 null
+ */
+function measurePosition(anchorIds) {
+  if (window.scrollY < window.innerHeight * TOP_THRESHOLD) return null;
+
+  let position = null;
+
+  for (const anchorId of anchorIds) {
+    const element = document.getElementById(anchorId);
+    if (!element) continue;
+
+    const rect = element.getBoundingClientRect();
+    if (rect.top > 0) break;
+    position = {
+      anchorId,
+      offset: rect.height > 0 ? Math.min(1, -rect.top / rect.height) : 0,
+    };
+  }
+
+  return position;
+}
+
+/**
+ * 저장된 읽기 위치로 스크롤
+ * 앵커 시작점 + (앵커 높이 × offset) 위치로 즉시 이동한다.
+ *
+ * @param {object} position - { anchorId, offset }
+ * @returns {boolean} 대상 앵커를 찾아 스크롤했는지 여부
+ */
+export function scrollToReadingPosition(position) {
+  const element = position ? document.getElementById(position.anchorId) : null;
+  if (!element) return false;
+
+  const rect = element.getBoundingClientRect();
+  const top = rect.top + window.scrollY + rect.height * position.offset;
+  window.scrollTo({ top, behavior: 'instant' });
+  return true;
+}
+
+/**
+ * useReadingPosition 커스텀 훅
+ *
+ * 호별 읽기 위치를 localStorage에 섹션 단위(앵커 id) + 오프셋으로 저장하고,
+ * 재방문 시 이어 읽기에 사용할 저장 위치를 제공한다.
+ *
+ * 동작 방식:
+ * 1. 마운트 시 저장된 위치를 읽어 savedPosition으로 반환 (현재 스키마에 없는 앵커면 무시)
+ * 2. 스크롤이 멈출 때마다(디바운스) 현재 위치를 저장, 최상단이면 저장된 위치를 지움
+ *    (이어 읽기 제안이 떠 있는 동안에는 최상단이어도 지우지 않는다)
+ * 3. 페이지를 떠날 때(pagehide) 마지막 위치를 한 번 더 저장
+ * 4. dismissSavedPosition()으로 이어 읽기 제안을 닫음
+ *
+ * Example usage:
+ * const { savedPosition, dismissSavedPosition } = useReadingPosition('self-reliance', anchorIds);
+ *
+ * @param {string} issueId - 호 id. 없으면 저장/복원하지 않음 [Optional]
+ * @param {string[]} anchorIds - 앵커 id 배열 (문서 순서) [Required]
+ * @returns {object} { savedPosition, dismissSavedPosition }
+ */
+export function useReadingPosition(issueId, anchorIds) {
+  const idsKey = anchorIds.join('|');
+
+  const [savedPosition, setSavedPosition] = useState(() => {
+    if (!issueId || typeof window === 'undefined') return null;
+    const position = readPosition(issueId);
+    return position && anchorIds.includes(position.anchorId) ? position : null;
+  });
+
+  const dismissSavedPosition = useCallback(() => setSavedPosition(null), []);
+
+  /** 이어 읽기 제안이 남아 있는지 — 저장 리스너가 최신 값을 읽도록 ref로 유지 */
+  const hasPendingRef = useRef(Boolean(savedPosition));
+  useEffect(() => {
+    hasPendingRef.current = Boolean(savedPosition);
+  }, [savedPosition]);
+
+  /** 스크롤 위치 저장 */
+  useEffect(() => {
+    if (!issueId) return undefined;
+
+    const ids = idsKey ? idsKey.split('|') : [];
+    let timerId = null;
+
+    const save = () => {
+      timerId = null;
+      const position = measurePosition(ids);
+      if (!position && hasPendingRef.current) return;
+      writePosition(issueId, position);
+    };
+
+    const handleScroll = () => {
+      clearTimeout(timerId);
+      timerId = setTimeout(save, SAVE_DELAY);
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('pagehide', save);
+    return () => {
+      clearTimeout(timerId);
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('pagehide', save);
+    };
+  }, [issueId, idsKey]);
+
+  return { savedPosition, dismissSavedPosition };
+}
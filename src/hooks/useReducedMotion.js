@@ -0,0 +1,49 @@
+import { createContext, useContext } from 'react';
+import useMediaQuery from '@mui/material/useMediaQuery';
+
+/** 시스템 모션 감소 설정 미디어 쿼리 */
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Motion Preference Context
+ *
+ * MotionPreferenceProvider가 제공하는 모션 설정.
+ * { preference, setPreference, isReducedMotion, isSystemReduced }
+ * ├── preference       - 사용자 선택 ('system' | 'reduce' | 'full')
+ * ├── setPreference    - 사용자 선택 변경 (preference) => void
+ * ├── isReducedMotion  - 최종 모션 감소 여부 (system이면 시스템 설정을 따름)
+ * └── isSystemReduced  - 시스템 prefers-reduced-motion 값
+ */
+export const MotionPreferenceContext = createContext(null);
+
+/**
+ * useReducedMotion 커스텀 훅
+ *
+ * 애니메이션 컴포넌트가 정적/크로스페이드 렌더링으로 전환해야 하는지 반환한다.
+ * Provider 밖에서는 시스템 prefers-reduced-motion 설정을 그대로 따른다.
+ *
+ * Example usage:
+ * const isReducedMotion = useReducedMotion();
+ * if (isReducedMotion) return <StaticText text={ text } />;
+ *
+ * @returns {boolean} 모션 감소 여부
+ */
+export function useReducedMotion() {
+  const context = useContext(MotionPreferenceContext);
+  const isSystemReduced = useMediaQuery(REDUCED_MOTION_QUERY, { noSsr: true });
+  return context ? context.isReducedMotion : isSystemReduced;
+}
+
+/**
+ * useMotionPreference 커스텀 훅
+ *
+ * 모션 설정 UI(토글 등)에서 사용자 선택을 읽고 바꿀 때 사용한다.
+ *
+ * Example usage:
+ * const { preference, setPreference } = useMotionPreference();
+ *
+ * @returns {object|null} MotionPreferenceContext 값 (Provider 밖이면 null)
+ */
+export function useMotionPreference() {
+  return useContext(MotionPreferenceContext);
+}
@@ -0,0 +1,92 @@
+import { useEffect, useRef } from 'react';
+import { useMotionValue } from 'framer-motion';
+import {
+  subscribeScrollFrame,
+  readRect,
+  parseScrollOffset,
+  getScrollProgress,
+} from '../utils/scrollTimeline';
+
+/**
+ * useScrollProgress 커스텀 훅
+ *
+ * 요소의 스크롤 진행률(0~1)을 공유 스크롤 타임라인(utils/scrollTimeline)에서 받아온다.
+ * 컴포넌트마다 scroll 리스너를 달지 않고, 프레임당 한 번 몰아서 측정된 rect로 계산한다.
+ *
+ * 동작 방식:
+ * 1. 타임라인 read 단계에서 ref 요소의 rect를 측정
+ * 2. write 단계에서 start → end 구간 진행률을 계산해 MotionValue에 반영
+ * 3. 진행률이나 뷰포트 크기가 바뀐 경우에만 onChange(progress, frame) 호출
+ *    → 스타일을 직접 쓰는 컴포넌트는 리렌더 없이 onChange에서 처리한다
+ *    → onChange가 바뀌면(의존 값 변경) 마지막 진행률로 한 번 다시 호출한다
+ * 4. 반환된 MotionValue는 motion 컴포넌트 style이나 useTransform에 그대로 연결할 수 있다
+ *
+ * 오프셋 형식 ("<요소 지점> <뷰포트 지점>", Framer Motion useScroll offset과 동일):
+ * - 'start end'     - 요소 상단이 뷰포트 하단에 닿을 때
+ * - 'center center' - 요소 중앙이 뷰포트 중앙에 올 때
+ * - 'end start'     - 요소 하단이 뷰포트 상단을 지날 때
+ * - 'start 0.8'     - 요소 상단이 뷰포트 80% 지점에 닿을 때 (0~1 숫자 사용 가능)
+ *
+ * Example usage:
+ * const progress = useScrollProgress(wrapperRef, { start: 'start start', end: 'end end' });
+ * useScrollProgress(wrapperRef, {
+ *   start: 'start start',
+ *   end: 'end end',
+ *   onChange: (progress) => { stickyRef.current.style.opacity = 1 - progress; },
+ * });
+ *
+ * @param {object} ref - 추적할 요소의 React ref [Required]
+ * @param {object} options - 옵션
+ * @param {string} options.start - 진행률 0 지점 [기본값: 'start end']
+ * @param {string} options.end - 진행률 1 지점 [기본값: 'end start']
+ * @param {function} options.onChange - 진행률 변경 콜백 (progress, frame) => void [Optional]
+ * @param {boolean} options.isEnabled - false면 구독하지 않음 [기본값: true]
+ * @returns {MotionValue} 진행률 MotionValue (0~1)
+ */
+export function useScrollProgress(ref, options = {}) {
+  const {
+    start = 'start end',
+    end = 'end start',
+    onChange,
+    isEnabled = true,
+  } = options;
+
+  const progress = useMotionValue(0);
+
+  /** 마지막으로 전달된 프레임 — 콜백이 바뀌었을 때 다시 적용하는 데 사용 */
+  const lastFrameRef = useRef(null);
+
+  /** 구독을 다시 걸지 않고 최신 콜백을 호출하도록 ref에 동기화 */
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    if (onChangeRef.current === onChange) return;
+    onChangeRef.current = onChange;
+    if (lastFrameRef.current) onChange?.(progress.get(), lastFrameRef.current);
+  }, [onChange, progress]);
+
+  useEffect(() => {
+    if (!isEnabled) return undefined;
+
+    const startOffset = parseScrollOffset(start);
+    const endOffset = parseScrollOffset(end);
+    let lastKey = null;
+
+    return subscribeScrollFrame({
+      read: () => readRect(ref.current),
+      write: (rect, frame) => {
+        if (!rect) return;
+
+        const value = getScrollProgress(rect, frame.viewportHeight, startOffset, endOffset);
+        const key = `${value}|${frame.viewportWidth}|${frame.viewportHeight}`;
+        if (key === lastKey) return;
+        lastKey = key;
+
+        lastFrameRef.current = frame;
+        progress.set(value);
+        onChangeRef.current?.(value, frame);
+      },
+    });
+  }, [ref, start, end, isEnabled, progress]);
+
+  return progress;
+}
@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react';
+import { subscribeScrollFrame, readRect } from '../utils/scrollTimeline';
+
+/**
+ * useScrollSpy 커스텀 훅
+ *
+ * 스크롤 위치에 따라 현재 화면을 차지하고 있는 앵커 id를 추적한다.
+ * 섹션 바깥 래퍼(앵커)의 전체 높이를 기준으로 판단하므로,
+ * 200svh wrapper + sticky 구조(LeadTextSection, LightMetaphorSection)에서도 sticky 구간 내내 해당 섹션이 활성 상태로 유지된다.
+ *
+ * 동작 방식:
+ * 1. 공유 스크롤 타임라인의 read 단계에서 각 앵커 요소의 위치를 측정
+ * 2. 뷰포트 activationRatio 지점(기본: 화면 중앙)을 지난 마지막 앵커를 활성으로 판단
+ * 3. 활성 id가 바뀔 때만 상태를 갱신
+ *
+ * Example usage:
+ * const activeId = useScrollSpy(['hero', 'article-1', 'article-2']);
+ *
+ * @param {string[]} ids - 추적할 앵커 id 배열 (문서 순서) [Required]
+ * @param {object} options - 옵션
+ * @param {number} options.activationRatio - 활성 판정 기준선 (뷰포트 높이 비율, 0~1) [기본값: 0.5]
+ * @returns {string|null} 현재 활성 앵커 id
+ */
+export function useScrollSpy(ids, options = {}) {
+  const { activationRatio = 0.5 } = options;
+  const [activeId, setActiveId] = useState(ids[0] ?? null);
+
+  /** ids 배열 참조가 바뀌어도 내용이 같으면 리스너를 다시 걸지 않는다 */
+  const idsKey = ids.join('|');
+
+  useEffect(() => {
+    const anchorIds = idsKey ? idsKey.split('|') : [];
+
+    return subscribeScrollFrame({
+      read: ({ viewportHeight }) => {
+        const line = viewportHeight * activationRatio;
+        let current = anchorIds[0] ?? null;
+
+        for (const id of anchorIds) {
+          const rect = readRect(document.getElementById(id));
+          if (!rect) continue;
+          if (rect.top > line) break;
+          current = id;
+        }
+
+        return current;
+      },
+      write: (current) => setActiveId(current),
+    });
+  }, [idsKey, activationRatio]);
+
+  return activeId;
+}
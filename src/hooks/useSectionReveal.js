@@ -0,0 +1,25 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Section Reveal Context
+ *
+ * 섹션이 이미 "읽힌" 상태인지 하위 컴포넌트에 알린다.
+ * 읽던 위치 복원 시 지나온 섹션은 true를 받아 인트로 애니메이션 없이 최종 상태로 렌더링된다.
+ */
+export const SectionRevealContext = createContext(false);
+
+/**
+ * useSectionReveal 커스텀 훅
+ *
+ * 현재 섹션이 이미 공개(reveal)된 상태로 표시되어야 하는지 반환한다.
+ * Provider 밖(스토리북 단독 렌더링 등)에서는 항상 false.
+ *
+ * Example usage:
+ * const isSectionRevealed = useSectionReveal();
+ * const isTitleVisible = isLineDone || isSectionRevealed;
+ *
+ * @returns {boolean} 공개 상태 여부
+ */
+export function useSectionReveal() {
+  return useContext(SectionRevealContext);
+}
@@ -0,0 +1,27 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Theme Preference Context
+ *
+ * ThemePreferenceProvider가 제공하는 테마 선택 상태.
+ * { themeName, setThemeName, themeNames }
+ * ├── themeName     - 현재 테마 이름 (styles/themes 레지스트리 키)
+ * ├── setThemeName  - 테마 변경 (themeName) => void
+ * └── themeNames    - 선택 가능한 테마 이름 배열
+ */
+export const ThemePreferenceContext = createContext(null);
+
+/**
+ * useThemePreference 커스텀 훅
+ *
+ * 테마 선택 UI(ThemeSwitcher 등)에서 현재 테마를 읽고 바꿀 때 사용한다.
+ * 색상 값 자체는 MUI useTheme()으로 읽는다.
+ *
+ * Example usage:
+ * const { themeName, setThemeName } = useThemePreference();
+ *
+ * @returns {object|null} ThemePreferenceContext 값 (Provider 밖이면 null)
+ */
+export function useThemePreference() {
+  return useContext(ThemePreferenceContext);
+}
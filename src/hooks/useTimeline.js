@@ -0,0 +1,245 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useAnimationClock } from './useAnimationClock';
+import { computeSchedule, getNextBoundary, getTimelineDuration } from '../utils/timeline';
+
+/**
+ * Timeline Inspector Context
+ *
+ * TimelineInspector가 제공하는 등록 창구. name이 있는 타임라인은 여기에 자신을 등록해
+ * Storybook 등에서 재생 상태를 보고 조작할 수 있게 한다.
+ * { register, unregister }
+ */
+export const TimelineInspectorContext = createContext(null);
+
+/**
+ * 열린 스텝을 모두 닫은 지속 시간 — 건너뛰기용
+ * 이미 시작된 열린 스텝은 현재 시각에서, 시작 전이면 길이 0으로 닫는다.
+ */
+function resolveAll(steps, resolved, time) {
+  const next = { ...resolved };
+  steps.forEach((step) => {
+    if (step.duration !== null || step.id in next) return;
+    const entry = computeSchedule(steps, next).find(({ id }) => id === step.id);
+    next[step.id] = Math.max(0, time - entry.start);
+  });
+  return next;
+}
+
+/**
+ * useTimeline 커스텀 훅
+ *
+ * 여러 단계 연출(선 → 타이틀 → 본문 → 안내 등)을 스텝 배열로 선언하고, 그 진행 상태를 반환한다.
+ * 중첩 setTimeout과 단계별 boolean 상태 대신 스텝의 시작/끝 여부로 화면을 그린다.
+ * 스텝 구조와 열린 스텝(duration: null)은 utils/timeline 참고.
+ *
+ * 동작 흐름:
+ * 1. 스텝 배열로 각 스텝의 시작/끝 시각을 계산한다
+ * 2. 재생 중에는 다음 경계(스텝 시작/끝) 시각에만 타이머를 걸어 상태를 갱신한다 — 프레임마다 리렌더하지 않는다
+ * 3. 열린 스텝은 complete(id)가 호출되면 그 시각으로 길이가 확정되고 뒤따르는 스텝이 이어서 예약된다
+ * 4. 정방향 재생 중 경계를 지나면 스텝의 onStart/onEnd, 끝에 도달하면 onComplete를 호출한다
+ * 5. seek/reverse/skipToEnd로 임의 시점, 역방향, 최종 상태로 이동할 수 있다
+ * 6. isComplete면 타이머 없이 모든 스텝이 끝난 상태로 본다 (읽던 위치 복원, 모션 감소 모드)
+ * 7. 타이머는 useAnimationClock을 거치므로 AnimationTestProvider 안에서는 특정 시점으로 고정된다
+ * 8. name을 주면 TimelineInspector에 등록되어 Storybook에서 스텝과 재생 위치를 보고 조작할 수 있다
+ *
+ * Example usage:
+ * const timeline = useTimeline([
+ *   { id: 'line', duration: 1200 },
+ *   { id: 'title', after: 'line', duration: null },
+ *   { id: 'next', after: 'title', offset: 1000 },
+ * ], { name: 'ArticleSection', isComplete: isReducedMotion });
+ *
+ * <Box onClick={ timeline.play } />
+ * { timeline.isStarted('title') && <RandomRevealText onRevealComplete={ () => timeline.complete('title') } /> }
+ *
+ * @param {Array<object>} steps - 스텝 배열 (utils/timeline 참고) [Required]
+ * @param {object} options - 옵션 [Optional]
+ * @param {boolean} options.autoPlay - 마운트 즉시 재생 [Optional, 기본값: false]
+ * @param {boolean} options.isComplete - 모든 스텝이 끝난 상태로 고정 [Optional, 기본값: false]
+ * @param {number} options.timeScale - 재생 속도 배율 [Optional, 기본값: 1]
+ * @param {function} options.onComplete - 정방향 재생으로 끝에 도달하거나 skipToEnd 시 호출 [Optional]
+ * @param {string} options.name - TimelineInspector에 표시할 이름 [Optional]
+ * @returns {object} 타임라인
+ *   { time, duration, direction, isPlaying, schedule, isStarted, isDone, getStatus, getTime,
+ *     play, pause, seek, reverse, restart, skipToEnd, complete }
+ */
+export function useTimeline(steps, {
+  autoPlay = false,
+  isComplete = false,
+  timeScale = 1,
+  onComplete,
+  name,
+} = {}) {
+  const clock = useAnimationClock();
+  const inspector = useContext(TimelineInspectorContext);
+  const [state, setState] = useState({
+    time: 0,
+    direction: 1,
+    isPlaying: autoPlay,
+    resolved: {},
+  });
+
+  const schedule = useMemo(() => computeSchedule(steps, state.resolved), [steps, state.resolved]);
+  const duration = getTimelineDuration(schedule);
+
+  /** 이벤트 핸들러에서 최신 값을 읽기 위한 ref */
+  const latestRef = useRef({ steps, state, schedule, duration, timeScale, onComplete });
+  /** 마지막 상태 갱신 시점의 (시계 시각, 타임라인 시각) — 재생 중 현재 시각 계산 기준 */
+  const anchorRef = useRef({ clockTime: 0, time: 0 });
+  /** 콜백을 이미 호출한 시각 — 이 시각 이후의 경계만 새로 호출한다 */
+  const firedTimeRef = useRef(autoPlay ? -1 : 0);
+
+  useEffect(() => {
+    latestRef.current = { steps, state, schedule, duration, timeScale, onComplete };
+  });
+
+  /** 현재 타임라인 시각 (재생 중이면 마지막 경계 이후 흐른 시간 포함) */
+  const getTime = useCallback(() => {
+    const latest = latestRef.current;
+    if (!latest.state.isPlaying) return latest.state.time;
+
+    const { clockTime, time } = anchorRef.current;
+    const elapsed = (clock.now() - clockTime) * latest.timeScale * latest.state.direction;
+    return Math.min(Math.max(time + elapsed, 0), latest.duration);
+  }, [clock]);
+
+  /** 상태가 바뀔 때마다 재생 기준점 갱신 */
+  useEffect(() => {
+    anchorRef.current = { clockTime: clock.now(), time: state.time };
+  }, [state, clock]);
+
+  /** 경계 타이머 — 다음 경계(스텝 시작/끝)까지만 예약 */
+  useEffect(() => {
+    if (!state.isPlaying || isComplete) return;
+
+    const current = getTime();
+    const boundary = getNextBoundary(schedule, current, state.direction);
+    if (boundary === null) return;
+
+    const timer = clock.setTimeout(() => {
+      const isEnd = state.direction > 0 ? boundary >= duration : boundary <= 0;
+      setState((prev) => ({ ...prev, time: boundary, isPlaying: prev.isPlaying && !isEnd }));
+    }, Math.abs(boundary - current) / timeScale);
+
+    return () => clock.clearTimeout(timer);
+  }, [state, schedule, duration, timeScale, isComplete, clock, getTime]);
+
+  /** 정방향 재생으로 지난 경계의 콜백 호출 */
+  useEffect(() => {
+    if (isComplete || state.direction < 0) return;
+    const from = firedTimeRef.current;
+    const to = state.time;
+    if (to <= from) return;
+    firedTimeRef.current = to;
+
+    const isCrossed = (boundary) => boundary > from && boundary <= to;
+    steps.forEach((step, index) => {
+      const { start, end } = schedule[index];
+      if (isCrossed(start)) step.onStart?.();
+      if (isCrossed(end)) step.onEnd?.();
+    });
+    if (isCrossed(duration)) latestRef.current.onComplete?.();
+  }, [state.time, state.direction, state.isPlaying, steps, schedule, duration, isComplete]);
+
+  /** 재생 — 끝에 있으면 처음(역방향이면 끝)부터 */
+  const play = useCallback(() => {
+    const { state: current, duration: total } = latestRef.current;
+    if (current.isPlaying) return;
+
+    let { time } = current;
+    if (current.direction > 0 && time >= total) time = 0;
+    if (current.direction < 0 && time <= 0) time = total;
+    if (time === 0) firedTimeRef.current = -1;
+    setState((prev) => ({ ...prev, time, isPlaying: true }));
+  }, []);
+
+  const pause = useCallback(() => {
+    const time = getTime();
+    setState((prev) => ({ ...prev, time, isPlaying: false }));
+  }, [getTime]);
+
+  const seek = useCallback((target) => {
+    const { duration: total } = latestRef.current;
+    const time = Math.min(Math.max(target, 0), total);
+    firedTimeRef.current = time;
+    setState((prev) => ({ ...prev, time }));
+  }, []);
+
+  const reverse = useCallback(() => {
+    const time = getTime();
+    firedTimeRef.current = time;
+    setState((prev) => ({ ...prev, time, direction: -prev.direction, isPlaying: true }));
+  }, [getTime]);
+
+  const restart = useCallback(() => {
+    firedTimeRef.current = -1;
+    setState({ time: 0, direction: 1, isPlaying: true, resolved: {} });
+  }, []);
+
+  const skipToEnd = useCallback(() => {
+    const latest = latestRef.current;
+    const resolved = resolveAll(latest.steps, latest.state.resolved, getTime());
+    const time = getTimelineDuration(computeSchedule(latest.steps, resolved));
+    firedTimeRef.current = time;
+    setState((prev) => ({ ...prev, time, direction: 1, isPlaying: false, resolved }));
+    latest.onComplete?.();
+  }, [getTime]);
+
+  /** 열린 스텝 종료 — 지금 시각으로 길이를 확정 (시작 전이면 길이 0) */
+  const complete = useCallback((id) => {
+    const latest = latestRef.current;
+    const entry = latest.schedule.find((step) => step.id === id);
+    if (!entry?.isOpen || id in latest.state.resolved) return;
+
+    const time = getTime();
+    const resolved = { ...latest.state.resolved, [id]: Math.max(0, time - entry.start) };
+    const isEnd = time >= getTimelineDuration(computeSchedule(latest.steps, resolved));
+    setState((prev) => ({
+      ...prev,
+      time,
+      resolved,
+      isPlaying: prev.isPlaying && !(isEnd && prev.direction > 0),
+    }));
+  }, [getTime]);
+
+  const timeline = useMemo(() => {
+    const entries = new Map(schedule.map((entry) => [entry.id, entry]));
+    const isStarted = (id) => isComplete || state.time >= (entries.get(id)?.start ?? Infinity);
+    const isDone = (id) => isComplete || state.time >= (entries.get(id)?.end ?? Infinity);
+
+    return {
+      time: isComplete ? duration : state.time,
+      duration,
+      direction: state.direction,
+      isPlaying: state.isPlaying && !isComplete,
+      schedule,
+      isStarted,
+      isDone,
+      getStatus: (id) => {
+        if (isDone(id)) return 'done';
+        return isStarted(id) ? 'active' : 'pending';
+      },
+      getTime,
+      play,
+      pause,
+      seek,
+      reverse,
+      restart,
+      skipToEnd,
+      complete,
+    };
+  }, [schedule, duration, state, isComplete, getTime, play, pause, seek, reverse, restart, skipToEnd, complete]);
+
+  /** TimelineInspector 등록 (Storybook 등 Inspector 안에서만) */
+  useEffect(() => {
+    if (!inspector || !name) return;
+    inspector.register(name, timeline);
+  }, [inspector, name, timeline]);
+
+  useEffect(() => {
+    if (!inspector || !name) return;
+    return () => inspector.unregister(name);
+  }, [inspector, name]);
+
+  return timeline;
+}
@@ -0,0 +1,22 @@
+import { useSyncExternalStore } from 'react';
+import { getWebGLStatus, subscribeWebGLStatus } from '../utils/webglContextPool';
+
+/** 서버 렌더링에서는 WebGL 경로의 빈 컨테이너를 그린다 (판정은 클라이언트에서) */
+const getServerWebGLStatus = () => 'available';
+
+/**
+ * useWebGLStatus 커스텀 훅
+ *
+ * 공유 WebGL 컨텍스트(utils/webglContextPool)의 상태를 반환한다.
+ * WebGL 비주얼은 'available'이 아니면 같은 팔레트의 정적 SVG/CSS 대체 화면을 그리고,
+ * 컨텍스트가 복구되면('lost' → 'available') WebGL 경로로 다시 마운트되어 씬을 새로 만든다.
+ *
+ * Example usage:
+ * const isWebGLAvailable = useWebGLStatus() === 'available';
+ * if (!isWebGLAvailable) return <StaticFallback />;
+ *
+ * @returns {string} 'available' | 'unavailable' | 'lost'
+ */
+export function useWebGLStatus() {
+  return useSyncExternalStore(subscribeWebGLStatus, getWebGLStatus, getServerWebGLStatus);
+}
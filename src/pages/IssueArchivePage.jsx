@@ -0,0 +1,203 @@
+import { Link as RouterLink } from 'react-router-dom';
+import Box from '@mui/material/Box';
+import Container from '@mui/material/Container';
+import Typography from '@mui/material/Typography';
+import { alpha, useTheme } from '@mui/material/styles';
+import issueList, { formatIssueNumber } from '../data/issues';
+
+/**
+ * 'YYYY-MM' 발행일을 표기용 문자열로 변환
+ *
+ * @param {string} date - 'YYYY-MM' 형식 발행일
+ * @returns {string} 예: '2026. 02'
+ */
+function formatIssueDate(date) {
+  const [year, month] = date.split('-');
+  return month ? `${year}. ${month}` : year;
+}
+
+/**
+ * IssueArchivePage 컴포넌트
+ *
+ * 지금까지 발행된 매거진 호를 최신순으로 나열하는 아카이브 페이지.
+ * 호 메타데이터(title, author, cover, date)만 사용하므로 본문 데이터 번들은 로드하지 않는다.
+ *
+ * 동작 흐름:
+ * 1. 사용자가 /issues로 진입하면 라이트 배경 위에 아카이브 헤더가 표시된다
+ * 2. 각 호가 커버 이미지 + 호 번호 + 타이틀 + 저자 + 발행일 카드로 표시된다
+ * 3. 카드에 마우스를 올리면 커버가 선명해진다
+ * 4. 카드를 클릭하면 해당 호(/issues/:issueId)로 이동한다
+ *
+ * Props:
+ * @param {object[]} issues - 호 메타데이터 배열 [Optional, 기본값: 등록된 전체 호]
+ *
+ * Example usage:
+ * <Route path="/issues" element={<IssueArchivePage />} />
+ */
+function IssueArchivePage({ issues = issueList }) {
+  const { surface, text } = useTheme().magazine;
+  const sortedIssues = [...issues].sort((a, b) => b.number - a.number);
+
+  return (
+    <Box
+      component="main"
+      sx={ {
+        minHeight: '100svh',
+        backgroundColor: surface.light,
+        py: { xs: 10, md: 14 },
+      } }
+    >
+      <Container maxWidth="lg">
+        {/* 헤더 */}
+        <Typography
+          sx={ {
+            fontFamily: '"Inter", sans-serif',
+            fontWeight: 900,
+            fontSize: { xs: '3rem', md: '5rem' },
+            color: text.onLight,
+            textTransform: 'lowercase',
+            letterSpacing: '-0.02em',
+            lineHeight: 1,
+          } }
+        >
+          intertext
+        </Typography>
+        <Typography
+          variant="caption"
+          sx={ {
+            display: 'block',
+            fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+            fontStyle: 'italic',
+            fontSize: { xs: '1.05rem', md: '1.2rem' },
+            color: alpha(text.onLight, 0.5),
+            letterSpacing: '0.04em',
+            mt: 2,
+          } }
+        >
+          Archive
+        </Typography>
+
+        <Box
+          sx={ {
+            height: '1px',
+            backgroundColor: alpha(text.onLight, 0.3),
+            my: { xs: 5, md: 8 },
+          } }
+        />
+
+        {/* 호 목록 */}
+        <Box
+          component="ul"
+          sx={ {
+            listStyle: 'none',
+            p: 0,
+            m: 0,
+            display: 'grid',
+            gridTemplateColumns: { xs: '1fr', sm: 'repeat(2, 1fr)', md: 'repeat(3, 1fr)' },
+            gap: { xs: 6, md: 5 },
+          } }
+        >
+          { sortedIssues.map((issue) => (
+            <Box component="li" key={ issue.id }>
+              <Box
+                component={ RouterLink }
+                to={ `/issues/${issue.id}` }
+                sx={ {
+                  display: 'block',
+                  color: 'inherit',
+                  textDecoration: 'none',
+                  '&:hover img': {
+                    filter: 'grayscale(0)',
+                    opacity: 1,
+                  },
+                } }
+              >
+                {/* 커버 */}
+                <Box
+                  sx={ {
+                    aspectRatio: '3 / 4',
+                    overflow: 'hidden',
+                    backgroundColor: surface.dark,
+                    mb: 2.5,
+                  } }
+                >
+                  <Box
+                    component="img"
+                    src={ issue.cover }
+                    alt={ issue.title }
+                    sx={ {
+                      width: '100%',
+                      height: '100%',
+                      objectFit: 'cover',
+                      filter: 'grayscale(0.6)',
+                      opacity: 0.85,
+                      transition: 'filter 0.6s ease-out, opacity 0.6s ease-out',
+                    } }
+                  />
+                </Box>
+
+                {/* 호 번호 + 발행일 */}
+                <Box
+                  sx={ {
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'baseline',
+                    mb: 1,
+                  } }
+                >
+                  <Typography
+                    variant="caption"
+                    sx={ {
+                      fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+                      fontSize: '0.95rem',
+                      letterSpacing: '0.08em',
+                      color: alpha(text.onLight, 0.5),
+                    } }
+                  >
+                    { formatIssueNumber(issue) }
+                  </Typography>
+                  <Typography
+                    variant="caption"
+                    sx={ {
+                      fontSize: '0.8rem',
+                      letterSpacing: '0.08em',
+                      color: text.onLightMuted,
+                    } }
+                  >
+                    { formatIssueDate(issue.date) }
+                  </Typography>
+                </Box>
+
+                {/* 타이틀 + 저자 */}
+                <Typography
+                  variant="h5"
+                  sx={ {
+                    fontFamily: '"Noto Serif KR", serif',
+                    fontWeight: 400,
+                    color: text.onLight,
+                    letterSpacing: '0.04em',
+                    mb: 0.5,
+                  } }
+                >
+                  { issue.title }
+                </Typography>
+                <Typography
+                  variant="body2"
+                  sx={ {
+                    fontFamily: '"Noto Serif KR", serif',
+                    fontWeight: 300,
+                    color: text.onLightSecondary,
+                  } }
+                >
+                  { issue.publisher ? `${issue.author}, ${issue.publisher}` : issue.author }
+                </Typography>
+              </Box>
+            </Box>
+          )) }
+        </Box>
+      </Container>
+    </Box>
+  );
+}
+
+export default IssueArchivePage;
@@ -0,0 +1,35 @@
+import { MemoryRouter } from 'react-router-dom';
+import IssueArchivePage from './IssueArchivePage';
+import issues from '../data/issues';
+
+export default {
+  title: 'Page/IssueArchivePage',
+  component: IssueArchivePage,
+  parameters: {
+    layout: 'fullscreen',
+  },
+  render: (args) => (
+    <MemoryRouter>
+      <IssueArchivePage { ...args } />
+    </MemoryRouter>
+  ),
+  argTypes: {
+    issues: { control: 'object', description: '호 메타데이터 배열' },
+  },
+};
+
+export const Default = {
+  args: {
+    issues,
+  },
+};
+
+export const MultipleIssues = {
+  args: {
+    issues: [
+      ...issues,
+      { ...issues[0], id: 'sample-2', number: 2, title: '다음 호', date: '2026-05' },
+      { ...issues[0], id: 'sample-3', number: 3, title: '그다음 호', date: '2026-08' },
+    ],
+  },
+};
@@ -0,0 +1,105 @@
+import { Component, Suspense, use } from 'react';
+import { useParams } from 'react-router-dom';
+import Box from '@mui/material/Box';
+import MagazinePage from './MagazinePage';
+import NotFoundSection from '../sections/NotFoundSection';
+import CoverThemeProvider from '../components/theme/CoverThemeProvider';
+import { getIssue, loadIssue } from '../data/issues';
+import { loadCoverPalette } from '../utils/coverPalette';
+
+/**
+ * 호 데이터 번들과 커버 팔레트를 읽어 MagazinePage로 렌더링
+ * loadIssue / loadCoverPalette가 반환하는 캐시된 Promise를 use()로 구독하며, 로딩 중에는 상위 Suspense가 fallback을 보여준다.
+ * 두 Promise는 use() 전에 함께 만들어 번들 청크와 커버 분석이 동시에 진행되게 한다.
+ */
+function IssueContent({ issue }) {
+  const bundlePromise = loadIssue(issue.id);
+  const palettePromise = loadCoverPalette(issue.cover);
+  const { data, sections } = use(bundlePromise);
+  const coverPalette = use(palettePromise);
+
+  return (
+    <CoverThemeProvider palette={ coverPalette }>
+      <MagazinePage key={ issue.id } sections={ sections } issueId={ issue.id } terms={ data.terms?.allTerms } references={ data.references } />
+    </CoverThemeProvider>
+  );
+}
+
+/**
+ * 호 번들 로드 실패 경계
+ * 청크 로드 실패(네트워크 오류, 배포 후 사라진 청크 등)로 use()가 던진 에러를 잡아 라우트 전체가 비는 대신
+ * 다시 시도 버튼이 있는 안내 화면을 보여준다. 다시 시도하면 에러 상태를 지워 IssueContent가 번들을 새로 요청한다.
+ */
+class IssueLoadBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  handleRetry = () => {
+    this.setState({ error: null });
+  };
+
+  render() {
+    if (this.state.error) {
+      return (
+        <NotFoundSection
+          code="Error"
+          title="호를 불러오지 못했습니다"
+          description="네트워크 연결을 확인한 뒤 다시 시도하거나, 아카이브에서 다른 호를 찾아보세요."
+          onRetry={ this.handleRetry }
+        />
+      );
+    }
+    return this.props.children;
+  }
+}
+
+/**
+ * IssuePage 컴포넌트
+ *
+ * /issues/:issueId 라우트 페이지.
+ * URL의 issueId로 호 메타데이터를 찾고, 해당 호의 데이터 번들을 지연 로드해 렌더링한다.
+ *
+ * 동작 흐름:
+ * 1. 사용자가 /issues/:issueId로 진입한다
+ * 2. 등록되지 않은 id이면 NotFoundSection을 보여준다
+ * 3. 등록된 id이면 데이터 번들 청크를 불러오는 동안 라이트 배경 화면을 유지한다
+ * 4. 로드가 끝나면 번들의 섹션 스키마로 MagazinePage가 렌더링된다
+ * 5. 번들 로드가 실패하면 라우트를 비우지 않고 다시 시도 버튼이 있는 안내 화면(NotFoundSection)을 보여준다
+ * 6. 커버 이미지에서 추출한 팔레트로 호별 테마(CoverThemeProvider)가 적용된다 — 사용자가 다크/고대비 테마를 골랐으면 그 선택을 우선한다
+ *
+ * Props:
+ * @param {string} issueId - 호 id. 지정하지 않으면 URL 파라미터를 사용 [Optional]
+ *
+ * Example usage:
+ * <Route path="/issues/:issueId" element={<IssuePage />} />
+ * <Route index element={<IssuePage issueId={latestIssue.id} />} />
+ */
+function IssuePage({ issueId: issueIdProp }) {
+  const params = useParams();
+  const issueId = issueIdProp ?? params.issueId;
+  const issue = getIssue(issueId);
+
+  if (!issue) {
+    return (
+      <NotFoundSection
+        title="찾을 수 없는 호입니다"
+        description="주소를 다시 확인하거나, 아카이브에서 지금까지 발행된 호를 찾아보세요."
+      />
+    );
+  }
+
+  return (
+    <IssueLoadBoundary key={ issue.id }>
+      <Suspense
+        fallback={ <Box sx={ { minHeight: '100svh', backgroundColor: (theme) => theme.magazine.surface.light } } /> }
+      >
+        <IssueContent issue={ issue } />
+      </Suspense>
+    </IssueLoadBoundary>
+  );
+}
+
+export default IssuePage;
@@ -1,4 +1,6 @@
 import MagazinePage from './MagazinePage';
+import magazinePage from '../data/magazinePage';
+import magazineData from '../data/magazineData';
 
 export default {
   title: 'Page/MagazinePage',
@@ -8,4 +10,10 @@ export default {
   },
 };
 
-export const Default = {};
+export const Default = {
+  args: {
+    sections: magazinePage.sections,
+    terms: magazineData.terms.allTerms,
+    references: magazineData.references,
+  },
+};
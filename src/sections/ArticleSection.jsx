@@ -1,9 +1,13 @@
-import { useRef, useEffect, useState } from 'react';
+import { useRef, useEffect, useMemo } from 'react';
 import Box from '@mui/material/Box';
 import Container from '@mui/material/Container';
-import Typography from '@mui/material/Typography';
-import { keyframes } from '@mui/material/styles';
+import { alpha, keyframes, useTheme } from '@mui/material/styles';
 import RandomRevealText from '../components/kinetic-typography/RandomRevealText';
+import LineRevealText from '../components/kinetic-typography/LineRevealText';
+import { useSectionReveal } from '../hooks/useSectionReveal';
+import { useReducedMotion } from '../hooks/useReducedMotion';
+import { useTimeline } from '../hooks/useTimeline';
+import { validateRichText } from '../utils/richText';
 
 const flicker = keyframes`
   0%, 100% {
@@ -23,46 +27,125 @@ const flicker = keyframes`
   }
 `;
 
+/** 이전 블록 reveal 완료 후 다음 블록까지 기본 대기 (ms) */
+const BLOCK_PAUSE_MS = 600;
+
+/**
+ * 인트로 타이밍 기본값 (ms)
+ * ├── line       - 선이 그어지는 시간 (타이틀은 그 뒤에 시작)
+ * └── nextPause  - 마지막 블록 reveal 완료 후 '다음으로'까지 대기
+ */
+const ARTICLE_TIMING = {
+  line: 1200,
+  nextPause: 1000,
+};
+
+/**
+ * 본문 블록 정규화
+ * 문자열은 문단 하나로, 구조화 본문 블록(utils/richText)은 인라인 배열 그대로,
+ * 기존 { lines } 형식은 줄을 강제 줄바꿈(\n)으로 이어 붙인다.
+ *
+ * @param {string|object} block - 본문 블록
+ * @returns {{ text: string|Array, isHighlight: boolean, isQuote: boolean, delay: number }}
+ */
+function normalizeBlock(block) {
+  if (typeof block === 'string') {
+    return { text: block, isHighlight: false, isQuote: false, delay: BLOCK_PAUSE_MS };
+  }
+  if (block.type) {
+    validateRichText([block], 'bodyBlocks');
+    return {
+      text: block.content,
+      isHighlight: Boolean(block.isHighlight),
+      isQuote: block.type === 'quote',
+      delay: block.delay ?? BLOCK_PAUSE_MS,
+    };
+  }
+  return {
+    text: block.text ?? block.lines.join('\n'),
+    isHighlight: Boolean(block.isHighlight),
+    isQuote: false,
+    delay: block.delay ?? BLOCK_PAUSE_MS,
+  };
+}
+
 /**
  * ArticleSection 컴포넌트
  *
  * 아티클 타이틀과 본문으로 구성된 풀스크린 섹션.
  *
  * 동작 흐름:
- * 1. 섹션이 뷰포트에 진입하면 얇은 선이 왼쪽→오른쪽으로 그어진다
- * 2. 선 애니메이션 완료 후 타이틀이 RandomRevealText 효과로 나타난다
- * 3. 타이틀 reveal 완료 후 본문 블록들이 순차적으로 서서히 밝아지며 노출된다
+ * 1. 연출은 useTimeline 스텝(line → title → block-0 … block-n → next)으로 선언되고, 섹션이 뷰포트에 진입하면 재생된다
+ * 2. line 스텝에서 얇은 선이 왼쪽→오른쪽으로 그어지고, 끝나면 타이틀이 RandomRevealText 효과로 나타난다
+ * 3. title·block 스텝은 열린 스텝이라 타이포그래피 컴포넌트의 onRevealComplete 이벤트로 끝나고, 그때 다음 스텝이 시작된다
+ * 4. 각 블록은 LineRevealText로 현재 너비에서 실제 렌더링된 줄을 측정해 한 줄씩 노출되고, 화면 크기가 바뀌면 다시 측정한다
+ * 5. 블록의 onRevealComplete 후 다음 블록의 delay만큼 쉬고 다음 블록을 시작한다
+ * 6. 마지막 블록 완료 후 timing.nextPause 뒤에 '다음으로'가 나타난다
+ * 7. Storybook에서는 TimelineInspector로 스텝 진행을 보고, timing으로 선·대기 시간을 조정할 수 있다
+ * 8. 읽던 위치 복원으로 이미 지나온 섹션(SectionRevealContext)이거나 모션 감소 모드이면 선·타이틀·본문이 애니메이션 없이 최종 상태로 표시된다
  *
  * Props:
  * @param {string} title - 아티클 타이틀 [Required]
- * @param {Array<{lines: string[], delay: number, isHighlight: boolean}>} bodyBlocks - 본문 블록 배열. lines(텍스트 줄), delay(이전 블록 노출 후 대기 ms), isHighlight(강조 스타일) [Optional]
+ * @param {Array<string|object>} bodyBlocks - 본문 블록 배열. 문자열은 일반 문단. 객체는 text(문단), isHighlight(강조 스타일), delay(이전 블록 reveal 완료 후 대기 ms, 기본값 600). 구조화 본문 블록 { type: 'paragraph' | 'quote', content, isHighlight, delay }(utils/richText)도 받으며, 줄을 직접 나눈 lines: string[]도 강제 줄바꿈으로 받는다 [Optional]
+ * @param {object} timing - 인트로 타이밍 { line, nextPause } (ms) [Optional, 기본값: ARTICLE_TIMING]
  * @param {object} sx - 추가 스타일 [Optional]
  *
  * Example usage:
  * <ArticleSection
  *   title="부러움은 무지에서 나온다"
  *   bodyBlocks={[
- *     { lines: ['첫 줄', '둘째 줄'], delay: 0 },
- *     { lines: ['셋째 줄'], delay: 2000 },
+ *     '첫 번째 문단. 줄바꿈은 화면 너비에 따라 측정된다.',
+ *     { text: '강조 문단', isHighlight: true, delay: 1200 },
+ *     { type: 'quote', content: ['다른 사람의 ', { type: 'accent', text: '목소리' }, '보다 자신의 느낌을 믿어라.'] },
  *   ]}
  * />
  */
-function ArticleSection({ title, bodyBlocks = [], sx }) {
+function ArticleSection({ title, bodyBlocks = [], timing, sx }) {
   const sectionRef = useRef(null);
-  const [isLineDone, setIsLineDone] = useState(false);
-  const [isVisible, setIsVisible] = useState(false);
-  const [visibleBlocks, setVisibleBlocks] = useState(0);
-  const isFullyRevealed = bodyBlocks.length === 0 || visibleBlocks >= bodyBlocks.length;
-  const [isNextVisible, setIsNextVisible] = useState(false);
+  const isRestored = useSectionReveal();
+  const isReducedMotion = useReducedMotion();
+  const { text, accent } = useTheme().magazine;
+  const isSectionRevealed = isRestored || isReducedMotion;
+  const blocks = useMemo(() => bodyBlocks.map(normalizeBlock), [bodyBlocks]);
+  const { line: lineDuration, nextPause } = { ...ARTICLE_TIMING, ...timing };
+
+  /** 선 → 타이틀 → 블록들 → '다음으로' */
+  const steps = useMemo(() => {
+    const blockSteps = blocks.map((block, index) => ({
+      id: `block-${index}`,
+      after: index === 0 ? 'title' : `block-${index - 1}`,
+      offset: index === 0 ? 0 : block.delay,
+      duration: null,
+    }));
+    const nextStep = blocks.length > 0
+      ? [{ id: 'next', after: `block-${blocks.length - 1}`, offset: nextPause }]
+      : [];
+
+    return [
+      { id: 'line', duration: lineDuration },
+      { id: 'title', after: 'line', duration: null },
+      ...blockSteps,
+      ...nextStep,
+    ];
+  }, [blocks, lineDuration, nextPause]);
+
+  const timeline = useTimeline(steps, { name: 'ArticleSection', isComplete: isSectionRevealed });
+  const { play, complete } = timeline;
+
+  /** 복원된 섹션은 타임라인이 끝난 상태(isComplete)라 모든 스텝이 완료로 보인다 */
+  const isLineShown = timeline.isStarted('line');
+  const isTitleShown = timeline.isDone('line');
+  const isNextShown = timeline.isStarted('next');
+  const revealTransition = (value) => (isSectionRevealed ? 'none' : value);
 
-  /** 뷰포트 진입 감지 → 선 애니메이션 시작 */
+  /** 뷰포트 진입 감지 → 타임라인 재생 */
   useEffect(() => {
     if (!sectionRef.current) return;
 
     const observer = new IntersectionObserver(
       ([entry]) => {
         if (entry.isIntersecting) {
-          setIsVisible(true);
+          play();
           observer.disconnect();
         }
       },
@@ -71,57 +154,7 @@ function ArticleSection({ title, bodyBlocks = [], sx }) {
 
     observer.observe(sectionRef.current);
     return () => observer.disconnect();
-  }, []);
-
-  /** 선 애니메이션 완료(1.2s) 후 타이틀 reveal 시작 */
-  useEffect(() => {
-    if (!isVisible) return;
-
-    const timer = setTimeout(() => {
-      setIsLineDone(true);
-    }, 1200);
-
-    return () => clearTimeout(timer);
-  }, [isVisible]);
-
-  /** 타이틀 reveal 완료 후 첫 번째 블록 노출 */
-  useEffect(() => {
-    if (!isLineDone || !title || bodyBlocks.length === 0) return;
-
-    const charCount = title.replace(/\s/g, '').length;
-    const revealDuration = 200 + charCount * 60 + 1200;
-
-    const timer = setTimeout(() => {
-      setVisibleBlocks(1);
-    }, revealDuration);
-
-    return () => clearTimeout(timer);
-  }, [isLineDone, title, bodyBlocks.length]);
-
-  /** 이전 블록 노출 후 다음 블록 순차 노출 */
-  useEffect(() => {
-    if (visibleBlocks === 0 || visibleBlocks >= bodyBlocks.length) return;
-
-    const nextBlock = bodyBlocks[visibleBlocks];
-    const delayMs = nextBlock.delay || 1000;
-
-    const timer = setTimeout(() => {
-      setVisibleBlocks((prev) => prev + 1);
-    }, delayMs);
-
-    return () => clearTimeout(timer);
-  }, [visibleBlocks, bodyBlocks]);
-
-  /** 마지막 블록 노출 2초 후 '다음으로' 표시 */
-  useEffect(() => {
-    if (!isFullyRevealed || bodyBlocks.length === 0) return;
-
-    const timer = setTimeout(() => {
-      setIsNextVisible(true);
-    }, 2000);
-
-    return () => clearTimeout(timer);
-  }, [isFullyRevealed, bodyBlocks.length]);
+  }, [play]);
 
   return (
     <Box
@@ -140,7 +173,7 @@ function ArticleSection({ title, bodyBlocks = [], sx }) {
         {/* 타이틀 영역 */}
         <Box sx={ { mb: 8, position: 'relative' } }>
           {/* 메타포 글로우 — 타이틀과 걸쳐서 깜빡이며 빛남 */}
-          { isLineDone && (
+          { isTitleShown && (
             <Box
               sx={ {
                 position: 'absolute',
@@ -150,8 +183,9 @@ function ArticleSection({ title, bodyBlocks = [], sx }) {
                 width: { xs: 120, md: 180 },
                 height: { xs: 120, md: 180 },
                 borderRadius: '50%',
-                background: 'radial-gradient(circle, rgba(255, 198, 110, 0.5) 0%, rgba(255, 198, 110, 0.1) 40%, transparent 70%)',
-                animation: `${flicker} 4s ease-in-out infinite`,
+                background: `radial-gradient(circle, ${alpha(accent, 0.5)} 0%, ${alpha(accent, 0.1)} 40%, transparent 70%)`,
+                opacity: 0.4,
+                animation: isReducedMotion ? 'none' : `${flicker} 4s ease-in-out infinite`,
                 pointerEvents: 'none',
                 zIndex: 0,
               } }
@@ -161,28 +195,29 @@ function ArticleSection({ title, bodyBlocks = [], sx }) {
           {/* 왼쪽→오른쪽 선 */}
           <Box
             sx={ {
-              width: isVisible ? '100%' : '0%',
+              width: isLineShown ? '100%' : '0%',
               height: '1px',
-              backgroundColor: 'rgba(245, 242, 238, 0.3)',
-              transition: 'width 1s ease-out',
+              backgroundColor: alpha(text.onDark, 0.3),
+              transition: revealTransition('width 1s ease-out'),
               mb: 5,
             } }
           />
 
           {/* 타이틀 */}
-          { isLineDone && (
+          { isTitleShown && (
             <RandomRevealText
               text={ title }
               delay={ 200 }
               stagger={ 60 }
               variant="h3"
+              onRevealComplete={ () => complete('title') }
               sx={ {
                 position: 'relative',
                 zIndex: 1,
                 fontFamily: '"Noto Serif KR", serif',
                 fontWeight: 400,
                 fontSize: { xs: '1.6rem', md: '2.2rem' },
-                color: '#F5F2EE',
+                color: text.onDark,
                 letterSpacing: '0.04em',
                 lineHeight: 1.6,
               } }
@@ -190,44 +225,39 @@ function ArticleSection({ title, bodyBlocks = [], sx }) {
           ) }
         </Box>
 
-        {/* 본문 블록들 — 순차적으로 서서히 밝아짐 */}
-        { bodyBlocks.map((block, blockIndex) => (
-          <Box
+        {/* 본문 블록들 — 렌더링된 줄 단위로 한 줄씩 노출 */}
+        { blocks.map((block, blockIndex) => (
+          <LineRevealText
             key={ blockIndex }
+            text={ block.text }
+            isActive={ timeline.isStarted(`block-${blockIndex}`) }
+            onRevealComplete={ () => complete(`block-${blockIndex}`) }
             sx={ {
-              opacity: blockIndex < visibleBlocks ? 1 : 0,
-              transition: 'opacity 2s ease-out',
               mt: blockIndex > 0 ? 5 : 0,
+              fontFamily: '"Noto Serif KR", serif',
+              fontWeight: block.isHighlight ? 600 : 300,
+              fontSize: block.isHighlight
+                ? { xs: '1.14rem', md: '1.32rem' }
+                : { xs: '0.95rem', md: '1.1rem' },
+              color: block.isHighlight
+                ? 'primary.main'
+                : alpha(text.onDark, 0.85),
+              lineHeight: 2,
+              wordBreak: 'keep-all',
+              ...(block.isQuote && {
+                pl: 3,
+                borderLeft: '2px solid',
+                borderColor: alpha(accent, 0.6),
+              }),
             } }
-          >
-            { block.lines.map((line, lineIndex) => (
-              <Typography
-                key={ lineIndex }
-                variant="body1"
-                sx={ {
-                  fontFamily: '"Noto Serif KR", serif',
-                  fontWeight: block.isHighlight ? 600 : 300,
-                  fontSize: block.isHighlight
-                    ? { xs: '1.14rem', md: '1.32rem' }
-                    : { xs: '0.95rem', md: '1.1rem' },
-                  color: block.isHighlight
-                    ? 'primary.main'
-                    : 'rgba(245, 242, 238, 0.85)',
-                  lineHeight: 2,
-                  wordBreak: 'keep-all',
-                } }
-              >
-                { line }
-              </Typography>
-            )) }
-          </Box>
+          />
         )) }
 
-        {/* 다음으로 — 마지막 블록 노출 2초 후 등장 */}
+        {/* 다음으로 — next 스텝(마지막 블록 reveal 완료 + nextPause)에서 등장 */}
         <Box
           sx={ {
-            opacity: isNextVisible ? 1 : 0,
-            transition: 'opacity 1.5s ease-out',
+            opacity: isNextShown ? 1 : 0,
+            transition: revealTransition('opacity 1.5s ease-out'),
             mt: 8,
             display: 'flex',
             alignItems: 'center',
@@ -240,7 +270,7 @@ function ArticleSection({ title, bodyBlocks = [], sx }) {
             xmlns="http://www.w3.org/2000/svg"
             viewBox="0 0 24 24"
             fill="none"
-            stroke="rgba(245, 242, 238, 0.4)"
+            stroke={ alpha(text.onDark, 0.4) }
             strokeWidth="1.5"
             strokeLinecap="round"
             strokeLinejoin="round"
@@ -0,0 +1,93 @@
+import Box from '@mui/material/Box';
+import ArticleSection from './ArticleSection';
+import TimelineInspector from '../components/motion/TimelineInspector';
+import magazinePage from '../data/magazinePage';
+
+const article = magazinePage.sections.find((section) => section.type === 'article');
+
+export default {
+  title: 'Section/ArticleSection',
+  component: ArticleSection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    title: { control: 'text', description: '아티클 타이틀' },
+    bodyBlocks: { control: 'object', description: '본문 블록 배열 (문자열 문단, { text, isHighlight, delay } 또는 구조화 본문 블록 { type, content })' },
+    timing: { control: 'object', description: '인트로 타이밍 { line, nextPause } (ms)' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+/** 다크 서피스 위에 섹션 표시 (페이지에서는 GradientOverlay가 배경을 그린다) */
+const DarkSurface = ({ children }) => (
+  <Box sx={ (theme) => ({ backgroundColor: theme.magazine.surface.dark }) }>
+    { children }
+  </Box>
+);
+
+export const Default = {
+  args: {
+    title: article.title,
+    bodyBlocks: article.bodyBlocks,
+  },
+  render: (args) => (
+    <DarkSurface>
+      <ArticleSection { ...args } />
+    </DarkSurface>
+  ),
+};
+
+/**
+ * ## Timeline
+ *
+ * 하단 TimelineInspector에서 line → title → block-n → next 스텝 진행을 보고
+ * 일시정지·탐색·역재생·끝으로 건너뛰기를 할 수 있습니다. timing 컨트롤로 선·대기 시간을 조정합니다.
+ */
+export const Timeline = {
+  args: {
+    title: article.title,
+    bodyBlocks: article.bodyBlocks,
+    timing: { line: 1200, nextPause: 1000 },
+  },
+  render: (args) => (
+    <TimelineInspector>
+      <DarkSurface>
+        <ArticleSection { ...args } />
+      </DarkSurface>
+    </TimelineInspector>
+  ),
+};
+
+/**
+ * ## RichText
+ *
+ * 구조화 본문 블록(utils/richText) — 액센트·강조·줄바꿈은 단어와 함께 줄 단위로 노출되고, quote 블록은 왼쪽 선으로 구분됩니다.
+ */
+export const RichText = {
+  args: {
+    title: '위대한 예술 작품의 교훈',
+    bodyBlocks: [
+      {
+        type: 'paragraph',
+        content: [
+          '위대한 예술 작품들이 우리에게 전하는 가장 감동적인 교훈은 이것이다.',
+          { type: 'break' },
+          '다른 무수한 목소리가 반대 의견을 낼지라도, ',
+          { type: 'accent', text: '자신의 자발적인 느낌' },
+          '을 더 소중하게 믿어야 한다는 것이다.',
+        ],
+      },
+      {
+        type: 'quote',
+        content: ['내일 어떤 낯선 사람이 우리가 늘 생각하고 느꼈던 ', { type: 'emphasis', text: '바로 그것' }, '을 아주 그럴듯하게 말할 것이다.'],
+      },
+    ],
+  },
+  render: (args) => (
+    <DarkSurface>
+      <ArticleSection { ...args } />
+    </DarkSurface>
+  ),
+};
@@ -0,0 +1,149 @@
+import Box from '@mui/material/Box';
+import Container from '@mui/material/Container';
+import Typography from '@mui/material/Typography';
+import { InlineMarkup } from '../components/typography/InlineMarkup';
+import {
+  formatCitation,
+  formatReference,
+  getFootnoteAnchorId,
+  getFootnoteRefAnchorId,
+} from '../utils/citations';
+
+/**
+ * 목록 제목 — 작은 대문자 라벨
+ */
+function ListHeading({ children }) {
+  return (
+    <Typography
+      variant="overline"
+      component="h2"
+      sx={ (theme) => ({
+        display: 'block',
+        mb: 3,
+        letterSpacing: '0.2em',
+        color: theme.magazine.text.onDarkSecondary,
+      }) }
+    >
+      { children }
+    </Typography>
+  );
+}
+
+/**
+ * BibliographySection 컴포넌트
+ *
+ * 호의 각주와 참고 문헌을 모아 보여주는 섹션.
+ *
+ * 동작 흐름:
+ * 1. 본문의 [^id] 각주를 번호 순으로 나열하고, 각 각주에 출처(citation)가 있으면 함께 표시한다
+ * 2. 각주의 ↩ 링크는 본문에서 그 각주를 참조한 위치(FootnoteRef)로 돌아간다
+ * 3. 아래에 참고 문헌 목록을 표시한다
+ * 4. MagazinePage에서는 footnotes와 references가 페이지 컨텍스트로 주입된다 (sectionRegistry)
+ *
+ * Props:
+ * @param {Array<object>} footnotes - 번호가 매겨진 각주 [{ id, number, text, citation? }] (collectFootnotes 결과) [Optional, 기본값: []]
+ * @param {Array<object>} references - 참고 문헌 [{ id, author, title, publisher?, year? }] [Optional, 기본값: []]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <BibliographySection
+ *   footnotes={ collectFootnotes(sections, magazineData.references) }
+ *   references={ magazineData.references }
+ * />
+ */
+function BibliographySection({ footnotes = [], references = [], sx }) {
+  return (
+    <Box
+      component="section"
+      sx={ (theme) => ({
+        position: 'relative',
+        zIndex: 3,
+        py: { xs: 12, md: 16 },
+        color: theme.magazine.text.onDark,
+        ...sx,
+      }) }
+    >
+      <Container maxWidth="sm">
+        { footnotes.length > 0 && (
+          <Box sx={ { mb: { xs: 8, md: 10 } } }>
+            <ListHeading>Notes</ListHeading>
+            <Box component="ol" sx={ { m: 0, p: 0, listStyle: 'none' } }>
+              { footnotes.map((footnote) => (
+                <Box
+                  component="li"
+                  key={ footnote.id }
+                  id={ getFootnoteAnchorId(footnote.id) }
+                  sx={ {
+                    display: 'flex',
+                    gap: 2,
+                    mb: 3,
+                    scrollMarginTop: '40vh',
+                    '&:target': { '& .footnote-text': { color: (theme) => theme.magazine.text.onDark } },
+                  } }
+                >
+                  <Typography
+                    component="span"
+                    sx={ { flexShrink: 0, minWidth: '1.5em', fontWeight: 700, color: (theme) => theme.magazine.accent } }
+                  >
+                    { footnote.number }
+                  </Typography>
+                  <Box>
+                    <Typography
+                      variant="body2"
+                      className="footnote-text"
+                      sx={ (theme) => ({ lineHeight: 1.8, wordBreak: 'keep-all', color: theme.magazine.text.onDarkSecondary }) }
+                    >
+                      <InlineMarkup text={ footnote.text } />
+                      { ' ' }
+                      <Box
+                        component="a"
+                        href={ `#${getFootnoteRefAnchorId(footnote.id)}` }
+                        aria-label={ `각주 ${footnote.number} 참조 위치로 돌아가기` }
+                        sx={ {
+                          color: (theme) => theme.magazine.accent,
+                          textDecoration: 'none',
+                          '&:hover, &:focus-visible': { textDecoration: 'underline' },
+                        } }
+                      >
+                        ↩
+                      </Box>
+                    </Typography>
+                    { footnote.citation && (
+                      <Typography
+                        variant="caption"
+                        component="cite"
+                        sx={ (theme) => ({ display: 'block', mt: 0.5, fontStyle: 'normal', color: theme.magazine.text.onDarkSecondary, opacity: 0.7 }) }
+                      >
+                        { formatCitation(footnote.citation, references) }
+                      </Typography>
+                    ) }
+                  </Box>
+                </Box>
+              )) }
+            </Box>
+          </Box>
+        ) }
+
+        { references.length > 0 && (
+          <Box>
+            <ListHeading>References</ListHeading>
+            <Box component="ul" sx={ { m: 0, p: 0, listStyle: 'none' } }>
+              { references.map((reference) => (
+                <Typography
+                  component="li"
+                  variant="body2"
+                  key={ reference.id }
+                  sx={ (theme) => ({ mb: 1.5, lineHeight: 1.8, wordBreak: 'keep-all', color: theme.magazine.text.onDarkSecondary }) }
+                >
+                  { formatReference(reference) }
+                </Typography>
+              )) }
+            </Box>
+          </Box>
+        ) }
+      </Container>
+    </Box>
+  );
+}
+
+export default BibliographySection;
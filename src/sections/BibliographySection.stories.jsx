@@ -0,0 +1,72 @@
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import BibliographySection from './BibliographySection';
+import { InlineMarkup } from '../components/typography/InlineMarkup';
+import { CitationContext } from '../hooks/useCitations';
+import { collectFootnotes } from '../utils/citations';
+import magazinePage from '../data/magazinePage';
+import magazineData from '../data/magazineData';
+
+const { references } = magazineData;
+const footnotes = collectFootnotes(magazinePage.sections, references);
+
+export default {
+  title: 'Section/BibliographySection',
+  component: BibliographySection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    footnotes: { control: 'object', description: '번호가 매겨진 각주 [{ id, number, text, citation? }] (collectFootnotes 결과)' },
+    references: { control: 'object', description: '참고 문헌 [{ id, author, title, publisher?, year? }]' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+/** 다크 서피스 위에 섹션 표시 (페이지에서는 GradientOverlay가 배경을 그린다) */
+const DarkSurface = ({ children }) => (
+  <Box sx={ (theme) => ({ backgroundColor: theme.magazine.surface.dark }) }>
+    { children }
+  </Box>
+);
+
+export const Default = {
+  args: {
+    footnotes,
+    references,
+  },
+  render: (args) => (
+    <DarkSurface>
+      <BibliographySection { ...args } />
+    </DarkSurface>
+  ),
+};
+
+/** 본문 각주 번호 ↔ 각주 항목 ↩ 왕복 링크 */
+export const WithBodyReferences = {
+  args: {
+    footnotes,
+    references,
+  },
+  render: (args) => (
+    <CitationContext value={ { references, footnotes } }>
+      <DarkSurface>
+        <Box sx={ { maxWidth: 560, mx: 'auto', pt: 12, px: 3 } }>
+          { magazinePage.sections
+            .filter((descriptor) => descriptor.footnotes)
+            .map((descriptor) => (
+              <Typography
+                key={ descriptor.id }
+                variant="body1"
+                sx={ (theme) => ({ mb: 3, lineHeight: 2, wordBreak: 'keep-all', color: theme.magazine.text.onDark }) }
+              >
+                <InlineMarkup text={ descriptor.bodyBlocks.flatMap((block) => block.content).filter((inline) => typeof inline === 'string').join(' ') } />
+              </Typography>
+            )) }
+        </Box>
+        <BibliographySection { ...args } />
+      </DarkSurface>
+    </CitationContext>
+  ),
+};
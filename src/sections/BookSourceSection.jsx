@@ -0,0 +1,90 @@
+import { Fragment } from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import PerspectiveTransition from '../components/motion/PerspectiveTransition';
+
+/**
+ * BookSourceSection 컴포넌트
+ *
+ * 원전 도서 안내 문구와 도서 커버 이미지를 보여주는 풀스크린 섹션.
+ *
+ * 동작 흐름:
+ * 1. 사용자가 섹션에 진입하면 중앙에 출처 안내 문구가 표시된다
+ * 2. 우하단 도서 커버가 PerspectiveTransition으로 세워지며 나타난다
+ *
+ * Props:
+ * @param {string[]} lines - 안내 문구 줄 배열 [Required]
+ * @param {string} image - 도서 커버 이미지 src [Optional]
+ * @param {string} imageAlt - 도서 커버 대체 텍스트 [Optional]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <BookSourceSection
+ *   lines={['더 많은 텍스트는', '랄프 왈도 에머슨 <자기 신뢰> 에서 만날 수 있습니다.']}
+ *   image={selfImage}
+ *   imageAlt="자기 신뢰"
+ * />
+ */
+function BookSourceSection({ lines = [], image, imageAlt = '', sx }) {
+  return (
+    <Box
+      sx={ {
+        minHeight: '100svh',
+        position: 'relative',
+        zIndex: 3,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        ...sx,
+      } }
+    >
+      <Typography
+        variant="body1"
+        sx={ {
+          fontFamily: '"Noto Serif KR", serif',
+          fontWeight: 300,
+          fontSize: { xs: '0.95rem', md: '1.1rem' },
+          color: 'rgba(245, 242, 238, 0.6)',
+          textAlign: 'center',
+          lineHeight: 2,
+          wordBreak: 'keep-all',
+        } }
+      >
+        { lines.map((line, index) => (
+          <Fragment key={ index }>
+            { index > 0 && <br /> }
+            { line }
+          </Fragment>
+        )) }
+      </Typography>
+
+      {/* 우하단 도서 커버 — PerspectiveTransition */}
+      { image && (
+        <PerspectiveTransition
+          isTriggerOnView
+          rotateFrom={ 45 }
+          duration={ 1200 }
+          delay={ 800 }
+          sx={ {
+            position: 'absolute',
+            bottom: { xs: '10%', md: '12%' },
+            right: { xs: '8%', md: '12%' },
+          } }
+        >
+          <Box
+            component="img"
+            src={ image }
+            alt={ imageAlt }
+            sx={ {
+              width: { xs: 100, sm: 120, md: 140 },
+              height: 'auto',
+              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.4)',
+            } }
+          />
+        </PerspectiveTransition>
+      ) }
+    </Box>
+  );
+}
+
+export default BookSourceSection;
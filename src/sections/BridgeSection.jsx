@@ -0,0 +1,39 @@
+import Box from '@mui/material/Box';
+
+/**
+ * BridgeSection 컴포넌트
+ *
+ * 두 섹션 사이의 배경 전환을 부드럽게 잇는 그라데이션 브릿지.
+ * 음수 margin으로 이전 섹션 하단에 겹쳐 배치된다.
+ *
+ * 동작 흐름:
+ * 1. 이전 섹션 하단에 height만큼 겹쳐 렌더링된다
+ * 2. 투명 → color로 이어지는 그라데이션이 다음 섹션 배경과 맞물린다
+ * 3. color를 주지 않으면 테마의 읽기 서피스(theme.magazine.surface.light)로 이어진다
+ *
+ * Props:
+ * @param {string} color - 그라데이션이 도달하는 배경 색상 [Optional, 기본값: theme.magazine.surface.light]
+ * @param {string} height - 브릿지 높이 (CSS 길이) [Optional, 기본값: '30vh']
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <BridgeSection height="30vh" />
+ * <BridgeSection color="#12100E" height="20vh" />
+ */
+function BridgeSection({ color, height = '30vh', sx }) {
+  return (
+    <Box
+      sx={ {
+        position: 'relative',
+        zIndex: 3,
+        height,
+        mt: `-${height}`,
+        background: (theme) => `linear-gradient(to bottom, transparent 0%, ${color ?? theme.magazine.surface.light} 100%)`,
+        pointerEvents: 'none',
+        ...sx,
+      } }
+    />
+  );
+}
+
+export default BridgeSection;
@@ -0,0 +1,61 @@
+import { Fragment } from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+/**
+ * ClosingQuoteSection 컴포넌트
+ *
+ * 아티클 시퀀스를 마무리하는 풀스크린 인용문 섹션.
+ * 인용문이 화면 중앙에 큰따옴표와 함께 줄 단위로 표시된다.
+ *
+ * 동작 흐름:
+ * 1. 마지막 아티클을 지나면 인용문이 화면 중앙에 나타난다
+ * 2. lines의 각 줄이 줄바꿈되어 중앙 정렬된다
+ *
+ * Props:
+ * @param {string[]} lines - 인용문 줄 배열 [Required]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <ClosingQuoteSection lines={['꾸준히 버티면서', '묵묵히 자기 일을 해나가는 자에게']} />
+ */
+function ClosingQuoteSection({ lines = [], sx }) {
+  return (
+    <Box
+      sx={ {
+        minHeight: '100svh',
+        position: 'relative',
+        zIndex: 3,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        px: { xs: 3, md: 6 },
+        ...sx,
+      } }
+    >
+      <Typography
+        variant="h4"
+        sx={ {
+          fontFamily: '"Noto Serif KR", serif',
+          fontWeight: 600,
+          fontSize: { xs: '1.14rem', md: '1.32rem' },
+          color: 'primary.main',
+          textAlign: 'center',
+          lineHeight: 2,
+          wordBreak: 'keep-all',
+        } }
+      >
+        &ldquo;
+        { lines.map((line, index) => (
+          <Fragment key={ index }>
+            { index > 0 && <br /> }
+            { line }
+          </Fragment>
+        )) }
+        &rdquo;
+      </Typography>
+    </Box>
+  );
+}
+
+export default ClosingQuoteSection;
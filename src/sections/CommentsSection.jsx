@@ -0,0 +1,123 @@
+import Box from '@mui/material/Box';
+import Container from '@mui/material/Container';
+import Typography from '@mui/material/Typography';
+import MarqueeContainer from '../components/motion/MarqueeContainer';
+
+/**
+ * 코멘트 카드 — 인용부호 + 본문
+ */
+function CommentCard({ text }) {
+  return (
+    <Box
+      component="figure"
+      sx={ {
+        m: 0,
+        width: { xs: 260, md: 340 },
+        px: { xs: 3, md: 4 },
+        py: { xs: 3, md: 3.5 },
+        border: '1px solid rgba(245, 242, 238, 0.12)',
+        whiteSpace: 'normal',
+      } }
+    >
+      <Typography
+        component="blockquote"
+        variant="body2"
+        sx={ {
+          m: 0,
+          color: 'rgba(245, 242, 238, 0.75)',
+          fontSize: { xs: '0.9rem', md: '0.95rem' },
+          lineHeight: 1.85,
+          wordBreak: 'keep-all',
+        } }
+      >
+        &ldquo;{ text }&rdquo;
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * CommentsSection 컴포넌트
+ *
+ * 독자 코멘트를 두 줄의 마퀴로 흘려 보여주는 코멘트 월 섹션.
+ * 코멘트를 절반씩 나누어 윗줄은 왼쪽, 아랫줄은 오른쪽으로 흐른다.
+ *
+ * 동작 흐름:
+ * 1. 사용자가 섹션에 진입하면 섹션 타이틀이 표시된다
+ * 2. 코멘트 카드가 두 줄의 MarqueeContainer로 서로 반대 방향으로 흐른다
+ * 3. 마우스를 올리면 해당 줄의 흐름이 일시정지되어 읽을 수 있다
+ *
+ * Props:
+ * @param {Array<{id: string, text: string}>} comments - 코멘트 배열 [Required]
+ * @param {string} sectionTitle - 섹션 타이틀 [Optional]
+ * @param {number} speed - 마퀴 한 사이클 시간 (초) [Optional, 기본값: 60]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <CommentsSection
+ *   sectionTitle="Comments"
+ *   comments={[{ id: '1', text: '불안이 많이 줄었어요.' }]}
+ * />
+ */
+function CommentsSection({
+  comments = [],
+  sectionTitle,
+  speed = 60,
+  sx,
+}) {
+  const half = Math.ceil(comments.length / 2);
+  const rows = [comments.slice(0, half), comments.slice(half)].filter((row) => row.length > 0);
+
+  return (
+    <Box
+      component="section"
+      sx={ {
+        minHeight: '100svh',
+        position: 'relative',
+        zIndex: 3,
+        display: 'flex',
+        flexDirection: 'column',
+        justifyContent: 'center',
+        py: { xs: 10, md: 14 },
+        ...sx,
+      } }
+    >
+      {/* 섹션 타이틀 */}
+      { sectionTitle && (
+        <Container maxWidth="md" sx={ { mb: { xs: 6, md: 8 } } }>
+          <Typography
+            variant="caption"
+            sx={ {
+              display: 'block',
+              fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+              fontStyle: 'italic',
+              fontSize: { xs: '1.05rem', md: '1.2rem' },
+              color: 'rgba(245, 242, 238, 0.5)',
+              letterSpacing: '0.04em',
+            } }
+          >
+            { sectionTitle }
+          </Typography>
+        </Container>
+      ) }
+
+      {/* 코멘트 월 — 줄마다 반대 방향 */}
+      <Box sx={ { display: 'flex', flexDirection: 'column', gap: { xs: 2, md: 3 } } }>
+        { rows.map((row, rowIndex) => (
+          <MarqueeContainer
+            key={ rowIndex }
+            speed={ speed }
+            direction={ rowIndex % 2 === 0 ? 'left' : 'right' }
+            gap={ 3 }
+          >
+            { row.map((comment) => (
+              <CommentCard key={ comment.id } text={ comment.text } />
+            )) }
+          </MarqueeContainer>
+        )) }
+      </Box>
+    </Box>
+  );
+}
+
+export default CommentsSection;
@@ -0,0 +1,27 @@
+import CommentsSection from './CommentsSection';
+import magazineData from '../data/magazineData';
+
+const { comments } = magazineData;
+
+export default {
+  title: 'Section/CommentsSection',
+  component: CommentsSection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    comments: { control: 'object', description: '코멘트 배열 [{ id, text }]' },
+    sectionTitle: { control: 'text', description: '섹션 타이틀' },
+    speed: { control: { type: 'number', min: 10, max: 120 }, description: '마퀴 한 사이클 시간 (초)' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+export const Default = {
+  args: {
+    comments: comments.comments,
+    sectionTitle: comments.sectionTitle,
+    sx: { backgroundColor: '#12100E' },
+  },
+};
@@ -0,0 +1,121 @@
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import ButtonBase from '@mui/material/ButtonBase';
+
+/**
+ * ContinueReadingPrompt 컴포넌트
+ *
+ * 재방문한 독자에게 지난번 읽던 위치에서 이어 읽을지 묻는 하단 고정 프롬프트.
+ *
+ * 동작 흐름:
+ * 1. isOpen이 true가 되면 화면 하단에서 서서히 떠오른다
+ * 2. 읽던 섹션 이름(sectionLabel)을 함께 보여준다
+ * 3. '이어 읽기'를 누르면 onRestore, '처음부터'를 누르면 onDismiss가 호출된다
+ *
+ * Props:
+ * @param {boolean} isOpen - 표시 여부 [Required]
+ * @param {string} sectionLabel - 읽던 섹션 이름 [Optional]
+ * @param {function} onRestore - 이어 읽기 클릭 핸들러 [Required]
+ * @param {function} onDismiss - 처음부터 클릭 핸들러 [Required]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <ContinueReadingPrompt
+ *   isOpen={ Boolean(savedPosition) }
+ *   sectionLabel="한줄기 빛"
+ *   onRestore={ handleRestore }
+ *   onDismiss={ dismissSavedPosition }
+ * />
+ */
+function ContinueReadingPrompt({ isOpen, sectionLabel, onRestore, onDismiss, sx }) {
+  const buttonSx = {
+    px: 2.5,
+    py: 1,
+    fontFamily: '"Noto Serif KR", serif',
+    fontSize: 14,
+    borderRadius: 99,
+    transition: 'background-color 0.3s ease, color 0.3s ease',
+  };
+
+  return (
+    <Box
+      role="dialog"
+      aria-live="polite"
+      aria-hidden={ !isOpen }
+      aria-label="이어 읽기"
+      sx={ {
+        position: 'fixed',
+        left: '50%',
+        bottom: { xs: 16, md: 32 },
+        zIndex: 30,
+        width: 'calc(100% - 32px)',
+        maxWidth: 480,
+        px: { xs: 3, md: 4 },
+        py: 3,
+        backgroundColor: 'rgba(18, 16, 14, 0.92)',
+        border: '1px solid rgba(245, 242, 238, 0.12)',
+        backdropFilter: 'blur(12px)',
+        opacity: isOpen ? 1 : 0,
+        visibility: isOpen ? 'visible' : 'hidden',
+        transform: isOpen ? 'translate(-50%, 0)' : 'translate(-50%, 24px)',
+        transition: 'opacity 0.6s ease, transform 0.6s ease, visibility 0.6s',
+        ...sx,
+      } }
+    >
+      <Typography
+        sx={ {
+          fontFamily: '"Cormorant Garamond", serif',
+          fontStyle: 'italic',
+          fontSize: 14,
+          color: 'rgba(245, 242, 238, 0.5)',
+          mb: 1,
+        } }
+      >
+        Continue reading
+      </Typography>
+
+      <Typography
+        sx={ {
+          fontFamily: '"Noto Serif KR", serif',
+          fontSize: { xs: 15, md: 16 },
+          color: '#F5F2EE',
+          lineHeight: 1.7,
+          wordBreak: 'keep-all',
+        } }
+      >
+        지난번 읽던 곳에서 이어 읽을까요?
+        { sectionLabel && (
+          <Box component="span" sx={ { display: 'block', color: (theme) => theme.magazine.accent } }>
+            { sectionLabel }
+          </Box>
+        ) }
+      </Typography>
+
+      <Box sx={ { display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2.5 } }>
+        <ButtonBase
+          onClick={ onDismiss }
+          sx={ {
+            ...buttonSx,
+            color: 'rgba(245, 242, 238, 0.6)',
+            '&:hover': { color: '#F5F2EE' },
+          } }
+        >
+          처음부터
+        </ButtonBase>
+        <ButtonBase
+          onClick={ onRestore }
+          sx={ {
+            ...buttonSx,
+            color: (theme) => theme.magazine.surface.dark,
+            backgroundColor: (theme) => theme.magazine.accent,
+            '&:hover': { backgroundColor: '#F5F2EE' },
+          } }
+        >
+          이어 읽기
+        </ButtonBase>
+      </Box>
+    </Box>
+  );
+}
+
+export default ContinueReadingPrompt;
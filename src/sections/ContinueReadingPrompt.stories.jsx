@@ -0,0 +1,39 @@
+import Box from '@mui/material/Box';
+import ContinueReadingPrompt from './ContinueReadingPrompt';
+import magazinePage from '../data/magazinePage';
+
+const savedSection = magazinePage.sections.find((descriptor) => descriptor.id === 'article-2');
+
+export default {
+  title: 'Section/ContinueReadingPrompt',
+  component: ContinueReadingPrompt,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    isOpen: { control: 'boolean', description: '표시 여부' },
+    sectionLabel: { control: 'text', description: '읽던 섹션 이름' },
+    onRestore: { action: 'restored', description: '이어 읽기 클릭 핸들러' },
+    onDismiss: { action: 'dismissed', description: '처음부터 클릭 핸들러' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+  render: (args) => (
+    <Box sx={ { minHeight: '100svh', backgroundColor: '#F5F2EE' } }>
+      <ContinueReadingPrompt { ...args } />
+    </Box>
+  ),
+};
+
+export const Default = {
+  args: {
+    isOpen: true,
+    sectionLabel: savedSection.navLabel,
+  },
+};
+
+export const WithoutLabel = {
+  args: {
+    isOpen: true,
+  },
+};
@@ -0,0 +1,144 @@
+import Box from '@mui/material/Box';
+import Container from '@mui/material/Container';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import FadeTransition from '../components/motion/FadeTransition';
+
+/**
+ * EditorLetterSection 컴포넌트
+ *
+ * 편집자의 말을 전하는 풀스크린 섹션.
+ * 태그 → 가로선 → 헤드라인 → 본문 → CTA 순서로 세로 배치된다.
+ *
+ * 동작 흐름:
+ * 1. 사용자가 스크롤하여 섹션에 진입하면 태그와 헤드라인이 아래에서 올라오며 나타난다
+ * 2. 이어서 본문이 서서히 페이드인된다
+ * 3. CTA를 클릭하면 onCtaClick이 호출된다 (예: 목차로 이동)
+ *
+ * Props:
+ * @param {string} headline - 헤드라인 텍스트 [Required]
+ * @param {string} bodyText - 편집자의 말 본문 [Required]
+ * @param {string} tag - 상단 태그 텍스트 [Optional]
+ * @param {string} ctaText - CTA 버튼 텍스트 [Optional]
+ * @param {function} onCtaClick - CTA 클릭 핸들러 [Optional]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <EditorLetterSection
+ *   headline="Editor's Letter"
+ *   bodyText="트랜서핑을 처음 접했을 때, 저는 회의적이었습니다."
+ *   ctaText="목차 보기"
+ * />
+ */
+function EditorLetterSection({
+  headline,
+  bodyText,
+  tag,
+  ctaText,
+  onCtaClick,
+  sx,
+}) {
+  return (
+    <Box
+      component="section"
+      sx={ {
+        minHeight: '100svh',
+        position: 'relative',
+        zIndex: 3,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        py: { xs: 10, md: 14 },
+        ...sx,
+      } }
+    >
+      <Container maxWidth="sm">
+        <FadeTransition isTriggerOnView direction="up" distance={ 32 } duration={ 800 }>
+          {/* 태그 */}
+          { tag && (
+            <Typography
+              variant="caption"
+              sx={ {
+                display: 'block',
+                fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+                fontStyle: 'italic',
+                fontSize: { xs: '1.05rem', md: '1.2rem' },
+                color: 'rgba(245, 242, 238, 0.5)',
+                letterSpacing: '0.04em',
+                mb: 3,
+              } }
+            >
+              { tag }
+            </Typography>
+          ) }
+
+          {/* 가로선 */}
+          <Box
+            sx={ {
+              height: '1px',
+              backgroundColor: 'rgba(245, 242, 238, 0.3)',
+              mb: 5,
+            } }
+          />
+
+          {/* 헤드라인 */}
+          <Typography
+            variant="h3"
+            sx={ {
+              fontFamily: '"Noto Serif KR", serif',
+              fontWeight: 400,
+              fontSize: { xs: '1.6rem', md: '2.2rem' },
+              color: '#F5F2EE',
+              letterSpacing: '0.04em',
+              lineHeight: 1.6,
+              mb: 5,
+            } }
+          >
+            { headline }
+          </Typography>
+        </FadeTransition>
+
+        {/* 본문 */}
+        <FadeTransition isTriggerOnView duration={ 1500 } delay={ 600 }>
+          <Typography
+            variant="body1"
+            sx={ {
+              fontFamily: '"Noto Serif KR", serif',
+              fontWeight: 300,
+              fontSize: { xs: '0.95rem', md: '1.1rem' },
+              color: 'rgba(245, 242, 238, 0.85)',
+              lineHeight: 2,
+              wordBreak: 'keep-all',
+            } }
+          >
+            { bodyText }
+          </Typography>
+
+          {/* CTA */}
+          { ctaText && (
+            <Button
+              variant="text"
+              onClick={ onCtaClick }
+              sx={ {
+                color: (theme) => theme.magazine.accent,
+                fontSize: { xs: '0.9rem', md: '1rem' },
+                fontWeight: 600,
+                letterSpacing: '0.02em',
+                px: 0,
+                mt: 6,
+                '&:hover': {
+                  backgroundColor: 'transparent',
+                  opacity: 0.8,
+                },
+              } }
+            >
+              { ctaText } →
+            </Button>
+          ) }
+        </FadeTransition>
+      </Container>
+    </Box>
+  );
+}
+
+export default EditorLetterSection;
@@ -0,0 +1,31 @@
+import EditorLetterSection from './EditorLetterSection';
+import magazineData from '../data/magazineData';
+
+const { editorLetter } = magazineData;
+
+export default {
+  title: 'Section/EditorLetterSection',
+  component: EditorLetterSection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    headline: { control: 'text', description: '헤드라인 텍스트' },
+    bodyText: { control: 'text', description: '편집자의 말 본문' },
+    tag: { control: 'text', description: '상단 태그 텍스트' },
+    ctaText: { control: 'text', description: 'CTA 버튼 텍스트' },
+    onCtaClick: { action: 'ctaClicked', description: 'CTA 클릭 핸들러' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+export const Default = {
+  args: {
+    headline: editorLetter.headline,
+    bodyText: editorLetter.bodyText,
+    tag: editorLetter.tag,
+    ctaText: editorLetter.ctaText,
+    sx: { backgroundColor: '#12100E' },
+  },
+};
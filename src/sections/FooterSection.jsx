@@ -1,6 +1,7 @@
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
 import Container from '@mui/material/Container';
+import { useTheme } from '@mui/material/styles';
 
 /**
  * FooterSection 컴포넌트
@@ -10,7 +11,7 @@ import Container from '@mui/material/Container';
  *
  * 동작 흐름:
  * 1. 사용자가 Outro 섹션을 지나 Footer에 도달한다
- * 2. 다크 배경에서 라이트 배경으로 전환된다
+ * 2. 다크 배경에서 라이트 배경(theme.magazine.surface.light)으로 전환된다
  * 3. 매거진 로고, 소개 텍스트, 인스타그램 링크, 저작권이 표시된다
  *
  * Props:
@@ -38,11 +39,13 @@ function FooterSection({
   copyright,
   sx,
 }) {
+  const { surface, text } = useTheme().magazine;
+
   return (
     <Box
       component="footer"
       sx={ {
-        backgroundColor: '#F5F2EE',
+        backgroundColor: surface.light,
         position: 'relative',
         zIndex: 2,
         py: { xs: 8, md: 12 },
@@ -55,7 +58,7 @@ function FooterSection({
           variant="h5"
           sx={ {
             fontWeight: 700,
-            color: '#12100E',
+            color: text.onLight,
             mb: 3,
           } }
         >
@@ -67,7 +70,7 @@ function FooterSection({
           <Typography
             variant="body2"
             sx={ {
-              color: 'rgba(18, 16, 14, 0.6)',
+              color: text.onLightSecondary,
               fontSize: { xs: '0.95rem', md: '1.05rem' },
               lineHeight: 1.8,
               wordBreak: 'keep-all',
@@ -85,7 +88,7 @@ function FooterSection({
             <Typography
               variant="caption"
               sx={ {
-                color: 'rgba(18, 16, 14, 0.4)',
+                color: text.onLightMuted,
                 fontSize: '0.8rem',
                 letterSpacing: '0.08em',
                 textTransform: 'uppercase',
@@ -102,7 +105,7 @@ function FooterSection({
               rel="noopener noreferrer"
               variant="body2"
               sx={ {
-                color: '#12100E',
+                color: text.onLight,
                 fontSize: '1.05rem',
                 fontWeight: 600,
                 textDecoration: 'none',
@@ -119,7 +122,7 @@ function FooterSection({
           <Typography
             variant="caption"
             sx={ {
-              color: 'rgba(18, 16, 14, 0.35)',
+              color: text.onLightMuted,
               fontSize: '0.8rem',
             } }
           >
@@ -2,6 +2,28 @@ import { useState, useEffect, useMemo, useRef } from 'react';
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
 import coverImage from '../assets/cover.jpeg';
+import { useReducedMotion } from '../hooks/useReducedMotion';
+import { useRandom } from '../hooks/useAnimationClock';
+import { useTimeline } from '../hooks/useTimeline';
+
+/** 글자 하나의 blur/opacity 전환 시간 (ms) */
+const CHAR_TRANSITION_MS = 1200;
+
+/**
+ * 인트로 타이밍 기본값 (ms)
+ * ├── intro        - 배경 로딩 대기
+ * ├── revealDelay  - 인트로 후 첫 글자까지 지연
+ * ├── stagger      - 글자 간 reveal 간격
+ * ├── hold         - 마지막 글자 전환이 끝난 뒤 분리 애니메이션까지 대기
+ * └── split        - 분리(상단 이동, 산개, 선, 타이틀) 전환 시간
+ */
+const HERO_TIMING = {
+  intro: 800,
+  revealDelay: 200,
+  stagger: 60,
+  hold: 360,
+  split: 1500,
+};
 
 /**
  * HeroSection 컴포넌트
@@ -15,12 +37,17 @@ import coverImage from '../assets/cover.jpeg';
  * 3. reveal 완료 후 "intertext"가 상단으로 이동하며 "text" 부분이 흩어지며 사라진다
  * 4. 동시에 중앙 가로선이 그어지고, 하단에 타이틀+서브타이틀이 올라오며 우하단에 "by intertext"가 나타난다
  * 5. 스크롤하면 다음 섹션으로 전환된다
+ * 6. 모션 감소 모드에서는 인트로 없이 최종 레이아웃(상단 "inter", 가로선, 타이틀)이 바로 표시된다
+ * 7. 인트로는 useTimeline 스텝(intro → char-* → reveal → split)으로 선언되며, 타이머와 셔플/산개 난수는
+ *    useAnimationClock/useRandom을 거치므로 AnimationTestProvider로 특정 시점을 고정할 수 있다
+ * 8. Storybook에서는 TimelineInspector로 스텝을 탐색하고 timing으로 각 구간 길이를 조정할 수 있다
  *
  * Props:
  * @param {string} logo - 상단 로고 텍스트 (애니메이션 후 남는 부분) [Required]
  * @param {string} title - 메인 타이틀 텍스트 [Required]
  * @param {string} authorInfo - 저자 및 출판사 정보 [Optional]
  * @param {string} footerText - 하단 스크롤 안내 텍스트 [Optional, 기본값: 'Scroll to explore']
+ * @param {object} timing - 인트로 타이밍 { intro, revealDelay, stagger, hold, split } (ms) [Optional, 기본값: HERO_TIMING]
  * @param {object} sx - 추가 스타일 [Optional]
  *
  * Example usage:
@@ -35,34 +62,39 @@ function HeroSection({
   title,
   authorInfo,
   footerText = 'Scroll to explore',
+  timing,
   sx,
 }) {
   const fullWord = logo + 'text';
   const logoLength = logo.length;
 
-  const [phase, setPhase] = useState(0);
-  const [revealedIndices, setRevealedIndices] = useState(new Set());
   const textPartRef = useRef(null);
   const [centerOffset, setCenterOffset] = useState(0);
+  const isReducedMotion = useReducedMotion();
+  const random = useRandom();
+  const { intro, revealDelay, stagger, hold, split } = { ...HERO_TIMING, ...timing };
+
+  /** 모션 감소 모드에서는 전환 없이 바로 최종 상태 */
+  const motionTransition = (value) => (isReducedMotion ? 'none' : value);
 
   /** Fisher-Yates 셔플로 랜덤 reveal 순서 생성 */
   const randomOrder = useMemo(() => {
     const indices = Array.from({ length: fullWord.length }, (_, i) => i);
     for (let i = indices.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [indices[i], indices[j]] = [indices[j], indices[i]];
     }
     return indices;
-  }, [fullWord]);
+  }, [fullWord, random]);
 
   /** "text" 파트 글자별 랜덤 산개 오프셋 */
   const scatterOffsets = useMemo(() => {
     return Array.from({ length: fullWord.length - logoLength }, () => ({
-      x: (Math.random() - 0.5) * 300,
-      y: (Math.random() - 0.5) * 200,
-      rotate: (Math.random() - 0.5) * 90,
+      x: (random() - 0.5) * 300,
+      y: (random() - 0.5) * 200,
+      rotate: (random() - 0.5) * 90,
     }));
-  }, [fullWord.length, logoLength]);
+  }, [fullWord.length, logoLength, random]);
 
   /** "text" 파트 너비 측정 → Phase 2에서 "inter" 센터링 보정값 계산 */
   useEffect(() => {
@@ -71,38 +103,30 @@ function HeroSection({
     }
   }, []);
 
-  /** Phase 0 → 1: 배경 로딩 후 텍스트 reveal 시작 */
-  useEffect(() => {
-    const timer = setTimeout(() => setPhase(1), 800);
-    return () => clearTimeout(timer);
-  }, []);
-
-  /** Phase 1: "intertext" 랜덤 reveal → Phase 2: 분리 애니메이션 */
-  useEffect(() => {
-    if (phase !== 1) return;
-
-    const delay = 200;
-    const stagger = 60;
-    const timeouts = [];
-
-    randomOrder.forEach((charIndex, orderIndex) => {
-      const timeout = setTimeout(() => {
-        setRevealedIndices((prev) => new Set([...prev, charIndex]));
-      }, delay + orderIndex * stagger);
-      timeouts.push(timeout);
-    });
-
-    /** reveal 완료 + 전환 시간 후 Phase 2 시작 */
-    const totalTime = delay + fullWord.length * stagger + 1500;
-    const phase2Timer = setTimeout(() => {
-      setPhase(2);
-    }, totalTime);
-    timeouts.push(phase2Timer);
+  /** 인트로 → 글자별 reveal (랜덤 순서) → 분리 */
+  const steps = useMemo(() => [
+    { id: 'intro', duration: intro },
+    ...randomOrder.map((charIndex, orderIndex) => ({
+      id: `char-${charIndex}`,
+      after: 'intro',
+      offset: revealDelay + orderIndex * stagger,
+    })),
+    {
+      id: 'reveal',
+      after: 'intro',
+      duration: revealDelay + (randomOrder.length - 1) * stagger + CHAR_TRANSITION_MS,
+    },
+    { id: 'split', after: 'reveal', offset: hold, duration: split },
+  ], [randomOrder, intro, revealDelay, stagger, hold, split]);
 
-    return () => timeouts.forEach((t) => clearTimeout(t));
-  }, [phase, randomOrder, fullWord.length]);
+  const timeline = useTimeline(steps, {
+    name: 'HeroSection',
+    autoPlay: true,
+    isComplete: isReducedMotion,
+  });
 
-  const isPhase2 = phase >= 2;
+  const isCharRevealed = (index) => timeline.isStarted(`char-${index}`);
+  const isPhase2 = timeline.isStarted('split');
 
   return (
     <Box
@@ -150,7 +174,7 @@ function HeroSection({
           left: 0,
           width: '100%',
           height: '12%',
-          background: 'linear-gradient(to bottom, transparent 0%, #F5F2EE 100%)',
+          background: (theme) => `linear-gradient(to bottom, transparent 0%, ${theme.magazine.surface.light} 100%)`,
           zIndex: 1,
           pointerEvents: 'none',
         } }
@@ -174,7 +198,7 @@ function HeroSection({
               ? `translate(calc(-50% + ${centerOffset}px), -50%)`
               : 'translate(-50%, -50%)',
             transition: isPhase2
-              ? 'top 1.5s cubic-bezier(0.4, 0, 0.2, 1), transform 1.5s cubic-bezier(0.4, 0, 0.2, 1)'
+              ? motionTransition(`top ${split}ms cubic-bezier(0.4, 0, 0.2, 1), transform ${split}ms cubic-bezier(0.4, 0, 0.2, 1)`)
               : 'none',
           } }
         >
@@ -194,7 +218,7 @@ function HeroSection({
           >
             {/* "inter" 글자 */}
             { fullWord.slice(0, logoLength).split('').map((char, index) => {
-              const isRevealed = revealedIndices.has(index);
+              const isRevealed = isCharRevealed(index);
               return (
                 <Box
                   component="span"
@@ -203,7 +227,7 @@ function HeroSection({
                     display: 'inline-block',
                     opacity: isRevealed ? 1 : 0,
                     filter: isRevealed ? 'blur(0px)' : 'blur(12px)',
-                    transition: 'opacity 1.2s ease-out, filter 1.2s ease-out',
+                    transition: motionTransition(`opacity ${CHAR_TRANSITION_MS}ms ease-out, filter ${CHAR_TRANSITION_MS}ms ease-out`),
                   } }
                 >
                   { char }
@@ -218,21 +242,22 @@ function HeroSection({
             >
               { fullWord.slice(logoLength).split('').map((char, i) => {
                 const index = logoLength + i;
-                const isRevealed = revealedIndices.has(index);
-                const scatter = isPhase2 ? scatterOffsets[i] : null;
+                const isRevealed = isCharRevealed(index);
+                const scatter = isPhase2 && !isReducedMotion ? scatterOffsets[i] : null;
+                const isHidden = Boolean(scatter) || isReducedMotion;
                 return (
                   <Box
                     component="span"
                     key={ index }
                     sx={ {
                       display: 'inline-block',
-                      opacity: scatter ? 0 : (isRevealed ? 1 : 0),
-                      filter: scatter
+                      opacity: isHidden ? 0 : (isRevealed ? 1 : 0),
+                      filter: isHidden
                         ? 'blur(12px)'
                         : (isRevealed ? 'blur(0px)' : 'blur(12px)'),
-                      transition: scatter
+                      transition: motionTransition(scatter
                         ? 'opacity 0.8s ease-out, filter 0.8s ease-out, transform 1.2s cubic-bezier(0.4, 0, 0.2, 1)'
-                        : 'opacity 1.2s ease-out, filter 1.2s ease-out',
+                        : `opacity ${CHAR_TRANSITION_MS}ms ease-out, filter ${CHAR_TRANSITION_MS}ms ease-out`),
                       transform: scatter
                         ? `translate(${scatter.x}px, ${scatter.y}px) rotate(${scatter.rotate}deg)`
                         : 'none',
@@ -262,7 +287,7 @@ function HeroSection({
               width: isPhase2 ? '100%' : '0%',
               height: '1px',
               backgroundColor: 'rgba(245, 242, 238, 0.4)',
-              transition: 'width 1.2s ease-out',
+              transition: motionTransition('width 1.2s ease-out'),
             } }
           />
         </Box>
@@ -282,7 +307,7 @@ function HeroSection({
             gap: { xs: 1.5, md: 2 },
             opacity: isPhase2 ? 1 : 0,
             transform: isPhase2 ? 'translateY(0)' : 'translateY(30px)',
-            transition: 'opacity 1.5s ease-out 0.3s, transform 1.5s ease-out 0.3s',
+            transition: motionTransition('opacity 1.5s ease-out 0.3s, transform 1.5s ease-out 0.3s'),
           } }
         >
           <Typography
@@ -328,7 +353,7 @@ function HeroSection({
             letterSpacing: '0.1em',
             textTransform: 'lowercase',
             opacity: isPhase2 ? 1 : 0,
-            transition: 'opacity 1.5s ease-out 0.6s',
+            transition: motionTransition('opacity 1.5s ease-out 0.6s'),
           } }
         >
           by intertext
@@ -346,7 +371,7 @@ function HeroSection({
             letterSpacing: '0.1em',
             textTransform: 'uppercase',
             opacity: isPhase2 ? 1 : 0,
-            transition: 'opacity 1.5s ease-out 1s',
+            transition: motionTransition('opacity 1.5s ease-out 1s'),
           } }
         >
           { footerText }
@@ -1,4 +1,5 @@
 import HeroSection from './HeroSection';
+import TimelineInspector from '../components/motion/TimelineInspector';
 import magazineData from '../data/magazineData';
 
 const { intro } = magazineData;
@@ -9,6 +10,7 @@ export default {
   tags: ['autodocs'],
   parameters: {
     layout: 'fullscreen',
+    timelineScrubber: { mode: 'time', duration: 5000 },
   },
   argTypes: {
     logo: { control: 'text', description: '매거진 로고 텍스트' },
@@ -16,6 +18,7 @@ export default {
     title: { control: 'text', description: '메인 타이틀 텍스트' },
     leadText: { control: 'text', description: '리드 문단 텍스트' },
     footerText: { control: 'text', description: '하단 스크롤 안내 텍스트' },
+    timing: { control: 'object', description: '인트로 타이밍 { intro, revealDelay, stagger, hold, split } (ms)' },
     sx: { control: 'object', description: '추가 MUI sx 스타일' },
   },
 };
@@ -29,3 +32,23 @@ export const Default = {
     footerText: intro.footerText,
   },
 };
+
+/**
+ * ## Timeline
+ *
+ * intro → char-n → reveal → split 스텝을 하단 TimelineInspector로 탐색합니다.
+ * timing 컨트롤로 글자 간격, 분리 전 대기 시간 등을 조정할 수 있습니다.
+ */
+export const Timeline = {
+  args: {
+    logo: intro.logo,
+    title: intro.title,
+    footerText: intro.footerText,
+    timing: { intro: 800, revealDelay: 200, stagger: 60, hold: 360, split: 1500 },
+  },
+  render: (args) => (
+    <TimelineInspector>
+      <HeroSection { ...args } />
+    </TimelineInspector>
+  ),
+};
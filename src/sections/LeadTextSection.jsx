@@ -1,12 +1,16 @@
-import { useRef, useEffect, useState } from 'react';
+import { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
 import Container from '@mui/material/Container';
+import { alpha, useTheme } from '@mui/material/styles';
 import RandomRevealText from '../components/kinetic-typography/RandomRevealText';
+import { useScrollProgress } from '../hooks/useScrollProgress';
+import { useTimeline } from '../hooks/useTimeline';
 
 /**
  * 스크롤 페이드아웃 훅
  * wrapper 내 sticky 요소가 스크롤 진행률에 따라 페이드아웃된다.
+ * 진행률은 공유 스크롤 타임라인에서 받아 리렌더 없이 opacity만 갱신한다.
  *
  * @param {number} fadeStart - 페이드아웃 시작 진행률 (0~1) [기본값: 0.3]
  */
@@ -14,24 +18,18 @@ function useStickyFadeOut(fadeStart = 0.3) {
   const wrapperRef = useRef(null);
   const stickyRef = useRef(null);
 
-  useEffect(() => {
-    const handleScroll = () => {
-      if (!wrapperRef.current || !stickyRef.current) return;
-
-      const rect = wrapperRef.current.getBoundingClientRect();
-      const scrollableDistance = rect.height - window.innerHeight;
-      const scrolled = -rect.top;
-      const progress = Math.max(0, Math.min(1, scrolled / scrollableDistance));
-
-      const opacity = Math.max(0, 1 - Math.max(0, (progress - fadeStart) / (1 - fadeStart)));
-      stickyRef.current.style.opacity = opacity;
-    };
-
-    window.addEventListener('scroll', handleScroll, { passive: true });
-    handleScroll();
-    return () => window.removeEventListener('scroll', handleScroll);
+  const handleProgress = useCallback((progress) => {
+    if (!stickyRef.current) return;
+    const opacity = Math.max(0, 1 - Math.max(0, (progress - fadeStart) / (1 - fadeStart)));
+    stickyRef.current.style.opacity = opacity;
   }, [fadeStart]);
 
+  useScrollProgress(wrapperRef, {
+    start: 'start start',
+    end: 'end end',
+    onChange: handleProgress,
+  });
+
   return { wrapperRef, stickyRef };
 }
 
@@ -43,30 +41,43 @@ function useStickyFadeOut(fadeStart = 0.3) {
  *
  * 동작 흐름:
  * 1. 사용자가 HeroSection을 지나면 헤드라인이 풀스크린으로 표시된다
- * 2. 인용부호가 헤드라인 위아래에 장식적으로 배치된다
- * 3. 스크롤하면 서서히 페이드아웃되며 본문 섹션으로 전환된다
+ * 2. 뷰포트에 진입하면 타임라인(line → headline)이 재생되어, 선이 그어진 뒤 헤드라인이 RandomRevealText로 나타난다
+ * 3. headline 스텝은 RandomRevealText의 onRevealComplete로 끝난다
+ * 4. 스크롤하면 서서히 페이드아웃되며 본문 섹션으로 전환된다
  *
  * Props:
  * @param {string} headline - 헤드라인 텍스트 [Required]
+ * @param {object} timing - 인트로 타이밍 { line } (ms) — 선이 그어지는 시간 [Optional, 기본값: { line: 1200 }]
  * @param {object} sx - 추가 스타일 [Optional]
  *
  * Example usage:
  * <LeadHeadlineSection headline="당신 자신을 자기 이외의 곳에서 찾지 말라" />
  */
-function LeadHeadlineSection({ headline, sx }) {
+function LeadHeadlineSection({ headline, timing, sx }) {
   const { wrapperRef, stickyRef } = useStickyFadeOut(0.3);
+  const { onLight } = useTheme().magazine.text;
   const sectionRef = useRef(null);
-  const [isVisible, setIsVisible] = useState(false);
-  const [isLineDone, setIsLineDone] = useState(false);
+  const lineDuration = timing?.line ?? 1200;
+
+  /** 선 → 헤드라인 */
+  const steps = useMemo(() => [
+    { id: 'line', duration: lineDuration },
+    { id: 'headline', after: 'line', duration: null },
+  ], [lineDuration]);
 
-  /** 뷰포트 진입 감지 → 선 애니메이션 시작 */
+  const timeline = useTimeline(steps, { name: 'LeadHeadlineSection' });
+  const { play, complete } = timeline;
+  const isVisible = timeline.isStarted('line');
+  const isLineDone = timeline.isDone('line');
+
+  /** 뷰포트 진입 감지 → 타임라인 재생 */
   useEffect(() => {
     if (!sectionRef.current) return;
 
     const observer = new IntersectionObserver(
       ([entry]) => {
         if (entry.isIntersecting) {
-          setIsVisible(true);
+          play();
           observer.disconnect();
         }
       },
@@ -75,18 +86,7 @@ function LeadHeadlineSection({ headline, sx }) {
 
     observer.observe(sectionRef.current);
     return () => observer.disconnect();
-  }, []);
-
-  /** 선 애니메이션 완료(1s) 후 텍스트 reveal 시작 */
-  useEffect(() => {
-    if (!isVisible) return;
-
-    const timer = setTimeout(() => {
-      setIsLineDone(true);
-    }, 1200);
-
-    return () => clearTimeout(timer);
-  }, [isVisible]);
+  }, [play]);
 
   return (
     <Box
@@ -126,12 +126,13 @@ function LeadHeadlineSection({ headline, sx }) {
               delay={ 200 }
               stagger={ 60 }
               variant="h4"
+              onRevealComplete={ () => complete('headline') }
               sx={ {
                 fontFamily: '"Noto Serif KR", serif',
                 fontWeight: 400,
                 textAlign: 'center',
                 fontSize: { xs: '1.04rem', md: '1.28rem' },
-                color: '#12100E',
+                color: onLight,
                 letterSpacing: '0.02em',
               } }
             />
@@ -142,7 +143,7 @@ function LeadHeadlineSection({ headline, sx }) {
             sx={ {
               width: isVisible ? '100%' : '0%',
               height: '1px',
-              backgroundColor: 'rgba(18, 16, 14, 0.3)',
+              backgroundColor: alpha(onLight, 0.3),
               transition: 'width 1s ease-out',
               mt: 4,
             } }
@@ -176,6 +177,8 @@ function LeadHeadlineSection({ headline, sx }) {
 function LeadTextSection({ text, sx }) {
   const contentRef = useRef(null);
   const { wrapperRef, stickyRef } = useStickyFadeOut(0.3);
+  const { onLight, onLightMuted } = useTheme().magazine.text;
+  const [isLit, setIsLit] = useState(false);
 
   const paragraphs = Array.isArray(text) ? text : [text];
 
@@ -186,7 +189,7 @@ function LeadTextSection({ text, sx }) {
     const observer = new IntersectionObserver(
       ([entry]) => {
         if (entry.isIntersecting) {
-          contentRef.current.style.color = 'rgba(18, 16, 14, 0.85)';
+          setIsLit(true);
           observer.disconnect();
         }
       },
@@ -227,7 +230,7 @@ function LeadTextSection({ text, sx }) {
             display: 'flex',
             flexDirection: 'column',
             alignItems: 'center',
-            color: 'rgba(18, 16, 14, 0.08)',
+            color: alpha(onLight, isLit ? 0.85 : 0.08),
             transition: 'color 1.5s ease-out',
           } }
         >
@@ -256,7 +259,7 @@ function LeadTextSection({ text, sx }) {
             <Typography
               variant="caption"
               sx={ {
-                color: 'rgba(18, 16, 14, 0.35)',
+                color: onLightMuted,
                 fontSize: { xs: '0.65rem', md: '0.7rem' },
                 lineHeight: 1.8,
                 wordBreak: 'keep-all',
@@ -0,0 +1,42 @@
+import { LeadHeadlineSection } from './LeadTextSection';
+import TimelineInspector from '../components/motion/TimelineInspector';
+import magazineData from '../data/magazineData';
+
+const { intro } = magazineData;
+
+export default {
+  title: 'Section/LeadHeadlineSection',
+  component: LeadHeadlineSection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    headline: { control: 'text', description: '헤드라인 텍스트' },
+    timing: { control: 'object', description: '인트로 타이밍 { line } (ms)' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+export const Default = {
+  args: {
+    headline: intro.leadHeadline,
+  },
+};
+
+/**
+ * ## Timeline
+ *
+ * line → headline 스텝을 TimelineInspector로 확인합니다.
+ */
+export const Timeline = {
+  args: {
+    headline: intro.leadHeadline,
+    timing: { line: 1200 },
+  },
+  render: (args) => (
+    <TimelineInspector>
+      <LeadHeadlineSection { ...args } />
+    </TimelineInspector>
+  ),
+};
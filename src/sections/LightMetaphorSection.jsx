@@ -1,6 +1,8 @@
-import { useRef, useEffect } from 'react';
+import { useRef, useCallback } from 'react';
 import Box from '@mui/material/Box';
-import { keyframes } from '@mui/material/styles';
+import { alpha, keyframes } from '@mui/material/styles';
+import { useReducedMotion } from '../hooks/useReducedMotion';
+import { useScrollProgress } from '../hooks/useScrollProgress';
 
 const pulse = keyframes`
   0%, 100% {
@@ -23,6 +25,7 @@ const pulse = keyframes`
  * 2. 섹션에 진입할수록 빛이 점점 커진다
  * 3. 100% 진입하면 빛이 화면의 약 1/4 크기까지 확장된다
  * 4. 이후 스크롤하면 전체가 페이드아웃되며 다음 섹션으로 전환된다
+ * 5. 모션 감소 모드에서는 맥동과 확대 없이 최종 크기의 빛이 정지 상태로 표시되고, 페이드아웃만 유지된다
  *
  * Props:
  * @param {object} sx - 추가 스타일 [Optional]
@@ -35,44 +38,37 @@ function LightMetaphorSection({ sx }) {
   const stickyRef = useRef(null);
   const glowRef = useRef(null);
   const pulseRef = useRef(null);
+  const isReducedMotion = useReducedMotion();
 
-  useEffect(() => {
-    const handleScroll = () => {
-      if (!wrapperRef.current || !stickyRef.current || !glowRef.current || !pulseRef.current) return;
+  /** sticky 내부 스크롤 진행률 (0→1) — 빛이 화면에 보이는 동안 */
+  const handleProgress = useCallback((progress, { viewportWidth: vw, viewportHeight: vh }) => {
+    if (!stickyRef.current || !glowRef.current || !pulseRef.current) return;
 
-      const rect = wrapperRef.current.getBoundingClientRect();
-      const vh = window.innerHeight;
-      const vw = window.innerWidth;
+    /** 빛 크기: 16px(점) → 화면 30% (vmin 기준), progress 0~0.5 구간에서 확장 */
+    const initialSize = 16;
+    const maxSize = Math.min(vw, vh) * 0.6;
+    const targetScale = maxSize / initialSize;
 
-      /** sticky 내부 스크롤 진행률 (0→1) — 빛이 화면에 보이는 동안 */
-      const scrollableDistance = rect.height - vh;
-      const scrolled = -rect.top;
-      const progress = Math.max(0, Math.min(1, scrolled / scrollableDistance));
+    const growProgress = isReducedMotion ? 1 : Math.min(1, progress / 0.5);
+    const scale = 1 + (targetScale - 1) * growProgress;
+    const pulseState = progress < 0.1 ? 'running' : 'paused';
 
-      /** 빛 크기: 16px(점) → 화면 30% (vmin 기준), progress 0~0.5 구간에서 확장 */
-      const initialSize = 16;
-      const maxSize = Math.min(vw, vh) * 0.6;
-      const targetScale = maxSize / initialSize;
+    glowRef.current.style.transform = `translate(-50%, -50%) scale(${scale})`;
+    pulseRef.current.style.animationPlayState = pulseState;
 
-      const growProgress = Math.min(1, progress / 0.5);
-      const scale = 1 + (targetScale - 1) * growProgress;
-      const pulseState = progress < 0.1 ? 'running' : 'paused';
+    /** 전체 페이드아웃: progress 0.6~1에서 1→0 */
+    if (progress > 0.6) {
+      stickyRef.current.style.opacity = 1 - (progress - 0.6) / 0.4;
+    } else {
+      stickyRef.current.style.opacity = 1;
+    }
+  }, [isReducedMotion]);
 
-      glowRef.current.style.transform = `translate(-50%, -50%) scale(${scale})`;
-      pulseRef.current.style.animationPlayState = pulseState;
-
-      /** 전체 페이드아웃: progress 0.6~1에서 1→0 */
-      if (progress > 0.6) {
-        stickyRef.current.style.opacity = 1 - (progress - 0.6) / 0.4;
-      } else {
-        stickyRef.current.style.opacity = 1;
-      }
-    };
-
-    window.addEventListener('scroll', handleScroll, { passive: true });
-    handleScroll();
-    return () => window.removeEventListener('scroll', handleScroll);
-  }, []);
+  useScrollProgress(wrapperRef, {
+    start: 'start start',
+    end: 'end end',
+    onChange: handleProgress,
+  });
 
   return (
     <Box
@@ -115,8 +111,9 @@ function LightMetaphorSection({ sx }) {
               width: 16,
               height: 16,
               borderRadius: '50%',
-              background: 'radial-gradient(circle, rgba(255, 198, 110, 0.6) 0%, rgba(255, 198, 110, 0.15) 40%, transparent 70%)',
-              animation: `${pulse} 3s ease-in-out infinite`,
+              background: (theme) => `radial-gradient(circle, ${alpha(theme.magazine.accent, 0.6)} 0%, ${alpha(theme.magazine.accent, 0.15)} 40%, transparent 70%)`,
+              opacity: 0.6,
+              animation: isReducedMotion ? 'none' : `${pulse} 3s ease-in-out infinite`,
             } }
           />
         </Box>
@@ -0,0 +1,161 @@
+import { Link as RouterLink } from 'react-router-dom';
+import Box from '@mui/material/Box';
+import ButtonBase from '@mui/material/ButtonBase';
+import Container from '@mui/material/Container';
+import Typography from '@mui/material/Typography';
+import { alpha, useTheme } from '@mui/material/styles';
+import RandomRevealText from '../components/kinetic-typography/RandomRevealText';
+
+/**
+ * NotFoundSection 컴포넌트
+ *
+ * 존재하지 않는 호나 경로에 접근했을 때 보여주는 풀스크린 안내 섹션.
+ * 다크 배경 위 가로선과 RandomRevealText로 매거진 아티클과 같은 톤을 유지한다.
+ *
+ * 동작 흐름:
+ * 1. 잘못된 주소로 진입하면 다크 배경 풀스크린 섹션이 표시된다
+ * 2. 가로선 위에 코드(404)가, 아래에 타이틀이 RandomReveal 효과로 나타난다
+ * 3. 설명 문구와 아카이브로 돌아가는 링크가 이어서 표시된다
+ * 4. onRetry가 있으면(로드 실패 등) 링크 앞에 다시 시도 버튼이 함께 표시된다
+ *
+ * Props:
+ * @param {string} code - 상단 코드 텍스트 [Optional, 기본값: '404']
+ * @param {string} title - 안내 타이틀 [Optional, 기본값: '찾을 수 없는 페이지입니다']
+ * @param {string} description - 보조 설명 [Optional]
+ * @param {string} linkLabel - 돌아가기 링크 텍스트 [Optional, 기본값: '아카이브로 돌아가기']
+ * @param {string} linkTo - 돌아가기 링크 경로 [Optional, 기본값: '/issues']
+ * @param {function} onRetry - 다시 시도 핸들러. 있으면 다시 시도 버튼을 표시 [Optional]
+ * @param {string} retryLabel - 다시 시도 버튼 텍스트 [Optional, 기본값: '다시 시도']
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <NotFoundSection
+ *   title="찾을 수 없는 호입니다"
+ *   description="주소를 다시 확인하거나 아카이브에서 다른 호를 찾아보세요."
+ * />
+ */
+function NotFoundSection({
+  code = '404',
+  title = '찾을 수 없는 페이지입니다',
+  description,
+  linkLabel = '아카이브로 돌아가기',
+  linkTo = '/issues',
+  onRetry,
+  retryLabel = '다시 시도',
+  sx,
+}) {
+  const { surface, text } = useTheme().magazine;
+
+  return (
+    <Box
+      component="section"
+      sx={ {
+        minHeight: '100svh',
+        backgroundColor: surface.dark,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        ...sx,
+      } }
+    >
+      <Container maxWidth="md">
+        {/* 코드 */}
+        <Typography
+          variant="caption"
+          sx={ {
+            display: 'block',
+            fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+            fontSize: { xs: '0.95rem', md: '1.1rem' },
+            letterSpacing: '0.12em',
+            color: alpha(text.onDark, 0.4),
+            mb: 3,
+          } }
+        >
+          { code }
+        </Typography>
+
+        {/* 가로선 */}
+        <Box
+          sx={ {
+            width: '100%',
+            height: '1px',
+            backgroundColor: alpha(text.onDark, 0.3),
+            mb: 5,
+          } }
+        />
+
+        {/* 타이틀 */}
+        <RandomRevealText
+          text={ title }
+          delay={ 200 }
+          stagger={ 60 }
+          variant="h3"
+          sx={ {
+            display: 'block',
+            fontFamily: '"Noto Serif KR", serif',
+            fontWeight: 400,
+            fontSize: { xs: '1.6rem', md: '2.2rem' },
+            color: text.onDark,
+            letterSpacing: '0.04em',
+            lineHeight: 1.6,
+            mb: 4,
+          } }
+        />
+
+        {/* 설명 */}
+        { description && (
+          <Typography
+            variant="body1"
+            sx={ {
+              fontFamily: '"Noto Serif KR", serif',
+              fontWeight: 300,
+              fontSize: { xs: '0.95rem', md: '1.1rem' },
+              color: text.onDarkSecondary,
+              lineHeight: 2,
+              wordBreak: 'keep-all',
+              mb: 6,
+            } }
+          >
+            { description }
+          </Typography>
+        ) }
+
+        {/* 다시 시도 */}
+        { onRetry && (
+          <ButtonBase
+            onClick={ onRetry }
+            sx={ {
+              mr: 4,
+              fontFamily: 'inherit',
+              fontSize: (theme) => theme.typography.body2.fontSize,
+              fontWeight: 600,
+              letterSpacing: '0.02em',
+              color: text.onDark,
+              '&:hover': { opacity: 0.8 },
+            } }
+          >
+            { retryLabel } ↻
+          </ButtonBase>
+        ) }
+
+        {/* 돌아가기 링크 */}
+        <Typography
+          component={ RouterLink }
+          to={ linkTo }
+          variant="body2"
+          sx={ {
+            color: (theme) => theme.magazine.accent,
+            fontWeight: 600,
+            letterSpacing: '0.02em',
+            textDecoration: 'none',
+            '&:hover': { opacity: 0.8 },
+          } }
+        >
+          { linkLabel } →
+        </Typography>
+      </Container>
+    </Box>
+  );
+}
+
+export default NotFoundSection;
@@ -0,0 +1,33 @@
+import { MemoryRouter } from 'react-router-dom';
+import NotFoundSection from './NotFoundSection';
+
+export default {
+  title: 'Section/NotFoundSection',
+  component: NotFoundSection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  render: (args) => (
+    <MemoryRouter>
+      <NotFoundSection { ...args } />
+    </MemoryRouter>
+  ),
+  argTypes: {
+    code: { control: 'text', description: '상단 코드 텍스트' },
+    title: { control: 'text', description: '안내 타이틀' },
+    description: { control: 'text', description: '보조 설명' },
+    linkLabel: { control: 'text', description: '돌아가기 링크 텍스트' },
+    linkTo: { control: 'text', description: '돌아가기 링크 경로' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+export const Default = {};
+
+export const UnknownIssue = {
+  args: {
+    title: '찾을 수 없는 호입니다',
+    description: '주소를 다시 확인하거나, 아카이브에서 지금까지 발행된 호를 찾아보세요.',
+  },
+};
@@ -13,7 +13,7 @@ import RandomRevealText from '../components/kinetic-typography/RandomRevealText'
  * 투명 배경(GradientOverlay가 배경 담당) 위에 대형 타이틀을 수직으로 배치하고,
  * CTA 버튼과 링크를 하단에 표시한다.
  * forwardRef로 감싸져 있어 GradientOverlay의 scrollOutRef 기준점으로 사용된다.
- * 이 섹션에서 배경이 다크→라이트로 전환되므로, 텍스트는 라이트 모드(검정) 색상을 사용한다.
+ * 이 섹션에서 배경이 다크→라이트(theme.magazine.surface.light)로 전환되므로, 텍스트는 theme.magazine.text.onLight 계열을 사용한다.
  *
  * 동작 흐름:
  * 1. 사용자가 스크롤하여 Outro 섹션에 진입하면 배경이 라이트로 전환된다
@@ -74,7 +74,7 @@ const OutroSection = forwardRef(function OutroSection({
                 fontSize: { xs: '3.5rem', sm: '5rem', md: '7.5rem' },
                 lineHeight: 1.1,
                 letterSpacing: '-0.03em',
-                color: '#12100E',
+                color: (theme) => theme.magazine.text.onLight,
                 display: 'block',
               } }
             />
@@ -87,7 +87,7 @@ const OutroSection = forwardRef(function OutroSection({
             variant="text"
             onClick={ onCtaClick }
             sx={ {
-              color: '#12100E',
+              color: (theme) => theme.magazine.text.onLight,
               letterSpacing: '0.04em',
               mb: 4,
               '&:hover': {
@@ -113,11 +113,11 @@ const OutroSection = forwardRef(function OutroSection({
                 key={ index }
                 variant="body2"
                 sx={ {
-                  color: 'rgba(18, 16, 14, 0.4)',
+                  color: (theme) => theme.magazine.text.onLightMuted,
                   fontSize: '0.95rem',
                   letterSpacing: '0.04em',
                   cursor: 'pointer',
-                  '&:hover': { color: 'rgba(18, 16, 14, 0.7)' },
+                  '&:hover': { color: (theme) => theme.magazine.text.onLightSecondary },
                 } }
               >
                 { link.label }
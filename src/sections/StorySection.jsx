@@ -0,0 +1,205 @@
+import Box from '@mui/material/Box';
+import Container from '@mui/material/Container';
+import Typography from '@mui/material/Typography';
+import GeometricPattern from '../components/dynamic-color/GeometricPattern';
+import FadeTransition from '../components/motion/FadeTransition';
+import { RichText } from '../components/typography/RichText';
+
+/**
+ * StorySection 컴포넌트
+ *
+ * 인터뷰 스토리 하나를 보여주는 섹션.
+ * 상단에 스토리 motif의 GeometricPattern 키비주얼, 아래에 인터뷰 텍스트가 이어진다.
+ *
+ * 동작 흐름:
+ * 1. 사용자가 섹션에 진입하면 motif에 해당하는 GeometricPattern이 키비주얼로 렌더링된다
+ * 2. 태그, 헤드라인, 인터뷰이 정보가 아래에서 올라오며 나타난다
+ * 3. 리드 문장(인터뷰 발췌)과 본문이 순서대로 페이드인된다
+ * 4. 인용문이 있으면 본문 아래에 출처와 함께 표시된다
+ *
+ * Props:
+ * @param {object} story - 스토리 데이터 { id, motif, headline, subtitle, leadText, tag, body, quotes }. body는 문자열 또는 구조화 본문 (utils/richText) [Required]
+ * @param {number} index - 스토리 인덱스 (0-based) [Optional]
+ * @param {number} totalCount - 전체 스토리 개수 [Optional]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <StorySection story={magazineData.stories.items[0]} index={0} totalCount={3} />
+ */
+function StorySection({
+  story,
+  index,
+  totalCount,
+  sx,
+}) {
+  const orderLabel = index !== undefined && totalCount
+    ? `${String(index + 1).padStart(2, '0')} / ${String(totalCount).padStart(2, '0')}`
+    : null;
+
+  return (
+    <Box
+      component="section"
+      sx={ {
+        position: 'relative',
+        zIndex: 3,
+        py: { xs: 10, md: 14 },
+        ...sx,
+      } }
+    >
+      {/* 키비주얼 — 스토리 motif */}
+      <Box
+        sx={ {
+          position: 'relative',
+          height: { xs: '40svh', md: '56svh' },
+          mb: { xs: 6, md: 8 },
+        } }
+      >
+        <GeometricPattern variant={ story.motif } />
+      </Box>
+
+      <Container maxWidth="sm">
+        <FadeTransition isTriggerOnView direction="up" distance={ 32 } duration={ 800 }>
+          {/* 태그 + 순서 */}
+          <Box
+            sx={ {
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'baseline',
+              mb: 2,
+            } }
+          >
+            { story.tag && (
+              <Typography
+                variant="caption"
+                sx={ {
+                  fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+                  fontStyle: 'italic',
+                  fontSize: { xs: '1.05rem', md: '1.2rem' },
+                  color: 'rgba(245, 242, 238, 0.5)',
+                  letterSpacing: '0.04em',
+                } }
+              >
+                { story.tag }
+              </Typography>
+            ) }
+            { orderLabel && (
+              <Typography
+                variant="caption"
+                sx={ {
+                  fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+                  fontSize: { xs: '0.85rem', md: '0.95rem' },
+                  letterSpacing: '0.08em',
+                  color: 'rgba(245, 242, 238, 0.5)',
+                } }
+              >
+                { orderLabel }
+              </Typography>
+            ) }
+          </Box>
+
+          {/* 헤드라인 */}
+          <Typography
+            variant="h2"
+            sx={ {
+              fontWeight: 700,
+              fontSize: { xs: '2.2rem', md: '3rem' },
+              lineHeight: 1.2,
+              letterSpacing: '-0.02em',
+              color: '#F5F2EE',
+              mb: 1.5,
+            } }
+          >
+            { story.headline }
+          </Typography>
+
+          {/* 인터뷰이 정보 */}
+          { story.subtitle && (
+            <Typography
+              variant="body2"
+              sx={ {
+                color: 'rgba(245, 242, 238, 0.5)',
+                fontSize: { xs: '0.9rem', md: '1rem' },
+                letterSpacing: '0.04em',
+                mb: 5,
+              } }
+            >
+              { story.subtitle }
+            </Typography>
+          ) }
+        </FadeTransition>
+
+        <FadeTransition isTriggerOnView duration={ 1500 } delay={ 400 }>
+          {/* 리드 — 인터뷰 발췌 */}
+          { story.leadText && (
+            <Typography
+              variant="body1"
+              sx={ {
+                fontFamily: '"Noto Serif KR", serif',
+                fontWeight: 600,
+                fontSize: { xs: '1.14rem', md: '1.32rem' },
+                color: (theme) => theme.magazine.accent,
+                lineHeight: 1.9,
+                wordBreak: 'keep-all',
+                mb: 5,
+              } }
+            >
+              { story.leadText }
+            </Typography>
+          ) }
+
+          {/* 본문 */}
+          { story.body && (
+            <RichText
+              value={ story.body }
+              sx={ {
+                typography: 'body1',
+                fontFamily: '"Noto Serif KR", serif',
+                fontWeight: 300,
+                fontSize: { xs: '0.95rem', md: '1.1rem' },
+                color: 'rgba(245, 242, 238, 0.85)',
+                lineHeight: 2,
+                wordBreak: 'keep-all',
+              } }
+            />
+          ) }
+
+          {/* 인용문 */}
+          { story.quotes?.map((quote, quoteIndex) => (
+            <Box key={ quoteIndex } sx={ { textAlign: 'center', mt: { xs: 8, md: 10 } } }>
+              <Typography
+                variant="h5"
+                component="blockquote"
+                sx={ {
+                  m: 0,
+                  fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+                  fontSize: { xs: '1.4rem', md: '1.8rem' },
+                  lineHeight: 1.6,
+                  fontStyle: 'italic',
+                  fontWeight: 400,
+                  color: 'rgba(245, 242, 238, 0.65)',
+                  mb: 1.5,
+                } }
+              >
+                &ldquo;{ quote.text }&rdquo;
+              </Typography>
+              { quote.source && (
+                <Typography
+                  variant="caption"
+                  sx={ {
+                    color: 'rgba(245, 242, 238, 0.35)',
+                    fontSize: '0.95rem',
+                    letterSpacing: '0.04em',
+                  } }
+                >
+                  — { quote.source }
+                </Typography>
+              ) }
+            </Box>
+          )) }
+        </FadeTransition>
+      </Container>
+    </Box>
+  );
+}
+
+export default StorySection;
@@ -0,0 +1,50 @@
+import StorySection from './StorySection';
+import magazineData from '../data/magazineData';
+
+const { stories } = magazineData;
+
+export default {
+  title: 'Section/StorySection',
+  component: StorySection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    story: {
+      control: 'object',
+      description: '스토리 데이터 { id, motif, headline, subtitle, leadText, tag, body, quotes }',
+    },
+    index: { control: { type: 'number', min: 0, max: 10 }, description: '스토리 인덱스 (0-based)' },
+    totalCount: { control: { type: 'number', min: 1, max: 10 }, description: '전체 스토리 개수' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+export const Default = {
+  args: {
+    story: stories.items[0],
+    index: 0,
+    totalCount: stories.items.length,
+    sx: { backgroundColor: '#12100E' },
+  },
+};
+
+export const AllStories = {
+  render: () => (
+    <>
+      { stories.items.map((story, index) => (
+        <StorySection
+          key={ story.id }
+          story={ story }
+          index={ index }
+          totalCount={ stories.items.length }
+          sx={ { backgroundColor: '#12100E' } }
+        />
+      )) }
+    </>
+  ),
+  parameters: {
+    controls: { disable: true },
+  },
+};
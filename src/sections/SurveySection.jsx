@@ -0,0 +1,257 @@
+import { useEffect, useRef, useState } from 'react';
+import Box from '@mui/material/Box';
+import Container from '@mui/material/Container';
+import Typography from '@mui/material/Typography';
+import { useReducedMotion } from '../hooks/useReducedMotion';
+
+/** 카운트업 애니메이션 시간 (ms) */
+const COUNT_DURATION = 1600;
+
+/** 항목 간 카운트업 시작 간격 (ms) */
+const COUNT_STAGGER = 200;
+
+/**
+ * 설문 결과 문자열을 숫자와 앞뒤 텍스트로 분리
+ *
+ * @param {string} result - 결과 문자열 (예: '72%', '6개월', '4.5점')
+ * @returns {{ prefix: string, value: number|null, suffix: string, decimals: number }}
+ *   숫자가 없으면 value는 null
+ */
+function parseSurveyResult(result) {
+  const match = /^(\D*?)(\d+(?:\.\d+)?)(.*)$/.exec(String(result));
+  if (!match) return { prefix: '', value: null, suffix: String(result), decimals: 0 };
+
+  const [, prefix, number, suffix] = match;
+  const decimals = number.includes('.') ? number.split('.')[1].length : 0;
+  return { prefix, value: parseFloat(number), suffix, decimals };
+}
+
+/** easeOutCubic 이징 */
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+/**
+ * 결과 값 카운트업 — isActive가 되면 delay 후 0 → value로 증가
+ */
+function SurveyResultValue({ result, isActive, delay = 0 }) {
+  const { prefix, value, suffix, decimals } = parseSurveyResult(result);
+  const [current, setCurrent] = useState(0);
+  const isReducedMotion = useReducedMotion();
+
+  useEffect(() => {
+    if (isReducedMotion || !isActive || value === null) return;
+
+    let frameId;
+    let startTime;
+
+    const tick = (timestamp) => {
+      if (startTime === undefined) startTime = timestamp + delay;
+      const elapsed = Math.max(0, timestamp - startTime);
+      const t = Math.min(1, elapsed / COUNT_DURATION);
+      setCurrent(value * easeOutCubic(t));
+      if (t < 1) frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [isActive, value, delay, isReducedMotion]);
+
+  /** 모션 감소 모드에서는 카운트업 없이 최종 값 */
+  if (value === null || isReducedMotion) return result;
+
+  return `${prefix}${current.toFixed(decimals)}${suffix}`;
+}
+
+/**
+ * SurveySection 컴포넌트
+ *
+ * 독자 설문 결과를 보여주는 섹션.
+ * 각 문항의 결과 값(result)이 뷰포트 진입 시 0부터 카운트업된다.
+ *
+ * 동작 흐름:
+ * 1. 사용자가 섹션에 진입하면 섹션 타이틀, 헤드라인, 리드 문장이 표시된다
+ * 2. 문항 목록이 30% 이상 보이면 각 결과 값이 순차적으로 카운트업된다
+ * 3. '72%', '6개월'처럼 숫자 앞뒤의 텍스트는 유지되고 숫자만 증가한다
+ * 4. 숫자가 없는 결과는 애니메이션 없이 그대로 표시된다
+ * 5. 모션 감소 모드에서는 모든 결과 값이 처음부터 최종 값으로 표시된다
+ *
+ * Props:
+ * @param {Array<{question: string, result: string, description: string}>} surveys - 설문 문항 배열 [Required]
+ * @param {string} sectionTitle - 섹션 타이틀 [Optional]
+ * @param {string} headline - 헤드라인 텍스트 [Optional]
+ * @param {string} leadText - 리드 문장 [Optional]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <SurveySection
+ *   sectionTitle="Survey"
+ *   headline="트랜서핑을 실천하는 사람들의 이야기"
+ *   surveys={[{ question: '삶에 변화가 있었나요?', result: '89%', description: '긍정적 변화 경험' }]}
+ * />
+ */
+function SurveySection({
+  surveys = [],
+  sectionTitle,
+  headline,
+  leadText,
+  sx,
+}) {
+  const listRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+
+  /** 뷰포트 진입 감지 → 카운트업 시작 */
+  useEffect(() => {
+    if (!listRef.current) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          setIsVisible(true);
+          observer.disconnect();
+        }
+      },
+      { threshold: 0.3 }
+    );
+
+    observer.observe(listRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <Box
+      component="section"
+      sx={ {
+        minHeight: '100svh',
+        position: 'relative',
+        zIndex: 3,
+        display: 'flex',
+        alignItems: 'center',
+        py: { xs: 10, md: 14 },
+        ...sx,
+      } }
+    >
+      <Container maxWidth="md">
+        {/* 섹션 타이틀 */}
+        { sectionTitle && (
+          <Typography
+            variant="caption"
+            sx={ {
+              display: 'block',
+              fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+              fontStyle: 'italic',
+              fontSize: { xs: '1.05rem', md: '1.2rem' },
+              color: 'rgba(245, 242, 238, 0.5)',
+              letterSpacing: '0.04em',
+              mb: 2,
+            } }
+          >
+            { sectionTitle }
+          </Typography>
+        ) }
+
+        {/* 헤드라인 */}
+        { headline && (
+          <Typography
+            variant="h3"
+            sx={ {
+              fontFamily: '"Noto Serif KR", serif',
+              fontWeight: 400,
+              fontSize: { xs: '1.6rem', md: '2.2rem' },
+              color: '#F5F2EE',
+              letterSpacing: '0.04em',
+              lineHeight: 1.6,
+              wordBreak: 'keep-all',
+              mb: 2,
+            } }
+          >
+            { headline }
+          </Typography>
+        ) }
+
+        {/* 리드 */}
+        { leadText && (
+          <Typography
+            variant="body1"
+            sx={ {
+              color: 'rgba(245, 242, 238, 0.6)',
+              fontSize: { xs: '0.95rem', md: '1.05rem' },
+              lineHeight: 1.8,
+              wordBreak: 'keep-all',
+            } }
+          >
+            { leadText }
+          </Typography>
+        ) }
+
+        {/* 문항 목록 */}
+        <Box
+          ref={ listRef }
+          component="dl"
+          sx={ {
+            m: 0,
+            mt: { xs: 6, md: 8 },
+            display: 'grid',
+            gridTemplateColumns: { xs: '1fr', sm: 'repeat(2, 1fr)' },
+            columnGap: { xs: 0, sm: 6 },
+          } }
+        >
+          { surveys.map((survey, index) => (
+            <Box
+              key={ index }
+              sx={ {
+                borderTop: '1px solid rgba(245, 242, 238, 0.12)',
+                py: { xs: 3, md: 4 },
+              } }
+            >
+              <Typography
+                component="dt"
+                variant="body2"
+                sx={ {
+                  color: 'rgba(245, 242, 238, 0.6)',
+                  fontSize: { xs: '0.9rem', md: '0.95rem' },
+                  wordBreak: 'keep-all',
+                  mb: 1.5,
+                } }
+              >
+                { survey.question }
+              </Typography>
+              <Box component="dd" sx={ { m: 0 } }>
+                <Typography
+                  sx={ {
+                    fontFamily: '"Inter", sans-serif',
+                    fontWeight: 900,
+                    fontSize: { xs: '3rem', md: '4rem' },
+                    lineHeight: 1,
+                    letterSpacing: '-0.02em',
+                    color: (theme) => theme.magazine.accent,
+                    fontVariantNumeric: 'tabular-nums',
+                    mb: 1,
+                  } }
+                >
+                  <SurveyResultValue
+                    result={ survey.result }
+                    isActive={ isVisible }
+                    delay={ index * COUNT_STAGGER }
+                  />
+                </Typography>
+                { survey.description && (
+                  <Typography
+                    variant="caption"
+                    sx={ {
+                      color: 'rgba(245, 242, 238, 0.4)',
+                      fontSize: '0.85rem',
+                      letterSpacing: '0.04em',
+                    } }
+                  >
+                    { survey.description }
+                  </Typography>
+                ) }
+              </Box>
+            </Box>
+          )) }
+        </Box>
+      </Container>
+    </Box>
+  );
+}
+
+export default SurveySection;
@@ -0,0 +1,30 @@
+import SurveySection from './SurveySection';
+import magazineData from '../data/magazineData';
+
+const { survey } = magazineData;
+
+export default {
+  title: 'Section/SurveySection',
+  component: SurveySection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    surveys: { control: 'object', description: '설문 문항 배열 [{ question, result, description }]' },
+    sectionTitle: { control: 'text', description: '섹션 타이틀' },
+    headline: { control: 'text', description: '헤드라인 텍스트' },
+    leadText: { control: 'text', description: '리드 문장' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+export const Default = {
+  args: {
+    surveys: survey.surveys,
+    sectionTitle: survey.sectionTitle,
+    headline: survey.headline,
+    leadText: survey.leadText,
+    sx: { backgroundColor: '#12100E' },
+  },
+};
@@ -0,0 +1,171 @@
+import Box from '@mui/material/Box';
+import Container from '@mui/material/Container';
+import Typography from '@mui/material/Typography';
+import FadeTransition from '../components/motion/FadeTransition';
+
+/**
+ * TableOfContentsSection 컴포넌트
+ *
+ * 매거진 목차 섹션. index.items를 번호가 매겨진 행 목록으로 표시한다.
+ * 각 행은 해당 섹션 앵커(#id)로 연결된다.
+ *
+ * 동작 흐름:
+ * 1. 사용자가 섹션에 진입하면 라벨과 헤드라인이 표시된다
+ * 2. 목차 행이 위에서부터 순차적으로 페이드인된다
+ * 3. 행에 마우스를 올리면 번호와 타이틀이 액센트 컬러로 강조된다
+ * 4. 행을 클릭하면 onItemClick(id)이 호출되고, 핸들러가 없으면 #id 앵커로 이동한다
+ *
+ * Props:
+ * @param {Array<{id: string, title: string, description: string}>} items - 목차 항목 배열 [Required]
+ * @param {string} label - 상단 라벨 텍스트 [Optional]
+ * @param {string} headline - 헤드라인 텍스트 [Optional]
+ * @param {function} onItemClick - 항목 클릭 핸들러 (id) => void [Optional]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <TableOfContentsSection
+ *   label="Contents"
+ *   headline="Issue No.1"
+ *   items={[{ id: 'terms', title: 'Terms', description: '주요 용어' }]}
+ * />
+ */
+function TableOfContentsSection({
+  items = [],
+  label,
+  headline,
+  onItemClick,
+  sx,
+}) {
+  /** 핸들러가 있으면 기본 앵커 이동을 막고 위임 */
+  const handleClick = (event, id) => {
+    if (!onItemClick) return;
+    event.preventDefault();
+    onItemClick(id);
+  };
+
+  return (
+    <Box
+      component="section"
+      sx={ {
+        minHeight: '100svh',
+        position: 'relative',
+        zIndex: 3,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        py: { xs: 10, md: 14 },
+        ...sx,
+      } }
+    >
+      <Container maxWidth="md">
+        {/* 라벨 */}
+        { label && (
+          <Typography
+            variant="caption"
+            sx={ {
+              display: 'block',
+              fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+              fontStyle: 'italic',
+              fontSize: { xs: '1.05rem', md: '1.2rem' },
+              color: 'rgba(245, 242, 238, 0.5)',
+              letterSpacing: '0.04em',
+              mb: 2,
+            } }
+          >
+            { label }
+          </Typography>
+        ) }
+
+        {/* 헤드라인 */}
+        { headline && (
+          <Typography
+            variant="h2"
+            sx={ {
+              fontWeight: 700,
+              fontSize: { xs: '2.5rem', sm: '3rem', md: '4rem' },
+              lineHeight: 1.1,
+              letterSpacing: '-0.02em',
+              color: '#F5F2EE',
+              mb: { xs: 6, md: 8 },
+            } }
+          >
+            { headline }
+          </Typography>
+        ) }
+
+        {/* 목차 */}
+        <Box component="ol" sx={ { listStyle: 'none', p: 0, m: 0 } }>
+          { items.map((item, index) => (
+            <Box component="li" key={ item.id }>
+              <FadeTransition
+                isTriggerOnView
+                direction="up"
+                distance={ 16 }
+                duration={ 600 }
+                delay={ index * 120 }
+              >
+                <Box
+                  component="a"
+                  href={ `#${item.id}` }
+                  onClick={ (event) => handleClick(event, item.id) }
+                  sx={ {
+                    display: 'grid',
+                    gridTemplateColumns: { xs: '48px 1fr', md: '72px 1fr 1fr' },
+                    alignItems: 'baseline',
+                    gap: { xs: 1, md: 3 },
+                    py: { xs: 2.5, md: 3 },
+                    borderTop: '1px solid rgba(245, 242, 238, 0.12)',
+                    color: 'inherit',
+                    textDecoration: 'none',
+                    '&:hover .toc-number, &:hover .toc-title': {
+                      color: (theme) => theme.magazine.accent,
+                    },
+                  } }
+                >
+                  <Typography
+                    className="toc-number"
+                    variant="caption"
+                    sx={ {
+                      fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+                      fontSize: { xs: '0.95rem', md: '1.1rem' },
+                      letterSpacing: '0.08em',
+                      color: 'rgba(245, 242, 238, 0.4)',
+                      transition: 'color 0.3s ease-out',
+                    } }
+                  >
+                    { String(index + 1).padStart(2, '0') }
+                  </Typography>
+                  <Typography
+                    className="toc-title"
+                    variant="h5"
+                    sx={ {
+                      fontWeight: 600,
+                      fontSize: { xs: '1.3rem', md: '1.6rem' },
+                      color: '#F5F2EE',
+                      transition: 'color 0.3s ease-out',
+                    } }
+                  >
+                    { item.title }
+                  </Typography>
+                  <Typography
+                    variant="body2"
+                    sx={ {
+                      gridColumn: { xs: '2', md: 'auto' },
+                      color: 'rgba(245, 242, 238, 0.6)',
+                      fontSize: { xs: '0.9rem', md: '1rem' },
+                      wordBreak: 'keep-all',
+                    } }
+                  >
+                    { item.description }
+                  </Typography>
+                </Box>
+              </FadeTransition>
+            </Box>
+          )) }
+        </Box>
+      </Container>
+    </Box>
+  );
+}
+
+export default TableOfContentsSection;
@@ -0,0 +1,29 @@
+import TableOfContentsSection from './TableOfContentsSection';
+import magazineData from '../data/magazineData';
+
+const { index } = magazineData;
+
+export default {
+  title: 'Section/TableOfContentsSection',
+  component: TableOfContentsSection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+  },
+  argTypes: {
+    items: { control: 'object', description: '목차 항목 배열 [{ id, title, description }]' },
+    label: { control: 'text', description: '상단 라벨 텍스트' },
+    headline: { control: 'text', description: '헤드라인 텍스트' },
+    onItemClick: { action: 'itemClicked', description: '항목 클릭 핸들러 (id)' },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+export const Default = {
+  args: {
+    items: index.items,
+    label: index.label,
+    headline: index.headline,
+    sx: { backgroundColor: '#12100E' },
+  },
+};
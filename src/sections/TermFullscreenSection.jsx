@@ -1,4 +1,4 @@
-import { useRef, useEffect, useCallback } from 'react';
+import { useRef, useCallback } from 'react';
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
 import Container from '@mui/material/Container';
@@ -7,6 +7,8 @@ import { FullPageContainer } from '../components/layout/FullPageContainer';
 import FadeTransition from '../components/motion/FadeTransition';
 import GeometricPattern from '../components/dynamic-color/GeometricPattern';
 import ScrollRevealText from '../components/kinetic-typography/ScrollRevealText';
+import { useScrollProgress } from '../hooks/useScrollProgress';
+import { getMotif } from '../utils/motifRegistry';
 
 /**
  * TermFullscreenSection 컴포넌트
@@ -17,8 +19,8 @@ import ScrollRevealText from '../components/kinetic-typography/ScrollRevealText'
  * 동작 흐름:
  * 1. 사용자가 스크롤하여 이 섹션이 뷰포트에 진입한다
  * 2. GeometricPattern이 배경 전체에 렌더링되며 마우스 인터랙션에 반응한다
- * 3. (grid variant) 구가 완전히 형성된 후 타이틀과 설명이 서서히 페이드인된다
- * 4. (기타 variant) 하단에서 순서 인디케이터, 용어 타이틀, 설명이 페이드인으로 나타난다
+ * 3. (스크롤 수렴 motif — supportsScrollInfluence, 예: grid) 구가 완전히 형성된 후 타이틀과 설명이 서서히 페이드인된다
+ * 4. (기타 motif) 하단에서 순서 인디케이터, 용어 타이틀, 설명이 페이드인으로 나타난다
  *
  * Props:
  * @param {object} term - 용어 데이터 객체 { id, motif, title, description, body, quotes } [Required]
@@ -44,40 +46,27 @@ function TermFullscreenSection({
 }) {
   const orderLabel = `${String(index + 1).padStart(2, '0')} / ${String(totalCount).padStart(2, '0')}`;
 
-  /** 스크롤 기반 구 수렴 (grid variant 전용) */
+  /** 스크롤 기반 구 수렴 (supportsScrollInfluence motif 전용) */
   const sectionRef = useRef(null);
   const scrollInfluenceRef = useRef(0);
-  const isGridVariant = term.motif === 'grid';
+  const isScrollDriven = !!getMotif(term.motif)?.supportsScrollInfluence;
 
-  const handleScroll = useCallback(() => {
-    if (!sectionRef.current) return;
-    const rect = sectionRef.current.getBoundingClientRect();
-    const vh = window.innerHeight;
-
-    const sectionCenter = (rect.top + rect.bottom) / 2;
-    const viewportCenter = vh / 2;
-    const distFromCenter = sectionCenter - viewportCenter;
-
-    /** 단방향 수렴: 섹션이 뷰포트에 진입하면서 구가 형성되고, 완성 후 유지
-     *  - 섹션이 뷰포트 아래에 있을 때 → 0 (파티클 부유)
-     *  - 섹션 중앙이 뷰포트 중앙에 도달 → 1 (구 완성)
-     *  - 섹션이 뷰포트 위로 스크롤 → 1 유지 */
-    if (distFromCenter > 0) {
-      const enterProgress = Math.max(0, 1 - distFromCenter / (vh * 0.5));
-      scrollInfluenceRef.current = enterProgress * enterProgress;
-    } else {
-      scrollInfluenceRef.current = 1;
-    }
+  /** 단방향 수렴: 섹션이 뷰포트에 진입하면서 구가 형성되고, 완성 후 유지
+   *  - 섹션 중앙이 뷰포트 하단 아래에 있을 때 → 0 (파티클 부유)
+   *  - 섹션 중앙이 뷰포트 중앙에 도달 → 1 (구 완성)
+   *  - 섹션이 뷰포트 위로 스크롤 → 1 유지 */
+  const handleProgress = useCallback((enterProgress) => {
+    scrollInfluenceRef.current = enterProgress * enterProgress;
   }, []);
 
-  useEffect(() => {
-    if (!isGridVariant) return;
-    window.addEventListener('scroll', handleScroll, { passive: true });
-    handleScroll();
-    return () => window.removeEventListener('scroll', handleScroll);
-  }, [isGridVariant, handleScroll]);
+  useScrollProgress(sectionRef, {
+    start: 'center end',
+    end: 'center center',
+    onChange: handleProgress,
+    isEnabled: isScrollDriven,
+  });
 
-  /** 텍스트 콘텐츠 — non-grid variant 전용 */
+  /** 텍스트 콘텐츠 — 스크롤 수렴이 없는 motif 전용 */
   const textContent = (
     <Box sx={ { pointerEvents: 'auto' } }>
       {/* 순서 인디케이터 */}
@@ -130,7 +119,7 @@ function TermFullscreenSection({
         onClick={ onDetailClick }
         variant="text"
         sx={ {
-          color: '#FFC66E',
+          color: (theme) => theme.magazine.accent,
           fontSize: { xs: '0.9rem', md: '1rem' },
           fontWeight: 600,
           letterSpacing: '0.02em',
@@ -167,7 +156,7 @@ function TermFullscreenSection({
         >
           <GeometricPattern
             variant={ term.motif }
-            scrollInfluenceRef={ isGridVariant ? scrollInfluenceRef : undefined }
+            scrollInfluenceRef={ isScrollDriven ? scrollInfluenceRef : undefined }
           />
         </Box>
 
@@ -195,7 +184,7 @@ function TermFullscreenSection({
           pb: { xs: 6, md: 10 },
         } }
       >
-        { isGridVariant ? (
+        { isScrollDriven ? (
           <Box sx={ { pointerEvents: 'auto' } }>
             {/* 용어 타이틀 — 자동 리빌 */}
             <ScrollRevealText
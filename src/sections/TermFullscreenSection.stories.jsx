@@ -24,6 +24,7 @@ export default {
   },
   parameters: {
     layout: 'fullscreen',
+    timelineScrubber: { mode: 'scroll' },
   },
 };
 
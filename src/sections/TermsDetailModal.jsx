@@ -1,10 +1,14 @@
-import { useRef, useEffect } from 'react';
+import { useRef, useEffect, useMemo } from 'react';
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
 import Container from '@mui/material/Container';
 import IconButton from '@mui/material/IconButton';
+import { alpha, useTheme } from '@mui/material/styles';
 import { motion, AnimatePresence } from 'framer-motion';
 import RandomRevealText from '../components/kinetic-typography/RandomRevealText';
+import { RichText } from '../components/typography/RichText';
+import { Citation } from '../components/typography/Citation';
+import { useTimeline } from '../hooks/useTimeline';
 
 /** 공유 이징 커브 */
 const EASE_SMOOTH = [0.32, 0.72, 0, 1];
@@ -13,6 +17,8 @@ const EASE_SMOOTH = [0.32, 0.72, 0, 1];
  * 섹션 구분 장식 — 좌우 라인 + 중앙 텍스트
  */
 function SectionDivider({ label }) {
+  const { text } = useTheme().magazine;
+
   return (
     <Box
       sx={ {
@@ -22,21 +28,169 @@ function SectionDivider({ label }) {
         my: { xs: 6, md: 8 },
       } }
     >
-      <Box sx={ { flex: 1, height: '1px', backgroundColor: 'rgba(245, 242, 238, 0.12)' } } />
+      <Box sx={ { flex: 1, height: '1px', backgroundColor: alpha(text.onDark, 0.12) } } />
       <Typography
         variant="body2"
         sx={ {
           fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
           fontStyle: 'italic',
           fontSize: { xs: '1.05rem', md: '1.2rem' },
-          color: 'rgba(245, 242, 238, 0.5)',
+          color: alpha(text.onDark, 0.5),
           flexShrink: 0,
           letterSpacing: '0.04em',
         } }
       >
         { label }
       </Typography>
-      <Box sx={ { flex: 1, height: '1px', backgroundColor: 'rgba(245, 242, 238, 0.12)' } } />
+      <Box sx={ { flex: 1, height: '1px', backgroundColor: alpha(text.onDark, 0.12) } } />
+    </Box>
+  );
+}
+
+/**
+ * 진입 타이밍 기본값 (ms)
+ * ├── enter   - 모달 fade-in + slide-up 시간
+ * ├── title   - 열린 뒤 타이틀 reveal 시작까지
+ * └── quotes  - 열린 뒤 인용문 등장까지
+ */
+const MODAL_TIMING = {
+  enter: 400,
+  title: 300,
+  quotes: 500,
+};
+
+/** 인용문 등장 전환 시간 (ms) */
+const QUOTES_DURATION_MS = 400;
+
+/**
+ * 모달 본문 — 열릴 때마다 마운트되어 진입 타임라인(enter, title, quotes)을 처음부터 재생
+ */
+function TermDetailContent({ term, timing }) {
+  const steps = useMemo(() => [
+    { id: 'enter', duration: timing.enter },
+    { id: 'title', offset: timing.title, duration: null },
+    { id: 'quotes', offset: timing.quotes, duration: QUOTES_DURATION_MS },
+  ], [timing.enter, timing.title, timing.quotes]);
+
+  const timeline = useTimeline(steps, { name: 'TermsDetailModal', autoPlay: true });
+  const isQuotesShown = timeline.isStarted('quotes');
+  const { text } = useTheme().magazine;
+
+  return (
+    <Box
+      sx={ {
+        position: 'relative',
+        overflowY: 'auto',
+        height: '100%',
+      } }
+    >
+      {/* ── 단일 칼럼 텍스트 레이아웃 ── */}
+      <Container
+        maxWidth="sm"
+        sx={ {
+          pt: { xs: 10, md: 14 },
+          pb: { xs: 4, md: 6 },
+        } }
+      >
+        {/* 타이틀 — 모달 진입 시 blur에서 나타남 */}
+        <RandomRevealText
+          text={ term.title }
+          variant="h2"
+          isActive={ timeline.isStarted('title') }
+          delay={ 0 }
+          stagger={ 50 }
+          onRevealComplete={ () => timeline.complete('title') }
+          sx={ {
+            fontWeight: 700,
+            fontSize: { xs: '3rem', sm: '3.5rem', md: '4.5rem' },
+            lineHeight: 1.1,
+            letterSpacing: '-0.02em',
+            color: text.onDark,
+            mb: 2,
+            display: 'block',
+          } }
+        />
+
+        {/* 설명 — 이탤릭 세리프 */}
+        { term.description && (
+          <Typography
+            variant="body1"
+            sx={ {
+              fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+              fontStyle: 'italic',
+              fontSize: { xs: '1.05rem', md: '1.15rem' },
+              color: alpha(text.onDark, 0.55),
+              mb: 4,
+            } }
+          >
+            { term.description }
+          </Typography>
+        ) }
+
+        {/* 본문 */}
+        { term.body && (
+          <RichText
+            value={ term.body }
+            sx={ {
+              typography: 'body1',
+              color: alpha(text.onDark, 0.7),
+              fontSize: { xs: '1.05rem', md: '1.15rem' },
+              lineHeight: 1.9,
+              wordBreak: 'keep-all',
+            } }
+          />
+        ) }
+      </Container>
+
+      {/* ── 인용문 ── */}
+      { term.quotes?.length > 0 && (
+        <motion.div
+          initial={ { opacity: 0, y: 30 } }
+          animate={ isQuotesShown ? { opacity: 1, y: 0 } : { opacity: 0, y: 30 } }
+          transition={ {
+            duration: QUOTES_DURATION_MS / 1000,
+            ease: 'easeOut',
+          } }
+        >
+          <Container maxWidth="sm" sx={ { pb: { xs: 10, md: 14 } } }>
+            <SectionDivider label="Quotes" />
+            { term.quotes.map((quote, index) => (
+              <Box
+                key={ index }
+                sx={ {
+                  textAlign: 'center',
+                  mb: { xs: 5, md: 6 },
+                } }
+              >
+                <Typography
+                  variant="h5"
+                  component="blockquote"
+                  sx={ {
+                    fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
+                    fontSize: { xs: '1.6rem', md: '2rem' },
+                    lineHeight: 1.6,
+                    fontStyle: 'italic',
+                    fontWeight: 400,
+                    color: alpha(text.onDark, 0.65),
+                    mb: 1.5,
+                  } }
+                >
+                  &ldquo;{ quote.text }&rdquo;
+                </Typography>
+                <Citation
+                  citation={ quote.citation ?? quote.source }
+                  variant="caption"
+                  sx={ {
+                    color: alpha(text.onDark, 0.35),
+                    fontSize: '0.95rem',
+                    letterSpacing: '0.04em',
+                  } }
+                />
+              </Box>
+            )) }
+          </Container>
+        </motion.div>
+      ) }
     </Box>
   );
 }
@@ -51,14 +205,17 @@ function SectionDivider({ label }) {
  * 1. 풀스크린 용어 섹션에서 '자세히 보기'를 클릭하면 이 모달이 열린다
  * 2. fade-in + slide-up 애니메이션으로 모달이 나타난다
  * 3. 타이틀이 RandomRevealText로 블러에서 나타나고, 설명/본문이 이어진다
- * 4. 스크롤하면 인용문(quotes)이 이어서 표시된다
- * 5. 닫기 버튼 또는 Escape 키로 모달이 닫힌다
+ * 4. 인용문(quotes)이 이어서 나타나며, 스크롤하면 이어서 읽을 수 있다
+ * 5. 진입 연출(enter, title, quotes)은 useTimeline으로 선언되어 TimelineInspector와 timing으로 조정할 수 있다
+ * 6. 닫기 버튼 또는 Escape 키로 모달이 닫힌다
  *
  * Props:
  * @param {boolean} isOpen - 모달 열림 여부 [Required]
  * @param {function} onClose - 모달 닫기 핸들러 [Required]
  * @param {object} term - 용어 데이터 객체 [Optional]
- *   { id, motif, title, description, body, quotes }
+ *   { id, motif, title, description, body, quotes } — body는 문자열 또는 구조화 본문 (utils/richText),
+ *   quotes는 [{ text, source, citation? }] — citation이 있으면 참고 문헌 형식으로 출처 표시 (utils/citations)
+ * @param {object} timing - 진입 타이밍 { enter, title, quotes } (ms) [Optional, 기본값: MODAL_TIMING]
  * @param {object} sx - 추가 스타일 [Optional]
  *
  * Example usage:
@@ -72,8 +229,11 @@ function TermsDetailModal({
   isOpen,
   onClose,
   term,
+  timing,
   sx,
 }) {
+  const { surface, text } = useTheme().magazine;
+
   /** exit 애니메이션 중 term 데이터 유지용 ref */
   const lastTermRef = useRef(null);
 
@@ -83,6 +243,7 @@ function TermsDetailModal({
 
   /** 표시할 데이터 — exit 중에도 마지막 데이터 유지 */
   const displayTerm = term || lastTermRef.current;
+  const modalTiming = { ...MODAL_TIMING, ...timing };
 
   /** 스크롤 잠금 + Escape 키 핸들링 */
   useEffect(() => {
@@ -111,7 +272,7 @@ function TermsDetailModal({
           initial={ { opacity: 0, y: 40 } }
           animate={ { opacity: 1, y: 0 } }
           exit={ { opacity: 0, y: 20 } }
-          transition={ { duration: 0.4, ease: EASE_SMOOTH } }
+          transition={ { duration: modalTiming.enter / 1000, ease: EASE_SMOOTH } }
           role="dialog"
           aria-modal="true"
           style={ {
@@ -126,7 +287,7 @@ function TermsDetailModal({
             sx={ {
               position: 'absolute',
               inset: 0,
-              backgroundColor: '#12100E',
+              backgroundColor: surface.dark,
               ...sx,
             } }
           />
@@ -140,136 +301,18 @@ function TermsDetailModal({
               top: { xs: 16, md: 24 },
               right: { xs: 16, md: 32 },
               zIndex: 10,
-              color: '#F5F2EE',
+              color: text.onDark,
               fontSize: '1.2rem',
               '&:hover': {
-                backgroundColor: 'rgba(245, 242, 238, 0.08)',
+                backgroundColor: alpha(text.onDark, 0.08),
               },
             } }
           >
             ✕
           </IconButton>
 
-          {/* 스크롤 영역 */}
-          <Box
-            sx={ {
-              position: 'relative',
-              overflowY: 'auto',
-              height: '100%',
-            } }
-          >
-            {/* ── 단일 칼럼 텍스트 레이아웃 ── */}
-            <Container
-              maxWidth="sm"
-              sx={ {
-                pt: { xs: 10, md: 14 },
-                pb: { xs: 4, md: 6 },
-              } }
-            >
-              {/* 타이틀 — 모달 진입 시 blur에서 나타남 */}
-              <RandomRevealText
-                key={ displayTerm.id }
-                text={ displayTerm.title }
-                variant="h2"
-                delay={ 300 }
-                stagger={ 50 }
-                sx={ {
-                  fontWeight: 700,
-                  fontSize: { xs: '3rem', sm: '3.5rem', md: '4.5rem' },
-                  lineHeight: 1.1,
-                  letterSpacing: '-0.02em',
-                  color: '#F5F2EE',
-                  mb: 2,
-                  display: 'block',
-                } }
-              />
-
-              {/* 설명 — 이탤릭 세리프 */}
-              { displayTerm.description && (
-                <Typography
-                  variant="body1"
-                  sx={ {
-                    fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
-                    fontStyle: 'italic',
-                    fontSize: { xs: '1.05rem', md: '1.15rem' },
-                    color: 'rgba(245, 242, 238, 0.55)',
-                    mb: 4,
-                  } }
-                >
-                  { displayTerm.description }
-                </Typography>
-              ) }
-
-              {/* 본문 */}
-              { displayTerm.body && (
-                <Typography
-                  variant="body1"
-                  sx={ {
-                    color: 'rgba(245, 242, 238, 0.7)',
-                    fontSize: { xs: '1.05rem', md: '1.15rem' },
-                    lineHeight: 1.9,
-                    wordBreak: 'keep-all',
-                  } }
-                >
-                  { displayTerm.body }
-                </Typography>
-              ) }
-            </Container>
-
-            {/* ── 인용문 ── */}
-            { displayTerm.quotes?.length > 0 && (
-              <motion.div
-                initial={ { opacity: 0, y: 30 } }
-                animate={ { opacity: 1, y: 0 } }
-                transition={ {
-                  duration: 0.4,
-                  delay: 0.5,
-                  ease: 'easeOut',
-                } }
-              >
-                <Container maxWidth="sm" sx={ { pb: { xs: 10, md: 14 } } }>
-                  <SectionDivider label="Quotes" />
-                  { displayTerm.quotes.map((quote, index) => (
-                    <Box
-                      key={ index }
-                      sx={ {
-                        textAlign: 'center',
-                        mb: { xs: 5, md: 6 },
-                      } }
-                    >
-                      <Typography
-                        variant="h5"
-                        component="blockquote"
-                        sx={ {
-                          fontFamily: '"Cormorant Garamond", "Pretendard Variable", serif',
-                          fontSize: { xs: '1.6rem', md: '2rem' },
-                          lineHeight: 1.6,
-                          fontStyle: 'italic',
-                          fontWeight: 400,
-                          color: 'rgba(245, 242, 238, 0.65)',
-                          mb: 1.5,
-                        } }
-                      >
-                        &ldquo;{ quote.text }&rdquo;
-                      </Typography>
-                      { quote.source && (
-                        <Typography
-                          variant="caption"
-                          sx={ {
-                            color: 'rgba(245, 242, 238, 0.35)',
-                            fontSize: '0.95rem',
-                            letterSpacing: '0.04em',
-                          } }
-                        >
-                          — { quote.source }
-                        </Typography>
-                      ) }
-                    </Box>
-                  )) }
-                </Container>
-              </motion.div>
-            ) }
-          </Box>
+          {/* 스크롤 영역 — 본문 */}
+          <TermDetailContent term={ displayTerm } timing={ modalTiming } />
         </motion.div>
       ) }
     </AnimatePresence>
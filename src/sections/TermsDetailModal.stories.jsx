@@ -1,4 +1,5 @@
 import TermsDetailModal from './TermsDetailModal';
+import TimelineInspector from '../components/motion/TimelineInspector';
 import magazineData from '../data/magazineData';
 
 const { terms } = magazineData;
@@ -9,11 +10,13 @@ export default {
   tags: ['autodocs'],
   parameters: {
     layout: 'fullscreen',
+    timelineScrubber: { mode: 'time', duration: 3000 },
   },
   argTypes: {
     isOpen: { control: 'boolean', description: '모달 열림 여부' },
     onClose: { action: 'closed', description: '모달 닫기 핸들러' },
     term: { control: 'object', description: '용어 데이터 객체' },
+    timing: { control: 'object', description: '진입 타이밍 { enter, title, quotes } (ms)' },
     sx: { control: 'object', description: '추가 MUI sx 스타일' },
   },
 };
@@ -38,3 +41,21 @@ export const Importance = {
     term: terms.featured[2],
   },
 };
+
+/**
+ * ## Timeline
+ *
+ * 진입 연출(enter, title, quotes)을 하단 TimelineInspector로 확인합니다.
+ */
+export const Timeline = {
+  args: {
+    isOpen: true,
+    term: terms.featured[0],
+    timing: { enter: 400, title: 300, quotes: 500 },
+  },
+  render: (args) => (
+    <TimelineInspector>
+      <TermsDetailModal { ...args } />
+    </TimelineInspector>
+  ),
+};
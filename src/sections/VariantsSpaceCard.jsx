@@ -1,48 +1,7 @@
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
 import GeometricPattern from '../components/dynamic-color/GeometricPattern';
-
-/** 본문 텍스트에서 bodyHighlights 배열에 해당하는 문자열의 첫 등장만 볼드+액센트로 렌더링 */
-function renderBodyWithHighlights(text, highlights) {
-  if (!highlights || highlights.length === 0) return text;
-
-  let segments = [text];
-
-  highlights.forEach((hl) => {
-    let found = false;
-    const next = [];
-
-    segments.forEach((seg) => {
-      if (found || typeof seg !== 'string') {
-        next.push(seg);
-        return;
-      }
-      const idx = seg.indexOf(hl);
-      if (idx === -1) {
-        next.push(seg);
-        return;
-      }
-      found = true;
-      if (idx > 0) next.push(seg.slice(0, idx));
-      next.push({ text: hl });
-      if (idx + hl.length < seg.length) next.push(seg.slice(idx + hl.length));
-    });
-
-    segments = next;
-  });
-
-  return segments.map((seg, i) => {
-    if (typeof seg === 'string') return seg;
-    return (
-      <span
-        key={ i }
-        style={ { color: '#FFC66E', fontWeight: 700 } }
-      >
-        { seg.text }
-      </span>
-    );
-  });
-}
+import { RichText } from '../components/typography/RichText';
 
 /**
  * VariantsSpaceCard 컴포넌트
@@ -54,14 +13,14 @@ function renderBodyWithHighlights(text, highlights) {
  * 1. 사용자가 가로 스크롤하여 카드가 뷰포트에 진입한다
  * 2. 상단에 GeometricPattern 모티프가 렌더링된다
  * 3. 아래에 헤드라인과 본문이 표시된다
+ * 4. 본문은 구조화 본문(utils/richText)으로, 액센트 하이라이트·인용·줄바꿈을 본문 안에 직접 표시한다
+ * 5. 본문의 용어집 링크([[용어]])·루비({본문|주석}) 마크업은 팝오버 링크·주석으로 렌더링된다
  *
  * Props:
  * @param {string} motif - GeometricPattern variant [Required]
  * @param {string} headline - 카드 제목 [Required]
- * @param {string} body - 카드 본문 [Required]
- * @param {string} bodyHighlight - 본문 하단 강조 텍스트 (볼드 + 액센트 컬러) [Optional]
- * @param {string[]} bodyHighlights - 본문 내 인라인 강조 문자열 배열 (볼드 + 액센트 컬러) [Optional]
- * @param {object} scrollInfluenceRef - 스크롤 기반 수렴 제어 ref (grid variant 전용) [Optional]
+ * @param {string|Array<object>} body - 카드 본문 (문자열 또는 구조화 본문) [Required]
+ * @param {object} scrollInfluenceRef - 스크롤 기반 수렴 제어 ref (supportsScrollInfluence motif 전용, 예: grid) [Optional]
  * @param {object} visualRef - 비주얼 영역 DOM ref (부모에서 opacity 제어용) [Optional]
  * @param {object} sx - 추가 스타일 [Optional]
  *
@@ -69,15 +28,16 @@ function renderBodyWithHighlights(text, highlights) {
  * <VariantsSpaceCard
  *   motif="grid"
  *   headline="현실은 하나로 고정되어 있지 않다"
- *   body="양자역학의 기본 전제는..."
+ *   body={ [
+ *     { type: 'paragraph', content: ['양자역학의 기본 전제는...'] },
+ *     { type: 'paragraph', content: [{ type: 'accent', text: '우리는 자기가 선택한 것을 얻는다.' }] },
+ *   ] }
  * />
  */
 function VariantsSpaceCard({
   motif,
   headline,
   body,
-  bodyHighlight,
-  bodyHighlights = [],
   scrollInfluenceRef,
   visualRef,
   sx = {},
@@ -141,35 +101,16 @@ function VariantsSpaceCard({
         </Typography>
 
         {/* 본문 */}
-        <Typography
-          variant="body1"
-          component="div"
+        <RichText
+          value={ body }
           sx={ {
+            typography: 'body1',
             color: 'rgba(245, 242, 238, 0.7)',
             fontSize: { xs: '0.9rem', md: '0.95rem' },
             lineHeight: 1.85,
             wordBreak: 'keep-all',
-            whiteSpace: 'pre-line',
           } }
-        >
-          { renderBodyWithHighlights(body, bodyHighlights) }
-        </Typography>
-
-        {/* 강조 텍스트 */}
-        { bodyHighlight && (
-          <Typography
-            variant="body1"
-            sx={ {
-              color: '#FFC66E',
-              fontWeight: 700,
-              fontSize: { xs: '0.9rem', md: '0.95rem' },
-              lineHeight: 1.85,
-              wordBreak: 'keep-all',
-            } }
-          >
-            { bodyHighlight }
-          </Typography>
-        ) }
+        />
       </Box>
     </Box>
   );
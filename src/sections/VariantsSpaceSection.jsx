@@ -1,6 +1,7 @@
 import { useRef, useState, useEffect, useCallback } from 'react';
 import Box from '@mui/material/Box';
 import Container from '@mui/material/Container';
+import { alpha, useTheme } from '@mui/material/styles';
 import { motion, useScroll, useMotionValue, useMotionValueEvent, animate } from 'framer-motion';
 import GeometricPattern from '../components/dynamic-color/GeometricPattern';
 import ScrollRevealText from '../components/kinetic-typography/ScrollRevealText';
@@ -38,6 +39,7 @@ function VariantsSpaceSection({
   term,
   sx,
 }) {
+  const { surface, text } = useTheme().magazine;
   const containerRef = useRef(null);
   const stickyRef = useRef(null);
   const scrollInfluenceRef = useRef(0);
@@ -266,7 +268,7 @@ function VariantsSpaceSection({
           width: '100vw',
           height: '100vh',
           overflow: 'hidden',
-          backgroundColor: '#12100E',
+          backgroundColor: surface.dark,
           touchAction: 'pan-y',
         } }
       >
@@ -318,7 +320,7 @@ function VariantsSpaceSection({
                 left: 0,
                 right: 0,
                 height: '50%',
-                background: 'linear-gradient(to top, rgba(18, 16, 14, 0.85), transparent)',
+                background: `linear-gradient(to top, ${alpha(surface.dark, 0.85)}, transparent)`,
                 zIndex: 0,
                 pointerEvents: 'none',
               } }
@@ -336,8 +338,8 @@ function VariantsSpaceSection({
               <ScrollRevealText
                 text={ term.title }
                 variant="h2"
-                activeColor="#F5F2EE"
-                inactiveColor="rgba(245, 242, 238, 0.1)"
+                activeColor={ text.onDark }
+                inactiveColor={ alpha(text.onDark, 0.1) }
                 autoReveal
                 autoRevealDuration={ 1200 }
                 sx={ {
@@ -353,8 +355,8 @@ function VariantsSpaceSection({
               <ScrollRevealText
                 text={ term.description }
                 variant="body1"
-                activeColor="rgba(245, 242, 238, 0.7)"
-                inactiveColor="rgba(245, 242, 238, 0.1)"
+                activeColor={ alpha(text.onDark, 0.7) }
+                inactiveColor={ alpha(text.onDark, 0.1) }
                 autoReveal
                 autoRevealDuration={ 2000 }
                 sx={ {
@@ -383,8 +385,6 @@ function VariantsSpaceSection({
                 motif={ card.motif }
                 headline={ card.headline }
                 body={ card.body }
-                bodyHighlight={ card.bodyHighlight }
-                bodyHighlights={ card.bodyHighlights }
                 scrollInfluenceRef={ cardIndex === 0 ? firstCardInfluenceRef : undefined }
                 visualRef={ cardIndex === 0 ? firstCardVisualRef : undefined }
               />
@@ -0,0 +1,33 @@
+import VariantsSpaceSection from './VariantsSpaceSection';
+import magazineData from '../data/magazineData';
+
+const [variantsSpaceTerm] = magazineData.terms.featured;
+
+export default {
+  title: 'Section/VariantsSpaceSection',
+  component: VariantsSpaceSection,
+  tags: ['autodocs'],
+  parameters: {
+    layout: 'fullscreen',
+    timelineScrubber: { mode: 'scroll' },
+  },
+  argTypes: {
+    term: {
+      control: 'object',
+      description: '용어 데이터 객체 { id, motif, title, description, cards, ... }',
+    },
+    sx: { control: 'object', description: '추가 MUI sx 스타일' },
+  },
+};
+
+/**
+ * ## Default
+ *
+ * 파티클 수렴 → 구 분산 → 카드 전환의 3단계가 모두 스크롤로 진행됩니다.
+ * 하단 Timeline 패널의 슬라이더로 스크롤 진행률을 옮겨 각 단계를 멈춰 볼 수 있습니다.
+ */
+export const Default = {
+  args: {
+    term: variantsSpaceTerm,
+  },
+};
@@ -0,0 +1,263 @@
+/**
+ * Section Registry
+ *
+ * 페이지 스키마의 섹션 type을 실제 섹션 컴포넌트에 매핑한다.
+ * MagazinePage는 이 레지스트리를 통해 데이터(섹션 디스크립터 배열)만으로 페이지를 구성한다.
+ *
+ * 레지스트리 항목 구조:
+ * { component, requiredProps, getProps?, getAnchorTargets? }
+ * ├── component        - 렌더링할 섹션 컴포넌트
+ * ├── requiredProps    - 디스크립터에 반드시 있어야 하는 prop 이름 목록
+ * ├── getProps         - (props, context) => props. 페이지 컨텍스트(핸들러 등)를 주입할 때 사용 [Optional]
+ * └── getAnchorTargets - (descriptor) => ids. 섹션이 이동시키는 앵커 id 목록. 검증 시 같은 스키마에 있는지 확인한다 [Optional]
+ *
+ * Example usage:
+ * validateSections(magazinePage.sections);
+ * const { component: Section } = sectionRegistry[descriptor.type];
+ */
+
+import HeroSection from './HeroSection';
+import BridgeSection from './BridgeSection';
+import LeadTextSection, { LeadHeadlineSection } from './LeadTextSection';
+import LightMetaphorSection from './LightMetaphorSection';
+import EditorLetterSection from './EditorLetterSection';
+import TableOfContentsSection from './TableOfContentsSection';
+import CommentsSection from './CommentsSection';
+import ArticleSection from './ArticleSection';
+import ClosingQuoteSection from './ClosingQuoteSection';
+import BookSourceSection from './BookSourceSection';
+import BibliographySection from './BibliographySection';
+import TermFullscreenSection from './TermFullscreenSection';
+import VariantsSpaceSection from './VariantsSpaceSection';
+import StorySection from './StorySection';
+import SurveySection from './SurveySection';
+import OutroSection from './OutroSection';
+import FooterSection from './FooterSection';
+
+/** 디스크립터 메타 키 — 섹션 컴포넌트에 전달하지 않는다 (footnotes는 페이지가 모아 번호를 매긴다) */
+const DESCRIPTOR_META_KEYS = ['type', 'id', 'navLabel', 'isScrollOutTrigger', 'footnotes'];
+
+/** 섹션 type → 컴포넌트 매핑 */
+export const sectionRegistry = {
+  hero: {
+    component: HeroSection,
+    requiredProps: ['logo', 'title'],
+  },
+  bridge: {
+    component: BridgeSection,
+    requiredProps: [],
+  },
+  leadHeadline: {
+    component: LeadHeadlineSection,
+    requiredProps: ['headline'],
+  },
+  leadText: {
+    component: LeadTextSection,
+    requiredProps: ['text'],
+  },
+  lightMetaphor: {
+    component: LightMetaphorSection,
+    requiredProps: [],
+  },
+  editorLetter: {
+    component: EditorLetterSection,
+    requiredProps: ['headline', 'bodyText'],
+    getProps: ({ ctaTarget, ...props }, { onAnchorNavigate }) => ({
+      ...props,
+      onCtaClick: props.onCtaClick ?? (ctaTarget ? () => onAnchorNavigate?.(ctaTarget) : undefined),
+    }),
+    getAnchorTargets: ({ ctaTarget }) => (ctaTarget ? [ctaTarget] : []),
+  },
+  tableOfContents: {
+    component: TableOfContentsSection,
+    requiredProps: ['items'],
+    getProps: (props, { onAnchorNavigate }) => ({
+      ...props,
+      onItemClick: props.onItemClick ?? ((id) => onAnchorNavigate?.(id)),
+    }),
+    getAnchorTargets: ({ items }) => items.map((item) => item.id),
+  },
+  comments: {
+    component: CommentsSection,
+    requiredProps: ['comments'],
+  },
+  article: {
+    component: ArticleSection,
+    requiredProps: ['title', 'bodyBlocks'],
+  },
+  closingQuote: {
+    component: ClosingQuoteSection,
+    requiredProps: ['lines'],
+  },
+  bookSource: {
+    component: BookSourceSection,
+    requiredProps: ['lines'],
+  },
+  bibliography: {
+    component: BibliographySection,
+    requiredProps: [],
+    getProps: (props, { footnotes, references }) => ({
+      footnotes,
+      references,
+      ...props,
+    }),
+  },
+  term: {
+    component: TermFullscreenSection,
+    requiredProps: ['term', 'index', 'totalCount'],
+    getProps: (props, { onTermDetail }) => ({
+      ...props,
+      onDetailClick: () => onTermDetail?.(props.term),
+    }),
+  },
+  variantsSpace: {
+    component: VariantsSpaceSection,
+    requiredProps: ['term'],
+  },
+  story: {
+    component: StorySection,
+    requiredProps: ['story'],
+  },
+  survey: {
+    component: SurveySection,
+    requiredProps: ['surveys'],
+  },
+  outro: {
+    component: OutroSection,
+    requiredProps: ['titles'],
+  },
+  footer: {
+    component: FooterSection,
+    requiredProps: ['logo'],
+  },
+};
+
+/**
+ * 에러 메시지용 디스크립터 요약 문자열
+ *
+ * @param {object} descriptor - 섹션 디스크립터
+ * @param {number} index - 스키마 내 인덱스
+ * @returns {string} 예: 'sections[3] { type: "article", id: "article-2" }'
+ */
+function describeDescriptor(descriptor, index) {
+  const type = descriptor?.type === undefined ? 'undefined' : `"${descriptor.type}"`;
+  const id = descriptor?.id ? `, id: "${descriptor.id}"` : '';
+  return `sections[${index}] { type: ${type}${id} }`;
+}
+
+/**
+ * 페이지 스키마 검증
+ * 알 수 없는 type, 누락된 필수 prop, 중복 id, 스키마에 없는 앵커를 가리키는 목차·CTA가 있으면
+ * 해당 디스크립터를 명시한 에러를 던진다.
+ *
+ * @param {object[]} sections - 섹션 디스크립터 배열
+ * @returns {object[]} 검증된 sections (그대로 반환)
+ */
+export function validateSections(sections) {
+  if (!Array.isArray(sections)) {
+    throw new Error('[sectionRegistry] 페이지 스키마의 sections는 배열이어야 합니다.');
+  }
+
+  const seenIds = new Set();
+
+  sections.forEach((descriptor, index) => {
+    const label = describeDescriptor(descriptor, index);
+
+    if (!descriptor || typeof descriptor !== 'object') {
+      throw new Error(`[sectionRegistry] ${label}: 섹션 디스크립터는 객체여야 합니다.`);
+    }
+
+    if (!descriptor.type) {
+      throw new Error(`[sectionRegistry] ${label}: type이 없습니다.`);
+    }
+
+    const entry = sectionRegistry[descriptor.type];
+    if (!entry) {
+      const available = Object.keys(sectionRegistry).join(', ');
+      throw new Error(
+        `[sectionRegistry] ${label}: 알 수 없는 섹션 타입입니다. 사용 가능한 타입: ${available}`
+      );
+    }
+
+    const missing = entry.requiredProps.filter(
+      (prop) => descriptor[prop] === undefined || descriptor[prop] === null
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `[sectionRegistry] ${label}: 필수 prop이 누락되었습니다 — ${missing.join(', ')}`
+      );
+    }
+
+    if (descriptor.id) {
+      if (seenIds.has(descriptor.id)) {
+        throw new Error(`[sectionRegistry] ${label}: 중복된 id입니다.`);
+      }
+      seenIds.add(descriptor.id);
+    }
+  });
+
+  /** 앵커 대상 확인 — 모든 섹션 등록 후 (목차가 뒤쪽 섹션을 가리킬 수 있으므로) */
+  const anchorIds = new Set(sections.map(getSectionKey));
+
+  sections.forEach((descriptor, index) => {
+    const { getAnchorTargets } = sectionRegistry[descriptor.type];
+    if (!getAnchorTargets) return;
+
+    const missing = getAnchorTargets(descriptor).filter((id) => !anchorIds.has(id));
+    if (missing.length > 0) {
+      throw new Error(
+        `[sectionRegistry] ${describeDescriptor(descriptor, index)}: 페이지에 없는 섹션 id를 가리킵니다 — ${missing.join(', ')}`
+      );
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * 디스크립터에서 섹션 컴포넌트에 전달할 props 추출
+ *
+ * @param {object} descriptor - 섹션 디스크립터
+ * @param {object} context - 페이지 컨텍스트 (getProps에 전달) [Optional]
+ * @returns {object} 섹션 props
+ */
+export function getSectionProps(descriptor, context = {}) {
+  const props = Object.fromEntries(
+    Object.entries(descriptor).filter(([key]) => !DESCRIPTOR_META_KEYS.includes(key))
+  );
+  const entry = sectionRegistry[descriptor.type];
+  return entry.getProps ? entry.getProps(props, context) : props;
+}
+
+/**
+ * 디스크립터의 React key 겸 앵커 id
+ *
+ * @param {object} descriptor - 섹션 디스크립터
+ * @param {number} index - 스키마 내 인덱스
+ * @returns {string} id가 있으면 id, 없으면 `${type}-${index}`
+ */
+export function getSectionKey(descriptor, index) {
+  return descriptor.id || `${descriptor.type}-${index}`;
+}
+
+/**
+ * 섹션 네비게이션 항목 추출
+ * navLabel이 있는 섹션만 목차에 노출하며, 각 항목은 자신이 대표하는 앵커 id 범위를 가진다.
+ *
+ * @param {object[]} sections - 섹션 디스크립터 배열
+ * @returns {object[]} [{ id, label, anchorIds }] — anchorIds는 다음 navLabel 섹션 전까지의 앵커 id
+ */
+export function getNavItems(sections) {
+  const navItems = [];
+
+  sections.forEach((descriptor, index) => {
+    const anchorId = getSectionKey(descriptor, index);
+    if (descriptor.navLabel) {
+      navItems.push({ id: anchorId, label: descriptor.navLabel, anchorIds: [anchorId] });
+    } else if (navItems.length > 0) {
+      navItems[navItems.length - 1].anchorIds.push(anchorId);
+    }
+  });
+
+  return navItems;
+}
@@ -0,0 +1,86 @@
+/**
+ * Cover Theme — 호별 아트 디렉션 테마
+ *
+ * 커버 이미지에서 추출한 매거진 팔레트(utils/coverPalette)로 테마를 만든다.
+ * 타이포그래피·간격·모양 토큰은 기본 테마를 그대로 쓰고, 색상만 팔레트로 바꾼다.
+ * 레지스트리(themes)에 등록되는 정적 테마가 아니라 호마다 런타임에 생성된다.
+ *
+ * ## 팔레트 → 테마 매핑
+ * - magazine.*: 팔레트 그대로
+ * - palette.primary: accent
+ * - palette.secondary: surface.dark
+ * - palette.background / text: surface.light / text.onLight
+ */
+
+import { createTheme, darken, lighten } from '@mui/material/styles';
+import defaultTheme, {
+  palette as defaultPalette,
+  typography,
+  spacing,
+  shape,
+  breakpoints,
+  zIndex,
+  transitions,
+  components,
+} from './default.js';
+
+/**
+ * 커버 팔레트로 테마 생성
+ *
+ * @param {object} coverPalette - 매거진 팔레트 (theme.magazine 구조)
+ * @returns {object} MUI 테마 객체
+ */
+export function createCoverTheme(coverPalette) {
+  const { surface, accent, text } = coverPalette;
+
+  const palette = {
+    ...defaultPalette,
+    primary: {
+      light: lighten(accent, 0.25),
+      main: accent,
+      dark: darken(accent, 0.15),
+      contrastText: surface.dark,
+    },
+    secondary: {
+      light: lighten(surface.dark, 0.12),
+      main: surface.dark,
+      dark: darken(surface.dark, 0.3),
+      contrastText: text.onDark,
+    },
+    text: {
+      ...defaultPalette.text,
+      primary: text.onLight,
+      secondary: text.onLightSecondary,
+    },
+    background: {
+      default: surface.light,
+      paper: surface.light,
+    },
+  };
+
+  const coverTheme = createTheme({
+    palette,
+    typography,
+    spacing,
+    shape,
+    breakpoints,
+    zIndex,
+    transitions,
+    components,
+  });
+
+  coverTheme.customShadows = defaultTheme.customShadows;
+  coverTheme.magazine = coverPalette;
+  coverTheme.dashboard = {
+    ...defaultTheme.dashboard,
+    textColor: text.onLight,
+    textSecondary: text.onLightSecondary,
+    background: surface.light,
+    progressBarColor: accent,
+    accentColor: accent,
+  };
+
+  return coverTheme;
+}
+
+export default createCoverTheme;
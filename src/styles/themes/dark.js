@@ -0,0 +1,133 @@
+/**
+ * Dark Theme — Intertext Magazine
+ *
+ * 기본 테마의 타이포그래피·간격·모양 토큰을 그대로 쓰고, 색상만 어두운 서피스 기준으로 바꾼 테마입니다.
+ * 야간 독서를 위해 라이트 섹션(읽기 서피스)을 따뜻한 차콜로 낮추고,
+ * 다크 섹션(몰입 서피스)은 그보다 한 단계 더 깊은 검정으로 두어 두 영역의 대비를 유지합니다.
+ *
+ * ## 매거진 컬러 스킴
+ * - Reading Surface (magazine.surface.light): #1C1916 (Warm Charcoal)
+ * - Immersive Surface (magazine.surface.dark): #0B0A09 (Deep Warm Black)
+ * - Accent: #FFC66E (3800K Accent — 기본 테마와 동일)
+ * - Warm Secondary: #26221E
+ */
+
+import { createTheme } from '@mui/material/styles';
+import defaultTheme, {
+  palette as defaultPalette,
+  typography,
+  spacing,
+  shape,
+  breakpoints,
+  zIndex,
+  transitions,
+  components,
+} from './default.js';
+
+// ============================================================
+// 매거진 시맨틱 컬러 (섹션 컴포넌트에서 직접 참조용)
+// ============================================================
+// 키 이름은 기본 테마와 같다 — light는 "읽기 서피스", dark는 "몰입 서피스"를 뜻한다
+const magazine = {
+  surface: {
+    dark: '#0B0A09',      // Deep Warm Black — 변이 공간
+    light: '#1C1916',     // Warm Charcoal — 현실 세계 (야간)
+    warm: '#26221E',      // 읽기 보조 서피스
+  },
+  accent: '#FFC66E',
+  text: {
+    onDark: '#F5F2EE',
+    onDarkSecondary: 'rgba(245, 242, 238, 0.6)',
+    onDarkDisabled: 'rgba(245, 242, 238, 0.38)',
+    onLight: '#EAE4DC',
+    onLightSecondary: 'rgba(234, 228, 220, 0.6)',
+    onLightMuted: 'rgba(234, 228, 220, 0.35)',
+  },
+  particle: 'rgba(245, 242, 238, 0.15)',
+};
+
+// ============================================================
+// Color Tokens (색상 토큰)
+// ============================================================
+const palette = {
+  ...defaultPalette,
+  mode: 'dark',
+  secondary: {
+    light: '#26221E',
+    main: '#0B0A09',
+    dark: '#000000',
+    contrastText: '#F5F2EE',
+  },
+  text: {
+    primary: '#EAE4DC',
+    secondary: 'rgba(234, 228, 220, 0.6)',
+    disabled: 'rgba(234, 228, 220, 0.38)',
+  },
+  background: {
+    default: '#1C1916',
+    paper: '#1C1916',
+  },
+  divider: 'rgba(234, 228, 220, 0.12)',
+  action: {
+    active: 'rgba(234, 228, 220, 0.54)',
+    hover: 'rgba(234, 228, 220, 0.06)',
+    selected: 'rgba(234, 228, 220, 0.1)',
+    disabled: 'rgba(234, 228, 220, 0.26)',
+    disabledBackground: 'rgba(234, 228, 220, 0.12)',
+    focus: 'rgba(234, 228, 220, 0.12)',
+  },
+};
+
+// ============================================================
+// Shadow Tokens (그림자 토큰) — 어두운 서피스에서는 더 깊게
+// ============================================================
+const customShadows = {
+  none: 'none',
+  sm: '0 0 12px rgba(0, 0, 0, 0.3)',
+  md: '0 0 16px rgba(0, 0, 0, 0.35)',
+  lg: '0 0 20px rgba(0, 0, 0, 0.4)',
+  xl: '0 0 24px rgba(0, 0, 0, 0.45)',
+};
+
+// ============================================================
+// Theme 생성
+// ============================================================
+const darkTheme = createTheme({
+  palette,
+  typography,
+  spacing,
+  shape,
+  breakpoints,
+  zIndex,
+  transitions,
+  components,
+});
+
+darkTheme.customShadows = customShadows;
+darkTheme.magazine = magazine;
+
+/**
+ * 대시보드 스타일 설정 (Dark)
+ */
+darkTheme.dashboard = {
+  ...defaultTheme.dashboard,
+  style: 'dark',
+  cardColors: defaultTheme.dashboard.cardColors.map(
+    () => 'linear-gradient(to bottom, #1C1916 0%, #1C1916 100%)'
+  ),
+  subCardColors: defaultTheme.dashboard.subCardColors.map(
+    () => 'linear-gradient(to bottom, #26221E 0%, #26221E 100%)'
+  ),
+  textColor: palette.text.primary,
+  textSecondary: palette.text.secondary,
+  shadow: customShadows.lg,
+  subBorder: '1px solid rgba(234, 228, 220, 0.06)',
+  dividerColor: palette.divider,
+  progressTrackColor: 'rgba(234, 228, 220, 0.08)',
+  background: '#1C1916',
+  atmosphere: 'linear-gradient(to bottom, #1C1916 0%, #1C1916 100%)',
+};
+
+export default darkTheme;
+
+export { magazine, palette, customShadows };
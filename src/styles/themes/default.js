@@ -36,6 +36,7 @@ const magazine = {
     onDarkDisabled: 'rgba(245, 242, 238, 0.38)',
     onLight: '#12100E',
     onLightSecondary: 'rgba(18, 16, 14, 0.6)',
+    onLightMuted: 'rgba(18, 16, 14, 0.35)',   // 캡션·저작권 등 보조 정보
   },
   particle: 'rgba(245, 242, 238, 0.15)',
 };
@@ -0,0 +1,128 @@
+/**
+ * High Contrast Theme — Intertext Magazine
+ *
+ * 저시력 독자를 위해 색온도 대신 대비를 우선한 테마입니다.
+ * 기본 테마의 타이포그래피·간격·모양 토큰을 그대로 쓰고, 서피스는 순백/순흑, 보조 텍스트는 불투명 회색으로 바꿉니다.
+ * (반투명 보조 텍스트는 배경에 따라 대비가 떨어지므로 사용하지 않는다)
+ *
+ * ## 매거진 컬러 스킴
+ * - Reading Surface (magazine.surface.light): #FFFFFF
+ * - Immersive Surface (magazine.surface.dark): #000000
+ * - Accent: #FFD23F (검정 위 대비 14:1 이상)
+ */
+
+import { createTheme } from '@mui/material/styles';
+import defaultTheme, {
+  palette as defaultPalette,
+  typography,
+  spacing,
+  shape,
+  breakpoints,
+  zIndex,
+  transitions,
+  components,
+} from './default.js';
+
+// ============================================================
+// 매거진 시맨틱 컬러 (섹션 컴포넌트에서 직접 참조용)
+// ============================================================
+const magazine = {
+  surface: {
+    dark: '#000000',
+    light: '#FFFFFF',
+    warm: '#FFFFFF',
+  },
+  accent: '#FFD23F',
+  text: {
+    onDark: '#FFFFFF',
+    onDarkSecondary: '#D6D6D6',
+    onDarkDisabled: '#A3A3A3',
+    onLight: '#000000',
+    onLightSecondary: '#3D3D3D',
+    onLightMuted: '#3D3D3D',
+  },
+  particle: 'rgba(255, 255, 255, 0.3)',
+};
+
+// ============================================================
+// Color Tokens (색상 토큰)
+// ============================================================
+const palette = {
+  ...defaultPalette,
+  primary: {
+    light: '#FFE07A',
+    main: '#FFD23F',
+    dark: '#E0B000',
+    contrastText: '#000000',
+  },
+  secondary: {
+    light: '#333333',
+    main: '#000000',
+    dark: '#000000',
+    contrastText: '#FFFFFF',
+  },
+  text: {
+    primary: '#000000',
+    secondary: '#3D3D3D',
+    disabled: '#6B6B6B',
+  },
+  background: {
+    default: '#FFFFFF',
+    paper: '#FFFFFF',
+  },
+  divider: '#000000',
+  action: {
+    active: '#000000',
+    hover: 'rgba(0, 0, 0, 0.08)',
+    selected: 'rgba(0, 0, 0, 0.16)',
+    disabled: '#6B6B6B',
+    disabledBackground: '#D6D6D6',
+    focus: 'rgba(0, 0, 0, 0.24)',
+  },
+};
+
+// ============================================================
+// Theme 생성
+// ============================================================
+const highContrastTheme = createTheme({
+  palette,
+  typography,
+  spacing,
+  shape,
+  breakpoints,
+  zIndex,
+  transitions,
+  components,
+});
+
+highContrastTheme.customShadows = defaultTheme.customShadows;
+highContrastTheme.magazine = magazine;
+
+/**
+ * 대시보드 스타일 설정 (High Contrast)
+ */
+highContrastTheme.dashboard = {
+  ...defaultTheme.dashboard,
+  style: 'highContrast',
+  cardColors: defaultTheme.dashboard.cardColors.map(
+    () => 'linear-gradient(to bottom, #FFFFFF 0%, #FFFFFF 100%)'
+  ),
+  subCardColors: defaultTheme.dashboard.subCardColors.map(
+    () => 'linear-gradient(to bottom, #FFFFFF 0%, #FFFFFF 100%)'
+  ),
+  textColor: palette.text.primary,
+  textSecondary: palette.text.secondary,
+  border: '1px solid #000000',
+  borderColor: '#000000',
+  subBorder: '1px solid #000000',
+  dividerColor: palette.divider,
+  progressTrackColor: '#D6D6D6',
+  progressBarColor: '#000000',
+  background: '#FFFFFF',
+  atmosphere: 'linear-gradient(to bottom, #FFFFFF 0%, #FFFFFF 100%)',
+  accentColor: palette.primary.main,
+};
+
+export default highContrastTheme;
+
+export { magazine, palette };
@@ -3,13 +3,19 @@
  *
  * 테마를 관리하는 유틸리티를 제공합니다.
  * 각 테마는 MUI createTheme 규격을 따릅니다.
+ * 호별 커버 테마는 레지스트리에 등록하지 않고 createCoverTheme()으로 런타임에 생성합니다.
  */
 
 import defaultTheme from './default.js';
+import darkTheme from './dark.js';
+import highContrastTheme from './highContrast.js';
+import { createCoverTheme } from './cover.js';
 
 /** 사용 가능한 테마 목록 */
 export const themes = {
   default: defaultTheme,
+  dark: darkTheme,
+  highContrast: highContrastTheme,
 };
 
 /** 테마 메타데이터 */
@@ -19,6 +25,16 @@ export const themeMeta = {
     description: '프로젝트 기본 테마',
     mode: 'light',
   },
+  dark: {
+    name: 'Dark',
+    description: '야간 독서용 어두운 서피스 테마',
+    mode: 'dark',
+  },
+  highContrast: {
+    name: 'High Contrast',
+    description: '순백/순흑 서피스와 불투명 텍스트의 고대비 테마',
+    mode: 'light',
+  },
 };
 
 /**
@@ -38,5 +54,5 @@ export const getTheme = (themeName) => {
  */
 export const getThemeNames = () => Object.keys(themes);
 
-export { defaultTheme };
+export { defaultTheme, darkTheme, highContrastTheme, createCoverTheme };
 export default themes;
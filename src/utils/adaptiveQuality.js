@@ -0,0 +1,176 @@
+import { subscribeFrameTiming } from './frameScheduler';
+
+/**
+ * Adaptive Quality
+ *
+ * 파티클·셰이더 비주얼의 품질 단계(tier)를 기기 성능에 맞춰 고르는 서비스.
+ * 저사양 휴대폰에서 20만 파티클 격자나 전체 화면 노이즈 셰이더가 끊기지 않도록 비용을 줄인다.
+ *
+ * 동작 방식:
+ * 1. 공유 프레임 스케줄러(utils/frameScheduler)의 실제 프레임 간격을 입력으로 쓴다
+ *    — 렌더 루프가 도는 동안에만 측정하며, 화면 밖/탭 숨김으로 멈춘 구간은 측정하지 않는다
+ * 2. 보정(calibration): 처음 CALIBRATION_DURATION 동안의 평균 프레임 간격으로 시작 단계를 고른다
+ * 3. 조정: 이후 ADJUST_WINDOW마다 평균을 내어
+ *    ├── SLOW_FRAME보다 느리면 즉시 한 단계 내린다
+ *    └── FAST_FRAME보다 빠른 구간이 UPGRADE_WINDOWS번 이어지면 한 단계 올린다 (오르내림 반복 방지)
+ * 4. 단계가 바뀌면 구독자에게 알린다 (QualityPreferenceProvider의 'auto' 모드)
+ *
+ * 단계 구조 (QUALITY_TIERS):
+ * { particleScale, maxPixelRatio, isWave, isGrain }
+ * ├── particleScale - 파티클 수 배율 (GeometricPattern WebGL 패턴)
+ * ├── maxPixelRatio - 렌더 픽셀 비율 상한 (utils/webglContextPool 뷰)
+ * ├── isWave        - 경계면 물결(Simplex Noise) 사용 여부 (GradientOverlay). 끄면 픽셀마다 노이즈를 계산하지 않는다
+ * └── isGrain       - 필름 그레인 사용 여부 (GradientOverlay)
+ *
+ * high가 기존 비주얼 그대로이며, 낮은 단계일수록 픽셀 비율 → 그레인 → 물결 순으로 비용을 덜어낸다.
+ *
+ * Example usage:
+ * const unsubscribe = subscribeAdaptiveQuality(() => {
+ *   console.log(getAdaptiveQualityTier()); // 'high' | 'medium' | 'low'
+ * });
+ */
+
+/** 품질 단계별 설정 */
+export const QUALITY_TIERS = {
+  low: { particleScale: 0.2, maxPixelRatio: 1, isWave: false, isGrain: false },
+  medium: { particleScale: 0.5, maxPixelRatio: 1.5, isWave: true, isGrain: true },
+  high: { particleScale: 1, maxPixelRatio: 2, isWave: true, isGrain: true },
+};
+
+/** 낮은 단계 → 높은 단계 순서 */
+export const QUALITY_TIER_NAMES = ['low', 'medium', 'high'];
+
+/** 측정 전 / Provider 밖의 기본 단계 */
+export const DEFAULT_QUALITY_TIER = 'high';
+
+/** 시작 단계를 고르기 위한 측정 시간 (ms, 측정된 프레임 간격의 합) */
+const CALIBRATION_DURATION = 2000;
+
+/** 실행 중 재평가 구간 (ms) */
+const ADJUST_WINDOW = 3000;
+
+/** 이보다 평균 프레임 간격이 길면 단계를 내린다 (≈ 40fps) */
+const SLOW_FRAME = 25;
+
+/** 이보다 평균 프레임 간격이 짧으면 단계를 올릴 후보 (≈ 55fps) */
+const FAST_FRAME = 18;
+
+/** 단계를 올리기 전에 연속으로 빨라야 하는 구간 수 */
+const UPGRADE_WINDOWS = 3;
+
+/** 이보다 긴 간격은 측정에서 뺀다 — 셰이더 컴파일, 탭 전환 직후 등 일회성 지연 */
+const MAX_SAMPLE_INTERVAL = 250;
+
+const listeners = new Set();
+
+let tier = DEFAULT_QUALITY_TIER;
+let isCalibrating = true;
+let windowSum = 0;
+let windowCount = 0;
+let fastWindows = 0;
+let unsubscribeTiming = null;
+
+/**
+ * 보정 결과 — 평균 프레임 간격에 맞는 시작 단계
+ *
+ * @param {number} average - 평균 프레임 간격 (ms)
+ * @returns {string} 'high' | 'medium' | 'low'
+ */
+function pickInitialTier(average) {
+  if (average <= 20) return 'high';
+  if (average <= 33) return 'medium';
+  return 'low';
+}
+
+/**
+ * 단계 변경 및 구독자 알림
+ *
+ * @param {string} nextTier - 새 단계
+ */
+function setTier(nextTier) {
+  if (nextTier === tier) return;
+  tier = nextTier;
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * 한 단계 위/아래
+ *
+ * @param {number} step - +1 (올림) | -1 (내림)
+ * @returns {string} 범위를 벗어나면 현재 단계
+ */
+function shiftTier(step) {
+  const index = QUALITY_TIER_NAMES.indexOf(tier) + step;
+  return QUALITY_TIER_NAMES[Math.min(Math.max(index, 0), QUALITY_TIER_NAMES.length - 1)];
+}
+
+/** 측정 구간 종료 — 평균으로 단계 판정 */
+function evaluateWindow() {
+  const average = windowSum / windowCount;
+  windowSum = 0;
+  windowCount = 0;
+
+  if (isCalibrating) {
+    isCalibrating = false;
+    setTier(pickInitialTier(average));
+    return;
+  }
+
+  if (average > SLOW_FRAME) {
+    fastWindows = 0;
+    setTier(shiftTier(-1));
+  } else if (average < FAST_FRAME) {
+    fastWindows += 1;
+    if (fastWindows >= UPGRADE_WINDOWS) {
+      fastWindows = 0;
+      setTier(shiftTier(1));
+    }
+  } else {
+    fastWindows = 0;
+  }
+}
+
+/**
+ * 프레임 간격 샘플 처리
+ *
+ * @param {number} interval - 직전 프레임과의 간격 (ms)
+ */
+function handleFrameInterval(interval) {
+  if (interval <= 0 || interval > MAX_SAMPLE_INTERVAL) return;
+
+  windowSum += interval;
+  windowCount += 1;
+  if (windowSum >= (isCalibrating ? CALIBRATION_DURATION : ADJUST_WINDOW)) evaluateWindow();
+}
+
+/**
+ * 자동 품질 단계 구독
+ * 첫 구독자가 생기면 측정을 시작하고, 마지막 구독자가 떠나면 멈춘다 (판정된 단계는 유지).
+ *
+ * @param {function} listener - 단계가 바뀔 때 호출 () => void
+ * @returns {function} 구독 해제 함수
+ */
+export function subscribeAdaptiveQuality(listener) {
+  listeners.add(listener);
+  if (!unsubscribeTiming) unsubscribeTiming = subscribeFrameTiming(handleFrameInterval);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size > 0 || !unsubscribeTiming) return;
+
+    unsubscribeTiming();
+    unsubscribeTiming = null;
+    windowSum = 0;
+    windowCount = 0;
+    fastWindows = 0;
+  };
+}
+
+/**
+ * 현재 자동 품질 단계
+ *
+ * @returns {string} 'high' | 'medium' | 'low'
+ */
+export function getAdaptiveQualityTier() {
+  return tier;
+}
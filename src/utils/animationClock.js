@@ -0,0 +1,164 @@
+/**
+ * Animation Clock
+ *
+ * 애니메이션 컴포넌트가 쓰는 시간(타이머, 프레임)과 난수의 출처를 한곳으로 모은다.
+ * 실서비스에서는 브라우저 타이머와 Math.random을 그대로 쓰고,
+ * 테스트/스토리에서는 가상 시계와 시드 난수로 바꿔 매번 같은 화면을 얻는다.
+ *
+ * 시계 인터페이스:
+ * { now, setTimeout, clearTimeout, requestFrame, cancelFrame }
+ * ├── now           - () => ms. 현재 시각
+ * ├── setTimeout    - (callback, delay) => id
+ * ├── clearTimeout  - (id) => void
+ * ├── requestFrame  - (callback(timestamp)) => id. requestAnimationFrame 대응
+ * └── cancelFrame   - (id) => void
+ *
+ * Example usage:
+ * const clock = createVirtualClock();
+ * clock.setTimeout(() => console.log(clock.now()), 300);
+ * clock.advanceTo(1000); // → 300
+ *
+ * const random = createRandom(hashSeed(42, 'hero'));
+ * random(); // 항상 같은 값
+ */
+
+/** 가상 시계 프레임 간격 (ms) — 60fps */
+export const FRAME_DURATION = 1000 / 60;
+
+/** advanceTo 한 번에 실행할 최대 이벤트 수 — delay 0 타이머가 자신을 무한히 예약하는 경우 방지 */
+const MAX_EVENTS_PER_ADVANCE = 100000;
+
+/** 브라우저 타이머 기반 실제 시계 */
+export const realClock = {
+  now: () => performance.now(),
+  setTimeout: (callback, delay) => window.setTimeout(callback, delay),
+  clearTimeout: (id) => window.clearTimeout(id),
+  requestFrame: (callback) => requestAnimationFrame(callback),
+  cancelFrame: (id) => cancelAnimationFrame(id),
+};
+
+/**
+ * 가상 시계 생성
+ * 시간은 advanceTo()로만 흐르며, 목표 시각까지 예약된 타이머/프레임을 시각 순서대로 실행한다.
+ * 목표 시각 이후로 예약된 이벤트는 다음 advanceTo까지 대기한다 (되감기는 지원하지 않는다).
+ *
+ * 프레임은 FRAME_DURATION 간격으로 실행되며, 목표 시각에 정확히 한 프레임을 더 그려
+ * 루프 애니메이션도 요청한 시점의 장면으로 멈춘다.
+ *
+ * @param {object} options - 옵션
+ * @param {function} options.runEvent - 이벤트 실행 래퍼 (callback) => void [Optional]
+ *   React 상태 갱신을 이벤트마다 즉시 커밋하려면 flushSync를 넘긴다
+ * @returns {object} 시계 인터페이스 + { advanceTo, dispose }
+ */
+export function createVirtualClock({ runEvent = (callback) => callback() } = {}) {
+  const events = new Map();
+  let now = 0;
+  let target = 0;
+  let nextId = 1;
+  let isAdvancing = false;
+
+  const schedule = (due, callback) => {
+    const id = nextId;
+    nextId += 1;
+    events.set(id, { id, due, callback });
+    return id;
+  };
+
+  /** 목표 시각 이내에서 가장 이른 이벤트 (같은 시각이면 먼저 예약된 것) */
+  const takeNextEvent = () => {
+    let next = null;
+    events.forEach((event) => {
+      if (event.due > target) return;
+      if (!next || event.due < next.due || (event.due === next.due && event.id < next.id)) {
+        next = event;
+      }
+    });
+    if (next) events.delete(next.id);
+    return next;
+  };
+
+  return {
+    now: () => now,
+
+    setTimeout: (callback, delay = 0) => schedule(now + Math.max(0, delay), callback),
+
+    clearTimeout: (id) => {
+      events.delete(id);
+    },
+
+    requestFrame: (callback) => {
+      /** 부동소수 오차로 현재 시각과 같은 프레임이 다시 잡히지 않도록 보정 */
+      let nextFrame = (Math.floor(now / FRAME_DURATION) + 1) * FRAME_DURATION;
+      if (nextFrame <= now) nextFrame += FRAME_DURATION;
+      const due = now < target ? Math.min(nextFrame, target) : nextFrame;
+      return schedule(due, () => callback(now));
+    },
+
+    cancelFrame: (id) => {
+      events.delete(id);
+    },
+
+    /**
+     * 목표 시각까지 시간을 진행
+     * 이벤트 안에서 예약된 타이머도 같은 진행 안에서 이어서 실행된다.
+     *
+     * @param {number} time - 목표 시각 (ms). 현재 시각보다 이르면 무시
+     */
+    advanceTo: (time) => {
+      target = Math.max(target, time);
+      if (isAdvancing) return;
+
+      isAdvancing = true;
+      try {
+        for (let count = 0; count < MAX_EVENTS_PER_ADVANCE; count++) {
+          const event = takeNextEvent();
+          if (!event) break;
+          now = event.due;
+          runEvent(event.callback);
+        }
+        now = target;
+      } finally {
+        isAdvancing = false;
+      }
+    },
+
+    /** 대기 중인 이벤트를 모두 버린다 */
+    dispose: () => {
+      events.clear();
+    },
+  };
+}
+
+/**
+ * 여러 값을 32bit 시드로 해시 (FNV-1a)
+ *
+ * @param {...(string|number)} parts - 시드 구성 값
+ * @returns {number} 32bit 부호 없는 정수
+ */
+export function hashSeed(...parts) {
+  const source = parts.join(':');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < source.length; i++) {
+    hash ^= source.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 시드 난수 생성기 (mulberry32)
+ * Math.random과 같은 [0, 1) 범위를 반환하며, 같은 시드면 항상 같은 수열을 만든다.
+ *
+ * @param {number} seed - 32bit 정수 시드
+ * @returns {function} () => number
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Citations
+ *
+ * 호(issue) 단위 참고 문헌과 본문 각주를 다루는 인용 모델.
+ * 인용문 출처(QuotedContainer, PullQuote, 용어 quotes)와 아티클 각주가 같은 참고 문헌 목록을 가리킨다.
+ * 렌더링은 components/typography/Citation, 목록은 BibliographySection이 담당한다.
+ *
+ * 계층 구조:
+ * references: Reference[]                    - 호 데이터에 한 번 정의 (magazineData.references)
+ * Reference { id, author, title, publisher?, year?, translator? }
+ * Citation                                   - 인용 하나의 출처
+ * ├── '바딤 젤란드'                           - 문자열: 그대로 표시 (기존 source 문자열 호환)
+ * ├── { referenceId, page? }                 - 참고 문헌 항목 + 쪽수
+ * └── { author, title?, publisher?, page? }  - 참고 문헌 목록에 없는 출처를 직접 적기
+ * Footnote { id, text, citation? }           - 섹션 디스크립터의 footnotes. 본문에서는 [^id]로 참조 (utils/inlineMarkup)
+ *
+ * 각주 번호는 페이지 스키마의 섹션 순서대로, 본문에서 처음 참조된 순서로 1부터 매긴다 (collectFootnotes).
+ *
+ * Example usage:
+ * const references = [{ id: 'self-reliance', author: '랄프 왈도 에머슨', title: '자기 신뢰', publisher: '현대지성' }];
+ * formatCitation({ referenceId: 'self-reliance', page: 23 }, references);
+ * // '랄프 왈도 에머슨, 『자기 신뢰』, 현대지성, 23쪽'
+ */
+
+/** 본문 각주 참조 [^id] */
+const FOOTNOTE_MARKER_PATTERN = /\[\^([\w-]+)\]/g;
+
+/** 각주 앵커 id — 본문 참조(fnref)와 각주 항목(fn)이 서로를 가리킨다 */
+export const getFootnoteAnchorId = (id) => `fn-${id}`;
+export const getFootnoteRefAnchorId = (id) => `fnref-${id}`;
+
+/**
+ * 참고 문헌 찾기
+ *
+ * @param {Array<object>} references - 참고 문헌 배열
+ * @param {string} id - 참고 문헌 id
+ * @returns {object|undefined}
+ */
+export function findReference(references, id) {
+  return references?.find((reference) => reference.id === id);
+}
+
+/**
+ * 참고 문헌 항목 → 표시 문자열
+ *
+ * @param {object} reference - { author, title?, publisher?, year?, translator? }
+ * @returns {string} 예: '랄프 왈도 에머슨, 『자기 신뢰』, 현대지성'
+ */
+export function formatReference({ author, title, translator, publisher, year }) {
+  return [
+    author,
+    title && `『${title}』`,
+    translator && `${translator} 옮김`,
+    publisher,
+    year,
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * 인용 출처 → 표시 문자열
+ * referenceId가 참고 문헌에 없으면 렌더링 전에 에러로 드러낸다.
+ *
+ * @param {string|object} citation - 인용 출처
+ * @param {Array<object>} references - 참고 문헌 배열 [Optional]
+ * @returns {string}
+ */
+export function formatCitation(citation, references) {
+  if (!citation) return '';
+  if (typeof citation === 'string') return citation;
+
+  const { referenceId, page } = citation;
+  const reference = referenceId ? findReference(references, referenceId) : citation;
+  if (!reference) {
+    throw new Error(`[citations] 알 수 없는 참고 문헌 "${referenceId}"입니다. 호 데이터의 references를 확인하세요.`);
+  }
+
+  const pageLabel = page !== undefined && page !== null && page !== '' ? `${page}쪽` : '';
+  return [formatReference(reference), pageLabel].filter(Boolean).join(', ');
+}
+
+/** 디스크립터 안의 모든 문자열에서 각주 참조 id를 등장 순서대로 모은다 */
+function findFootnoteMarkers(value, ids = []) {
+  if (typeof value === 'string') {
+    for (const [, id] of value.matchAll(FOOTNOTE_MARKER_PATTERN)) ids.push(id);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => findFootnoteMarkers(item, ids));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      if (key !== 'footnotes') findFootnoteMarkers(item, ids);
+    });
+  }
+  return ids;
+}
+
+/**
+ * 페이지 스키마의 각주 수집 & 번호 매기기
+ * 정의가 없는 참조, 참조되지 않는 정의, 중복 정의·중복 참조는 에러를 던진다.
+ *
+ * @param {Array<object>} sections - 섹션 디스크립터 배열
+ * @param {Array<object>} references - 참고 문헌 배열 (각주 citation 검증용) [Optional]
+ * @returns {Array<object>} [{ id, number, text, citation?, sectionId? }] 번호 순
+ */
+export function collectFootnotes(sections, references) {
+  const definitions = new Map();
+  const referenced = new Set();
+  const footnotes = [];
+
+  sections.forEach((descriptor, index) => {
+    const label = `sections[${index}]${descriptor.id ? ` (${descriptor.id})` : ''}`;
+
+    (descriptor.footnotes ?? []).forEach((footnote) => {
+      if (!footnote?.id || !footnote.text) {
+        throw new Error(`[citations] ${label}: 각주에는 id와 text가 필요합니다.`);
+      }
+      if (definitions.has(footnote.id)) {
+        throw new Error(`[citations] ${label}: 각주 "${footnote.id}"가 중복 정의되었습니다.`);
+      }
+      if (footnote.citation) formatCitation(footnote.citation, references);
+      definitions.set(footnote.id, { ...footnote, sectionId: descriptor.id });
+    });
+
+    findFootnoteMarkers(descriptor).forEach((id) => {
+      if (referenced.has(id)) {
+        throw new Error(`[citations] ${label}: 각주 "${id}"가 두 번 이상 참조되었습니다. 각주는 한 곳에서만 참조할 수 있습니다.`);
+      }
+      referenced.add(id);
+      footnotes.push(id);
+    });
+  });
+
+  footnotes.forEach((id) => {
+    if (!definitions.has(id)) throw new Error(`[citations] 각주 "${id}"의 정의가 없습니다.`);
+  });
+  definitions.forEach((_, id) => {
+    if (!referenced.has(id)) throw new Error(`[citations] 각주 "${id}"가 본문에서 참조되지 않았습니다.`);
+  });
+
+  return footnotes.map((id, index) => ({ ...definitions.get(id), number: index + 1 }));
+}
@@ -0,0 +1,302 @@
+/**
+ * Cover Palette
+ *
+ * 호(issue) 커버 이미지를 캔버스로 분석해 매거진 시맨틱 컬러(theme.magazine과 같은 구조)를 만든다.
+ * 결과는 createCoverTheme()에 넘겨 호별 아트 디렉션 테마로 쓴다.
+ *
+ * 추출 방식:
+ * 1. 커버를 작은 캔버스(sampleSize)에 축소해 그리고 픽셀을 읽는다
+ * 2. 채도가 있는 픽셀을 색상(hue) 12구간으로 나눠 집계한다
+ * 3. 픽셀 수가 가장 많은 구간 → 서피스 기조 색상, 선명도(채도²×수)가 가장 큰 구간 → accent
+ * 4. 서피스는 기조 색상을 아주 밝게/어둡게 눌러 만들고, 텍스트와 accent는 WCAG 대비 기준을 통과할 때까지 명도를 조정한다
+ *
+ * 팔레트 구조 (theme.magazine과 동일):
+ * { surface: { light, dark, warm }, accent, text: { onDark, onDarkSecondary, onDarkDisabled, onLight, onLightSecondary, onLightMuted }, particle }
+ *
+ * Example usage:
+ * const palette = await loadCoverPalette(issue.cover);
+ * const theme = createCoverTheme(palette);
+ */
+
+/** 색상 구간 수 (30°씩) */
+const HUE_BUCKETS = 12;
+
+/** 채도가 없는(무채색) 커버에서 쓰는 기조 색상 — 기본 테마의 웜 톤 */
+const FALLBACK_HUE = 30;
+
+/** 본문 텍스트 최소 대비 (WCAG AAA) */
+const TEXT_CONTRAST = 7;
+
+/** 보조 텍스트·accent 최소 대비 (WCAG AA) */
+const SECONDARY_CONTRAST = 4.5;
+
+/** 캡션 등 보조 정보 최소 대비 (WCAG AA Large) */
+const MUTED_CONTRAST = 3;
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+/**
+ * hex → { r, g, b } (0~255)
+ *
+ * @param {string} hex - '#RRGGBB'
+ * @returns {{ r: number, g: number, b: number }}
+ */
+export function hexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * { r, g, b } → hex
+ *
+ * @param {{ r: number, g: number, b: number }} rgb - 0~255 채널
+ * @returns {string} '#RRGGBB'
+ */
+export function rgbToHex({ r, g, b }) {
+  const toHex = (channel) => Math.round(clamp(channel, 0, 255)).toString(16).padStart(2, '0');
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+}
+
+/**
+ * { r, g, b } → { h, s, l } (h: 0~360, s/l: 0~1)
+ */
+function rgbToHsl({ r, g, b }) {
+  const rn = r / 255;
+  const gn = g / 255;
+  const bn = b / 255;
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) return { h: 0, s: 0, l };
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === rn) h = ((gn - bn) / d) % 6;
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+
+  return { h: (h * 60 + 360) % 360, s, l };
+}
+
+/**
+ * { h, s, l } → hex
+ */
+function hslToHex({ h, s, l }) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = l - c / 2;
+  const [r, g, b] = h < 60 ? [c, x, 0]
+    : h < 120 ? [x, c, 0]
+      : h < 180 ? [0, c, x]
+        : h < 240 ? [0, x, c]
+          : h < 300 ? [x, 0, c]
+            : [c, 0, x];
+  return rgbToHex({ r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 });
+}
+
+/**
+ * WCAG 상대 휘도
+ *
+ * @param {string} hex - '#RRGGBB'
+ * @returns {number} 0~1
+ */
+function relativeLuminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG 대비율
+ *
+ * @param {string} foreground - '#RRGGBB'
+ * @param {string} background - '#RRGGBB'
+ * @returns {number} 1~21
+ */
+export function contrastRatio(foreground, background) {
+  const a = relativeLuminance(foreground);
+  const b = relativeLuminance(background);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * 배경 대비 기준을 만족할 때까지 명도 조정
+ * 배경이 밝으면 어둡게, 어두우면 밝게 밀어낸다. 색상과 채도는 유지한다.
+ *
+ * @param {string} color - 조정할 색상 '#RRGGBB'
+ * @param {string} background - 배경 색상 '#RRGGBB'
+ * @param {number} minRatio - 최소 대비율
+ * @returns {string} 기준을 만족하는 색상 '#RRGGBB'
+ */
+export function ensureContrast(color, background, minRatio) {
+  if (contrastRatio(color, background) >= minRatio) return color;
+
+  const hsl = rgbToHsl(hexToRgb(color));
+  const step = relativeLuminance(background) > 0.18 ? -0.02 : 0.02;
+  let adjusted = color;
+  for (let l = hsl.l; l >= 0 && l <= 1; l += step) {
+    adjusted = hslToHex({ ...hsl, l: clamp(l) });
+    if (contrastRatio(adjusted, background) >= minRatio) return adjusted;
+  }
+  return step < 0 ? '#000000' : '#FFFFFF';
+}
+
+/**
+ * 배경 위에서 대비 기준을 만족하는 최소 투명도의 rgba 텍스트 색상
+ * 기본 투명도에서 시작해 합성 색상이 기준을 넘을 때까지 불투명하게 올린다.
+ *
+ * @param {string} color - 텍스트 색상 '#RRGGBB'
+ * @param {string} background - 배경 색상 '#RRGGBB'
+ * @param {number} alpha - 기본 투명도
+ * @param {number} minRatio - 최소 대비율
+ * @returns {string} 'rgba(r, g, b, a)'
+ */
+function readableAlpha(color, background, alpha, minRatio) {
+  const fg = hexToRgb(color);
+  const bg = hexToRgb(background);
+  let a = alpha;
+  while (a < 1) {
+    const blended = rgbToHex({
+      r: fg.r * a + bg.r * (1 - a),
+      g: fg.g * a + bg.g * (1 - a),
+      b: fg.b * a + bg.b * (1 - a),
+    });
+    if (contrastRatio(blended, background) >= minRatio) break;
+    a = Math.round((a + 0.05) * 100) / 100;
+  }
+  return `rgba(${fg.r}, ${fg.g}, ${fg.b}, ${Math.min(a, 1)})`;
+}
+
+/**
+ * 픽셀 데이터로 매거진 팔레트 생성
+ * 캔버스 없이도 동작하므로 빌드 스크립트나 테스트에서 직접 쓸 수 있다.
+ *
+ * @param {Uint8ClampedArray|number[]} pixels - RGBA 픽셀 배열 (ImageData.data)
+ * @returns {object} 매거진 팔레트 (theme.magazine 구조)
+ */
+export function derivePalette(pixels) {
+  const buckets = Array.from({ length: HUE_BUCKETS }, () => ({
+    count: 0, r: 0, g: 0, b: 0, saturation: 0,
+  }));
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue;
+    const rgb = { r: pixels[i], g: pixels[i + 1], b: pixels[i + 2] };
+    const { h, s, l } = rgbToHsl(rgb);
+    // 무채색·너무 어둡거나 밝은 픽셀은 색상 판단에서 제외
+    if (s < 0.15 || l < 0.12 || l > 0.9) continue;
+
+    const bucket = buckets[Math.floor(h / (360 / HUE_BUCKETS)) % HUE_BUCKETS];
+    bucket.count += 1;
+    bucket.r += rgb.r;
+    bucket.g += rgb.g;
+    bucket.b += rgb.b;
+    bucket.saturation += s;
+  }
+
+  const averageHsl = (bucket) => rgbToHsl({
+    r: bucket.r / bucket.count,
+    g: bucket.g / bucket.count,
+    b: bucket.b / bucket.count,
+  });
+
+  const chromatic = buckets.filter((bucket) => bucket.count > 0);
+  const dominant = chromatic.reduce((best, bucket) => (!best || bucket.count > best.count ? bucket : best), null);
+  const vivid = chromatic.reduce((best, bucket) => {
+    const score = bucket.count * (bucket.saturation / bucket.count) ** 2;
+    return !best || score > best.score ? { bucket, score } : best;
+  }, null)?.bucket;
+
+  const base = dominant ? averageHsl(dominant) : { h: FALLBACK_HUE, s: 0.2, l: 0.5 };
+  const accentBase = vivid ? averageHsl(vivid) : { h: 36, s: 1, l: 0.72 };
+
+  // 서피스 — 기조 색상을 거의 무채색에 가깝게 눌러 본문 가독성을 지킨다
+  const surfaceTint = Math.min(base.s, 0.3);
+  const dark = hslToHex({ h: base.h, s: surfaceTint * 0.6, l: 0.065 });
+  const light = hslToHex({ h: base.h, s: surfaceTint, l: 0.95 });
+  const warm = hslToHex({ h: accentBase.h, s: Math.min(accentBase.s, 0.55), l: 0.9 });
+
+  // accent — 어두운 서피스 위 포인트 색상
+  const accent = ensureContrast(
+    hslToHex({ h: accentBase.h, s: Math.max(accentBase.s, 0.6), l: 0.72 }),
+    dark,
+    SECONDARY_CONTRAST
+  );
+
+  // 텍스트 — 반대편 서피스 색을 기준으로 대비를 확보
+  const onDark = ensureContrast(light, dark, TEXT_CONTRAST);
+  const onLight = ensureContrast(dark, light, TEXT_CONTRAST);
+
+  return {
+    surface: { dark, light, warm },
+    accent,
+    text: {
+      onDark,
+      onDarkSecondary: readableAlpha(onDark, dark, 0.6, SECONDARY_CONTRAST),
+      onDarkDisabled: readableAlpha(onDark, dark, 0.38, MUTED_CONTRAST),
+      onLight,
+      onLightSecondary: readableAlpha(onLight, light, 0.6, SECONDARY_CONTRAST),
+      onLightMuted: readableAlpha(onLight, light, 0.35, MUTED_CONTRAST),
+    },
+    particle: `rgba(${Object.values(hexToRgb(onDark)).join(', ')}, 0.15)`,
+  };
+}
+
+/**
+ * 커버 이미지에서 매거진 팔레트 추출
+ * 이미지를 불러오지 못하거나 캔버스를 읽을 수 없으면(교차 출처 등) null로 끝난다.
+ *
+ * @param {string} src - 이미지 URL
+ * @param {object} options - 옵션
+ * @param {number} options.sampleSize - 분석용 캔버스 한 변 크기(px) [Optional, 기본값: 64]
+ * @returns {Promise<object|null>} 매거진 팔레트
+ */
+export function extractCoverPalette(src, { sampleSize = 64 } = {}) {
+  if (typeof document === 'undefined') return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.decoding = 'async';
+    image.onload = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = sampleSize;
+        canvas.height = sampleSize;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(image, 0, 0, sampleSize, sampleSize);
+        resolve(derivePalette(context.getImageData(0, 0, sampleSize, sampleSize).data));
+      } catch {
+        resolve(null);
+      }
+    };
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+}
+
+/** 커버별 추출 Promise 캐시 — React use()에 같은 Promise를 넘기기 위해 유지 */
+const paletteCache = new Map();
+
+/** 커버가 없는 호에 돌려줄 고정 Promise */
+const NO_PALETTE = Promise.resolve(null);
+
+/**
+ * 커버 팔레트 로드 (캐시)
+ * 같은 src에 대해서는 항상 동일한 Promise를 반환한다.
+ *
+ * @param {string} src - 이미지 URL
+ * @returns {Promise<object|null>} 매거진 팔레트
+ */
+export function loadCoverPalette(src) {
+  if (!src) return NO_PALETTE;
+  if (!paletteCache.has(src)) {
+    paletteCache.set(src, extractCoverPalette(src));
+  }
+  return paletteCache.get(src);
+}
@@ -0,0 +1,264 @@
+import { realClock } from './animationClock';
+
+/**
+ * Frame Scheduler
+ *
+ * 계속 도는 렌더 루프(WebGL 패턴, 그라데이션 오버레이 등)를 한곳에서 돌리는 공유 프레임 스케줄러.
+ * 루프마다 requestAnimationFrame을 따로 걸면 화면 밖으로 한참 스크롤했거나 탭이 숨겨져도 계속 돈다.
+ *
+ * 동작 방식:
+ * 1. 같은 시계(utils/animationClock)를 쓰는 루프는 프레임 예약 하나로 묶어서 실행한다
+ * 2. 루프의 element는 공유 IntersectionObserver로, 페이지 표시 여부는 visibilitychange로 추적한다
+ *    ├── 화면 밖 / 탭 숨김 - 루프를 멈춘다. 실행할 루프가 하나도 없으면 프레임 예약 자체를 멈춘다
+ *    └── 다시 보임        - 멈춘 시각부터 이어서 재생한다 (멈춰 있던 시간은 루프 시간에 더하지 않는다)
+ * 3. 루프마다 tick 실행 시간을 지수 이동 평균으로 기록한다 (getFrameLoopStats → FrameLoopInspector)
+ * 4. 실제 시계(realClock) 프레임의 간격을 subscribeFrameTiming 구독자에게 넘긴다 (utils/adaptiveQuality의 측정 입력)
+ *    프레임 예약이 끊겼다가 다시 시작되면 그 사이 간격은 넘기지 않는다
+ *
+ * 루프 구조:
+ * { tick, element?, label?, clock? }
+ * ├── tick    - ({ time, delta }) => void. time은 구독 이후 멈춘 구간을 뺀 경과 시간(ms), delta는 직전 프레임과의 간격(ms) [Required]
+ * ├── element - 화면 진입 여부를 판정할 요소. 없으면 탭 숨김에만 멈춘다 [Optional]
+ * ├── label   - 디버그 패널에 표시할 이름 [Optional, 기본값: 'loop']
+ * └── clock   - 프레임 예약에 쓸 시계 (useAnimationClock) [Optional, 기본값: realClock]
+ *
+ * Example usage:
+ * const unsubscribe = subscribeFrameLoop({
+ *   tick: ({ time }) => {
+ *     uniforms.uTime.value = time / 1000;
+ *     view.render(scene, camera);
+ *   },
+ *   element: container,
+ *   label: 'GeometricPattern/grid',
+ *   clock,
+ * });
+ */
+
+/** 화면에 들어오기 조금 전에 루프를 재개하는 여유 영역 */
+const VISIBILITY_MARGIN = '50px';
+
+/** 프레임 비용 이동 평균 가중치 */
+const COST_SMOOTHING = 0.1;
+
+/** clock → { clock, loops, frameId, lastFrameNow } */
+const groups = new Map();
+
+/** 프레임 간격 구독자 */
+const timingListeners = new Set();
+
+/** element → Set<loop> */
+const loopsByElement = new Map();
+
+let visibilityObserver = null;
+let isPageHidden = false;
+let nextLoopId = 1;
+
+/**
+ * 루프 실행 여부
+ *
+ * @param {object} loop - 루프 상태
+ * @returns {boolean}
+ */
+function isRunning(loop) {
+  return !isPageHidden && loop.isIntersecting;
+}
+
+/**
+ * 시계 그룹의 다음 프레임 예약 (실행할 루프가 없거나 이미 예약돼 있으면 무시)
+ *
+ * @param {object} group - 시계 그룹
+ */
+function requestGroupFrame(group) {
+  if (group.frameId !== null) return;
+  if (![...group.loops].some(isRunning)) {
+    /** 프레임 예약이 끊기면 다음 프레임과의 간격은 측정하지 않는다 */
+    group.lastFrameNow = null;
+    return;
+  }
+
+  group.frameId = group.clock.requestFrame(() => runFrame(group));
+}
+
+/**
+ * 예약된 프레임 실행 — 실행 중인 루프의 tick을 차례로 호출
+ *
+ * @param {object} group - 시계 그룹
+ */
+function runFrame(group) {
+  group.frameId = null;
+  const now = group.clock.now();
+
+  if (group.clock === realClock && group.lastFrameNow !== null) {
+    const interval = now - group.lastFrameNow;
+    timingListeners.forEach((listener) => listener(interval));
+  }
+  group.lastFrameNow = now;
+
+  [...group.loops].forEach((loop) => {
+    /** 앞선 tick에서 구독이 해제됐을 수 있다 */
+    if (!group.loops.has(loop) || !isRunning(loop)) return;
+
+    const delta = loop.lastNow === null ? 0 : now - loop.lastNow;
+    loop.time += delta;
+    loop.lastNow = now;
+
+    const start = performance.now();
+    loop.tick({ time: loop.time, delta });
+    const cost = performance.now() - start;
+
+    loop.cost = loop.frames === 0 ? cost : loop.cost + (cost - loop.cost) * COST_SMOOTHING;
+    loop.frames += 1;
+  });
+
+  requestGroupFrame(group);
+}
+
+/**
+ * 실행 조건이 바뀐 뒤 — 멈춘 루프는 재개 기준 시각을 지우고, 다시 돌 루프가 있으면 프레임을 예약
+ */
+function refresh() {
+  groups.forEach((group) => {
+    group.loops.forEach((loop) => {
+      if (!isRunning(loop)) loop.lastNow = null;
+    });
+    requestGroupFrame(group);
+  });
+}
+
+/** 화면 진입/이탈 */
+function handleIntersection(entries) {
+  entries.forEach((entry) => {
+    loopsByElement.get(entry.target)?.forEach((loop) => {
+      loop.isIntersecting = entry.isIntersecting;
+    });
+  });
+  refresh();
+}
+
+/** 탭 표시/숨김 */
+function handleVisibilityChange() {
+  isPageHidden = document.visibilityState === 'hidden';
+  refresh();
+}
+
+/** 첫 루프 — 관찰자와 리스너 등록 */
+function setup() {
+  isPageHidden = document.visibilityState === 'hidden';
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  if (typeof IntersectionObserver !== 'undefined') {
+    visibilityObserver = new IntersectionObserver(handleIntersection, { rootMargin: VISIBILITY_MARGIN });
+  }
+}
+
+/** 마지막 루프 — 관찰자와 리스너 해제 */
+function teardown() {
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  visibilityObserver?.disconnect();
+  visibilityObserver = null;
+}
+
+/**
+ * 프레임 루프 구독
+ * 구독 직후 다음 프레임부터 tick이 호출된다 (첫 장면이 필요하면 구독 전에 직접 한 번 그린다).
+ *
+ * @param {object} options - { tick, element?, label?, clock? }
+ * @returns {function} 구독 해제 함수
+ */
+export function subscribeFrameLoop({ tick, element, label = 'loop', clock = realClock }) {
+  if (groups.size === 0) setup();
+
+  let group = groups.get(clock);
+  if (!group) {
+    group = { clock, loops: new Set(), frameId: null, lastFrameNow: null };
+    groups.set(clock, group);
+  }
+
+  const loop = {
+    id: nextLoopId,
+    tick,
+    label,
+    element,
+    /** 관찰 결과가 오기 전에는 화면 안으로 본다 — 첫 프레임이 늦지 않도록 */
+    isIntersecting: true,
+    time: 0,
+    lastNow: null,
+    cost: 0,
+    frames: 0,
+  };
+  nextLoopId += 1;
+
+  group.loops.add(loop);
+  if (element) {
+    const elementLoops = loopsByElement.get(element);
+    if (elementLoops) {
+      /** 이미 관찰 중인 요소는 관찰 결과가 다시 오지 않으므로 기존 판정을 이어받는다 */
+      loop.isIntersecting = [...elementLoops][0].isIntersecting;
+      elementLoops.add(loop);
+    } else {
+      loopsByElement.set(element, new Set([loop]));
+      visibilityObserver?.observe(element);
+    }
+  }
+  if (isRunning(loop)) loop.lastNow = clock.now();
+  requestGroupFrame(group);
+
+  return () => {
+    if (!group.loops.delete(loop)) return;
+
+    if (element) {
+      const elementLoops = loopsByElement.get(element);
+      elementLoops.delete(loop);
+      if (elementLoops.size === 0) {
+        loopsByElement.delete(element);
+        visibilityObserver?.unobserve(element);
+      }
+    }
+
+    if (group.loops.size === 0) {
+      if (group.frameId !== null) clock.cancelFrame(group.frameId);
+      groups.delete(clock);
+    }
+    if (groups.size === 0) teardown();
+  };
+}
+
+/**
+ * 현재 등록된 루프 통계 (디버그용)
+ *
+ * @returns {Array<object>} [{ id, label, state, cost, time, frames }]
+ *   state: 'running' | 'offscreen' | 'hidden' (탭 숨김), cost: 평균 tick 시간(ms)
+ */
+export function getFrameLoopStats() {
+  const stats = [];
+  groups.forEach((group) => {
+    group.loops.forEach((loop) => {
+      let state = 'running';
+      if (isPageHidden) state = 'hidden';
+      else if (!loop.isIntersecting) state = 'offscreen';
+
+      stats.push({
+        id: loop.id,
+        label: loop.label,
+        state,
+        cost: loop.cost,
+        time: loop.time,
+        frames: loop.frames,
+      });
+    });
+  });
+  return stats.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * 프레임 간격 구독
+ * 실제 시계로 도는 루프가 있는 동안 프레임마다 직전 프레임과의 간격(ms)을 받는다.
+ *
+ * @param {function} listener - (interval) => void
+ * @returns {function} 구독 해제 함수
+ */
+export function subscribeFrameTiming(listener) {
+  timingListeners.add(listener);
+  return () => {
+    timingListeners.delete(listener);
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Hangul
+ *
+ * 한글 음절 분해/조합과 문자 체계 판별 유틸리티.
+ * 유니코드 한글 음절(U+AC00–U+D7A3)은 (초성 × 21 + 중성) × 28 + 종성 + 0xAC00으로 계산된다.
+ *
+ * Example usage:
+ * decomposeHangul('신');             // { initial: 9, medial: 20, final: 4 }
+ * getJamoStages('신');               // ['ㅅ', '시', '신']
+ * randomSyllableWithInitial('신', Math.random); // '사', '숨', ... (초성 ㅅ 유지)
+ */
+
+const SYLLABLE_BASE = 0xAC00;
+const SYLLABLE_LAST = 0xD7A3;
+const MEDIAL_COUNT = 21;
+const FINAL_COUNT = 28;
+
+/** 초성 호환 자모 (표시용) */
+export const INITIAL_JAMO = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+
+/**
+ * 한글 음절 여부
+ *
+ * @param {string} char - 한 글자
+ * @returns {boolean}
+ */
+export function isHangulSyllable(char) {
+  const code = char.codePointAt(0);
+  return code >= SYLLABLE_BASE && code <= SYLLABLE_LAST;
+}
+
+/**
+ * 한글 음절 분해
+ *
+ * @param {string} char - 한글 음절 한 글자
+ * @returns {{ initial: number, medial: number, final: number }|null} 자모 인덱스 (음절이 아니면 null)
+ */
+export function decomposeHangul(char) {
+  if (!isHangulSyllable(char)) return null;
+  const offset = char.codePointAt(0) - SYLLABLE_BASE;
+  return {
+    initial: Math.floor(offset / (MEDIAL_COUNT * FINAL_COUNT)),
+    medial: Math.floor(offset / FINAL_COUNT) % MEDIAL_COUNT,
+    final: offset % FINAL_COUNT,
+  };
+}
+
+/**
+ * 자모 인덱스로 한글 음절 조합
+ *
+ * @param {number} initial - 초성 인덱스 (0~18)
+ * @param {number} medial - 중성 인덱스 (0~20)
+ * @param {number} final - 종성 인덱스 (0~27, 0은 받침 없음) [Optional, 기본값: 0]
+ * @returns {string} 한글 음절
+ */
+export function composeHangul(initial, medial, final = 0) {
+  return String.fromCodePoint(SYLLABLE_BASE + (initial * MEDIAL_COUNT + medial) * FINAL_COUNT + final);
+}
+
+/**
+ * 같은 초성의 무작위 음절
+ *
+ * @param {string} char - 기준 한글 음절
+ * @param {function} random - () => [0, 1) 난수 함수
+ * @returns {string} 초성이 같은 임의의 음절 (음절이 아니면 원래 글자)
+ */
+export function randomSyllableWithInitial(char, random) {
+  const jamo = decomposeHangul(char);
+  if (!jamo) return char;
+  return composeHangul(
+    jamo.initial,
+    Math.floor(random() * MEDIAL_COUNT),
+    Math.floor(random() * FINAL_COUNT)
+  );
+}
+
+/**
+ * 초성 → 초성+중성 → 완성 음절 순서의 조합 단계
+ *
+ * @param {string} char - 한글 음절
+ * @returns {string[]} 조합 단계 (받침이 없으면 2단계, 음절이 아니면 [char])
+ */
+export function getJamoStages(char) {
+  const jamo = decomposeHangul(char);
+  if (!jamo) return [char];
+
+  const stages = [INITIAL_JAMO[jamo.initial], composeHangul(jamo.initial, jamo.medial)];
+  if (jamo.final > 0) stages.push(char);
+  return stages;
+}
+
+/**
+ * 글자의 문자 체계 판별
+ *
+ * @param {string} char - 한 글자
+ * @returns {'hangul'|'upper'|'lower'|'digit'|'space'|'other'}
+ */
+export function getScript(char) {
+  if (isHangulSyllable(char)) return 'hangul';
+  if (/^[A-Z]$/.test(char)) return 'upper';
+  if (/^[a-z]$/.test(char)) return 'lower';
+  if (/^[0-9]$/.test(char)) return 'digit';
+  if (char.trim() === '') return 'space';
+  return 'other';
+}
@@ -0,0 +1,94 @@
+/**
+ * Inline Markup
+ *
+ * 본문 문자열 안에 용어집 링크, 루비(ruby) 주석, 각주 참조를 적기 위한 가벼운 인라인 마크업 파서.
+ * ArticleSection 본문, StyledParagraph, VariantsSpaceCard 본문이 같은 문법을 쓴다.
+ *
+ * 문법:
+ * ├── [[가능태 공간]]          - 용어집 링크. 용어 title 또는 id로 찾는다
+ * ├── [[variants-space|이 공간]] - 용어집 링크 + 본문에 표시할 텍스트
+ * ├── {천재|天才}              - 루비 주석. 본문 위에 작은 글씨로 한자·원어를 표시한다
+ * └── [^intuition]            - 각주 참조. 섹션 footnotes의 id를 가리키며 번호로 표시된다 (utils/citations)
+ *
+ * 노드 구조 (parseInlineMarkup 결과):
+ * { type, text, term?, annotation?, footnote? }
+ * ├── type        - 'text' | 'term' | 'ruby' | 'footnote'
+ * ├── text        - 본문에 표시되는 텍스트 (각주는 빈 문자열)
+ * ├── term        - 용어집 조회 키 (type: 'term')
+ * ├── annotation  - 루비 주석 텍스트 (type: 'ruby')
+ * └── footnote    - 각주 id (type: 'footnote')
+ *
+ * Example usage:
+ * parseInlineMarkup('[[진자|펜듈럼]]은 {천재|天才}를 싫어한다');
+ * // [{ type: 'term', term: '진자', text: '펜듈럼' }, { type: 'text', text: '은 ' },
+ * //  { type: 'ruby', text: '천재', annotation: '天才' }, { type: 'text', text: '를 싫어한다' }]
+ */
+
+/** [[용어]] | [[용어|표시]] | {본문|주석} | [^각주] */
+const MARKUP_PATTERN = /\[\[([^[\]|]+)(?:\|([^[\]]+))?\]\]|\{([^{}|]+)\|([^{}]+)\}|\[\^([\w-]+)\]/g;
+
+/**
+ * 마크업 문자열 → 노드 배열
+ * 인접한 텍스트는 하나의 text 노드로 유지되며, 마크업이 없으면 text 노드 하나를 돌려준다.
+ *
+ * @param {string} text - 원문
+ * @returns {Array<object>} 노드 배열
+ */
+export function parseInlineMarkup(text) {
+  const source = text ?? '';
+  const nodes = [];
+  let cursor = 0;
+
+  for (const match of source.matchAll(MARKUP_PATTERN)) {
+    const [raw, term, termLabel, rubyBase, annotation, footnote] = match;
+    if (match.index > cursor) {
+      nodes.push({ type: 'text', text: source.slice(cursor, match.index) });
+    }
+    if (term !== undefined) {
+      nodes.push({ type: 'term', term: term.trim(), text: (termLabel ?? term).trim() });
+    } else if (footnote !== undefined) {
+      nodes.push({ type: 'footnote', footnote, text: '' });
+    } else {
+      nodes.push({ type: 'ruby', text: rubyBase, annotation });
+    }
+    cursor = match.index + raw.length;
+  }
+
+  if (cursor < source.length || nodes.length === 0) {
+    nodes.push({ type: 'text', text: source.slice(cursor) });
+  }
+  return nodes;
+}
+
+/**
+ * 마크업 포함 여부
+ *
+ * @param {string} text - 원문
+ * @returns {boolean}
+ */
+export function hasInlineMarkup(text) {
+  return typeof text === 'string' && parseInlineMarkup(text).some((node) => node.type !== 'text');
+}
+
+/**
+ * 마크업을 걷어낸 표시 텍스트 — aria-label, 글자 단위 reveal 등 평문이 필요한 곳에서 사용
+ * 루비 주석은 본문만 남기고, 각주 참조는 지운다.
+ *
+ * @param {string} text - 원문
+ * @returns {string} 평문
+ */
+export function stripInlineMarkup(text) {
+  return parseInlineMarkup(text).map((node) => node.text).join('');
+}
+
+/**
+ * 용어집에서 용어 찾기 — id가 먼저, 없으면 title로 찾는다
+ *
+ * @param {Array<object>} terms - 용어 배열 (magazineData.terms.allTerms)
+ * @param {string} key - 용어 id 또는 title
+ * @returns {object|undefined} 용어
+ */
+export function findGlossaryTerm(terms, key) {
+  if (!terms) return undefined;
+  return terms.find((term) => term.id === key) ?? terms.find((term) => term.title === key);
+}
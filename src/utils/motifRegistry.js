@@ -0,0 +1,90 @@
+/**
+ * Motif Registry
+ *
+ * GeometricPattern이 그리는 motif(개념 비주얼) 등록소.
+ * 기본 13종은 components/dynamic-color/motifs에서 등록되고,
+ * 호(issue)별 motif는 코어 파일을 고치지 않고 registerMotif로 추가한다.
+ * 데이터의 motif 필드(terms.featured[].motif, stories.items[].motif 등)는 등록된 이름 중 하나를 쓴다.
+ *
+ * 등록 옵션:
+ * { component, interactive, supportsScrollInfluence, defaultColors, fallback }
+ * ├── component               - motif 컴포넌트. GeometricPattern 컨테이너를 가득 채운다 [Required]
+ * ├── interactive             - 마우스 좌표(mouseCenter)를 받는다 (모션 감소 모드에서는 꺼짐) [기본값: false]
+ * ├── supportsScrollInfluence - scrollInfluenceRef(.current = 0-1)로 제어된다. 주어지면 마우스 대신 스크롤을 따른다 [기본값: false]
+ * ├── defaultColors           - { stroke, accent, background } 색상 props가 없을 때 테마 대신 쓸 색 [Optional]
+ * └── fallback                - WebGL을 쓸 수 없을 때 대신 그릴 정적 컴포넌트 (WebGL motif 전용) [Optional]
+ *
+ * motif 컴포넌트 props:
+ * { colorStroke, colorAccent, colorBackground, mouseCenter, scrollInfluenceRef, isStatic, particleScale, maxPixelRatio }
+ * ├── mouseCenter        - viewBox(400×500) 기준 마우스 좌표 { x, y, influence } 또는 null
+ * ├── isStatic           - 모션 감소 모드. 애니메이션 없이 대표 장면 한 프레임만 그린다
+ * └── particleScale 등   - 품질 단계 (hooks/useQuality)
+ *
+ * Example usage:
+ * registerMotif('tide', { component: TidePattern, interactive: true });
+ * const motif = getMotif(term.motif);
+ */
+
+/** 등록된 motif — 이름 → 옵션 (등록 순서 유지) */
+const motifs = new Map();
+
+/** 이미 경고한 이름 — 렌더마다 같은 경고를 반복하지 않는다 */
+const warnedNames = new Set();
+
+/**
+ * motif 등록
+ * 같은 이름으로 다시 등록하면 기존 motif를 대체한다 (기본 motif 교체, HMR 재평가).
+ *
+ * @param {string} name - 데이터의 motif 필드와 GeometricPattern variant에 쓰는 이름
+ * @param {object} options - 등록 옵션 (파일 상단 참고)
+ * @returns {function} unregister 함수
+ */
+export function registerMotif(name, {
+  component,
+  interactive = false,
+  supportsScrollInfluence = false,
+  defaultColors,
+  fallback,
+} = {}) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('[motifRegistry] motif 이름은 빈 문자열이 아닌 문자열이어야 합니다.');
+  }
+  if (!component) {
+    throw new Error(`[motifRegistry] "${name}": component가 필요합니다.`);
+  }
+
+  const motif = { name, component, interactive, supportsScrollInfluence, defaultColors, fallback };
+  motifs.set(name, motif);
+  warnedNames.delete(name);
+
+  return () => {
+    if (motifs.get(name) === motif) motifs.delete(name);
+  };
+}
+
+/**
+ * 이름으로 motif 조회
+ *
+ * @param {string} name - motif 이름
+ * @returns {object|undefined} 등록 옵션 (없으면 undefined)
+ */
+export const getMotif = (name) => motifs.get(name);
+
+/**
+ * 등록된 motif 이름 목록 (등록 순서)
+ *
+ * @returns {Array<string>}
+ */
+export const getMotifNames = () => [...motifs.keys()];
+
+/**
+ * 알 수 없는 motif 경고 — 개발 모드에서만, 이름마다 한 번 등록된 이름 목록과 함께 출력한다
+ *
+ * @param {string} name - 데이터에 적힌 motif 이름
+ * @param {string} path - 경고에 표시할 위치 [Optional]
+ */
+export function warnUnknownMotif(name, path = 'motif') {
+  if (!import.meta.env.DEV || motifs.has(name) || warnedNames.has(name)) return;
+  warnedNames.add(name);
+  console.warn(`[motifRegistry] ${path}: 알 수 없는 motif "${name}" (${getMotifNames().join(' | ')})`);
+}
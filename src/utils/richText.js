@@ -0,0 +1,156 @@
+/**
+ * Rich Text
+ *
+ * 카드·아티클·스토리·용어 상세 본문이 함께 쓰는 작은 구조화 본문 형식.
+ * 강조할 문구를 본문 문자열과 따로 적어 두고 찾아 맞추는 대신, 본문 안에 강조를 직접 표시한다.
+ * 렌더링은 components/typography/RichText가 담당한다.
+ *
+ * 계층 구조:
+ * RichText = Block[]
+ * Block
+ * ├── { type: 'paragraph', content: Inline[] }          - 문단
+ * └── { type: 'quote', content: Inline[], source? }     - 인용 (source는 출처 표기)
+ * Inline
+ * ├── '문자열'                       - 일반 텍스트. 용어집·루비 인라인 마크업 사용 가능 (utils/inlineMarkup)
+ * ├── { type: 'emphasis', text }    - 강조 (볼드)
+ * ├── { type: 'accent', text }      - 액센트 하이라이트 (볼드 + 액센트 컬러)
+ * └── { type: 'break' }             - 줄바꿈
+ *
+ * 문자열 본문도 그대로 받는다 — 빈 줄은 문단 구분, 줄바꿈은 break가 된다 (toRichText).
+ *
+ * Example usage:
+ * const body = [
+ *   { type: 'paragraph', content: ['양자역학의 기본 전제는 ', { type: 'emphasis', text: '직관' }, '에 반한다.'] },
+ *   { type: 'quote', content: ['미시세계의 대상은 관측되기 전까지 하나의 상태로 정해져 있지 않다.'] },
+ *   { type: 'paragraph', content: [{ type: 'accent', text: '우리는 자기가 선택한 것을 얻는다.' }] },
+ * ];
+ */
+
+export const BLOCK_TYPES = ['paragraph', 'quote'];
+export const INLINE_TYPES = ['emphasis', 'accent', 'break'];
+
+/**
+ * 여러 줄 문자열 → 인라인 배열 (줄바꿈은 break)
+ *
+ * @param {string} text - 문단 텍스트
+ * @returns {Array} 인라인 배열
+ */
+export function linesToInlines(text) {
+  return text.split('\n').flatMap((line, index) => (index === 0 ? [line] : [{ type: 'break' }, line]))
+    .filter((inline) => inline !== '');
+}
+
+/**
+ * 본문 검증 — 알 수 없는 블록/인라인 타입은 렌더링 전에 에러로 드러낸다
+ *
+ * @param {Array<object>} blocks - 블록 배열
+ * @param {string} path - 에러 메시지에 표시할 위치 [Optional]
+ * @returns {Array<object>} 검증된 블록 배열 (입력 그대로)
+ */
+export function validateRichText(blocks, path = 'body') {
+  if (!Array.isArray(blocks)) {
+    throw new Error(`[richText] ${path}: 본문은 문자열 또는 블록 배열이어야 합니다.`);
+  }
+
+  blocks.forEach((block, blockIndex) => {
+    const blockPath = `${path}[${blockIndex}]`;
+    if (!BLOCK_TYPES.includes(block?.type)) {
+      throw new Error(`[richText] ${blockPath}: 알 수 없는 블록 타입 "${block?.type}" (${BLOCK_TYPES.join(' | ')})`);
+    }
+    if (!Array.isArray(block.content)) {
+      throw new Error(`[richText] ${blockPath}: content는 인라인 배열이어야 합니다.`);
+    }
+    block.content.forEach((inline, inlineIndex) => {
+      if (typeof inline === 'string') return;
+      if (!INLINE_TYPES.includes(inline?.type)) {
+        throw new Error(`[richText] ${blockPath}.content[${inlineIndex}]: 알 수 없는 인라인 타입 "${inline?.type}" (${INLINE_TYPES.join(' | ')})`);
+      }
+    });
+  });
+
+  return blocks;
+}
+
+/**
+ * 문자열 또는 블록 배열 → 블록 배열
+ *
+ * @param {string|Array<object>} value - 본문
+ * @returns {Array<object>} 블록 배열
+ */
+export function toRichText(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (typeof value !== 'string') return validateRichText(value);
+
+  return value
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => ({ type: 'paragraph', content: linesToInlines(paragraph) }));
+}
+
+/**
+ * 인라인 배열 → 평문 (break는 줄바꿈)
+ *
+ * @param {Array} content - 인라인 배열
+ * @returns {string}
+ */
+export function inlinesToPlainText(content) {
+  return content.map((inline) => {
+    if (typeof inline === 'string') return inline;
+    return inline.type === 'break' ? '\n' : inline.text;
+  }).join('');
+}
+
+/**
+ * 본문 → 평문 — 검색, aria-label, 읽기 시간 계산 등에서 사용
+ *
+ * @param {string|Array<object>} value - 본문
+ * @returns {string} 문단은 빈 줄로 구분
+ */
+export function richTextToPlainText(value) {
+  return toRichText(value).map((block) => inlinesToPlainText(block.content)).join('\n\n');
+}
+
+/**
+ * 하이라이트 문자열 방식 본문 → 구조화 본문 변환 (기존 데이터 마이그레이션용)
+ * bodyHighlights의 각 문구는 본문에서 처음 등장하는 위치를 accent로 바꾸고,
+ * bodyHighlight는 본문 끝의 accent 문단이 된다.
+ * 찾지 못한 문구가 있으면 조용히 넘어가지 않고 에러를 던진다.
+ *
+ * @param {object} source - { body, bodyHighlight?, bodyHighlights? }
+ * @param {string} path - 에러 메시지에 표시할 위치 [Optional]
+ * @returns {Array<object>} 블록 배열
+ *
+ * Example usage:
+ * convertHighlightedBody({ body: '그것은 바로 우리의 의식이다.', bodyHighlights: ['우리의 의식'] });
+ * // [{ type: 'paragraph', content: ['그것은 바로 ', { type: 'accent', text: '우리의 의식' }, '이다.'] }]
+ */
+export function convertHighlightedBody({ body, bodyHighlight, bodyHighlights = [] }, path = 'body') {
+  const blocks = toRichText(body);
+
+  bodyHighlights.forEach((phrase) => {
+    const isFound = blocks.some((block) => {
+      const index = block.content.findIndex((inline) => typeof inline === 'string' && inline.includes(phrase));
+      if (index === -1) return false;
+
+      const text = block.content[index];
+      const start = text.indexOf(phrase);
+      const parts = [
+        text.slice(0, start),
+        { type: 'accent', text: phrase },
+        text.slice(start + phrase.length),
+      ].filter((part) => part !== '');
+      block.content.splice(index, 1, ...parts);
+      return true;
+    });
+
+    if (!isFound) {
+      throw new Error(`[richText] ${path}: 하이라이트 문구 "${phrase}"를 본문에서 찾을 수 없습니다.`);
+    }
+  });
+
+  if (bodyHighlight) {
+    blocks.push({ type: 'paragraph', content: [{ type: 'accent', text: bodyHighlight }] });
+  }
+  return blocks;
+}
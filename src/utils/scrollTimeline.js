@@ -0,0 +1,179 @@
+/**
+ * Scroll Timeline
+ *
+ * 페이지 전체가 공유하는 스크롤 타임라인 서비스.
+ * 스크롤 연동 컴포넌트마다 window 리스너를 달고 이벤트마다 getBoundingClientRect를 호출하던 구조를
+ * 하나의 리스너 + 프레임당 한 번의 rAF로 모은다.
+ *
+ * 동작 방식:
+ * 1. 첫 구독자가 생기면 window scroll/resize 리스너를 한 번만 등록 (마지막 구독자가 떠나면 해제)
+ *    문서 높이 변화(콘텐츠 리빌, 이미지 로드 등)도 ResizeObserver로 감지해 같은 경로로 처리
+ * 2. 이벤트가 몇 번 오든 다음 프레임에 한 번만 flush를 예약
+ * 3. flush는 두 단계로 나뉜다
+ *    ├── read  - 모든 구독자의 레이아웃 측정을 먼저 몰아서 실행 (같은 요소의 rect는 프레임 내 캐시)
+ *    └── write - 측정이 끝난 뒤 스타일/상태 갱신을 실행
+ *    → 읽기와 쓰기가 섞이지 않으므로 프레임당 강제 레이아웃은 최대 한 번
+ *
+ * 구독자 구조:
+ * { read?, write }
+ * ├── read  - (frame) => measurement. 레이아웃 읽기만 수행 [Optional]
+ * └── write - (measurement, frame) => void. DOM 쓰기/상태 갱신 [Required]
+ *
+ * frame 구조:
+ * { scrollY, viewportWidth, viewportHeight }
+ *
+ * Example usage:
+ * const unsubscribe = subscribeScrollFrame({
+ *   read: () => readRect(element),
+ *   write: (rect, frame) => {
+ *     element.style.opacity = getScrollProgress(rect, frame.viewportHeight, start, end);
+ *   },
+ * });
+ */
+
+/** 오프셋 키워드 → 비율 */
+const EDGE_RATIOS = { start: 0, center: 0.5, end: 1 };
+
+const subscribers = new Set();
+
+let frameId = null;
+
+/** 문서 높이 변화 감지용 — 구독자가 있는 동안만 유지 */
+let documentObserver = null;
+
+/** 현재 flush의 rect 캐시 — read 단계 동안만 유효 */
+let rectCache = null;
+
+/**
+ * 오프셋 지점 하나를 비율로 변환
+ *
+ * @param {string|number} edge - 'start' | 'center' | 'end' | 0~1 숫자
+ * @returns {number} 0~1 비율
+ */
+function parseEdge(edge) {
+  if (typeof edge === 'number') return edge;
+  if (edge in EDGE_RATIOS) return EDGE_RATIOS[edge];
+
+  const ratio = Number(edge);
+  if (Number.isNaN(ratio)) {
+    throw new Error(`[scrollTimeline] 알 수 없는 오프셋 지점입니다: "${edge}"`);
+  }
+  return ratio;
+}
+
+/**
+ * 스크롤 오프셋 문자열 파싱
+ * Framer Motion useScroll offset과 같은 "<요소 지점> <뷰포트 지점>" 형식.
+ * 'start end'는 요소 상단이 뷰포트 하단에 닿는 순간을 뜻한다.
+ *
+ * @param {string|number} offset - 예: 'start end', 'center center', 'start 0.8'
+ * @returns {object} { target, container } — 요소/뷰포트 기준 비율
+ */
+export function parseScrollOffset(offset) {
+  const [target, container = target] = String(offset).trim().split(/\s+/);
+  return { target: parseEdge(target), container: parseEdge(container) };
+}
+
+/**
+ * 요소 rect와 뷰포트 높이로 start → end 구간의 진행률 계산
+ *
+ * @param {DOMRect} rect - 요소 rect (getBoundingClientRect 결과)
+ * @param {number} viewportHeight - 뷰포트 높이
+ * @param {object} start - parseScrollOffset 결과 (진행률 0 지점)
+ * @param {object} end - parseScrollOffset 결과 (진행률 1 지점)
+ * @returns {number} 0~1 진행률
+ */
+export function getScrollProgress(rect, viewportHeight, start, end) {
+  const startDistance = rect.top + rect.height * start.target - viewportHeight * start.container;
+  const endDistance = rect.top + rect.height * end.target - viewportHeight * end.container;
+  const range = endDistance - startDistance;
+
+  if (range <= 0) return startDistance <= 0 ? 1 : 0;
+  return Math.max(0, Math.min(1, -startDistance / range));
+}
+
+/**
+ * read 단계 전용 rect 측정
+ * 같은 프레임에서 여러 구독자가 같은 요소를 측정해도 getBoundingClientRect는 한 번만 호출된다.
+ *
+ * @param {Element} element - 측정할 요소
+ * @returns {DOMRect|null} rect. 요소가 없으면 null
+ */
+export function readRect(element) {
+  if (!element) return null;
+  if (!rectCache) return element.getBoundingClientRect();
+
+  let rect = rectCache.get(element);
+  if (!rect) {
+    rect = element.getBoundingClientRect();
+    rectCache.set(element, rect);
+  }
+  return rect;
+}
+
+/**
+ * 예약된 프레임 실행 — 모든 read 후 모든 write
+ */
+function flush() {
+  frameId = null;
+
+  const frame = {
+    scrollY: window.scrollY,
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+  };
+
+  const active = [...subscribers];
+
+  rectCache = new Map();
+  const measurements = active.map((subscriber) => subscriber.read?.(frame));
+  rectCache = null;
+
+  active.forEach((subscriber, index) => {
+    /** 앞선 write에서 구독이 해제됐을 수 있다 */
+    if (subscribers.has(subscriber)) subscriber.write(measurements[index], frame);
+  });
+}
+
+/**
+ * 다음 프레임에 flush 예약 (이미 예약돼 있으면 무시)
+ * 문서 높이는 그대로인데 요소 위치만 바뀐 경우처럼 자동 감지되지 않는 변화가 있으면 직접 호출할 수 있다.
+ */
+export function requestScrollFrame() {
+  if (frameId === null) frameId = requestAnimationFrame(flush);
+}
+
+/**
+ * 스크롤 타임라인 구독
+ * 구독 직후 다음 프레임에 초기 값을 한 번 전달한다.
+ *
+ * @param {object} subscriber - { read?, write }
+ * @returns {function} 구독 해제 함수
+ */
+export function subscribeScrollFrame(subscriber) {
+  if (subscribers.size === 0) {
+    window.addEventListener('scroll', requestScrollFrame, { passive: true });
+    window.addEventListener('resize', requestScrollFrame);
+    if (typeof ResizeObserver !== 'undefined') {
+      documentObserver = new ResizeObserver(requestScrollFrame);
+      documentObserver.observe(document.documentElement);
+    }
+  }
+
+  subscribers.add(subscriber);
+  requestScrollFrame();
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size > 0) return;
+
+    window.removeEventListener('scroll', requestScrollFrame);
+    window.removeEventListener('resize', requestScrollFrame);
+    documentObserver?.disconnect();
+    documentObserver = null;
+    if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Text Segmentation
+ *
+ * 키네틱 타이포그래피가 텍스트를 글자·단어·줄·문장으로 나눌 때 쓰는 공통 모듈.
+ * Intl.Segmenter 기반이라 이모지, 결합 문자, 서로게이트 쌍이 한 글자로 유지되고,
+ * 한국어 문장 끝(`다.` 뒤 줄바꿈, `?`, `!`)도 문장 경계로 인식한다.
+ * Intl.Segmenter가 없는 환경에서는 코드 포인트/정규식 기반으로 근사한다.
+ *
+ * 토큰 구조 (splitText 결과):
+ * { text, isWhitespace }
+ * ├── text          - 토큰 문자열
+ * └── isWhitespace  - 공백 토큰 여부. 공백은 reveal 대상이 아니며 항상 표시된다
+ *
+ * Example usage:
+ * segmentGraphemes('👍🏽한');            // ['👍🏽', '한']
+ * segmentSentences('이다.\n저다?');       // ['이다.', '저다?']
+ * splitText('Trust thyself.', 'word');  // [{ text: 'Trust' }, { text: ' ', isWhitespace: true }, { text: 'thyself.' }]
+ */
+
+/** reveal 단위 */
+export const SEGMENT_UNITS = ['char', 'word', 'line'];
+
+/** 기본 로케일 — 매거진 본문 언어 */
+const DEFAULT_LOCALE = 'ko';
+
+const hasSegmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function';
+
+/** Segmenter 인스턴스 캐시 — 로케일·단위별로 한 번만 생성 */
+const segmenterCache = new Map();
+
+/**
+ * 로케일·단위별 Segmenter 조회
+ *
+ * @param {string} locale - BCP 47 로케일
+ * @param {string} granularity - 'grapheme' | 'word' | 'sentence'
+ * @returns {Intl.Segmenter}
+ */
+function getSegmenter(locale, granularity) {
+  const key = `${locale}:${granularity}`;
+  if (!segmenterCache.has(key)) {
+    segmenterCache.set(key, new Intl.Segmenter(locale, { granularity }));
+  }
+  return segmenterCache.get(key);
+}
+
+/**
+ * 글자(grapheme cluster) 단위 분리
+ *
+ * @param {string} text - 원문
+ * @param {string} locale - 로케일 [Optional, 기본값: 'ko']
+ * @returns {string[]} 글자 배열
+ */
+export function segmentGraphemes(text, locale = DEFAULT_LOCALE) {
+  if (!hasSegmenter) return Array.from(text);
+  return Array.from(getSegmenter(locale, 'grapheme').segment(text), ({ segment }) => segment);
+}
+
+/**
+ * 단어 단위 분리
+ * 공백과 문장 부호도 별도 세그먼트로 돌려준다 (원문을 그대로 이어 붙일 수 있도록).
+ *
+ * @param {string} text - 원문
+ * @param {string} locale - 로케일 [Optional, 기본값: 'ko']
+ * @returns {Array<{segment: string, isWordLike: boolean}>} 세그먼트 배열
+ */
+export function segmentWords(text, locale = DEFAULT_LOCALE) {
+  if (!hasSegmenter) {
+    return (text.match(/\s+|[^\s]+/g) || []).map((segment) => ({
+      segment,
+      isWordLike: !/^\s+$/.test(segment),
+    }));
+  }
+  return Array.from(getSegmenter(locale, 'word').segment(text), ({ segment, isWordLike }) => ({
+    segment,
+    isWordLike: Boolean(isWordLike),
+  }));
+}
+
+/**
+ * 문장 단위 분리
+ * 문장 뒤 공백·줄바꿈은 잘라내고, 빈 문장은 버린다.
+ *
+ * @param {string} text - 원문
+ * @param {string} locale - 로케일 [Optional, 기본값: 'ko']
+ * @returns {string[]} 문장 배열
+ */
+export function segmentSentences(text, locale = DEFAULT_LOCALE) {
+  const segments = hasSegmenter
+    ? Array.from(getSegmenter(locale, 'sentence').segment(text), ({ segment }) => segment)
+    : text.match(/[^.!?。\n]+(?:[.!?。]+|\n|$)/g) || [];
+
+  return segments.map((sentence) => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * 단어 토큰 생성
+ * 단어에 붙은 문장 부호·이모지(공백 없이 이어진 비단어 세그먼트)는 앞 단어에 합친다.
+ */
+function toWordTokens(text, locale) {
+  const tokens = [];
+  segmentWords(text, locale).forEach(({ segment, isWordLike }) => {
+    const isWhitespace = !isWordLike && segment.trim() === '';
+    const previous = tokens[tokens.length - 1];
+    if (!isWordLike && !isWhitespace && previous && !previous.isWhitespace) {
+      previous.text += segment;
+      return;
+    }
+    if (isWordLike && previous && !previous.isWhitespace && !previous.isWordLike) {
+      previous.text += segment;
+      previous.isWordLike = true;
+      return;
+    }
+    tokens.push({ text: segment, isWhitespace, isWordLike });
+  });
+  return tokens.map(({ text: token, isWhitespace }) => ({ text: token, isWhitespace }));
+}
+
+/**
+ * reveal 단위로 텍스트 분리
+ * 토큰을 순서대로 이어 붙이면 원문이 된다 ('line'은 줄바꿈 토큰 포함).
+ *
+ * @param {string} text - 원문
+ * @param {string} unit - 'char' | 'word' | 'line' [Optional, 기본값: 'char']
+ * @param {string} locale - 로케일 [Optional, 기본값: 'ko']
+ * @returns {Array<{text: string, isWhitespace: boolean}>} 토큰 배열
+ */
+export function splitText(text, unit = 'char', locale = DEFAULT_LOCALE) {
+  if (unit === 'word') return toWordTokens(text, locale);
+
+  if (unit === 'line') {
+    return text.split(/(\r?\n)/).filter(Boolean).map((line) => ({
+      text: line,
+      isWhitespace: line.trim() === '',
+    }));
+  }
+
+  return segmentGraphemes(text, locale).map((grapheme) => ({
+    text: grapheme,
+    isWhitespace: grapheme.trim() === '',
+  }));
+}
@@ -0,0 +1,90 @@
+/**
+ * Timeline
+ *
+ * 섹션 인트로처럼 여러 단계로 이어지는 연출을 선언적으로 기술하기 위한 스케줄 계산 모듈.
+ * useTimeline 훅이 이 스케줄 위에서 재생·일시정지·탐색·역재생을 구현한다.
+ *
+ * 스텝 구조:
+ * { id, duration?, after?, offset?, onStart?, onEnd? }
+ * ├── id        - 스텝 식별자 [Required]
+ * ├── duration  - 지속 시간 (ms). null이면 열린 스텝으로, timeline.complete(id)가 호출될 때 끝난다 [기본값: 0]
+ * ├── after     - 이 스텝(들)이 끝난 뒤 시작. 문자열 또는 배열, 없으면 타임라인 시작(0)에서 시작
+ * ├── offset    - after 기준 시작 지연 (ms). 음수면 앞 스텝과 겹친다 [기본값: 0]
+ * ├── onStart   - 정방향 재생 중 스텝이 시작될 때 호출 [Optional]
+ * └── onEnd     - 정방향 재생 중 스텝이 끝날 때 호출 [Optional]
+ *
+ * 열린 스텝이 끝나기 전에는 그 뒤에 이어지는 스텝의 시작 시각을 알 수 없으므로 Infinity로 둔다.
+ *
+ * Example usage:
+ * const schedule = computeSchedule([
+ *   { id: 'line', duration: 1200 },
+ *   { id: 'title', after: 'line', duration: null },
+ *   { id: 'next', after: 'title', offset: 1000 },
+ * ], { title: 900 });
+ * // [{ id: 'line', start: 0, end: 1200 }, { id: 'title', start: 1200, end: 2100 }, { id: 'next', start: 3100, end: 3100 }]
+ */
+
+/**
+ * 스텝 배열로 시작/끝 시각 계산
+ *
+ * @param {Array<object>} steps - 스텝 배열 (after는 앞에 선언된 스텝만 참조할 수 있다)
+ * @param {object} resolved - 열린 스텝의 확정된 지속 시간 { [id]: ms } [Optional]
+ * @returns {Array<{id: string, start: number, end: number, isOpen: boolean}>} 스케줄
+ */
+export function computeSchedule(steps, resolved = {}) {
+  const ends = new Map();
+
+  return steps.map((step) => {
+    const { id, duration = 0, after, offset = 0 } = step;
+    const dependencies = after === undefined ? [] : [].concat(after);
+
+    const base = dependencies.reduce((latest, dependency) => {
+      if (!ends.has(dependency)) {
+        throw new Error(`[timeline] "${id}" 스텝이 앞에 없는 스텝 "${dependency}"를 참조합니다.`);
+      }
+      return Math.max(latest, ends.get(dependency));
+    }, 0);
+
+    const start = Math.max(0, base + offset);
+    const isOpen = duration === null;
+    let length = duration;
+    if (isOpen) length = id in resolved ? resolved[id] : Infinity;
+
+    const end = start + length;
+    ends.set(id, end);
+    return { id, start, end, isOpen };
+  });
+}
+
+/**
+ * 스케줄 전체 길이 — 끝나지 않은 열린 스텝이 있으면 Infinity
+ *
+ * @param {Array<object>} schedule - computeSchedule 결과
+ * @returns {number} ms
+ */
+export function getTimelineDuration(schedule) {
+  return schedule.reduce((total, { end }) => Math.max(total, end), 0);
+}
+
+/**
+ * 현재 시각 다음(또는 이전)의 경계 시각
+ *
+ * @param {Array<object>} schedule - computeSchedule 결과
+ * @param {number} time - 현재 시각 (ms)
+ * @param {number} direction - 1(정방향) | -1(역방향)
+ * @returns {number|null} 경계 시각 (없으면 null)
+ */
+export function getNextBoundary(schedule, time, direction) {
+  let next = null;
+
+  schedule.forEach(({ start, end }) => {
+    [start, end].forEach((boundary) => {
+      if (!Number.isFinite(boundary)) return;
+      const isAhead = direction > 0 ? boundary > time : boundary < time;
+      if (!isAhead) return;
+      if (next === null || (direction > 0 ? boundary < next : boundary > next)) next = boundary;
+    });
+  });
+
+  return next;
+}
@@ -0,0 +1,369 @@
+import * as THREE from 'three';
+
+/**
+ * WebGL Context Pool
+ *
+ * 페이지 전체가 공유하는 WebGL 렌더러 하나로 여러 캔버스 패턴을 그리는 서비스.
+ * 패턴마다 THREE.WebGLRenderer를 만들면 용어 섹션·스토리 카드가 많은 페이지에서
+ * 브라우저의 WebGL 컨텍스트 한도(보통 16개)를 넘어 오래된 컨텍스트가 조용히 사라진다.
+ *
+ * 동작 방식:
+ * 1. 첫 뷰가 생기면 화면에 붙지 않은 공유 렌더러를 한 번만 만든다
+ *    마지막 뷰가 떠나면 잠시 뒤 렌더러와 컨텍스트를 해제 (색상 변경으로 패턴이 다시 마운트될 때 컨텍스트를 재생성하지 않도록)
+ * 2. 각 뷰는 자기 컨테이너에 2D 캔버스를 하나 붙인다 — DOM 배치와 z-index는 패턴마다 그대로 유지된다
+ * 3. view.render(scene, camera)는 공유 렌더러의 왼쪽 아래 영역에 scissor test로 뷰 크기만큼 그린 뒤,
+ *    그 영역을 뷰의 2D 캔버스로 복사한다 (공유 캔버스는 가장 큰 뷰에 맞춰 커지기만 한다)
+ * 4. 컨테이너 크기는 공유 ResizeObserver, 화면 진입 여부는 공유 IntersectionObserver로 추적한다
+ *    ├── 화면 밖 - render는 아무것도 그리지 않고, onRelease로 패턴의 GPU 리소스(버퍼·셰이더) 해제를 요청
+ *    └── 다시 화면 안 / 크기 변경 / 컨텍스트 복구 - 마지막으로 받은 scene·camera로 한 장면을 다시 그린다
+ *       (해제된 geometry·material은 three.js가 다음 렌더에서 다시 업로드한다)
+ * 5. PerspectiveCamera의 aspect는 뷰 크기에 맞춰 자동으로 갱신한다
+ * 6. 픽셀 비율은 뷰마다 따로 정한다 (maxPixelRatio — 품질 단계에 따라 낮출 수 있다)
+ *    공유 렌더러는 픽셀 비율 1로 두고, 뷰의 픽셀 크기만큼 그린다
+ * 7. WebGL 상태(getWebGLStatus / subscribeWebGLStatus)를 구독자에게 알린다 — 컴포넌트는 'available'이 아니면 정적 대체 화면을 그린다
+ *    ├── 'unavailable' - WebGL2 미지원 또는 렌더러 생성 실패. 이후 acquireWebGLView는 아무것도 그리지 않는 뷰를 돌려준다
+ *    ├── 'lost'        - 컨텍스트 손실. 복구될 때까지 렌더러를 해제하지 않고 기다린다
+ *    └── 'available'   - 컨텍스트 복구 시 다시 알림 → 컴포넌트가 WebGL 경로로 다시 마운트되며 씬을 새로 만든다
+ *
+ * 뷰 구조:
+ * { render, release, setMaxPixelRatio, isVisible }
+ * ├── render(scene, camera)    - 한 프레임 그리기. 화면 밖이거나 크기가 0이면 장면만 기억하고 건너뛴다
+ * ├── release()                - 캔버스 제거 및 관찰 해제 (컴포넌트 언마운트 시)
+ * ├── setMaxPixelRatio(ratio)  - 픽셀 비율 상한 변경 후 다시 그리기
+ * └── isVisible                - 현재 화면(+여유 영역) 안에 있는지
+ *
+ * Example usage:
+ * const view = acquireWebGLView(container, {
+ *   maxPixelRatio,
+ *   onRelease: () => {
+ *     geometry.dispose();
+ *     material.dispose();
+ *   },
+ * });
+ * const renderLoop = () => {
+ *   view.render(scene, camera);
+ *   frameId = clock.requestFrame(renderLoop);
+ * };
+ * return () => view.release();
+ */
+
+/** 뷰 픽셀 비율 상한 기본값 */
+const MAX_PIXEL_RATIO = 2;
+
+/** 화면 밖으로 판정하기 전 여유 영역 — 경계에서 스크롤할 때 해제/업로드가 반복되지 않도록 */
+const VISIBILITY_MARGIN = '200px';
+
+/** 마지막 뷰가 떠난 뒤 렌더러를 해제하기까지의 대기 시간 (ms) */
+const TEARDOWN_DELAY = 1000;
+
+/** container → view */
+const views = new Map();
+
+let renderer = null;
+
+/** 공유 렌더러 캔버스 크기 (px) — 가장 큰 뷰에 맞춰 늘어나기만 한다 */
+let capacity = { width: 0, height: 0 };
+
+let resizeObserver = null;
+let visibilityObserver = null;
+let teardownTimer = null;
+
+/** 'available' | 'unavailable' | 'lost' — 첫 조회 시 판정 */
+let status = null;
+const statusListeners = new Set();
+
+/** WebGL을 쓸 수 없을 때 돌려주는 뷰 — 컴포넌트는 상태 알림을 받고 대체 화면으로 바뀐다 */
+const inertView = {
+  render() {},
+  release() {},
+  setMaxPixelRatio() {},
+  isVisible: false,
+};
+
+/**
+ * WebGL2 지원 여부 판정 (three.js는 WebGL2만 지원)
+ * 판정에 쓴 컨텍스트는 바로 해제해 브라우저 컨텍스트 한도를 차지하지 않게 한다.
+ *
+ * @returns {boolean}
+ */
+function detectWebGL() {
+  try {
+    const context = document.createElement('canvas').getContext('webgl2');
+    if (!context) return false;
+    context.getExtension('WEBGL_lose_context')?.loseContext();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 상태 변경 및 구독자 알림
+ *
+ * @param {string} nextStatus - 'available' | 'unavailable' | 'lost'
+ */
+function setStatus(nextStatus) {
+  if (status === nextStatus) return;
+  status = nextStatus;
+  statusListeners.forEach((listener) => listener());
+}
+
+/**
+ * 뷰의 픽셀 비율
+ *
+ * @param {object} view - 뷰 상태
+ * @returns {number}
+ */
+function getPixelRatio(view) {
+  return Math.min(window.devicePixelRatio || 1, view.maxPixelRatio);
+}
+
+/**
+ * 뷰의 2D 캔버스 픽셀 크기 맞추기
+ * 이 크기가 곧 공유 렌더러에서 그릴 영역 크기다.
+ *
+ * @param {object} view - 뷰 상태
+ */
+function syncCanvasSize(view) {
+  const pixelRatio = getPixelRatio(view);
+  const width = Math.round(view.width * pixelRatio);
+  const height = Math.round(view.height * pixelRatio);
+
+  if (view.canvas.width !== width) view.canvas.width = width;
+  if (view.canvas.height !== height) view.canvas.height = height;
+}
+
+/**
+ * 뷰 그리기 — scissor 영역 렌더 후 2D 캔버스로 복사
+ *
+ * @param {object} view - 뷰 상태
+ */
+function draw(view) {
+  const { scene, camera, width, height } = view;
+  if (!renderer || !scene || !view.isVisible || width === 0 || height === 0) return;
+
+  syncCanvasSize(view);
+  const { width: targetWidth, height: targetHeight } = view.canvas;
+  if (targetWidth === 0 || targetHeight === 0) return;
+
+  if (targetWidth > capacity.width || targetHeight > capacity.height) {
+    capacity = {
+      width: Math.max(capacity.width, targetWidth),
+      height: Math.max(capacity.height, targetHeight),
+    };
+    renderer.setSize(capacity.width, capacity.height, false);
+  }
+
+  if (camera.isPerspectiveCamera && camera.aspect !== width / height) {
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+  }
+
+  renderer.setScissorTest(true);
+  renderer.setViewport(0, 0, targetWidth, targetHeight);
+  renderer.setScissor(0, 0, targetWidth, targetHeight);
+  renderer.render(scene, camera);
+
+  /** WebGL 좌표계의 왼쪽 아래 영역 = 캔버스 좌표계의 (0, 높이 - 뷰 높이) */
+  const source = renderer.domElement;
+  view.context.globalCompositeOperation = 'copy';
+  view.context.drawImage(
+    source,
+    0, source.height - targetHeight, targetWidth, targetHeight,
+    0, 0, targetWidth, targetHeight,
+  );
+}
+
+/** 컨텍스트 손실 → 구독자에게 알려 대체 화면으로 전환 (three.js가 preventDefault로 복구를 요청해 둔다) */
+function handleContextLost() {
+  setStatus('lost');
+}
+
+/** 컨텍스트 복구 → 남은 뷰를 다시 그리고, 대체 화면으로 바뀐 컴포넌트에 복구를 알린다 */
+function handleContextRestored() {
+  setStatus('available');
+  views.forEach(draw);
+  if (views.size === 0 && teardownTimer === null) teardownTimer = setTimeout(teardown, TEARDOWN_DELAY);
+}
+
+/**
+ * 크기 변화 → 캔버스 크기 갱신 후 다시 그리기
+ * 캔버스 크기를 바꾸면 내용이 지워지므로 다음 렌더 루프를 기다리지 않고 바로 그린다.
+ */
+function handleResize(entries) {
+  entries.forEach((entry) => {
+    const view = views.get(entry.target);
+    if (!view) return;
+
+    view.width = entry.contentRect.width;
+    view.height = entry.contentRect.height;
+    syncCanvasSize(view);
+    draw(view);
+  });
+}
+
+/** 화면 진입/이탈 → 다시 그리기 또는 GPU 리소스 해제 요청 */
+function handleVisibility(entries) {
+  entries.forEach((entry) => {
+    const view = views.get(entry.target);
+    if (!view || view.isVisible === entry.isIntersecting) return;
+
+    view.isVisible = entry.isIntersecting;
+    if (view.isVisible) {
+      draw(view);
+    } else {
+      view.onRelease?.();
+    }
+  });
+}
+
+/**
+ * 첫 뷰 — 공유 렌더러와 관찰자 생성
+ *
+ * @returns {boolean} 렌더러 생성 성공 여부
+ */
+function setup() {
+  try {
+    renderer = new THREE.WebGLRenderer({ antialias: false, alpha: true });
+  } catch {
+    setStatus('unavailable');
+    return false;
+  }
+  renderer.domElement.addEventListener('webglcontextlost', handleContextLost);
+  renderer.domElement.addEventListener('webglcontextrestored', handleContextRestored);
+
+  resizeObserver = new ResizeObserver(handleResize);
+  if (typeof IntersectionObserver !== 'undefined') {
+    visibilityObserver = new IntersectionObserver(handleVisibility, { rootMargin: VISIBILITY_MARGIN });
+  }
+  return true;
+}
+
+/** 마지막 뷰가 떠난 뒤 — 렌더러와 컨텍스트 해제 (컨텍스트 손실 중이면 복구를 기다린다) */
+function teardown() {
+  teardownTimer = null;
+  if (status === 'lost') return;
+
+  resizeObserver.disconnect();
+  visibilityObserver?.disconnect();
+  resizeObserver = null;
+  visibilityObserver = null;
+
+  renderer.domElement.removeEventListener('webglcontextlost', handleContextLost);
+  renderer.domElement.removeEventListener('webglcontextrestored', handleContextRestored);
+  renderer.dispose();
+  renderer.forceContextLoss();
+  renderer = null;
+  capacity = { width: 0, height: 0 };
+}
+
+/**
+ * 현재 WebGL 상태
+ *
+ * @returns {string} 'available' | 'unavailable' | 'lost'
+ */
+export function getWebGLStatus() {
+  if (status === null) status = detectWebGL() ? 'available' : 'unavailable';
+  return status;
+}
+
+/**
+ * WebGL 상태 구독
+ *
+ * @param {function} listener - 상태가 바뀔 때 호출 () => void
+ * @returns {function} 구독 해제 함수
+ */
+export function subscribeWebGLStatus(listener) {
+  statusListeners.add(listener);
+  return () => {
+    statusListeners.delete(listener);
+  };
+}
+
+/**
+ * 공유 WebGL 컨텍스트에서 뷰 하나 받기
+ * 컨테이너 하나에는 뷰 하나만 붙일 수 있다.
+ * WebGL을 쓸 수 없으면 아무것도 그리지 않는 뷰를 돌려준다 (getWebGLStatus로 먼저 확인).
+ *
+ * @param {HTMLElement} container - 캔버스를 붙일 요소 (크기가 곧 렌더 크기)
+ * @param {object} options
+ * @param {number} options.maxPixelRatio - 픽셀 비율 상한 [Optional, 기본값: 2]
+ * @param {function} options.onRelease - 화면 밖으로 나갔을 때 호출. geometry·material 등의 GPU 리소스를 해제 [Optional]
+ * @returns {object} { render, release, setMaxPixelRatio, isVisible }
+ */
+export function acquireWebGLView(container, { maxPixelRatio = MAX_PIXEL_RATIO, onRelease } = {}) {
+  if (views.has(container)) {
+    throw new Error('[webglContextPool] 이미 WebGL 뷰가 붙어 있는 컨테이너입니다.');
+  }
+  if (getWebGLStatus() === 'unavailable') return inertView;
+  if (teardownTimer !== null) {
+    clearTimeout(teardownTimer);
+    teardownTimer = null;
+  }
+  if (!renderer && !setup()) return inertView;
+
+  const canvas = document.createElement('canvas');
+  canvas.style.display = 'block';
+  canvas.style.width = '100%';
+  canvas.style.height = '100%';
+  container.appendChild(canvas);
+
+  const { width, height } = container.getBoundingClientRect();
+  const view = {
+    canvas,
+    context: canvas.getContext('2d'),
+    width,
+    height,
+    scene: null,
+    camera: null,
+    /** IntersectionObserver가 없는 환경에서는 항상 화면 안으로 본다 */
+    isVisible: !visibilityObserver,
+    maxPixelRatio,
+    onRelease,
+  };
+  syncCanvasSize(view);
+
+  views.set(container, view);
+  resizeObserver.observe(container);
+  visibilityObserver?.observe(container);
+
+  return {
+    render(scene, camera) {
+      view.scene = scene;
+      view.camera = camera;
+      draw(view);
+    },
+    release() {
+      if (views.get(container) !== view) return;
+
+      views.delete(container);
+      resizeObserver.unobserve(container);
+      visibilityObserver?.unobserve(container);
+      if (container.contains(canvas)) container.removeChild(canvas);
+      if (views.size === 0) teardownTimer = setTimeout(teardown, TEARDOWN_DELAY);
+    },
+    setMaxPixelRatio(ratio) {
+      if (view.maxPixelRatio === ratio) return;
+      view.maxPixelRatio = ratio;
+      syncCanvasSize(view);
+      draw(view);
+    },
+    get isVisible() {
+      return view.isVisible;
+    },
+  };
+}
+
+/**
+ * 컨텍스트 손실 흉내 (개발/스토리용)
+ * WEBGL_lose_context로 공유 컨텍스트를 잃게 해 대체 화면 전환과 복구 후 씬 재생성을 확인한다.
+ *
+ * @returns {function|null} 컨텍스트 복구 함수 (공유 렌더러가 없거나 확장을 지원하지 않으면 null)
+ */
+export function simulateWebGLContextLoss() {
+  const extension = renderer?.getContext().getExtension('WEBGL_lose_context');
+  if (!extension) return null;
+
+  extension.loseContext();
+  return () => extension.restoreContext();
+}
@@ -0,0 +1,55 @@
+/**
+ * Writing Mode
+ *
+ * 타이포그래피 컴포넌트의 가로쓰기/세로쓰기(writingMode prop) 공통 유틸리티.
+ * 세로쓰기는 CSS writing-mode: vertical-rl — 글줄이 위→아래로 흐르고, 줄은 오른쪽→왼쪽으로 쌓인다.
+ *
+ * 축 대응:
+ * horizontal  inline 축(글줄 방향) = 가로   block 축(줄이 쌓이는 방향) = 세로 (위 → 아래)
+ * vertical    inline 축(글줄 방향) = 세로   block 축(줄이 쌓이는 방향) = 가로 (오른쪽 → 왼쪽)
+ *
+ * 컴포넌트는 여백·테두리·최대 길이를 논리 속성(marginBlockStart, paddingInlineStart, maxInlineSize 등)으로 지정해
+ * 두 모드에서 같은 sx를 쓰고, 글줄 길이에 맞추는 계산(FitText)만 getInlineSize로 축을 고른다.
+ *
+ * Example usage:
+ * <Box sx={ { ...getWritingModeSx(writingMode), paddingInlineStart: 4 } } />
+ * const lineLength = getInlineSize(containerRef.current, writingMode);
+ */
+
+/** 지원하는 쓰기 방향 */
+export const WRITING_MODES = ['horizontal', 'vertical'];
+
+/**
+ * 세로쓰기 여부
+ *
+ * @param {string} writingMode - 'horizontal' | 'vertical'
+ * @returns {boolean}
+ */
+export const isVerticalWritingMode = (writingMode) => writingMode === 'vertical';
+
+/**
+ * 쓰기 방향 스타일
+ * 세로쓰기에서 한글·한자는 세워 두고 라틴 문자와 숫자는 눕힌다 (text-orientation: mixed).
+ *
+ * @param {string} writingMode - 'horizontal' | 'vertical'
+ * @returns {object} sx 객체 (가로쓰기는 빈 객체 — 상속된 방향을 그대로 따른다)
+ */
+export function getWritingModeSx(writingMode) {
+  if (!isVerticalWritingMode(writingMode)) return {};
+
+  return {
+    writingMode: 'vertical-rl',
+    textOrientation: 'mixed',
+  };
+}
+
+/**
+ * 요소의 글줄 방향(inline 축) 길이
+ *
+ * @param {HTMLElement} element - 측정할 요소
+ * @param {string} writingMode - 'horizontal' | 'vertical'
+ * @returns {number} 가로쓰기는 offsetWidth, 세로쓰기는 offsetHeight (px)
+ */
+export function getInlineSize(element, writingMode) {
+  return isVerticalWritingMode(writingMode) ? element.offsetHeight : element.offsetWidth;
+}
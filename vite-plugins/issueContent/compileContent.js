@@ -0,0 +1,212 @@
+/**
+ * Issue Content Compiler
+ *
+ * parseMarkdown 결과를 섹션·용어 컴포넌트가 그대로 받는 데이터 형태로 바꾼다.
+ * frontmatter의 type이 컴파일러를 고르고, 형식이 맞지 않으면 해당 줄 번호로 IssueContentError를 던진다.
+ *
+ * 지원 type:
+ * ├── article       - { type, id, navLabel, title, bodyBlocks, footnotes? } (ArticleSection, utils/citations)
+ * ├── closingQuote  - { type, id, navLabel, lines } (ClosingQuoteSection)
+ * ├── bookSource    - { type, id, navLabel, lines, imageAlt } (BookSourceSection — image는 JS에서 추가)
+ * └── term          - { id, motif, title, description, body, quotes, cards } (용어 데이터)
+ *
+ * frontmatter 키:
+ * ├── type          - 위 type 중 하나 [Required]
+ * ├── id, navLabel  - 섹션 디스크립터 메타 (magazinePage.js 참고)
+ * ├── motif         - term의 GeometricPattern variant
+ * ├── delays        - article 블록별 대기 ms 배열 (블록 수와 같아야 함)
+ * └── highlights    - article에서 강조 스타일로 표시할 블록 번호 배열 (1부터)
+ */
+
+import { IssueContentError } from './parseMarkdown.js';
+
+/** 섹션 디스크립터 공통 메타 키 */
+const SECTION_META_KEYS = ['type', 'id', 'navLabel', 'isScrollOutTrigger'];
+
+/** 블록에서 파서 전용 필드(lines, line)를 제외 */
+function toRichBlock({ type, content, source }) {
+  return source ? { type, content, source } : { type, content };
+}
+
+/** 각주 정의 → { id, text, citation? } ([^id]: 내용 {ref=참고 문헌 id page=쪽수}) */
+function compileFootnotes(doc, ctx) {
+  const markers = new Set(doc.blocks.flatMap((block) => block.lines.flatMap((text) => [...text.matchAll(/\[\^([\w-]+)\]/g)].map(([, id]) => id))));
+  const seen = new Set();
+
+  return doc.footnotes.map(({ id, text, attrs, line }) => {
+    if (seen.has(id)) ctx.fail(`각주 "${id}"가 중복 정의되었습니다.`, line);
+    if (!markers.has(id)) ctx.fail(`각주 "${id}"가 본문에서 참조되지 않았습니다.`, line);
+    seen.add(id);
+
+    const { ref, page, ...rest } = attrs;
+    const [unknownKey] = Object.keys(rest);
+    if (unknownKey) ctx.fail(`각주 속성 "${unknownKey}"는 쓸 수 없습니다. (ref, page)`, line);
+    if (page !== undefined && ref === undefined) ctx.fail('각주 page에는 ref가 필요합니다.', line);
+
+    const citation = ref === undefined ? undefined : { referenceId: ref, ...(page !== undefined && { page }) };
+    return citation ? { id, text, citation } : { id, text };
+  });
+}
+
+/**
+ * 컴파일 컨텍스트 — 파일 경로와 frontmatter 줄 번호를 에러에 붙인다
+ */
+function createContext(doc, file) {
+  const fail = (message, line) => {
+    throw new IssueContentError(message, file, line);
+  };
+  const keyLine = (key) => doc.keyLines[key] ?? 1;
+
+  return {
+    fail,
+    keyLine,
+    /** 허용되지 않은 frontmatter 키 검사 */
+    allowKeys(keys) {
+      Object.keys(doc.frontmatter).forEach((key) => {
+        if (!keys.includes(key)) fail(`"${doc.frontmatter.type}"에서 쓸 수 없는 frontmatter 키 "${key}" (${keys.join(', ')})`, keyLine(key));
+      });
+    },
+    /** 필수 frontmatter 키 검사 */
+    require(key) {
+      const value = doc.frontmatter[key];
+      if (value === undefined || value === null || value === '') fail(`frontmatter "${key}"가 필요합니다.`, 1);
+      return value;
+    },
+    /** 각주가 없어야 하는 type */
+    noFootnotes() {
+      if (doc.footnotes.length > 0) fail(`"${doc.frontmatter.type}"에는 각주를 쓸 수 없습니다.`, doc.footnotes[0].line);
+    },
+    /** ## 구역이 없어야 하는 type */
+    noParts() {
+      if (doc.parts.length > 0) fail(`"${doc.frontmatter.type}"에는 ## 구역을 쓸 수 없습니다.`, doc.parts[0].line);
+    },
+    /** 블록 배열 frontmatter(delays, highlights) 검사 */
+    numberList(key, predicate, message) {
+      const value = doc.frontmatter[key];
+      if (value === undefined) return [];
+      if (!Array.isArray(value)) fail(`"${key}"는 배열이어야 합니다.`, keyLine(key));
+      value.forEach((item) => {
+        if (typeof item !== 'number' || !predicate(item)) fail(`"${key}" 값 ${JSON.stringify(item)}: ${message}`, keyLine(key));
+      });
+      return value;
+    },
+  };
+}
+
+/** 문단 블록들 → 줄 배열 (closingQuote, bookSource) */
+function toLines(doc, ctx) {
+  ctx.noParts();
+  ctx.noFootnotes();
+  if (doc.title !== undefined) ctx.fail('# 타이틀을 쓸 수 없습니다. 본문 줄만 작성하세요.', doc.titleLine);
+  const quote = doc.blocks.find((block) => block.type !== 'paragraph');
+  if (quote) ctx.fail('인용 블록을 쓸 수 없습니다.', quote.line);
+  const styled = doc.blocks.find((block) => block.content.some((inline) => typeof inline !== 'string' && inline.type !== 'break'));
+  if (styled) ctx.fail('강조 표시를 쓸 수 없습니다.', styled.line);
+  if (doc.blocks.length === 0) ctx.fail('본문 줄이 필요합니다.', ctx.keyLine('type'));
+
+  return doc.blocks.flatMap((block) => block.lines);
+}
+
+const compilers = {
+  article(doc, ctx) {
+    ctx.allowKeys([...SECTION_META_KEYS, 'title', 'delays', 'highlights']);
+    ctx.noParts();
+
+    const title = doc.frontmatter.title ?? doc.title;
+    if (!title) ctx.fail('아티클 타이틀이 필요합니다. (# 타이틀 또는 frontmatter title)', 1);
+    if (doc.frontmatter.title && doc.title !== undefined) ctx.fail('타이틀이 frontmatter와 # 양쪽에 있습니다.', doc.titleLine);
+    if (doc.blocks.length === 0) ctx.fail('본문 블록이 필요합니다.', doc.titleLine ?? 1);
+
+    const count = doc.blocks.length;
+    const delays = ctx.numberList('delays', (value) => value >= 0, '0 이상의 ms여야 합니다.');
+    if (delays.length > 0 && delays.length !== count) {
+      ctx.fail(`"delays" 항목 수(${delays.length})가 본문 블록 수(${count})와 다릅니다.`, ctx.keyLine('delays'));
+    }
+    const highlights = ctx.numberList('highlights', (value) => Number.isInteger(value) && value >= 1 && value <= count, `1~${count} 사이의 블록 번호여야 합니다.`);
+    const footnotes = compileFootnotes(doc, ctx);
+
+    return {
+      type: 'article',
+      id: doc.frontmatter.id,
+      navLabel: doc.frontmatter.navLabel,
+      title,
+      bodyBlocks: doc.blocks.map((block, index) => ({
+        ...toRichBlock(block),
+        ...(delays.length > 0 && { delay: delays[index] }),
+        ...(highlights.includes(index + 1) && { isHighlight: true }),
+      })),
+      footnotes: footnotes.length > 0 ? footnotes : undefined,
+    };
+  },
+
+  closingQuote(doc, ctx) {
+    ctx.allowKeys(SECTION_META_KEYS);
+    return {
+      type: 'closingQuote',
+      id: doc.frontmatter.id,
+      navLabel: doc.frontmatter.navLabel,
+      lines: toLines(doc, ctx),
+    };
+  },
+
+  bookSource(doc, ctx) {
+    ctx.allowKeys([...SECTION_META_KEYS, 'imageAlt']);
+    return {
+      type: 'bookSource',
+      id: doc.frontmatter.id,
+      navLabel: doc.frontmatter.navLabel,
+      lines: toLines(doc, ctx),
+      imageAlt: doc.frontmatter.imageAlt,
+    };
+  },
+
+  term(doc, ctx) {
+    ctx.allowKeys(['type', 'id', 'motif', 'description']);
+    ctx.noFootnotes();
+    if (doc.title === undefined) ctx.fail('용어 이름(# 타이틀)이 필요합니다.', 1);
+
+    const toQuote = (block) => {
+      if (!block.source) ctx.fail('용어 인용에는 "— 출처" 줄이 필요합니다.', block.line);
+      return { text: block.lines.join('\n'), source: block.source };
+    };
+
+    return {
+      id: ctx.require('id'),
+      motif: ctx.require('motif'),
+      title: doc.title,
+      description: ctx.require('description'),
+      body: doc.blocks.filter((block) => block.type === 'paragraph').map(toRichBlock),
+      quotes: doc.blocks.filter((block) => block.type === 'quote').map(toQuote),
+      ...(doc.parts.length > 0 && {
+        cards: doc.parts.map((part) => {
+          const { id, motif, ...rest } = part.attrs;
+          const [unknownKey] = Object.keys(rest);
+          if (unknownKey) ctx.fail(`카드 속성 "${unknownKey}"는 쓸 수 없습니다. (id, motif)`, part.line);
+          if (!id || !motif) ctx.fail('카드 헤드라인에 {id=... motif=...} 속성이 필요합니다.', part.line);
+          if (part.blocks.length === 0) ctx.fail('카드 본문이 필요합니다.', part.line);
+          return { id, motif, headline: part.heading, body: part.blocks.map(toRichBlock) };
+        }),
+      }),
+    };
+  },
+};
+
+/**
+ * 파싱된 문서 → 데이터
+ *
+ * @param {object} doc - parseMarkdown 결과
+ * @param {string} file - 에러 표시용 파일 경로
+ * @returns {object} 섹션 디스크립터 또는 용어 데이터
+ */
+export function compileContent(doc, file) {
+  const ctx = createContext(doc, file);
+  const { type } = doc.frontmatter;
+
+  if (type === undefined) ctx.fail(`frontmatter "type"이 필요합니다. (${Object.keys(compilers).join(' | ')})`, 1);
+  if (!Object.hasOwn(compilers, type)) {
+    ctx.fail(`알 수 없는 type "${type}" (${Object.keys(compilers).join(' | ')})`, ctx.keyLine('type'));
+  }
+
+  const result = compilers[type](doc, ctx);
+  return Object.fromEntries(Object.entries(result).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,65 @@
+/**
+ * Issue Content Vite Plugin
+ *
+ * src/content 아래의 Markdown(.md) 호 콘텐츠를 import하면 섹션·용어 데이터 객체로 컴파일한다.
+ * 작성 형식은 parseMarkdown.js, type별 결과 형태는 compileContent.js 참고.
+ *
+ * 동작 흐름:
+ * 1. .md 모듈을 parseMarkdown → compileContent로 변환해 `export default { ... }` 모듈을 만든다
+ * 2. 형식 오류는 파일 경로와 줄 번호가 붙은 에러로 던진다 — dev에서는 에러 오버레이, build에서는 빌드 실패
+ * 3. dev 서버에서 .md를 수정하면 일반 모듈처럼 HMR로 다시 변환된다
+ *
+ * Example usage:
+ * // vite.config.js
+ * plugins: [react(), issueContent()]
+ *
+ * // src/data/magazinePage.js
+ * import article1 from '../content/self-reliance/article-01.md';
+ */
+
+import path from 'node:path';
+import { parseMarkdown, IssueContentError } from './parseMarkdown.js';
+import { compileContent } from './compileContent.js';
+
+/**
+ * @param {object} options
+ * @param {string} options.contentDir - 콘텐츠 디렉터리 (root 기준) [Optional, 기본값: 'src/content']
+ */
+export default function issueContent({ contentDir = 'src/content' } = {}) {
+  let root = '';
+
+  const isContent = (id) => {
+    const [file] = id.split('?');
+    return file.endsWith('.md') && file.startsWith(path.join(root, contentDir) + path.sep);
+  };
+
+  return {
+    name: 'issue-content',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    transform(source, id) {
+      if (!isContent(id)) return null;
+
+      const [file] = id.split('?');
+      const relativeFile = path.relative(root, file);
+
+      try {
+        const data = compileContent(parseMarkdown(source, relativeFile), relativeFile);
+        return {
+          code: `export default ${JSON.stringify(data, null, 2)};\n`,
+          map: { mappings: '' },
+        };
+      } catch (error) {
+        if (!(error instanceof IssueContentError)) throw error;
+        this.error({
+          message: `${relativeFile}:${error.line} ${error.reason}`,
+          id: file,
+          loc: { file, line: error.line, column: 0 },
+        });
+      }
+    },
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * Issue Content Markdown Parser
+ *
+ * 호 콘텐츠 Markdown 파일을 frontmatter + 블록 목록으로 읽는 파서.
+ * 매거진 본문에 필요한 만큼만 지원하고, 모든 결과에 원본 줄 번호를 남겨 검증 에러가 위치를 가리킬 수 있게 한다.
+ *
+ * 지원 문법:
+ * ├── --- frontmatter ---        - 파일 맨 위. key: value, 인라인 배열 [a, b], "- 항목" 목록, # 주석
+ * ├── # 타이틀                   - 문서 타이틀 (한 번만)
+ * ├── ## 헤드라인 {id=x motif=y}  - 하위 구역 (카드 등). 끝의 {key=value}는 속성
+ * ├── 문단                       - 빈 줄로 구분. 문단 안의 줄바꿈은 그대로 줄바꿈(break)
+ * ├── > 인용                     - 연속된 > 줄. 마지막 줄이 "— 출처"면 출처
+ * ├── **강조**, ==하이라이트==      - emphasis, accent 인라인 (utils/richText)
+ * ├── \*\*, \=\=, \\              - 기호 그대로 쓰기 (예: 2 \=\= 3). 강조·하이라이트로 읽지 않고 백슬래시는 지운다
+ * ├── [[용어]], {본문|주석}, [^id]  - 용어집 링크, 루비, 각주 참조 — 문자열 그대로 유지 (utils/inlineMarkup)
+ * ├── [^id]: 각주 {ref=x page=y}  - 각주 정의 (한 줄). 끝의 {key=value}는 출처 속성 (utils/citations)
+ * └── <!-- 주석 -->               - 한 줄 HTML 주석은 무시
+ *
+ * 결과 구조:
+ * { frontmatter, keyLines, title, titleLine, blocks, parts, footnotes }
+ * ├── frontmatter  - 파싱된 frontmatter 객체
+ * ├── keyLines     - frontmatter 키별 줄 번호
+ * ├── blocks       - 첫 ## 이전의 블록 [{ type, content, lines, source?, line }]
+ * ├── parts        - ## 구역 [{ heading, attrs, line, blocks }]
+ * └── footnotes    - 각주 정의 [{ id, text, attrs, line }]
+ */
+
+/**
+ * 위치 정보가 있는 콘텐츠 에러 — 플러그인이 Vite 에러 오버레이/빌드 에러로 전달한다
+ */
+export class IssueContentError extends Error {
+  constructor(message, file, line) {
+    super(`[issue-content] ${file}:${line} ${message}`);
+    this.name = 'IssueContentError';
+    this.reason = message;
+    this.file = file;
+    this.line = line;
+  }
+}
+
+const SCALAR_NUMBER = /^-?\d+(\.\d+)?$/;
+const INLINE_ESCAPE = /\\([\\*=])/g;
+const INLINE_PATTERN = /\\([\\*=])|\*\*((?:\\[\\*=]|.)+?)\*\*|==((?:\\[\\*=]|.)+?)==/g;
+const TRAILING_ATTRS = /\s*\{((?:[\w-]+=[^\s{}|]+\s*)+)\}\s*$/;
+const FOOTNOTE_DEFINITION = /^\[\^([\w-]+)\]:\s*(.*)$/;
+
+/** frontmatter 스칼라 값 */
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null' || value === '~') return null;
+  if (SCALAR_NUMBER.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * frontmatter 파싱
+ *
+ * @param {string[]} lines - frontmatter 줄 (--- 제외)
+ * @param {number} firstLine - 첫 줄의 파일 줄 번호
+ * @param {string} file - 에러 표시용 파일 경로
+ * @returns {{ frontmatter: object, keyLines: object }}
+ */
+function parseFrontmatter(lines, firstLine, file) {
+  const frontmatter = {};
+  const keyLines = {};
+  let listKey = null;
+
+  lines.forEach((text, index) => {
+    const line = firstLine + index;
+    if (text.trim() === '' || text.trim().startsWith('#')) return;
+
+    const item = text.match(/^\s+-\s+(.*)$/);
+    if (item) {
+      if (!listKey) throw new IssueContentError('목록 항목 앞에 "key:"가 없습니다.', file, line);
+      frontmatter[listKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const entry = text.match(/^([A-Za-z][\w]*):\s*(.*)$/);
+    if (!entry) throw new IssueContentError(`frontmatter 형식이 아닙니다: "${text.trim()}"`, file, line);
+
+    const [, key, rawValue] = entry;
+    const raw = /^(['"]).*\1$/.test(rawValue.trim()) ? rawValue.trim() : rawValue.replace(/\s+#.*$/, '').trim();
+    if (key in frontmatter) throw new IssueContentError(`frontmatter 키 "${key}"가 중복되었습니다.`, file, line);
+    keyLines[key] = line;
+    listKey = null;
+
+    if (raw === '') {
+      frontmatter[key] = [];
+      listKey = key;
+    } else if (raw.startsWith('[')) {
+      if (!raw.endsWith(']')) throw new IssueContentError(`"${key}" 배열이 ]로 닫히지 않았습니다.`, file, line);
+      const inner = raw.slice(1, -1).trim();
+      frontmatter[key] = inner === '' ? [] : inner.split(',').map(parseScalar);
+    } else {
+      frontmatter[key] = parseScalar(raw);
+    }
+  });
+
+  return { frontmatter, keyLines };
+}
+
+/** 인라인 이스케이프(\*, \=, \\) 해제 */
+const unescapeInline = (text) => text.replace(INLINE_ESCAPE, '$1');
+
+/**
+ * 한 줄의 인라인 강조 파싱
+ * \*, \=, \\는 강조 기호로 읽지 않고 기호 자체로 남긴다.
+ *
+ * @param {string} text - 줄 텍스트
+ * @param {string} file - 에러 표시용 파일 경로
+ * @param {number} line - 줄 번호
+ * @returns {Array} 인라인 배열 (utils/richText)
+ */
+export function parseInline(text, file, line) {
+  const content = [];
+  let cursor = 0;
+
+  /** 이어지는 문자열은 하나로 합친다 (이스케이프된 기호 포함) */
+  const pushText = (segment) => {
+    if (typeof content[content.length - 1] === 'string') content[content.length - 1] += segment;
+    else content.push(segment);
+  };
+  /** 강조 밖의 원문 — 짝이 없는 기호는 에러 */
+  const pushPlain = (segment) => {
+    if (segment.includes('**')) throw new IssueContentError('닫히지 않은 **강조**가 있습니다. (기호 그대로 쓰려면 \\*\\*)', file, line);
+    if (segment.includes('==')) throw new IssueContentError('닫히지 않은 ==하이라이트==가 있습니다. (기호 그대로 쓰려면 \\=\\=)', file, line);
+    pushText(segment);
+  };
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [raw, escaped, emphasis, accent] = match;
+    if (match.index > cursor) pushPlain(text.slice(cursor, match.index));
+    if (escaped !== undefined) pushText(escaped);
+    else if (emphasis !== undefined) content.push({ type: 'emphasis', text: unescapeInline(emphasis) });
+    else content.push({ type: 'accent', text: unescapeInline(accent) });
+    cursor = match.index + raw.length;
+  }
+  if (cursor < text.length) pushPlain(text.slice(cursor));
+
+  return content;
+}
+
+/** 끝의 {key=value ...} 속성 분리 → { text, attrs } */
+function splitAttrs(text) {
+  const match = text.match(TRAILING_ATTRS);
+  const attrs = {};
+  if (!match) return { text: text.trim(), attrs };
+
+  match[1].trim().split(/\s+/).forEach((pair) => {
+    const [key, value] = pair.split('=');
+    attrs[key] = parseScalar(value);
+  });
+  return { text: text.slice(0, match.index).trim(), attrs };
+}
+
+/** 블록 줄들 → 블록 (줄바꿈은 break) */
+function toBlock(type, entries, file) {
+  const lines = entries.map((entry) => unescapeInline(entry.text));
+  const content = entries.flatMap((entry, index) => [
+    ...(index > 0 ? [{ type: 'break' }] : []),
+    ...parseInline(entry.text, file, entry.line),
+  ]);
+  return { type, content, lines, line: entries[0].line };
+}
+
+/**
+ * Markdown 파싱
+ *
+ * @param {string} source - 파일 내용
+ * @param {string} file - 에러 표시용 파일 경로
+ * @returns {object} { frontmatter, keyLines, title, titleLine, blocks, parts }
+ */
+export function parseMarkdown(source, file) {
+  const allLines = source.replace(/\r\n?/g, '\n').split('\n');
+  let bodyStart = 0;
+  let frontmatter = {};
+  let keyLines = {};
+
+  if (allLines[0]?.trim() === '---') {
+    const end = allLines.findIndex((text, index) => index > 0 && text.trim() === '---');
+    if (end === -1) throw new IssueContentError('frontmatter가 ---로 닫히지 않았습니다.', file, 1);
+    ({ frontmatter, keyLines } = parseFrontmatter(allLines.slice(1, end), 2, file));
+    bodyStart = end + 1;
+  }
+
+  const doc = { frontmatter, keyLines, title: undefined, titleLine: undefined, blocks: [], parts: [], footnotes: [] };
+  let target = doc.blocks;
+  let pending = null;
+
+  const flush = () => {
+    if (!pending) return;
+    const block = toBlock(pending.type, pending.entries, file);
+    if (pending.type === 'quote') {
+      const last = block.lines[block.lines.length - 1];
+      const source = last.match(/^(?:—|--)\s*(.+)$/);
+      if (source && block.lines.length > 1) {
+        const withoutSource = toBlock('quote', pending.entries.slice(0, -1), file);
+        target.push({ ...withoutSource, source: source[1].trim() });
+        pending = null;
+        return;
+      }
+    }
+    target.push(block);
+    pending = null;
+  };
+
+  allLines.slice(bodyStart).forEach((rawText, index) => {
+    const line = bodyStart + index + 1;
+    const text = rawText.replace(/<!--.*?-->/g, '').trimEnd();
+
+    if (text.trim() === '') {
+      flush();
+      return;
+    }
+
+    const heading = text.match(/^(#{1,2})\s+(.+)$/);
+    if (heading) {
+      flush();
+      const [, level, body] = heading;
+      if (level === '#') {
+        if (doc.title !== undefined) throw new IssueContentError('# 타이틀은 한 번만 쓸 수 있습니다.', file, line);
+        if (doc.parts.length > 0) throw new IssueContentError('# 타이틀은 ## 구역보다 앞에 있어야 합니다.', file, line);
+        doc.title = body.trim();
+        doc.titleLine = line;
+        return;
+      }
+
+      const { text: partHeading, attrs } = splitAttrs(body);
+      const part = { heading: partHeading, attrs, line, blocks: [] };
+      doc.parts.push(part);
+      target = part.blocks;
+      return;
+    }
+    if (/^#{3,}\s/.test(text)) throw new IssueContentError('### 이하 제목은 지원하지 않습니다.', file, line);
+
+    const footnote = text.match(FOOTNOTE_DEFINITION);
+    if (footnote) {
+      flush();
+      const { text: footnoteText, attrs } = splitAttrs(footnote[2]);
+      if (!footnoteText) throw new IssueContentError(`각주 "${footnote[1]}"의 내용이 없습니다.`, file, line);
+      doc.footnotes.push({ id: footnote[1], text: footnoteText, attrs, line });
+      return;
+    }
+
+    const quote = text.match(/^>\s?(.*)$/);
+    const type = quote ? 'quote' : 'paragraph';
+    if (pending && pending.type !== type) flush();
+    if (!pending) pending = { type, entries: [] };
+    pending.entries.push({ text: quote ? quote[1] : text.trim(), line });
+  });
+  flush();
+
+  return doc;
+}